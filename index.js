@@ -46,10 +46,15 @@ const {
   SALES_FULL_WARMER_ENABLED,
   SALES_FULL_WARMER_DELAY_MS,
   SALES_FULL_WARMER_SPACING_MS,
+  WISHLIST_POLL_MS,
+  WISHLIST_SCAN_PAGES,
   POLL_MS,
   OWNED_POLL_MS,
   NOWPLAYING_POLL_MS,
   LEADERBOARD_POLL_MS,
+  RACE_POLL_MS,
+  SEASON_POLL_MS,
+  VOICE_XP_FLUSH_MS,
   SALES_POLL_MS,
   CONCURRENCY,
   SCHEMA_TTL_MS,
@@ -63,16 +68,31 @@ const {
   GITHUB_MAX_CATCHUP,
 } = config;
 const { client } = require('./src/discord/client');
-const { registerCommandsOnStartup, handleChatCommand } = require('./src/discord/commands');
+const { registerCommandsOnStartup, handleChatCommand, handleAutocomplete } = require('./src/discord/commands');
 const { registerLogging } = require('./src/discord/logging');
 const { awardMessageXp } = require('./src/discord/xp');
+const { scheduleVoiceXpLoop } = require('./src/discord/voiceXp');
 const { messageHasLink, hasActivePermit, isStaff } = require('./src/discord/permits');
 const { enforceContentModeration } = require('./src/discord/moderation');
+const { enforceAntiSpam } = require('./src/discord/antiSpam');
 const { scheduleAchievementsLoop } = require('./src/loops/achievements');
 const { scheduleOwnedLoop } = require('./src/loops/owned');
 const { scheduleNowPlayingLoop } = require('./src/loops/nowPlaying');
-const { scheduleLeaderboardLoop } = require('./src/loops/leaderboard');
-const { scheduleSalesLoop, handleButtonInteraction, startFullSalesWarm } = require('./src/sales/index');
+const { scheduleLeaderboardLoop, handleLeaderboardInteraction } = require('./src/loops/leaderboard');
+const { scheduleRaceLoop } = require('./src/loops/races');
+const { scheduleSeasonLoop } = require('./src/loops/seasons');
+const { scheduleXpEventLoop } = require('./src/loops/xpEvents');
+const { scheduleXpLeaderboardLoop, handleXpLeaderboardInteraction } = require('./src/loops/xpLeaderboard');
+const { scheduleTempBanLoop } = require('./src/loops/tempBans');
+const { scheduleRaidModeLoop, trackMemberJoin } = require('./src/loops/raidMode');
+const { handleProfileInteraction } = require('./src/discord/profile');
+const {
+  scheduleSalesLoop,
+  handleButtonInteraction,
+  handleSalesFilterInteraction,
+  startFullSalesWarm,
+} = require('./src/sales/index');
+const { scheduleWishlistLoop } = require('./src/sales/wishlist');
 const { scheduleGithubLoop } = require('./src/github/announcer');
 const { startGithubWebhookServer } = require('./src/github/webhook');
 const { initDb } = require('./src/db');
@@ -130,10 +150,15 @@ log.info('Config:', JSON.stringify({
   SALES_FULL_WARMER_ENABLED,
   SALES_FULL_WARMER_DELAY_MS,
   SALES_FULL_WARMER_SPACING_MS,
+  WISHLIST_POLL_MS,
+  WISHLIST_SCAN_PAGES,
   POLL_MS,
   OWNED_POLL_MS,
   NOWPLAYING_POLL_MS,
   LEADERBOARD_POLL_MS,
+  RACE_POLL_MS,
+  SEASON_POLL_MS,
+  VOICE_XP_FLUSH_MS,
   SALES_POLL_MS,
   CONCURRENCY,
   SCHEMA_TTL_MS,
@@ -168,15 +193,24 @@ client.once(Events.ClientReady, async (c) => {
   scheduleOwnedLoop(true);
   scheduleNowPlayingLoop(true);
   scheduleLeaderboardLoop(true);
+  scheduleRaceLoop(true);
+  scheduleSeasonLoop(true);
+  scheduleVoiceXpLoop(true);
+  scheduleXpEventLoop(true);
+  scheduleXpLeaderboardLoop(true);
+  scheduleTempBanLoop(true);
+  scheduleRaidModeLoop(true);
   scheduleSalesLoop(true);
+  scheduleWishlistLoop(true);
   scheduleGithubLoop(true);
 
-  if (SALES_FULL_WARMER_ENABLED) startFullSalesWarm(SALES_REGION_CC);
+  if (SALES_FULL_WARMER_ENABLED) startFullSalesWarm();
 });
 
 /**
- * All Discord interaction traffic flows through this handler. It routes chat input commands to the
- * command registry, button presses to the sales module, and guarantees that unexpected exceptions
+ * All Discord interaction traffic flows through this handler. It routes chat input commands and
+ * autocomplete to the command registry, buttons/select menus/modals to the sales, leaderboard, XP
+ * leaderboard and profile modules, and guarantees that unexpected exceptions
  * surface to the user in an ephemeral response. By centralising the try/catch we prevent
  * unhandled promise rejections from leaking into the process and crashing the bot.
  */
@@ -186,8 +220,14 @@ client.on('interactionCreate', async (interaction) => {
       const tag = `CMD:${interaction.commandName}`;
       log.tag(tag).info(`from user=${interaction.user.id} in guild=${interaction.guildId}`);
       await handleChatCommand(interaction);
-    } else if (interaction.isButton()) {
-      await handleButtonInteraction(interaction);
+    } else if (interaction.isAutocomplete()) {
+      await handleAutocomplete(interaction);
+    } else if (interaction.isButton() || interaction.isStringSelectMenu() || interaction.isModalSubmit()) {
+      if (await handleSalesFilterInteraction(interaction)) return;
+      if (await handleLeaderboardInteraction(interaction)) return;
+      if (await handleXpLeaderboardInteraction(interaction)) return;
+      if (await handleProfileInteraction(interaction)) return;
+      if (interaction.isButton()) await handleButtonInteraction(interaction);
     }
   } catch (err) {
     log.error('Interaction error:', err?.stack || err);
@@ -200,18 +240,12 @@ client.on('interactionCreate', async (interaction) => {
 });
 
 /**
- * Message handler responsible for per-message XP, moderation enforcement, and link-permit checks.
- * The logic intentionally performs early returns to keep the "happy path" inexpensive—bots and
- * DMs are ignored, moderators bypass the checks, and only messages containing links are examined
- * for permit violations.
+ * Message handler responsible for moderation enforcement, anti-spam, link-permit checks and
+ * per-message XP, in that order so removed messages never earn XP. The logic intentionally performs
+ * early returns to keep the "happy path" inexpensive—bots and DMs are ignored, moderators bypass the
+ * checks, and only messages containing links are examined for permit violations.
  */
 client.on(Events.MessageCreate, async (message) => {
-  try {
-    await awardMessageXp(message);
-  } catch (err) {
-    log.tag('XP').error('Failed to award message XP:', err?.stack || err);
-  }
-
   if (!message.guild || message.author.bot) return;
 
   let member = message.member;
@@ -226,21 +260,45 @@ client.on(Events.MessageCreate, async (message) => {
     } catch (err) {
       log.tag('MODERATION').error('Failed to evaluate message for moderation:', err?.stack || err);
     }
-  }
 
-  if (!messageHasLink(message)) return;
+    try {
+      const removed = await enforceAntiSpam(message, member);
+      if (removed) return;
+    } catch (err) {
+      log.tag('ANTISPAM').error('Failed to evaluate message for spam:', err?.stack || err);
+    }
+
+    if (messageHasLink(message)) {
+      try {
+        const permitted = await hasActivePermit(message.guild.id, message.author.id);
+        if (!permitted) {
+          await message.delete().catch(() => {});
+          await message.author.send(`Your message in **${message.guild.name}** was removed because posting links requires a staff permit.`).catch(() => {});
+          log.tag('PERMIT').info(`Deleted link from user=${message.author.id} guild=${message.guild.id}`);
+          return;
+        }
+      } catch (err) {
+        log.tag('PERMIT').error('Failed to enforce link permit:', err?.stack || err);
+      }
+    }
+  }
 
   try {
-    if (isStaff(member)) return;
-
-    const permitted = await hasActivePermit(message.guild.id, message.author.id);
-    if (permitted) return;
+    await awardMessageXp(message);
+  } catch (err) {
+    log.tag('XP').error('Failed to award message XP:', err?.stack || err);
+  }
+});
 
-    await message.delete().catch(() => {});
-    await message.author.send(`Your message in **${message.guild.name}** was removed because posting links requires a staff permit.`).catch(() => {});
-    log.tag('PERMIT').info(`Deleted link from user=${message.author.id} guild=${message.guild.id}`);
+/**
+ * Join handler feeding raid detection. Member join logging is registered separately by the logging
+ * module.
+ */
+client.on(Events.GuildMemberAdd, async (member) => {
+  try {
+    await trackMemberJoin(member);
   } catch (err) {
-    log.tag('PERMIT').error('Failed to enforce link permit:', err?.stack || err);
+    log.tag('RAID').error('Failed to track member join:', err?.stack || err);
   }
 });
 
@@ -0,0 +1,67 @@
+// file: migrate.js
+/**
+ * Command-line companion to the schema migration runner in `src/migrations`. The bot applies pending
+ * migrations on boot; this script lets operators inspect or rehearse those changes beforehand.
+ *
+ *   node migrate.js status    List every migration and whether it has been applied.
+ *   node migrate.js dry-run   Print the statements pending migrations would execute, without writing.
+ *   node migrate.js up        Apply pending migrations (same as a bot boot, minus Discord).
+ */
+require('dotenv').config();
+
+const { log } = require('./src/logger');
+const { connectDb, closeDb } = require('./src/db');
+const { getMigrationStatus, runMigrations } = require('./src/migrations');
+
+const CLI_LOG = log.tag('MIGRATE');
+
+async function printStatus() {
+  const rows = await getMigrationStatus();
+  for (const row of rows) {
+    const when = row.appliedAt ? new Date(row.appliedAt).toISOString() : 'pending';
+    console.log(`${String(row.version).padStart(3, '0')}  ${row.name.padEnd(40)} ${when}`);
+  }
+  const pending = rows.filter(r => !r.appliedAt).length;
+  console.log(`\n${rows.length - pending} applied, ${pending} pending.`);
+}
+
+async function printDryRun() {
+  const plan = await runMigrations({ dryRun: true });
+  if (!plan.length) {
+    console.log('No pending migrations.');
+    return;
+  }
+  for (const step of plan) {
+    console.log(`-- ${String(step.version).padStart(3, '0')}_${step.name} (${step.statements.length} statements)`);
+    for (const { sql, params } of step.statements) {
+      console.log(`${sql};${params.length ? `  -- params: ${JSON.stringify(params)}` : ''}`);
+    }
+    console.log('');
+  }
+}
+
+async function applyPending() {
+  const applied = await runMigrations();
+  console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'No pending migrations.');
+}
+
+(async () => {
+  const command = process.argv[2] || 'status';
+  const commands = { status: printStatus, 'dry-run': printDryRun, up: applyPending };
+  const handler = commands[command];
+  if (!handler) {
+    console.error(`Unknown command "${command}". Expected one of: ${Object.keys(commands).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    connectDb();
+    await handler();
+  } catch (err) {
+    CLI_LOG.error(`${command} failed:`, err?.stack || err);
+    process.exitCode = 1;
+  } finally {
+    await closeDb().catch(() => {});
+  }
+})();
@@ -52,6 +52,16 @@ const DB_CFG = {
   charset: 'utf8mb4_general_ci',
 };
 
+/**
+ * Storage backend. `mysql` (default) uses `DB_CFG`; `sqlite` stores everything in a single local file
+ * at `DB_SQLITE_PATH`, which suits small communities that do not want to run a database server.
+ */
+const DB_DRIVER = (process.env.DB_DRIVER || 'mysql').trim().toLowerCase();
+if (!['mysql', 'sqlite'].includes(DB_DRIVER)) {
+  throw new Error(`Unsupported DB_DRIVER "${process.env.DB_DRIVER}". Expected "mysql" or "sqlite".`);
+}
+const DB_SQLITE_PATH = process.env.DB_SQLITE_PATH || './data/paradisebot.sqlite';
+
 const STEAM_HOST = 'https://api.steampowered.com';
 const APP_NAME_OVERRIDES = parseAppNameOverrides(process.env.APP_NAME_OVERRIDES);
 
@@ -159,11 +169,18 @@ const SALES_FULL_WARMER_ENABLED = (process.env.SALES_FULL_WARMER_ENABLED ?? 'tru
 const SALES_FULL_WARMER_DELAY_MS = Math.max(0, parseInt(process.env.SALES_FULL_WARMER_DELAY_MS || '15000', 10));
 const SALES_FULL_WARMER_SPACING_MS = Math.max(400, parseInt(process.env.SALES_FULL_WARMER_SPACING_MS || '1500', 10));
 
+// Wishlist alerts re-read members' wishlists and scan the first WISHLIST_SCAN_PAGES pages of the
+// specials crawl (highest discounts first with the default sort) on every pass.
+const WISHLIST_POLL_MS = Math.max(900, parseInt(process.env.WISHLIST_POLL_SECONDS || '21600', 10)) * 1000;
+const WISHLIST_SCAN_PAGES = Math.max(1, parseInt(process.env.WISHLIST_SCAN_PAGES || '50', 10));
+
 const POLL_MS             = Math.max(30, parseInt(process.env.POLL_SECONDS || '300', 10)) * 1000;
 const OWNED_POLL_MS       = Math.max(60, parseInt(process.env.OWNED_POLL_SECONDS || '3600', 10)) * 1000;
 const NOWPLAYING_POLL_MS  = Math.max(30, parseInt(process.env.NOWPLAYING_POLL_SECONDS || '120', 10)) * 1000;
 const LEADERBOARD_POLL_MS = Math.max(60, parseInt(process.env.LEADERBOARD_POLL_SECONDS || '300', 10)) * 1000;
 const SALES_POLL_MS       = Math.max(3600, parseInt(process.env.SALES_POLL_SECONDS || `${24*3600}`, 10)) * 1000;
+const RACE_POLL_MS        = Math.max(30, parseInt(process.env.RACE_POLL_SECONDS || '60', 10)) * 1000;
+const SEASON_POLL_MS      = Math.max(60, parseInt(process.env.SEASON_POLL_SECONDS || '900', 10)) * 1000;
 
 const CONCURRENCY   = Math.max(1, parseInt(process.env.MAX_CONCURRENCY || '2', 10));
 const SCHEMA_TTL_MS = Math.max(1, parseInt(process.env.SCHEMA_TTL_HOURS || '168', 10)) * 3600 * 1000;
@@ -188,12 +205,28 @@ const SESSION_MIN_MINUTES             = Math.max(1, parseInt(process.env.SESSION
 
 const RECENT_LIMIT = Math.max(3, parseInt(process.env.RECENT_LIMIT || '10', 10));
 
+const XP_COOLDOWN_SECONDS = Math.max(0, parseInt(process.env.XP_COOLDOWN_SECONDS || '60', 10));
+const XP_MIN_PER_MESSAGE = Math.max(0, parseInt(process.env.XP_MIN_PER_MESSAGE || '15', 10));
+const XP_MAX_PER_MESSAGE = Math.max(XP_MIN_PER_MESSAGE, parseInt(process.env.XP_MAX_PER_MESSAGE || '25', 10));
+const XP_MIN_MESSAGE_LENGTH = Math.max(0, parseInt(process.env.XP_MIN_MESSAGE_LENGTH || '5', 10));
+const VOICE_XP_PER_MINUTE = Math.max(0, parseInt(process.env.VOICE_XP_PER_MINUTE || '3', 10));
+const VOICE_XP_FLUSH_MS = Math.max(60, parseInt(process.env.VOICE_XP_FLUSH_SECONDS || '300', 10)) * 1000;
+// `stack` keeps every reward role a member has earned; `highest` keeps only the top one.
+const XP_REWARD_MODE = (process.env.XP_REWARD_MODE || 'stack').toLowerCase() === 'highest' ? 'highest' : 'stack';
+
+const IMAGE_CARDS = (process.env.IMAGE_CARDS ?? 'true').toLowerCase() !== 'false';
+
+// Warnings and automod strikes older than this no longer count towards escalation rules.
+const WARNING_DECAY_DAYS = Math.max(1, parseInt(process.env.WARNING_DECAY_DAYS || '7', 10));
+
 module.exports = {
   DISCORD_TOKEN,
   DISCORD_CLIENT_ID,
   STEAM_API_KEY,
   DEV_GUILD_ID,
   DB_CFG,
+  DB_DRIVER,
+  DB_SQLITE_PATH,
   STEAM_HOST,
   STEAM_COLOR,
   APP_NAME_OVERRIDES,
@@ -210,11 +243,15 @@ module.exports = {
   SALES_FULL_WARMER_ENABLED,
   SALES_FULL_WARMER_DELAY_MS,
   SALES_FULL_WARMER_SPACING_MS,
+  WISHLIST_POLL_MS,
+  WISHLIST_SCAN_PAGES,
   POLL_MS,
   OWNED_POLL_MS,
   NOWPLAYING_POLL_MS,
   LEADERBOARD_POLL_MS,
   SALES_POLL_MS,
+  RACE_POLL_MS,
+  SEASON_POLL_MS,
   CONCURRENCY,
   SCHEMA_TTL_MS,
   SEED_ON_FIRST_RUN,
@@ -233,6 +270,15 @@ module.exports = {
   NOWPLAYING_IDLE_TIMEOUT_SECONDS,
   SESSION_MIN_MINUTES,
   RECENT_LIMIT,
+  XP_COOLDOWN_SECONDS,
+  XP_MIN_PER_MESSAGE,
+  XP_MAX_PER_MESSAGE,
+  XP_MIN_MESSAGE_LENGTH,
+  XP_REWARD_MODE,
+  WARNING_DECAY_DAYS,
+  VOICE_XP_PER_MINUTE,
+  VOICE_XP_FLUSH_MS,
+  IMAGE_CARDS,
   GITHUB_ANNOUNCER_ENABLED,
   GITHUB_OWNER,
   GITHUB_REPO,
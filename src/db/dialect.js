@@ -0,0 +1,47 @@
+/**
+ * SQL dialect translation. Application queries are written in MySQL syntax; this module rewrites the
+ * handful of MySQL-only constructs we rely on into SQLite equivalents so the same statements run on
+ * the embedded driver.
+ *
+ * Supported rewrites:
+ * - `ENGINE=… DEFAULT CHARSET=…` table options are dropped.
+ * - `INT NOT NULL AUTO_INCREMENT PRIMARY KEY` becomes `INTEGER PRIMARY KEY AUTOINCREMENT`.
+ * - `INSERT IGNORE` becomes `INSERT OR IGNORE`.
+ * - `ON DUPLICATE KEY UPDATE a=VALUES(a)` becomes `ON CONFLICT DO UPDATE SET a=excluded.a`.
+ * - `GREATEST(…)` / `LEAST(…)` become SQLite's multi-argument `MAX(…)` / `MIN(…)`.
+ */
+
+const TABLE_OPTIONS = /\)\s*ENGINE\s*=\s*\w+(?:\s+DEFAULT)?(?:\s+CHARSET\s*=\s*\w+)?(?:\s+COLLATE\s*=?\s*\w+)?/gi;
+const AUTO_INCREMENT_PK = /\b(?:BIG|SMALL|TINY|MEDIUM)?INT(?:EGER)?(?:\s+UNSIGNED)?\s+NOT\s+NULL\s+AUTO_INCREMENT\s+PRIMARY\s+KEY/gi;
+const INSERT_IGNORE = /\bINSERT\s+IGNORE\s+INTO\b/gi;
+const ON_DUPLICATE = /\bON\s+DUPLICATE\s+KEY\s+UPDATE\b/gi;
+const VALUES_REF = /\bVALUES\s*\(\s*`?(\w+)`?\s*\)/gi;
+
+/**
+ * Rewrites a MySQL statement for SQLite. Statements without MySQL-specific syntax pass through
+ * unchanged.
+ *
+ * @param {string} sql - MySQL statement.
+ * @returns {string} SQLite statement.
+ */
+function toSqlite(sql) {
+  let out = String(sql)
+    .replace(TABLE_OPTIONS, ')')
+    .replace(AUTO_INCREMENT_PK, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(INSERT_IGNORE, 'INSERT OR IGNORE INTO')
+    .replace(/\bGREATEST\s*\(/gi, 'MAX(')
+    .replace(/\bLEAST\s*\(/gi, 'MIN(');
+
+  const dup = out.search(ON_DUPLICATE);
+  if (dup !== -1) {
+    // Only the assignment list after ON DUPLICATE KEY UPDATE uses VALUES(col) as a column reference;
+    // the INSERT's own VALUES (...) tuple must stay untouched.
+    const head = out.slice(0, dup);
+    const tail = out.slice(dup).replace(ON_DUPLICATE, 'ON CONFLICT DO UPDATE SET').replace(VALUES_REF, 'excluded.$1');
+    out = head + tail;
+  }
+
+  return out;
+}
+
+module.exports = { toSqlite };
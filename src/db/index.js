@@ -0,0 +1,167 @@
+/**
+ * Database bootstrapper and query helper functions. This module is intentionally tiny so that
+ * higher-level modules interact with a constrained surface area: `dbGet` for single rows, `dbAll`
+ * for multi-row selects, and `dbRun` for writes. Schema changes live in numbered files under
+ * `src/migrations/` and are applied by `initDb` during startup.
+ */
+const { time, log, DEBUG_SQL } = require('../logger');
+const { DB_CFG, DB_DRIVER, DB_SQLITE_PATH } = require('../config');
+
+/**
+ * @typedef {Object} Driver
+ * @property {'mysql'|'sqlite'} dialect - SQL flavour spoken by the backend.
+ * @property {(sql: string, params?: Array) => Promise<{ rows: Array, affectedRows: number, insertId: number|null }>} query
+ * @property {(table: string) => Promise<boolean>} hasTable
+ * @property {(table: string, column: string) => Promise<boolean>} hasColumn
+ * @property {(name: string, timeoutSeconds: number, fn: Function) => Promise<*>} withLock
+ * @property {(fn: Function) => Promise<*>} withTransaction
+ * @property {() => Promise<void>} close
+ */
+
+let driver;
+
+/**
+ * Opens the configured storage backend without touching the schema. The migration CLI uses this
+ * directly so it can inspect state before deciding whether to apply anything.
+ *
+ * @returns {Driver}
+ */
+function connectDb() {
+  if (driver) return driver;
+  if (DB_DRIVER === 'sqlite') {
+    const { createSqliteDriver } = require('./sqlite');
+    driver = createSqliteDriver({ filename: DB_SQLITE_PATH });
+  } else {
+    const { createMysqlDriver } = require('./mysql');
+    driver = createMysqlDriver(DB_CFG);
+  }
+  log.tag('DB').info(`Using ${driver.dialect} storage driver`);
+  return driver;
+}
+
+/**
+ * Connects to the database and applies any pending schema migrations. Running migrations at boot
+ * keeps first-time setup a single command (start the bot and it provisions itself) while still giving
+ * us ordered, recorded schema changes.
+ */
+async function initDb() {
+  const t = time('DB:init');
+  connectDb();
+  // Required lazily because the runner itself depends on the query helpers exported below.
+  const { runMigrations } = require('../migrations');
+  await runMigrations();
+  t.end();
+}
+
+/**
+ * Closes the connection so short-lived scripts (such as the migration CLI) can exit cleanly.
+ */
+async function closeDb() {
+  if (!driver) return;
+  const d = driver;
+  driver = null;
+  await d.close();
+}
+
+/**
+ * Executes a query that is expected to return zero or one row.
+ *
+ * @template T
+ * @param {string} sql - Prepared statement with placeholders.
+ * @param {Array} [params=[]] - Values bound to the placeholders.
+ * @returns {Promise<T|null>} First row or `null` when no results are returned.
+ */
+async function dbGet(sql, params = []) {
+  const t = time('DB:get');
+  DEBUG_SQL && log.tag('SQL').debug(sql, JSON.stringify(params));
+  const { rows } = await getDriver().query(sql, params);
+  const row = rows[0] || null;
+  log.tag('DB').trace(`get -> ${row ? '1 row' : '0 rows'}`);
+  t.end(); return row;
+}
+/**
+ * Executes a read-only query and returns every row.
+ *
+ * @template T
+ * @param {string} sql - Prepared statement with placeholders.
+ * @param {Array} [params=[]] - Values bound to the placeholders.
+ * @returns {Promise<T[]>} Result set.
+ */
+async function dbAll(sql, params = []) {
+  const t = time('DB:all');
+  DEBUG_SQL && log.tag('SQL').debug(sql, JSON.stringify(params));
+  const { rows } = await getDriver().query(sql, params);
+  log.tag('DB').trace(`all -> ${rows.length} rows`);
+  t.end(); return rows;
+}
+/**
+ * Executes a statement that modifies rows (INSERT/UPDATE/DELETE).
+ *
+ * @param {string} sql - Prepared statement with placeholders.
+ * @param {Array} [params=[]] - Values bound to the placeholders.
+ * @returns {Promise<{ affectedRows: number, insertId: number|null }>} Write summary from the driver.
+ */
+async function dbRun(sql, params = []) {
+  const t = time('DB:run');
+  DEBUG_SQL && log.tag('SQL').debug(sql, JSON.stringify(params));
+  const res = await getDriver().query(sql, params);
+  log.tag('DB').trace(`run -> affectedRows=${res?.affectedRows ?? 0}`);
+  t.end(); return res;
+}
+/**
+ * Runs `fn` inside a transaction: the writes it makes through `dbGet`/`dbAll`/`dbRun` commit together,
+ * or are rolled back when it throws. Nested calls join the outer transaction.
+ *
+ * @template T
+ * @param {() => Promise<T>} fn - Work to run atomically.
+ * @returns {Promise<T>} Whatever `fn` resolves to.
+ */
+function dbTransaction(fn) {
+  return getDriver().withTransaction(fn);
+}
+
+/**
+ * Checks whether a table exists in the configured schema.
+ *
+ * @param {string} table - Table name.
+ * @returns {Promise<boolean>}
+ */
+function hasTable(table) {
+  return getDriver().hasTable(table);
+}
+
+/**
+ * Checks whether a column exists on a table in the configured schema.
+ *
+ * @param {string} table - Table name.
+ * @param {string} column - Column name.
+ * @returns {Promise<boolean>}
+ */
+function hasColumn(table, column) {
+  return getDriver().hasColumn(table, column);
+}
+
+/**
+ * Provides direct access to the active storage driver when specialised operations (dialect checks,
+ * locking) are required. Throws if the database has not been connected so callers fail loudly
+ * instead of operating on `null`.
+ *
+ * @returns {Driver}
+ */
+function getDriver() {
+  if (!driver) throw new Error('DB not initialized');
+  return driver;
+}
+
+module.exports = {
+  connectDb,
+  initDb,
+  closeDb,
+  dbGet,
+  dbAll,
+  dbRun,
+  dbTransaction,
+  hasTable,
+  hasColumn,
+  getDriver,
+};
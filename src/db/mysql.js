@@ -0,0 +1,92 @@
+/**
+ * MySQL storage driver backed by a `mysql2` connection pool. This is the reference dialect: queries
+ * throughout the codebase are written in MySQL syntax and other drivers translate from it.
+ */
+const { AsyncLocalStorage } = require('node:async_hooks');
+const mysql = require('mysql2/promise');
+
+/**
+ * Creates a driver bound to a fresh connection pool.
+ *
+ * @param {import('mysql2').PoolOptions} cfg - Connection options (see `DB_CFG`).
+ * @returns {import('./index').Driver}
+ */
+function createMysqlDriver(cfg) {
+  const pool = mysql.createPool(cfg);
+  // Queries issued inside `withTransaction` must run on the transaction's connection, not the pool.
+  const txConnection = new AsyncLocalStorage();
+
+  async function query(sql, params = []) {
+    const [res] = await (txConnection.getStore() || pool).query(sql, params);
+    if (Array.isArray(res)) return { rows: res, affectedRows: 0, insertId: null };
+    return { rows: [], affectedRows: res?.affectedRows ?? 0, insertId: res?.insertId ?? null };
+  }
+
+  return {
+    dialect: 'mysql',
+    query,
+
+    async hasTable(table) {
+      const { rows } = await query(
+        'SELECT 1 AS ok FROM information_schema.TABLES WHERE TABLE_SCHEMA=? AND TABLE_NAME=? LIMIT 1',
+        [cfg.database, table]
+      );
+      return rows.length > 0;
+    },
+
+    async hasColumn(table, column) {
+      const { rows } = await query(
+        'SELECT 1 AS ok FROM information_schema.COLUMNS WHERE TABLE_SCHEMA=? AND TABLE_NAME=? AND COLUMN_NAME=? LIMIT 1',
+        [cfg.database, table, column]
+      );
+      return rows.length > 0;
+    },
+
+    /**
+     * Holds a MySQL advisory lock for the duration of `fn`. The lock is bound to a dedicated
+     * connection, so it is released automatically if the process dies while holding it.
+     */
+    async withLock(name, timeoutSeconds, fn) {
+      const conn = await pool.getConnection();
+      try {
+        const [rows] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [name, timeoutSeconds]);
+        if (Number(rows?.[0]?.acquired) !== 1) {
+          throw new Error(`Timed out after ${timeoutSeconds}s waiting for lock "${name}"`);
+        }
+        try {
+          return await fn();
+        } finally {
+          await conn.query('SELECT RELEASE_LOCK(?)', [name]).catch(() => {});
+        }
+      } finally {
+        conn.release();
+      }
+    },
+
+    /**
+     * Runs `fn` in a transaction on a dedicated connection; every query made from inside `fn` is
+     * routed to it. Nested calls join the outer transaction.
+     */
+    async withTransaction(fn) {
+      if (txConnection.getStore()) return fn();
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const result = await txConnection.run(conn, fn);
+        await conn.commit();
+        return result;
+      } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+module.exports = { createMysqlDriver };
@@ -0,0 +1,140 @@
+/**
+ * Embedded SQLite storage driver built on `better-sqlite3`. Intended for small communities and local
+ * development where running a MySQL server is overkill. Statements are translated from MySQL syntax
+ * by `dialect.js` before execution.
+ */
+const fs = require('node:fs');
+const { AsyncLocalStorage } = require('node:async_hooks');
+const path = require('node:path');
+const { toSqlite } = require('./dialect');
+
+/**
+ * `better-sqlite3` is an optional dependency because it compiles a native addon; only require it when
+ * the SQLite driver is actually selected.
+ */
+function loadBetterSqlite() {
+  try {
+    return require('better-sqlite3');
+  } catch (err) {
+    throw new Error(`DB_DRIVER=sqlite requires the optional "better-sqlite3" package (npm install better-sqlite3): ${err?.message || err}`);
+  }
+}
+
+/** SQLite cannot bind booleans or `undefined`, so coerce them to the values MySQL would store. */
+function normalizeParam(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+/**
+ * Opens (or creates) the database file and returns a driver bound to it. Pass `:memory:` for a
+ * throwaway database, which is what the test suite uses.
+ *
+ * @param {{ filename: string, busyTimeoutMs?: number }} options
+ * @returns {import('./index').Driver}
+ */
+function createSqliteDriver({ filename, busyTimeoutMs = 5000 }) {
+  const Database = loadBetterSqlite();
+  if (filename !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma(`busy_timeout = ${Math.max(0, busyTimeoutMs | 0)}`);
+
+  const statements = new Map();
+  // There is a single connection, so transactions are queued rather than allowed to interleave, and
+  // queries from outside an open transaction wait for it so a rollback cannot take their writes along.
+  const txScope = new AsyncLocalStorage();
+  let txQueue = Promise.resolve();
+  let txOpen = null;
+  function prepare(sql) {
+    let stmt = statements.get(sql);
+    if (!stmt) {
+      stmt = db.prepare(toSqlite(sql));
+      statements.set(sql, stmt);
+    }
+    return stmt;
+  }
+
+  async function query(sql, params = []) {
+    while (txOpen && !txScope.getStore()) await txOpen;
+    const stmt = prepare(sql);
+    const bound = params.map(normalizeParam);
+    if (stmt.reader) return { rows: stmt.all(bound), affectedRows: 0, insertId: null };
+    const res = stmt.run(bound);
+    return { rows: [], affectedRows: res.changes, insertId: Number(res.lastInsertRowid) || null };
+  }
+
+  return {
+    dialect: 'sqlite',
+    query,
+
+    async hasTable(table) {
+      const { rows } = await query("SELECT 1 AS ok FROM sqlite_master WHERE type='table' AND name=? LIMIT 1", [table]);
+      return rows.length > 0;
+    },
+
+    async hasColumn(table, column) {
+      const cols = db.pragma(`table_info(${JSON.stringify(String(table))})`);
+      return cols.some(c => c.name === column);
+    },
+
+    /**
+     * SQLite has no named advisory locks; an IMMEDIATE transaction takes the database write lock
+     * instead, which also makes everything inside `fn` atomic. Other processes wait up to
+     * `timeoutSeconds` before giving up.
+     */
+    async withLock(_name, timeoutSeconds, fn) {
+      if (db.inTransaction) return fn();
+      db.pragma(`busy_timeout = ${Math.max(0, timeoutSeconds * 1000)}`);
+      try {
+        db.exec('BEGIN IMMEDIATE');
+      } finally {
+        db.pragma(`busy_timeout = ${Math.max(0, busyTimeoutMs | 0)}`);
+      }
+      try {
+        const result = await fn();
+        db.exec('COMMIT');
+        return result;
+      } catch (err) {
+        if (db.inTransaction) db.exec('ROLLBACK');
+        throw err;
+      }
+    },
+
+    /**
+     * Runs `fn` in an IMMEDIATE transaction. Transactions from unrelated callers wait their turn;
+     * nested calls, and calls made while the migration lock holds the write lock, join the open one.
+     */
+    async withTransaction(fn) {
+      if (txScope.getStore()) return fn();
+      const run = txQueue.then(async () => {
+        if (db.inTransaction) return fn();
+        let settle;
+        txOpen = new Promise((resolve) => { settle = resolve; });
+        db.exec('BEGIN IMMEDIATE');
+        try {
+          const result = await txScope.run(true, fn);
+          db.exec('COMMIT');
+          return result;
+        } catch (err) {
+          if (db.inTransaction) db.exec('ROLLBACK');
+          throw err;
+        } finally {
+          txOpen = null;
+          settle();
+        }
+      });
+      txQueue = run.catch(() => {});
+      return run;
+    },
+
+    async close() {
+      statements.clear();
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteDriver };
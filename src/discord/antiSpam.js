@@ -0,0 +1,404 @@
+/**
+ * Anti-spam. Messages from members who are not staff are checked against five rules, all off until
+ * staff turn them on. Floods, repeated identical messages and mentions are counted per member over a
+ * sliding window; shouting in capitals and piling on emoji are judged per message. Each rule has a
+ * per-guild threshold, window and action, managed with `/antispam`:
+ * - `delete` removes the offending messages,
+ * - `timeout` also times the member out,
+ * - `escalate` also records an automod strike, so escalation rules apply.
+ * The first hit of a rule is acted on and posted to the logging channel. Further hits inside the same
+ * window are only deleted. The `raid` rule shares this store; `src/loops/raidMode.js` applies it.
+ */
+const { dbAll, dbRun } = require('../db');
+const { log } = require('../logger');
+const { recordCase, formatCaseDuration } = require('./modCases');
+const { escalateAfterStrike } = require('./escalation');
+const { logAntiSpam } = require('./logging');
+
+const ANTISPAM_TAG = log.tag('ANTISPAM');
+const CACHE_TTL_MS = 60 * 1000;
+const HISTORY_MAX_AGE_MS = 10 * 60 * 1000;
+const HISTORY_MAX_ENTRIES = 50;
+const SWEEP_EVERY = 1000;
+const MIN_COOLDOWN_MS = 10 * 1000;
+// Short messages are too easy to trip the caps rule with ("OK", "GG WP"), so they are skipped.
+const CAPS_MIN_LETTERS = 12;
+
+const SPAM_ACTIONS = ['delete', 'timeout', 'escalate'];
+const RAID_ACTIONS = ['alert', 'lockdown', 'verification', 'full'];
+
+/**
+ * Built-in rules and their defaults; every rule starts disabled. `threshold` is the count (or caps
+ * percentage) at which a rule fires; `windowed` rules count over `windowSeconds`, the others look at a
+ * single message. For `raid` the duration is how long raid mode lasts; for `timeout` actions it is the
+ * timeout length.
+ */
+const ANTISPAM_RULES = {
+  flood: {
+    label: 'Message flood', unit: 'messages', windowed: true, min: 2, max: 50,
+    defaults: { enabled: false, threshold: 6, windowSeconds: 5, action: 'delete', durationMs: null },
+  },
+  duplicate: {
+    label: 'Duplicate messages', unit: 'identical messages', windowed: true, min: 2, max: 50,
+    defaults: { enabled: false, threshold: 3, windowSeconds: 30, action: 'delete', durationMs: null },
+  },
+  mentions: {
+    label: 'Mass mentions', unit: 'mentions', windowed: true, min: 2, max: 100,
+    defaults: { enabled: false, threshold: 8, windowSeconds: 30, action: 'timeout', durationMs: 10 * 60 * 1000 },
+  },
+  caps: {
+    label: 'Excessive caps', unit: '% capitals', windowed: false, min: 50, max: 100,
+    defaults: { enabled: false, threshold: 70, windowSeconds: 0, action: 'delete', durationMs: null },
+  },
+  emoji: {
+    label: 'Emoji spam', unit: 'emoji', windowed: false, min: 2, max: 100,
+    defaults: { enabled: false, threshold: 10, windowSeconds: 0, action: 'delete', durationMs: null },
+  },
+  raid: {
+    label: 'Join raid', unit: 'joins', windowed: true, min: 2, max: 500,
+    defaults: { enabled: false, threshold: 10, windowSeconds: 30, action: 'alert', durationMs: 60 * 60 * 1000 },
+  },
+};
+
+const MAX_WINDOW_SECONDS = { spam: HISTORY_MAX_AGE_MS / 1000, raid: 3600 };
+
+// Checked most severe first so one message is reported under a single rule.
+const DETECTION_ORDER = ['mentions', 'duplicate', 'flood', 'emoji', 'caps'];
+
+const cache = new Map();
+// `${guildId}:${userId}` → recent message entries, oldest first.
+const histories = new Map();
+// `${guildId}:${userId}:${rule}` → time until which further hits are deleted without acting again.
+const cooldowns = new Map();
+let seenMessages = 0;
+
+/** Actions a rule accepts. */
+function actionsFor(rule) {
+  return rule === 'raid' ? RAID_ACTIONS : SPAM_ACTIONS;
+}
+
+/**
+ * Effective rules for a guild: the built-in defaults with the guild's overrides applied.
+ *
+ * @returns {Promise<Record<string, { enabled: boolean, threshold: number, windowSeconds: number, action: string, durationMs: number|null, overridden: boolean }>>}
+ */
+async function getAntiSpamRules(guildId) {
+  const hit = cache.get(guildId);
+  if (hit && hit.until > Date.now()) return hit.rules;
+
+  const rows = await dbAll('SELECT * FROM antispam_rules WHERE guild_id=?', [guildId]);
+  const byRule = new Map(rows.map(r => [r.rule, r]));
+  const rules = {};
+  for (const [name, def] of Object.entries(ANTISPAM_RULES)) {
+    const row = byRule.get(name);
+    rules[name] = row
+      ? {
+        enabled: Boolean(Number(row.enabled)),
+        threshold: Number(row.threshold),
+        windowSeconds: Number(row.window_seconds),
+        action: row.action,
+        durationMs: row.duration_ms == null ? null : Number(row.duration_ms),
+        overridden: true,
+      }
+      : { ...def.defaults, overridden: false };
+  }
+  cache.set(guildId, { until: Date.now() + CACHE_TTL_MS, rules });
+  return rules;
+}
+
+/**
+ * Checks a rule configuration and throws with a user-facing message when it is not usable.
+ */
+function validateAntiSpamRule(rule, config) {
+  const def = ANTISPAM_RULES[rule];
+  if (!def) throw new Error(`Unknown anti-spam rule \`${rule}\`.`);
+  if (config.threshold < def.min || config.threshold > def.max) {
+    throw new Error(`The \`${rule}\` threshold must be between ${def.min} and ${def.max}.`);
+  }
+  const maxWindow = rule === 'raid' ? MAX_WINDOW_SECONDS.raid : MAX_WINDOW_SECONDS.spam;
+  if (def.windowed && (config.windowSeconds < 1 || config.windowSeconds > maxWindow)) {
+    throw new Error(`The \`${rule}\` window must be between 1 and ${maxWindow} seconds.`);
+  }
+  if (!actionsFor(rule).includes(config.action)) {
+    throw new Error(`\`${rule}\` accepts these actions: ${actionsFor(rule).join(', ')}.`);
+  }
+  if ((config.action === 'timeout' || rule === 'raid') && !config.durationMs) {
+    throw new Error(rule === 'raid' ? 'Raid mode needs a duration.' : 'Timeout actions need a duration.');
+  }
+}
+
+/**
+ * Changes some fields of a rule, keeping the rest of its effective configuration, and returns the
+ * new configuration.
+ *
+ * @param {{ enabled?: boolean, threshold?: number, windowSeconds?: number, action?: string, durationMs?: number }} changes
+ */
+async function setAntiSpamRule(guildId, rule, changes, updatedBy) {
+  if (!ANTISPAM_RULES[rule]) throw new Error(`Unknown anti-spam rule \`${rule}\`.`);
+  const current = (await getAntiSpamRules(guildId))[rule];
+  const defined = Object.fromEntries(Object.entries(changes).filter(([, v]) => v != null));
+  const next = { ...current, ...defined };
+  if (!ANTISPAM_RULES[rule].windowed) next.windowSeconds = 0;
+  // A duration only means something for timeouts and raid mode.
+  if (next.action !== 'timeout' && rule !== 'raid') next.durationMs = null;
+  validateAntiSpamRule(rule, next);
+
+  await dbRun(
+    `INSERT INTO antispam_rules (guild_id, rule, enabled, threshold, window_seconds, action, duration_ms, updated_by, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE enabled=VALUES(enabled), threshold=VALUES(threshold), window_seconds=VALUES(window_seconds),
+       action=VALUES(action), duration_ms=VALUES(duration_ms), updated_by=VALUES(updated_by), updated_at=VALUES(updated_at)`,
+    [guildId, rule, next.enabled ? 1 : 0, next.threshold, next.windowSeconds, next.action, next.durationMs, updatedBy, Math.floor(Date.now() / 1000)]
+  );
+  cache.delete(guildId);
+  ANTISPAM_TAG.info(`guild=${guildId} rule=${rule} set by=${updatedBy}: ${describeAntiSpamRule(rule, next)}`);
+  return { ...next, overridden: true };
+}
+
+/** Drops a guild's override of a rule so the default applies again. Returns whether one existed. */
+async function resetAntiSpamRule(guildId, rule) {
+  if (!ANTISPAM_RULES[rule]) throw new Error(`Unknown anti-spam rule \`${rule}\`.`);
+  const res = await dbRun('DELETE FROM antispam_rules WHERE guild_id=? AND rule=?', [guildId, rule]);
+  cache.delete(guildId);
+  return (res?.affectedRows ?? 0) > 0;
+}
+
+/** One-line description of a rule configuration, e.g. `6 messages in 5s → delete`. */
+function describeAntiSpamRule(rule, config) {
+  const def = ANTISPAM_RULES[rule];
+  if (!config.enabled) return `off (${describeAntiSpamRule(rule, { ...config, enabled: true })})`;
+  const unit = def.unit.startsWith('%') ? `${config.threshold}${def.unit}` : `${config.threshold} ${def.unit}`;
+  const when = def.windowed ? `${unit} in ${config.windowSeconds}s` : unit;
+  const duration = formatCaseDuration(config.durationMs);
+  if (rule === 'raid') return `${when} → ${config.action} for ${duration}`;
+  return `${when} → ${config.action === 'timeout' ? `${duration} timeout` : config.action}`;
+}
+
+/** Percentage of capital letters in a text, or `null` when it has too few letters to judge. */
+function capsPercentage(text) {
+  const letters = String(text || '').replace(/<a?:\w+:\d+>|<[@#][!&]?\d+>|https?:\/\/\S+/g, '').match(/\p{L}/gu) || [];
+  if (letters.length < CAPS_MIN_LETTERS) return null;
+  const upper = letters.filter(ch => ch !== ch.toLowerCase()).length;
+  return Math.round((upper / letters.length) * 100);
+}
+
+/** Unicode and custom Discord emoji in a text. */
+function countEmoji(text) {
+  const str = String(text || '');
+  const custom = str.match(/<a?:\w+:\d+>/g) || [];
+  const unicode = str.replace(/<a?:\w+:\d+>/g, '').match(/\p{Extended_Pictographic}/gu) || [];
+  return custom.length + unicode.length;
+}
+
+/** Case- and whitespace-insensitive form of a message, used to spot repeats. */
+function messageFingerprint(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/** Member, role and @everyone mentions in a message. */
+function countMentions(message) {
+  const m = message.mentions;
+  if (!m) return 0;
+  return (m.users?.size || 0) + (m.roles?.size || 0) + (m.everyone ? 1 : 0);
+}
+
+/**
+ * Checks a member's latest message against the enabled rules.
+ *
+ * @param {Record<string, object>} rules - Effective rules from `getAntiSpamRules`.
+ * @param {Array<{ id: string, channelId: string, at: number, fingerprint: string, mentions: number, caps: number|null, emoji: number }>} history
+ *   - The member's recent messages, oldest first, ending with the one being checked.
+ * @param {number} now
+ * @returns {{ rule: string, count: number, related: object[] } | null} The rule that fired, the count
+ *   that tripped it, and the messages to remove.
+ */
+function detectSpam(rules, history, now) {
+  const latest = history[history.length - 1];
+  if (!latest) return null;
+
+  for (const name of DETECTION_ORDER) {
+    const rule = rules[name];
+    if (!rule?.enabled) continue;
+    const recent = ANTISPAM_RULES[name].windowed ? history.filter(e => e.at >= now - rule.windowSeconds * 1000) : [latest];
+
+    if (name === 'flood' && recent.length >= rule.threshold) {
+      return { rule: name, count: recent.length, related: recent };
+    }
+    if (name === 'duplicate' && latest.fingerprint) {
+      const same = recent.filter(e => e.fingerprint === latest.fingerprint);
+      if (same.length >= rule.threshold) return { rule: name, count: same.length, related: same };
+    }
+    if (name === 'mentions' && latest.mentions > 0) {
+      const withMentions = recent.filter(e => e.mentions > 0);
+      const total = withMentions.reduce((sum, e) => sum + e.mentions, 0);
+      if (total >= rule.threshold) return { rule: name, count: total, related: withMentions };
+    }
+    if (name === 'caps' && latest.caps != null && latest.caps >= rule.threshold) {
+      return { rule: name, count: latest.caps, related: [latest] };
+    }
+    if (name === 'emoji' && latest.emoji >= rule.threshold) {
+      return { rule: name, count: latest.emoji, related: [latest] };
+    }
+  }
+  return null;
+}
+
+function sweepHistories(now) {
+  for (const [key, entries] of histories) {
+    if (!entries.length || entries[entries.length - 1].at < now - HISTORY_MAX_AGE_MS) histories.delete(key);
+  }
+  for (const [key, until] of cooldowns) {
+    if (until <= now) cooldowns.delete(key);
+  }
+}
+
+/** Adds a message to the member's history and returns the trimmed history. */
+function recordActivity(message, now) {
+  const key = `${message.guild.id}:${message.author.id}`;
+  const entries = (histories.get(key) || []).filter(e => e.at >= now - HISTORY_MAX_AGE_MS);
+  entries.push({
+    id: message.id,
+    channelId: message.channelId,
+    at: now,
+    fingerprint: messageFingerprint(message.content),
+    mentions: countMentions(message),
+    caps: capsPercentage(message.content),
+    emoji: countEmoji(message.content),
+  });
+  if (entries.length > HISTORY_MAX_ENTRIES) entries.splice(0, entries.length - HISTORY_MAX_ENTRIES);
+  histories.set(key, entries);
+
+  seenMessages += 1;
+  if (seenMessages % SWEEP_EVERY === 0) sweepHistories(now);
+  return entries;
+}
+
+/** Deletes messages by ID, one bulk delete per channel. Returns how many were removed. */
+async function deleteMessages(message, entries) {
+  const byChannel = new Map();
+  for (const e of entries) {
+    if (!byChannel.has(e.channelId)) byChannel.set(e.channelId, []);
+    byChannel.get(e.channelId).push(e.id);
+  }
+
+  let removed = 0;
+  for (const [channelId, ids] of byChannel) {
+    const channel = channelId === message.channelId ? message.channel : message.guild.channels.cache.get(channelId);
+    if (!channel?.messages) continue;
+    if (ids.length === 1) {
+      if (await channel.messages.delete(ids[0]).then(() => true, () => false)) removed += 1;
+    } else {
+      const deleted = await channel.bulkDelete(ids, true).catch(() => null);
+      removed += deleted?.size ?? 0;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Applies a rule's action beyond deleting the messages.
+ *
+ * @returns {Promise<{ modCase: object|null, issue: string|null, note: string|null }>}
+ */
+async function applySpamAction(message, member, rule, reason) {
+  const guild = message.guild;
+  if (rule.action === 'timeout') {
+    if (!member?.moderatable) return { modCase: null, issue: 'I cannot time out that member', note: null };
+    try {
+      await member.timeout(rule.durationMs, reason);
+    } catch (err) {
+      return { modCase: null, issue: err?.message || 'Discord rejected the timeout', note: null };
+    }
+    const modCase = await recordCase(guild.id, {
+      action: 'timeout',
+      targetId: member.id,
+      moderatorId: guild.client.user.id,
+      reason,
+      durationMs: rule.durationMs,
+    });
+    return { modCase, issue: null, note: null };
+  }
+
+  if (rule.action === 'escalate') {
+    const modCase = await recordCase(guild.id, {
+      action: 'automod',
+      targetId: message.author.id,
+      moderatorId: guild.client.user.id,
+      reason,
+    });
+    const escalation = await escalateAfterStrike(guild, member, { actor: guild.members.me });
+    const note = escalation?.rule && !escalation.issue ? `strike ${escalation.strikes} triggered an automatic escalation` : null;
+    return { modCase, issue: null, note };
+  }
+
+  return { modCase: null, issue: null, note: null };
+}
+
+/**
+ * Entry point used by the message handler for members who are not staff. Returns whether the message
+ * was removed so the caller can skip further processing.
+ *
+ * @param {import('discord.js').Message} message
+ * @param {import('discord.js').GuildMember|null} member
+ */
+async function enforceAntiSpam(message, member) {
+  if (!message.guild) return false;
+  const now = Date.now();
+  // Recorded before anything is awaited so a burst is counted in arrival order.
+  const history = recordActivity(message, now);
+  const rules = await getAntiSpamRules(message.guild.id);
+  const hit = detectSpam(rules, history, now);
+  if (!hit) return false;
+
+  const rule = rules[hit.rule];
+  const def = ANTISPAM_RULES[hit.rule];
+  const cooldownKey = `${message.guild.id}:${message.author.id}:${hit.rule}`;
+  if ((cooldowns.get(cooldownKey) || 0) > now) {
+    await deleteMessages(message, [history[history.length - 1]]);
+    return true;
+  }
+  cooldowns.set(cooldownKey, now + Math.max(rule.windowSeconds * 1000, MIN_COOLDOWN_MS));
+
+  const count = def.unit.startsWith('%') ? `${hit.count}${def.unit}` : `${hit.count} ${def.unit}`;
+  const reason = `Anti-spam: ${def.label} (${count}${def.windowed ? ` in ${rule.windowSeconds}s` : ''})`;
+  const removed = await deleteMessages(message, hit.related);
+  const { modCase, issue, note } = await applySpamAction(message, member, rule, reason);
+
+  const consequence = rule.action === 'timeout' && !issue ? ` You have been timed out for ${formatCaseDuration(rule.durationMs)}.` : '';
+  await message.author.send(
+    `Your messages in **${message.guild.name}** were removed by the anti-spam filter (${def.label.toLowerCase()}).${consequence}`
+  ).catch(() => {});
+
+  if (issue) ANTISPAM_TAG.warn(`guild=${message.guild.id} user=${message.author.id} ${hit.rule} ${rule.action} blocked: ${issue}`);
+  else ANTISPAM_TAG.info(`guild=${message.guild.id} user=${message.author.id} ${hit.rule} count=${hit.count} action=${rule.action} removed=${removed} case=${modCase?.case_number}`);
+
+  await logAntiSpam(message.guild, {
+    user: message.author,
+    label: def.label,
+    reason,
+    action: rule.action === 'timeout' ? `${formatCaseDuration(rule.durationMs)} timeout` : rule.action,
+    channelId: message.channelId,
+    removed,
+    caseNumber: modCase?.case_number ?? null,
+    issue,
+    note,
+  });
+  return true;
+}
+
+module.exports = {
+  ANTISPAM_RULES,
+  SPAM_ACTIONS,
+  RAID_ACTIONS,
+  actionsFor,
+  getAntiSpamRules,
+  setAntiSpamRule,
+  resetAntiSpamRule,
+  validateAntiSpamRule,
+  describeAntiSpamRule,
+  capsPercentage,
+  countEmoji,
+  messageFingerprint,
+  detectSpam,
+  enforceAntiSpam,
+};
@@ -0,0 +1,248 @@
+/**
+ * Local PNG card renderer. Draws a member card (avatar, title, headline stats and a progress bar over a
+ * Steam header-art background) with the optional `@napi-rs/canvas` package, so no external image
+ * service is involved. Rendering never throws: callers get `null` and fall back to their text reply
+ * when the package is missing or an image cannot be drawn.
+ */
+const axios = require('axios').default;
+const { AttachmentBuilder } = require('discord.js');
+const { log } = require('../logger');
+
+const CARD_WIDTH = 800;
+const CARD_HEIGHT = 240;
+const AVATAR_SIZE = 160;
+const PADDING = 40;
+const HEADER_CACHE_LIMIT = 64;
+const FETCH_TIMEOUT_MS = 8000;
+const DEFAULT_ACCENT = '#66c0f4';
+// Generic `sans-serif` can resolve to a serif face on minimal hosts, so name common families first.
+const FONT_FAMILY = '"Noto Sans", "DejaVu Sans", Arial, sans-serif';
+
+const CARDS_TAG = log.tag('CARDS');
+// Header art keyed by app ID, least recently used first. Misses are cached too so a game without
+// art is not re-requested for every card.
+const headerCache = new Map();
+let canvasModule;
+
+/**
+ * `@napi-rs/canvas` is an optional dependency because it ships a native binary; load it on first use
+ * and remember when it is unavailable.
+ */
+function loadCanvas() {
+  if (canvasModule !== undefined) return canvasModule;
+  try {
+    canvasModule = require('@napi-rs/canvas');
+  } catch (err) {
+    canvasModule = null;
+    CARDS_TAG.warn(`Image cards disabled; install the optional "@napi-rs/canvas" package: ${err?.message || err}`);
+  }
+  return canvasModule;
+}
+
+/** Whether PNG cards can be rendered in this process. */
+function isCardRenderingAvailable() {
+  return !!loadCanvas();
+}
+
+/** Clamps a progress value to the 0–1 range, treating an empty total as no progress. */
+function progressRatio(current, total) {
+  if (!total || total <= 0) return 0;
+  return Math.max(0, Math.min(1, Number(current || 0) / total));
+}
+
+/**
+ * Source rectangle that crops an image to fill a destination box without stretching (CSS
+ * `object-fit: cover`), keeping the crop centred.
+ *
+ * @returns {{ sx: number, sy: number, sw: number, sh: number }}
+ */
+function coverCrop(srcW, srcH, dstW, dstH) {
+  const scale = Math.max(dstW / srcW, dstH / srcH);
+  const sw = dstW / scale;
+  const sh = dstH / scale;
+  return { sx: (srcW - sw) / 2, sy: (srcH - sh) / 2, sw, sh };
+}
+
+async function fetchImageBuffer(url) {
+  const { data } = await axios.get(url, { responseType: 'arraybuffer', timeout: FETCH_TIMEOUT_MS });
+  return Buffer.from(data);
+}
+
+/**
+ * Steam header art for an app, fetched from the store CDN once and kept in a small in-memory cache.
+ *
+ * @returns {Promise<Buffer|null>}
+ */
+async function getHeaderArt(appid) {
+  const key = String(appid);
+  if (headerCache.has(key)) {
+    const hit = headerCache.get(key);
+    headerCache.delete(key);
+    headerCache.set(key, hit);
+    return hit;
+  }
+  const art = await fetchImageBuffer(`https://cdn.cloudflare.steamstatic.com/steam/apps/${key}/header.jpg`).catch(err => {
+    CARDS_TAG.debug(`header art unavailable appid=${key}: ${err?.message || err}`);
+    return null;
+  });
+  headerCache.set(key, art);
+  if (headerCache.size > HEADER_CACHE_LIMIT) headerCache.delete(headerCache.keys().next().value);
+  return art;
+}
+
+/** Shortens text with an ellipsis until it fits the given width in the context's current font. */
+function fitText(ctx, text, maxWidth) {
+  let out = String(text ?? '');
+  if (ctx.measureText(out).width <= maxWidth) return out;
+  while (out.length > 1 && ctx.measureText(`${out}…`).width > maxWidth) out = out.slice(0, -1);
+  return `${out}…`;
+}
+
+function roundedRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+async function loadOptionalImage(canvas, source) {
+  if (!source) return null;
+  try {
+    return await canvas.loadImage(Buffer.isBuffer(source) ? source : await fetchImageBuffer(source));
+  } catch (err) {
+    CARDS_TAG.debug(`image skipped: ${err?.message || err}`);
+    return null;
+  }
+}
+
+/**
+ * Renders a member card to PNG.
+ *
+ * @param {object} spec
+ * @param {string} spec.title - Large heading, usually the member's name.
+ * @param {string} [spec.subtitle] - Smaller line under the title.
+ * @param {string} [spec.avatarUrl] - PNG/JPEG avatar drawn in a circle on the left.
+ * @param {number|string} [spec.backgroundAppid] - Game whose Steam header art fills the background.
+ * @param {Array<{ label: string, value: string }>} [spec.highlights] - Up to three headline stats, top right.
+ * @param {{ current: number, total: number, label?: string }} [spec.progress] - Bar along the bottom.
+ * @param {string} [spec.accent] - CSS colour for the bar and highlight values.
+ * @returns {Promise<Buffer|null>} PNG bytes, or `null` when rendering is unavailable or failed.
+ */
+async function renderCard(spec) {
+  const canvas = loadCanvas();
+  if (!canvas) return null;
+  try {
+    const [background, avatar] = await Promise.all([
+      spec.backgroundAppid ? getHeaderArt(spec.backgroundAppid).then(buf => loadOptionalImage(canvas, buf)) : null,
+      loadOptionalImage(canvas, spec.avatarUrl),
+    ]);
+    const accent = spec.accent || DEFAULT_ACCENT;
+    const surface = canvas.createCanvas(CARD_WIDTH, CARD_HEIGHT);
+    const ctx = surface.getContext('2d');
+
+    roundedRect(ctx, 0, 0, CARD_WIDTH, CARD_HEIGHT, 24);
+    ctx.clip();
+    ctx.fillStyle = '#1b2838';
+    ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    if (background) {
+      const { sx, sy, sw, sh } = coverCrop(background.width, background.height, CARD_WIDTH, CARD_HEIGHT);
+      ctx.drawImage(background, sx, sy, sw, sh, 0, 0, CARD_WIDTH, CARD_HEIGHT);
+    }
+    const shade = ctx.createLinearGradient(0, 0, CARD_WIDTH, 0);
+    shade.addColorStop(0, 'rgba(10, 14, 22, 0.92)');
+    shade.addColorStop(1, 'rgba(10, 14, 22, 0.6)');
+    ctx.fillStyle = shade;
+    ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+    const avatarY = (CARD_HEIGHT - AVATAR_SIZE) / 2;
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(PADDING + AVATAR_SIZE / 2, avatarY + AVATAR_SIZE / 2, AVATAR_SIZE / 2, 0, Math.PI * 2);
+    ctx.closePath();
+    ctx.clip();
+    if (avatar) ctx.drawImage(avatar, PADDING, avatarY, AVATAR_SIZE, AVATAR_SIZE);
+    else {
+      ctx.fillStyle = '#2a475e';
+      ctx.fillRect(PADDING, avatarY, AVATAR_SIZE, AVATAR_SIZE);
+    }
+    ctx.restore();
+
+    const textX = PADDING * 2 + AVATAR_SIZE;
+    const textWidth = CARD_WIDTH - textX - PADDING;
+    const highlights = (spec.highlights || []).slice(0, 3);
+
+    // Headline stats are laid out right to left so their width decides how much room the title keeps.
+    let statsLeft = CARD_WIDTH - PADDING;
+    ctx.textAlign = 'right';
+    for (const h of [...highlights].reverse()) {
+      ctx.font = `bold 34px ${FONT_FAMILY}`;
+      const valueWidth = ctx.measureText(h.value).width;
+      ctx.font = `14px ${FONT_FAMILY}`;
+      const width = Math.max(valueWidth, ctx.measureText(h.label.toUpperCase()).width);
+      ctx.fillStyle = '#c7d5e0';
+      ctx.fillText(h.label.toUpperCase(), statsLeft, 56);
+      ctx.font = `bold 34px ${FONT_FAMILY}`;
+      ctx.fillStyle = accent;
+      ctx.fillText(h.value, statsLeft, 94);
+      statsLeft -= width + 28;
+    }
+
+    ctx.textAlign = 'left';
+    const titleWidth = Math.max(120, statsLeft - textX);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold 32px ${FONT_FAMILY}`;
+    ctx.fillText(fitText(ctx, spec.title, titleWidth), textX, 84);
+    if (spec.subtitle) {
+      ctx.fillStyle = '#8f98a0';
+      ctx.font = `18px ${FONT_FAMILY}`;
+      ctx.fillText(fitText(ctx, spec.subtitle, titleWidth), textX, 114);
+    }
+
+    if (spec.progress) {
+      const barY = 168;
+      const barHeight = 26;
+      const ratio = progressRatio(spec.progress.current, spec.progress.total);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+      roundedRect(ctx, textX, barY, textWidth, barHeight, barHeight / 2);
+      ctx.fill();
+      if (ratio > 0) {
+        ctx.fillStyle = accent;
+        roundedRect(ctx, textX, barY, Math.max(barHeight, textWidth * ratio), barHeight, barHeight / 2);
+        ctx.fill();
+      }
+      if (spec.progress.label) {
+        ctx.fillStyle = '#c7d5e0';
+        ctx.font = `16px ${FONT_FAMILY}`;
+        ctx.textAlign = 'right';
+        ctx.fillText(fitText(ctx, spec.progress.label, textWidth), textX + textWidth, barY - 10);
+      }
+    }
+
+    return await surface.encode('png');
+  } catch (err) {
+    CARDS_TAG.warn(`card render failed: ${err?.message || err}`);
+    return null;
+  }
+}
+
+/**
+ * Renders a card as a Discord attachment. Embeds can show it with `attachment://<name>`.
+ *
+ * @returns {Promise<import('discord.js').AttachmentBuilder|null>}
+ */
+async function renderCardAttachment(spec, name = 'card.png') {
+  const png = await renderCard(spec);
+  return png ? new AttachmentBuilder(png, { name }) : null;
+}
+
+module.exports = {
+  isCardRenderingAvailable,
+  progressRatio,
+  coverCrop,
+  getHeaderArt,
+  renderCard,
+  renderCardAttachment,
+};
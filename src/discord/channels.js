@@ -16,6 +16,7 @@ const CHANNEL_KINDS = {
   LEADERBOARD: 'leaderboard',
   SALES: 'steam_game_sales',
   XP: 'xp_levelups',
+  XP_LEADERBOARD: 'xp_leaderboard',
   LOGGING: 'logging',
   GITHUB: 'github_commits',
   MUSIC: 'music',
@@ -39,6 +40,7 @@ function normalizeKind(s) {
   if (['leaderboard','lb','boards'].includes(v)) return CHANNEL_KINDS.LEADERBOARD;
   if (['steam_sales','sales','store_sales','steam_sales_board','steam_game_sales'].includes(v)) return CHANNEL_KINDS.SALES;
   if (['xp','levels','level_ups','levelups','xp_levelups','xp_announcements'].includes(v)) return CHANNEL_KINDS.XP;
+  if (['xp_leaderboard','xp_lb','xp_board','level_board'].includes(v)) return CHANNEL_KINDS.XP_LEADERBOARD;
   if (['log','logs','logging','mod_logs','server_logs'].includes(v)) return CHANNEL_KINDS.LOGGING;
   if (['github','commits','github_commits','github_updates','gh'].includes(v)) return CHANNEL_KINDS.GITHUB;
   if (['music','songs','dj','jukebox'].includes(v)) return CHANNEL_KINDS.MUSIC;
@@ -0,0 +1,188 @@
+/**
+ * Anti-spam and raid protection commands. `/antispam` shows and tunes the per-guild spam rules and
+ * the join-raid rule, and `/antispam raid` switches raid mode on or off by hand. Rule changes are
+ * mirrored to the logging channel like `/config` changes.
+ */
+const { SlashCommandBuilder, PermissionsBitField } = require('discord.js');
+const { log } = require('../../logger');
+const {
+  ANTISPAM_RULES,
+  SPAM_ACTIONS,
+  RAID_ACTIONS,
+  getAntiSpamRules,
+  setAntiSpamRule,
+  resetAntiSpamRule,
+  describeAntiSpamRule,
+} = require('../antiSpam');
+const { getRaidMode, startRaidMode, endRaidMode } = require('../../loops/raidMode');
+const { TIMEOUT_DURATIONS, TIMEOUT_CHOICES } = require('../modCases');
+const { logSettingChange } = require('../logging');
+
+const ruleChoices = Object.entries(ANTISPAM_RULES).map(([value, def]) => ({ name: `${value} — ${def.label}`, value }));
+const actionChoices = [
+  ...SPAM_ACTIONS.map(a => ({ name: `${a} (spam rules)`, value: a })),
+  ...RAID_ACTIONS.map(a => ({ name: `${a} (raid)`, value: a })),
+];
+
+const ruleOption = opt =>
+  opt.setName('rule').setDescription('Which rule').addChoices(...ruleChoices).setRequired(true);
+
+const antispamBuilders = [
+  new SlashCommandBuilder()
+    .setName('antispam')
+    .setDescription('Anti-spam filters and raid protection')
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(sc => sc.setName('list').setDescription('Show every rule and whether raid mode is on'))
+    .addSubcommand(sc =>
+      sc.setName('set')
+        .setDescription('Change a rule; options you leave out keep their current value')
+        .addStringOption(ruleOption)
+        .addBooleanOption(opt => opt.setName('enabled').setDescription('Turn the rule on or off').setRequired(false))
+        .addIntegerOption(opt =>
+          opt.setName('threshold')
+            .setDescription('Count that trips the rule (caps: percentage of capital letters)')
+            .setMinValue(2)
+            .setMaxValue(500)
+            .setRequired(false)
+        )
+        .addIntegerOption(opt =>
+          opt.setName('window')
+            .setDescription('Seconds to count over (flood, duplicate, mentions, raid)')
+            .setMinValue(1)
+            .setMaxValue(3600)
+            .setRequired(false)
+        )
+        .addStringOption(opt =>
+          opt.setName('action')
+            .setDescription('What happens when the rule trips')
+            .addChoices(...actionChoices)
+            .setRequired(false)
+        )
+        .addStringOption(opt =>
+          opt.setName('duration')
+            .setDescription('Timeout length, or how long raid mode lasts')
+            .addChoices(...TIMEOUT_CHOICES)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(sc =>
+      sc.setName('reset')
+        .setDescription('Put a rule back to its default')
+        .addStringOption(ruleOption)
+    )
+    .addSubcommandGroup(group =>
+      group.setName('raid')
+        .setDescription('Switch raid mode by hand')
+        .addSubcommand(sc =>
+          sc.setName('start')
+            .setDescription('Start raid mode now')
+            .addStringOption(opt =>
+              opt.setName('action')
+                .setDescription('What raid mode does (defaults to the raid rule)')
+                .addChoices(...RAID_ACTIONS.map(a => ({ name: a, value: a })))
+                .setRequired(false)
+            )
+            .addStringOption(opt =>
+              opt.setName('duration')
+                .setDescription('How long it lasts (defaults to the raid rule)')
+                .addChoices(...TIMEOUT_CHOICES)
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(sc => sc.setName('end').setDescription('End raid mode and undo its lockdown'))
+    ),
+];
+
+async function handleAntiSpamList(interaction) {
+  const rules = await getAntiSpamRules(interaction.guildId);
+  const lines = Object.entries(ANTISPAM_RULES).map(([name, def]) => {
+    const rule = rules[name];
+    return `• **${def.label}** (\`${name}\`): ${describeAntiSpamRule(name, rule)}${rule.overridden ? '' : ' _(default)_'}`;
+  });
+  const raid = await getRaidMode(interaction.guildId);
+  lines.push('', raid
+    ? `🚨 Raid mode is on (\`${raid.action}\`) until <t:${raid.ends_at}:f>. End it with \`/antispam raid end\`.`
+    : 'Raid mode is off.');
+  lines.push('_Staff with Manage Messages are never filtered._');
+  return interaction.reply({ content: lines.join('\n'), ephemeral: true });
+}
+
+async function handleAntiSpamSet(interaction) {
+  const rule = interaction.options.getString('rule', true);
+  const durationKey = interaction.options.getString('duration');
+  const changes = {
+    enabled: interaction.options.getBoolean('enabled'),
+    threshold: interaction.options.getInteger('threshold'),
+    windowSeconds: interaction.options.getInteger('window'),
+    action: interaction.options.getString('action'),
+    durationMs: durationKey ? TIMEOUT_DURATIONS[durationKey] : null,
+  };
+  if (Object.values(changes).every(v => v == null)) throw new Error('Pick at least one option to change.');
+
+  const before = describeAntiSpamRule(rule, (await getAntiSpamRules(interaction.guildId))[rule]);
+  const after = describeAntiSpamRule(rule, await setAntiSpamRule(interaction.guildId, rule, changes, interaction.user.id));
+  await logSettingChange(interaction.guild, { user: interaction.user, key: `antispam ${rule}`, before, after });
+  log.tag('CMD:antispam').info(`guild=${interaction.guildId} user=${interaction.user.id} set ${rule}: ${after}`);
+  return interaction.reply({ content: `✅ **${ANTISPAM_RULES[rule].label}**: ${after} (was ${before}).`, ephemeral: true });
+}
+
+async function handleAntiSpamReset(interaction) {
+  const rule = interaction.options.getString('rule', true);
+  const before = describeAntiSpamRule(rule, (await getAntiSpamRules(interaction.guildId))[rule]);
+  const after = describeAntiSpamRule(rule, ANTISPAM_RULES[rule].defaults);
+  if (!(await resetAntiSpamRule(interaction.guildId, rule))) {
+    return interaction.reply({ content: `**${ANTISPAM_RULES[rule].label}** already uses the default (${after}).`, ephemeral: true });
+  }
+  await logSettingChange(interaction.guild, { user: interaction.user, key: `antispam ${rule}`, before, after, reset: true });
+  log.tag('CMD:antispam').info(`guild=${interaction.guildId} user=${interaction.user.id} reset ${rule}`);
+  return interaction.reply({ content: `♻️ **${ANTISPAM_RULES[rule].label}** reset to the default (${after}).`, ephemeral: true });
+}
+
+async function handleRaidStart(interaction) {
+  const rule = (await getAntiSpamRules(interaction.guildId)).raid;
+  const action = interaction.options.getString('action') || rule.action;
+  const durationKey = interaction.options.getString('duration');
+  const durationMs = durationKey ? TIMEOUT_DURATIONS[durationKey] : rule.durationMs;
+
+  await interaction.deferReply({ ephemeral: true });
+  const raid = await startRaidMode(interaction.guild, { action, durationMs, actor: interaction.user });
+  if (!raid) return interaction.editReply('Raid mode is already on. End it first with `/antispam raid end`.');
+  log.tag('CMD:antispam').info(`guild=${interaction.guildId} user=${interaction.user.id} raid start action=${action}`);
+  return interaction.editReply(`🚨 Raid mode is on (\`${action}\`) until <t:${raid.ends_at}:f>. Details are in the logging channel.`);
+}
+
+async function handleRaidEnd(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  const ended = await endRaidMode(interaction.guild, interaction.user);
+  if (!ended) return interaction.editReply('Raid mode is not on.');
+  log.tag('CMD:antispam').info(`guild=${interaction.guildId} user=${interaction.user.id} raid end`);
+  return interaction.editReply('✅ Raid mode is off and its lockdown was undone.');
+}
+
+const antispamSubcommands = {
+  '': {
+    list: handleAntiSpamList,
+    set: handleAntiSpamSet,
+    reset: handleAntiSpamReset,
+  },
+  raid: {
+    start: handleRaidStart,
+    end: handleRaidEnd,
+  },
+};
+
+async function handleAntiSpam(interaction) {
+  const group = interaction.options.getSubcommandGroup(false) || '';
+  const handler = antispamSubcommands[group]?.[interaction.options.getSubcommand()];
+  if (handler) await handler(interaction);
+}
+
+const antispamHandlers = {
+  antispam: handleAntiSpam,
+};
+
+module.exports = {
+  builders: antispamBuilders,
+  handlers: antispamHandlers,
+};
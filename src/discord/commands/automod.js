@@ -0,0 +1,167 @@
+/**
+ * Banned term commands. `/automod terms` manages a guild's own terms and allowlisted phrases on top of
+ * the built-in hate-speech list, and `test` shows which entry would remove a given text. Changes are
+ * mirrored to the logging channel like `/config` changes.
+ */
+const { SlashCommandBuilder, PermissionsBitField } = require('discord.js');
+const { log } = require('../../logger');
+const {
+  DEFAULT_BANNED_TERMS,
+  getGuildTermRules,
+  matchBannedTerm,
+  listAutomodTerms,
+  addAutomodTerm,
+  removeAutomodTerm,
+  describeTerm,
+} = require('../moderation');
+const { logSettingChange } = require('../logging');
+
+const MODE_CHOICES = [
+  { name: 'whole word (default)', value: 'word' },
+  { name: 'substring (anywhere, even inside words)', value: 'substring' },
+  { name: 'wildcard (* letters within one word, ? one character)', value: 'wildcard' },
+  { name: 'regex (on the normalized text)', value: 'regex' },
+  { name: 'allow (exempt phrase)', value: 'allow' },
+];
+
+const automodBuilders = [
+  new SlashCommandBuilder()
+    .setName('automod')
+    .setDescription('Content moderation settings')
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommandGroup(group =>
+      group.setName('terms')
+        .setDescription('Banned terms and allowlisted phrases for this server')
+        .addSubcommand(sc =>
+          sc.setName('add')
+            .setDescription('Block a term, or allow a phrase that terms should ignore')
+            .addStringOption(opt =>
+              opt.setName('term')
+                .setDescription('Word, phrase, wildcard or regular expression')
+                .setMaxLength(200)
+                .setRequired(true)
+            )
+            .addStringOption(opt =>
+              opt.setName('mode')
+                .setDescription('How the term matches')
+                .addChoices(...MODE_CHOICES)
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(sc =>
+          sc.setName('remove')
+            .setDescription('Remove a term or allowlisted phrase')
+            .addStringOption(opt =>
+              opt.setName('entry')
+                .setDescription('Entry to remove')
+                .setAutocomplete(true)
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(sc => sc.setName('list').setDescription('List this server\'s terms and allowlist'))
+        .addSubcommand(sc =>
+          sc.setName('test')
+            .setDescription('Check which term, if any, would remove a text')
+            .addStringOption(opt =>
+              opt.setName('text')
+                .setDescription('Text to check')
+                .setMaxLength(1000)
+                .setRequired(true)
+            )
+        )
+    ),
+];
+
+const formatEntry = row => `\`#${row.id}\` ${row.mode === 'regex' ? `\`/${row.pattern}/\`` : `\`${row.pattern}\``}${row.mode === 'allow' ? '' : ` (${row.mode})`}`;
+
+async function handleTermsAdd(interaction) {
+  const pattern = interaction.options.getString('term', true);
+  const mode = interaction.options.getString('mode') || 'word';
+  const row = await addAutomodTerm(interaction.guildId, { mode, pattern, addedBy: interaction.user.id });
+  await logSettingChange(interaction.guild, { user: interaction.user, key: `automod term #${row.id}`, before: 'none', after: `${mode}: ${row.pattern}` });
+  log.tag('CMD:automod').info(`guild=${interaction.guildId} user=${interaction.user.id} add term #${row.id} mode=${mode}`);
+  return interaction.reply({
+    content: mode === 'allow'
+      ? `✅ ${formatEntry(row)} is now exempt from this server's terms.`
+      : `✅ Added ${formatEntry(row)}. Check it with \`/automod terms test\`.`,
+    ephemeral: true,
+  });
+}
+
+async function handleTermsRemove(interaction) {
+  const id = Number.parseInt(interaction.options.getString('entry', true), 10);
+  const row = Number.isInteger(id) ? await removeAutomodTerm(interaction.guildId, id) : null;
+  if (!row) throw new Error('That entry does not exist. Pick one from the list.');
+  await logSettingChange(interaction.guild, { user: interaction.user, key: `automod term #${row.id}`, before: `${row.mode}: ${row.pattern}`, after: 'none' });
+  log.tag('CMD:automod').info(`guild=${interaction.guildId} user=${interaction.user.id} remove term #${row.id}`);
+  return interaction.reply({ content: `🗑️ Removed ${formatEntry(row)}.`, ephemeral: true });
+}
+
+async function handleTermsList(interaction) {
+  const rows = await listAutomodTerms(interaction.guildId);
+  const blocked = rows.filter(r => r.mode !== 'allow');
+  const allowed = rows.filter(r => r.mode === 'allow');
+  const lines = [
+    `**Banned terms** (${blocked.length}, plus ${DEFAULT_BANNED_TERMS.length} built-in hate-speech terms)`,
+    ...(blocked.length ? blocked.map(r => `• ${formatEntry(r)}`) : ['_None yet. Add one with `/automod terms add`._']),
+    '',
+    `**Allowlist** (${allowed.length})`,
+    ...(allowed.length ? allowed.map(r => `• ${formatEntry(r)}`) : ['_None._']),
+  ];
+  return interaction.reply({ content: lines.join('\n').slice(0, 2000), ephemeral: true });
+}
+
+async function handleTermsTest(interaction) {
+  const text = interaction.options.getString('text', true);
+  const { rule, matched, normalized, exempted } = matchBannedTerm(text, await getGuildTermRules(interaction.guildId));
+  const lines = [
+    rule
+      ? `🚫 Would be removed by **${describeTerm(rule)}** (matched \`${matched}\`).`
+      : '✅ No term matches this text.',
+    `Normalized text: \`${normalized || ' '}\``,
+  ];
+  if (exempted.length) lines.push(`Allowlisted and ignored: ${exempted.map(p => `\`${p.trim()}\``).join(', ')}`);
+  lines.push('_Staff with Manage Messages are never filtered._');
+  return interaction.reply({ content: lines.join('\n').slice(0, 2000), ephemeral: true });
+}
+
+const termsSubcommands = {
+  add: handleTermsAdd,
+  remove: handleTermsRemove,
+  list: handleTermsList,
+  test: handleTermsTest,
+};
+
+async function handleAutomod(interaction) {
+  if (interaction.options.getSubcommandGroup(false) !== 'terms') return;
+  const handler = termsSubcommands[interaction.options.getSubcommand()];
+  if (handler) await handler(interaction);
+}
+
+/** Suggests the guild's entries for `/automod terms remove`; values are entry IDs. */
+async function autocompleteAutomod(interaction) {
+  const query = interaction.options.getFocused().trim().toLowerCase();
+  const rows = await listAutomodTerms(interaction.guildId);
+  const matches = rows
+    .filter(r => !query || r.pattern.toLowerCase().includes(query) || `#${r.id}`.startsWith(query))
+    .slice(0, 25);
+  await interaction.respond(matches.map(r => ({
+    name: `#${r.id} ${r.mode}: ${r.pattern}`.slice(0, 100),
+    value: String(r.id),
+  })));
+}
+
+const automodHandlers = {
+  automod: handleAutomod,
+};
+
+const automodAutocomplete = {
+  automod: autocompleteAutomod,
+};
+
+module.exports = {
+  builders: automodBuilders,
+  handlers: automodHandlers,
+  autocomplete: automodAutocomplete,
+};
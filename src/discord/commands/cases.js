@@ -0,0 +1,127 @@
+/**
+ * Moderation case commands: look up, correct and remove individual cases with `/case`, and review a
+ * member's full record with `/history` before acting. Replies are ephemeral so records stay among staff.
+ */
+const { SlashCommandBuilder, PermissionsBitField } = require('discord.js');
+const { log } = require('../../logger');
+const {
+  CASE_ACTIONS,
+  getCase,
+  updateCaseReason,
+  deleteCase,
+  getMemberHistory,
+  formatCaseLine,
+  buildCaseEmbed,
+} = require('../modCases');
+
+const HISTORY_LIMIT = 15;
+
+const caseNumberOption = opt =>
+  opt.setName('number').setDescription('Case number').setMinValue(1).setRequired(true);
+
+const casesBuilders = [
+  new SlashCommandBuilder()
+    .setName('case')
+    .setDescription('View or manage a moderation case')
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageMessages)
+    .setDMPermission(false)
+    .addSubcommand(sc =>
+      sc.setName('view')
+        .setDescription('Show a case')
+        .addIntegerOption(caseNumberOption)
+    )
+    .addSubcommand(sc =>
+      sc.setName('edit')
+        .setDescription('Replace the reason on a case')
+        .addIntegerOption(caseNumberOption)
+        .addStringOption(opt =>
+          opt.setName('reason')
+            .setDescription('New reason')
+            .setMaxLength(512)
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(sc =>
+      sc.setName('delete')
+        .setDescription('Remove a case from the record (Manage Server)')
+        .addIntegerOption(caseNumberOption)
+    ),
+  new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('Show a member\'s moderation record')
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageMessages)
+    .setDMPermission(false)
+    .addUserOption(opt =>
+      opt.setName('user')
+        .setDescription('Member to look up')
+        .setRequired(true)
+    ),
+];
+
+async function handleCaseView(interaction) {
+  const number = interaction.options.getInteger('number', true);
+  const modCase = await getCase(interaction.guildId, number);
+  if (!modCase) throw new Error(`Case #${number} does not exist.`);
+  return interaction.reply({ embeds: [buildCaseEmbed(modCase)], ephemeral: true });
+}
+
+async function handleCaseEdit(interaction) {
+  const number = interaction.options.getInteger('number', true);
+  const reason = interaction.options.getString('reason', true).trim();
+  const updated = await updateCaseReason(interaction.guildId, number, reason, interaction.user.id);
+  if (!updated) throw new Error(`Case #${number} does not exist.`);
+  log.tag('CMD:case').info(`guild=${interaction.guildId} user=${interaction.user.id} edit case=${number}`);
+  return interaction.reply({ content: `✏️ Updated the reason on case #${number}.`, ephemeral: true });
+}
+
+async function handleCaseDelete(interaction) {
+  if (!interaction.memberPermissions.has(PermissionsBitField.Flags.ManageGuild)) {
+    throw new Error('You need **Manage Server** to delete cases.');
+  }
+  const number = interaction.options.getInteger('number', true);
+  const deleted = await deleteCase(interaction.guildId, number, interaction.user.id);
+  if (!deleted) throw new Error(`Case #${number} does not exist.`);
+  log.tag('CMD:case').info(`guild=${interaction.guildId} user=${interaction.user.id} delete case=${number}`);
+  return interaction.reply({ content: `🗑️ Deleted case #${number}. Its number will not be reused.`, ephemeral: true });
+}
+
+const caseSubcommands = {
+  view: handleCaseView,
+  edit: handleCaseEdit,
+  delete: handleCaseDelete,
+};
+
+async function handleCase(interaction) {
+  const handler = caseSubcommands[interaction.options.getSubcommand()];
+  if (handler) await handler(interaction);
+}
+
+async function handleHistory(interaction) {
+  const user = interaction.options.getUser('user', true);
+  const { cases, counts, total } = await getMemberHistory(interaction.guildId, user.id, HISTORY_LIMIT);
+  if (!total) {
+    return interaction.reply({ content: `${user} has a clean record.`, ephemeral: true, allowedMentions: { parse: [] } });
+  }
+
+  const summary = Object.entries(CASE_ACTIONS)
+    .filter(([action]) => counts[action])
+    .map(([action, def]) => `${def.emoji} ${def.label} ×${counts[action]}`)
+    .join(' • ');
+  const lines = [
+    `**${user.tag ?? user.username}** — ${total} case${total === 1 ? '' : 's'}: ${summary}`,
+    '',
+    ...cases.map(formatCaseLine),
+  ];
+  if (total > cases.length) lines.push('', `_Showing the latest ${cases.length}. Use \`/case view\` for older cases._`);
+  return interaction.reply({ content: lines.join('\n').slice(0, 2000), ephemeral: true, allowedMentions: { parse: [] } });
+}
+
+const casesHandlers = {
+  case: handleCase,
+  history: handleHistory,
+};
+
+module.exports = {
+  builders: casesBuilders,
+  handlers: casesHandlers,
+};
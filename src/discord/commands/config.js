@@ -0,0 +1,116 @@
+/**
+ * Per-guild configuration commands. Staff can inspect and override the tunables registered in
+ * `src/settings.js`; every change is mirrored to the logging channel for accountability.
+ */
+const { SlashCommandBuilder, PermissionsBitField } = require('discord.js');
+const { log } = require('../../logger');
+const {
+  SETTING_DEFS,
+  getGuildSetting,
+  listGuildSettings,
+  setGuildSetting,
+  resetGuildSetting,
+} = require('../../settings');
+const { logSettingChange } = require('../logging');
+
+const settingChoices = Object.keys(SETTING_DEFS).map(key => ({ name: key, value: key }));
+
+const configBuilders = [
+  new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('View or change Paradise Bot settings for this server')
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(sc =>
+      sc.setName('get')
+        .setDescription('Show the effective value of a setting')
+        .addStringOption(opt =>
+          opt.setName('key')
+            .setDescription('Setting name')
+            .setRequired(true)
+            .addChoices(...settingChoices)
+        )
+    )
+    .addSubcommand(sc =>
+      sc.setName('set')
+        .setDescription('Override a setting for this server')
+        .addStringOption(opt =>
+          opt.setName('key')
+            .setDescription('Setting name')
+            .setRequired(true)
+            .addChoices(...settingChoices)
+        )
+        .addStringOption(opt =>
+          opt.setName('value')
+            .setDescription('New value')
+            .setMaxLength(64)
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(sc =>
+      sc.setName('reset')
+        .setDescription('Remove an override and fall back to the default')
+        .addStringOption(opt =>
+          opt.setName('key')
+            .setDescription('Setting name')
+            .setRequired(true)
+            .addChoices(...settingChoices)
+        )
+    )
+    .addSubcommand(sc => sc.setName('list').setDescription('List every setting and its effective value')),
+];
+
+async function handleConfig(interaction) {
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === 'list') {
+    const rows = await listGuildSettings(interaction.guildId);
+    const lines = rows.map(r => `• \`${r.key}\` = **${r.value}**${r.overridden ? ` _(default ${r.defaultValue})_` : ''}\n  ${r.description}`);
+    return interaction.reply({ content: lines.join('\n').slice(0, 2000), ephemeral: true });
+  }
+
+  const key = interaction.options.getString('key', true);
+  const def = SETTING_DEFS[key];
+  if (!def) return interaction.reply({ content: 'Unknown setting.', ephemeral: true });
+
+  if (sub === 'get') {
+    const value = await getGuildSetting(interaction.guildId, key);
+    return interaction.reply({
+      content: `\`${key}\` = **${value}** (default ${def.defaultValue})\n${def.description}`,
+      ephemeral: true,
+    });
+  }
+
+  if (!interaction.memberPermissions.has(PermissionsBitField.Flags.ManageGuild)) {
+    return interaction.reply({ content: 'You need **Manage Server** to do this.', ephemeral: true });
+  }
+
+  const before = await getGuildSetting(interaction.guildId, key);
+
+  if (sub === 'set') {
+    const raw = interaction.options.getString('value', true);
+    const after = await setGuildSetting(interaction.guildId, key, raw, interaction.user.id);
+    await logSettingChange(interaction.guild, { user: interaction.user, key, before, after });
+    log.tag('CMD:config').info(`guild=${interaction.guildId} user=${interaction.user.id} set ${key}=${after}`);
+    return interaction.reply({ content: `✅ \`${key}\` is now **${after}** (was ${before}).`, ephemeral: true });
+  }
+
+  if (sub === 'reset') {
+    const removed = await resetGuildSetting(interaction.guildId, key);
+    if (!removed) {
+      return interaction.reply({ content: `\`${key}\` is already using the default (**${def.defaultValue}**).`, ephemeral: true });
+    }
+    await logSettingChange(interaction.guild, { user: interaction.user, key, before, after: def.defaultValue, reset: true });
+    log.tag('CMD:config').info(`guild=${interaction.guildId} user=${interaction.user.id} reset ${key}`);
+    return interaction.reply({ content: `♻️ \`${key}\` reset to the default (**${def.defaultValue}**).`, ephemeral: true });
+  }
+}
+
+const configHandlers = {
+  config: handleConfig,
+};
+
+module.exports = {
+  builders: configBuilders,
+  handlers: configHandlers,
+};
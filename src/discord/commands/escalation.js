@@ -0,0 +1,108 @@
+/**
+ * Escalation commands: `/escalation` maps active strike counts to automatic timeouts, kicks and bans.
+ * Replies are ephemeral so the rules stay among staff.
+ */
+const { SlashCommandBuilder, PermissionsBitField } = require('discord.js');
+const { log } = require('../../logger');
+const { TIMEOUT_DURATIONS, TIMEOUT_CHOICES } = require('../modCases');
+const {
+  ESCALATION_ACTIONS,
+  listEscalationRules,
+  setEscalationRule,
+  removeEscalationRule,
+  describeEscalation,
+} = require('../escalation');
+const { getGuildSetting } = require('../../settings');
+
+const MAX_ESCALATION_THRESHOLD = 50;
+
+const escalationBuilders = [
+  new SlashCommandBuilder()
+    .setName('escalation')
+    .setDescription('Automatic actions when members pile up warnings')
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(sc =>
+      sc.setName('add')
+        .setDescription('Apply an action when a member reaches a number of active strikes')
+        .addIntegerOption(opt =>
+          opt.setName('strikes')
+            .setDescription('Warnings and automod removals within the decay window')
+            .setMinValue(1)
+            .setMaxValue(MAX_ESCALATION_THRESHOLD)
+            .setRequired(true)
+        )
+        .addStringOption(opt =>
+          opt.setName('action')
+            .setDescription('What happens at this count')
+            .addChoices(...ESCALATION_ACTIONS.map(a => ({ name: a, value: a })))
+            .setRequired(true)
+        )
+        .addStringOption(opt =>
+          opt.setName('duration')
+            .setDescription('Timeout length (timeout rules only)')
+            .addChoices(...TIMEOUT_CHOICES)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(sc =>
+      sc.setName('remove')
+        .setDescription('Remove the rule at a strike count')
+        .addIntegerOption(opt =>
+          opt.setName('strikes').setDescription('Strike count of the rule').setMinValue(1).setRequired(true)
+        )
+    )
+    .addSubcommand(sc => sc.setName('list').setDescription('List escalation rules and the decay window')),
+];
+
+async function handleEscalationAdd(interaction) {
+  const threshold = interaction.options.getInteger('strikes', true);
+  const action = interaction.options.getString('action', true);
+  const durationKey = interaction.options.getString('duration');
+  if (action === 'timeout' && !durationKey) throw new Error('Pick a `duration` for timeout rules.');
+  const durationMs = action === 'timeout' ? TIMEOUT_DURATIONS[durationKey] : null;
+  await setEscalationRule(interaction.guildId, { threshold, action, durationMs, createdBy: interaction.user.id });
+  log.tag('CMD:escalation').info(`guild=${interaction.guildId} user=${interaction.user.id} add ${threshold}=${action}${durationKey ? `:${durationKey}` : ''}`);
+  const decayDays = await getGuildSetting(interaction.guildId, 'warning_decay_days');
+  return interaction.reply({
+    content: `✅ ${threshold} strikes within ${decayDays} days → **${describeEscalation({ action, duration_ms: durationMs })}**.`,
+    ephemeral: true,
+  });
+}
+
+async function handleEscalationRemove(interaction) {
+  const threshold = interaction.options.getInteger('strikes', true);
+  const removed = await removeEscalationRule(interaction.guildId, threshold);
+  if (!removed) throw new Error(`There is no rule at ${threshold} strikes.`);
+  log.tag('CMD:escalation').info(`guild=${interaction.guildId} user=${interaction.user.id} remove ${threshold}`);
+  return interaction.reply({ content: `🗑️ Removed the rule at ${threshold} strikes.`, ephemeral: true });
+}
+
+async function handleEscalationList(interaction) {
+  const rules = await listEscalationRules(interaction.guildId);
+  const decayDays = await getGuildSetting(interaction.guildId, 'warning_decay_days');
+  const lines = rules.map(r => `• **${r.threshold}** strikes → ${describeEscalation(r)}`);
+  if (!lines.length) lines.push('_No escalation rules. Add one with `/escalation add`._');
+  lines.push('', `Warnings and automod removals count as strikes for ${decayDays} days. Change with \`/config set warning_decay_days\`.`);
+  return interaction.reply({ content: lines.join('\n'), ephemeral: true });
+}
+
+const escalationSubcommands = {
+  add: handleEscalationAdd,
+  remove: handleEscalationRemove,
+  list: handleEscalationList,
+};
+
+async function handleEscalation(interaction) {
+  const handler = escalationSubcommands[interaction.options.getSubcommand()];
+  if (handler) await handler(interaction);
+}
+
+const escalationHandlers = {
+  escalation: handleEscalation,
+};
+
+module.exports = {
+  builders: escalationBuilders,
+  handlers: escalationHandlers,
+};
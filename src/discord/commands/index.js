@@ -13,12 +13,24 @@ const {
 const domains = [
   require('./steam'),
   require('./moderation'),
+  require('./cases'),
+  require('./escalation'),
+  require('./antispam'),
+  require('./automod'),
+  require('./leaderboard'),
   require('./music'),
   require('./xp'),
+  require('./config'),
+  require('./race'),
+  require('./wishlist'),
+  require('./price'),
+  require('./perfects'),
+  require('./profile'),
 ];
 
 const commandBuilders = domains.flatMap(domain => domain.builders);
 const commandHandlers = Object.assign({}, ...domains.map(domain => domain.handlers));
+const autocompleteHandlers = Object.assign({}, ...domains.map(domain => domain.autocomplete || {}));
 
 const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
 
@@ -69,8 +81,23 @@ async function handleChatCommand(interaction) {
   await handler(interaction);
 }
 
+/**
+ * Answers option autocomplete. Domains opt in by exporting an `autocomplete` map keyed by command
+ * name; failures fall back to an empty suggestion list because autocomplete cannot show errors.
+ */
+async function handleAutocomplete(interaction) {
+  const handler = autocompleteHandlers[interaction.commandName];
+  try {
+    if (handler) return await handler(interaction);
+  } catch (err) {
+    log.tag('CMD').warn(`autocomplete failed for /${interaction.commandName}: ${err?.message}`);
+  }
+  if (!interaction.responded) await interaction.respond([]).catch(() => {});
+}
+
 module.exports = {
   commandBuilders,
   registerCommandsOnStartup,
   handleChatCommand,
+  handleAutocomplete,
 };
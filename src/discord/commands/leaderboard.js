@@ -0,0 +1,176 @@
+/**
+ * Leaderboard commands: staff place the permanent leaderboard message, everyone can browse the
+ * weekly and monthly seasons tracked by `loops/seasons.js`, and `/top` ranks members within a single
+ * game (optionally as a pinned board refreshed by the leaderboard loop).
+ */
+const { SlashCommandBuilder, PermissionsBitField, ChannelType } = require('discord.js');
+const { log } = require('../../logger');
+const { dbAll } = require('../../db');
+const { hasBotPerms } = require('../channels');
+const { searchAppNames, resolveApp } = require('../../steam/api');
+const {
+  ensureLeaderboardMessage,
+  buildGameBoardEmbed,
+  pinGameBoard,
+  unpinGameBoard,
+} = require('../../loops/leaderboard');
+const {
+  SEASON_PERIODS,
+  getSeason,
+  listSeasons,
+  getSeasonStandings,
+  buildSeasonEmbed,
+} = require('../../loops/seasons');
+
+const leaderboardBuilders = [
+  new SlashCommandBuilder()
+    .setName('leaderboard')
+    .setDescription('Steam leaderboards and seasons')
+    .setDMPermission(false)
+    .addSubcommand(sc => sc.setName('init').setDescription('Create or move the leaderboard to this channel (staff)'))
+    .addSubcommand(sc =>
+      sc.setName('season')
+        .setDescription('Show playtime and achievements gained during a season')
+        .addStringOption(opt =>
+          opt.setName('period')
+            .setDescription('Season length (defaults to weekly)')
+            .addChoices(...Object.entries(SEASON_PERIODS).map(([value, name]) => ({ name, value })))
+            .setRequired(false)
+        )
+        .addStringOption(opt =>
+          opt.setName('season')
+            .setDescription('Past season such as 2026-W07 or 2026-02 (defaults to the current one)')
+            .setMaxLength(16)
+            .setRequired(false)
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName('top')
+    .setDescription('Who in this server leads in a specific game')
+    .setDMPermission(false)
+    .addStringOption(opt =>
+      opt.setName('game')
+        .setDescription('Game title, Steam app ID, or store URL')
+        .setAutocomplete(true)
+        .setRequired(true)
+    )
+    .addBooleanOption(opt =>
+      opt.setName('pin')
+        .setDescription('Staff: true pins an auto-updating board for this game, false removes it')
+        .setRequired(false)
+    )
+    .addChannelOption(opt =>
+      opt.setName('channel')
+        .setDescription('Where to pin the board (defaults to this channel)')
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+        .setRequired(false)
+    ),
+];
+
+async function handleInit(interaction) {
+  if (!interaction.memberPermissions.has(PermissionsBitField.Flags.ManageGuild)) {
+    return interaction.reply({ content: 'You need **Manage Server** to do this.', ephemeral: true });
+  }
+  const channel = interaction.channel;
+  const perms = hasBotPerms(channel);
+  if (!perms.ok) {
+    return interaction.reply({ content: `I’m missing permissions in ${channel}: **ViewChannel**, **SendMessages**, **EmbedLinks**.`, ephemeral: true });
+  }
+  await interaction.deferReply({ ephemeral: true });
+  await ensureLeaderboardMessage(interaction.guild, channel);
+  await interaction.editReply('✅ Leaderboard initialized/moved here. I’ll keep this message updated.');
+}
+
+async function handleSeason(interaction) {
+  const period = interaction.options.getString('period') || 'week';
+  const key = interaction.options.getString('season')?.trim().toUpperCase() || null;
+  const season = await getSeason(interaction.guildId, period, key);
+  if (!season) {
+    const recent = await listSeasons(interaction.guildId, period);
+    const hint = recent.length ? ` Recent ${SEASON_PERIODS[period].toLowerCase()} seasons: ${recent.map(s => `\`${s.season_key}\``).join(', ')}.` : '';
+    throw new Error(key
+      ? `No ${SEASON_PERIODS[period].toLowerCase()} season \`${key}\` was recorded here.${hint}`
+      : 'Seasons have not started yet. They open automatically once the bot has checked this server.');
+  }
+
+  await interaction.deferReply();
+  const embed = buildSeasonEmbed(season, await getSeasonStandings(season));
+  log.tag('CMD:leaderboard').info(`guild=${interaction.guildId} user=${interaction.user.id} season=${period}:${season.season_key}`);
+  return interaction.editReply({ embeds: [embed] });
+}
+
+const leaderboardSubcommands = {
+  init: handleInit,
+  season: handleSeason,
+};
+
+async function handleLeaderboard(interaction) {
+  const handler = leaderboardSubcommands[interaction.options.getSubcommand()];
+  if (handler) await handler(interaction);
+}
+
+async function handleTop(interaction) {
+  const input = interaction.options.getString('game', true);
+  const pin = interaction.options.getBoolean('pin');
+
+  if (pin !== null && !interaction.memberPermissions.has(PermissionsBitField.Flags.ManageGuild)) {
+    return interaction.reply({ content: 'You need **Manage Server** to pin or remove game boards.', ephemeral: true });
+  }
+  const channel = pin ? interaction.options.getChannel('channel') || interaction.channel : null;
+  if (channel && !hasBotPerms(channel).ok) {
+    return interaction.reply({ content: `I’m missing permissions in ${channel}: **ViewChannel**, **SendMessages**, **EmbedLinks**.`, ephemeral: true });
+  }
+
+  // Resolving a name can hit the Steam store, so acknowledge first to stay inside the 3s window.
+  await interaction.deferReply({ ephemeral: pin !== null });
+  const app = await resolveApp(input);
+  if (!app) return interaction.editReply(`No game found for "${input}". Pick one from the suggestions or use the Steam app ID.`);
+
+  if (pin === null) {
+    return interaction.editReply({ embeds: [await buildGameBoardEmbed(interaction.guildId, app.appid)] });
+  }
+  if (!pin) {
+    const removed = await unpinGameBoard(interaction.guild, app.appid);
+    if (!removed) return interaction.editReply(`**${app.name}** has no pinned board.`);
+    log.tag('CMD:top').info(`guild=${interaction.guildId} unpin appid=${app.appid}`);
+    return interaction.editReply(`🗑️ Removed the **${app.name}** board.`);
+  }
+
+  await pinGameBoard(interaction.guild, app.appid, channel, interaction.user.id);
+  log.tag('CMD:top').info(`guild=${interaction.guildId} pin appid=${app.appid} channel=${channel.id}`);
+  return interaction.editReply(`📌 Pinned the **${app.name}** board in ${channel}. It updates with the leaderboard.`);
+}
+
+/**
+ * Suggests games for `/top`: title matches from `app_names`, or the server's most-played games
+ * before anything is typed. Values are app IDs so the handler resolves the exact game.
+ */
+async function autocompleteTop(interaction) {
+  const query = interaction.options.getFocused();
+  const games = query.trim()
+    ? await searchAppNames(query, 25)
+    : await dbAll(
+      `SELECT s.appid, MAX(n.name) AS name FROM user_game_stats s LEFT JOIN app_names n ON n.appid = s.appid
+        WHERE s.guild_id=? GROUP BY s.appid ORDER BY SUM(s.playtime_total_min) DESC LIMIT 25`,
+      [interaction.guildId]
+    );
+  await interaction.respond(games.map(g => ({
+    name: String(g.name || `App ${g.appid}`).slice(0, 100),
+    value: String(g.appid),
+  })));
+}
+
+const leaderboardHandlers = {
+  leaderboard: handleLeaderboard,
+  top: handleTop,
+};
+
+const leaderboardAutocomplete = {
+  top: autocompleteTop,
+};
+
+module.exports = {
+  builders: leaderboardBuilders,
+  handlers: leaderboardHandlers,
+  autocomplete: leaderboardAutocomplete,
+};
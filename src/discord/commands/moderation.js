@@ -15,22 +15,24 @@ const {
   normalizeKind,
   hasBotPerms,
 } = require('../channels');
-const { ensureLeaderboardMessage } = require('../loops/leaderboard');
-const { ensureSalesMessage } = require('../sales/index');
+const { ensureLeaderboardMessage } = require('../../loops/leaderboard');
+const { ensureXpLeaderboardMessage } = require('../../loops/xpLeaderboard');
+const { ensureSalesMessage, removeSalesBoard, listSalesBoards } = require('../../sales/index');
+const { parseSettingValue } = require('../../settings');
 const { grantLinkPermit, PERMIT_DURATION_MS } = require('../permits');
+const { TIMEOUT_DURATIONS, TIMEOUT_CHOICES, recordCase } = require('../modCases');
+const { canActOn, escalateAfterStrike, describeEscalation } = require('../escalation');
+const {
+  BAN_DURATIONS,
+  BAN_DURATION_CHOICES,
+  scheduleTempBan,
+  endTempBans,
+  listActiveTempBans,
+} = require('../../loops/tempBans');
 
 const BULK_DELETE_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
 const BAN_DELETE_SECONDS = 24 * 60 * 60;
-const TIMEOUT_DURATIONS = {
-  '5m': 5 * 60 * 1000,
-  '10m': 10 * 60 * 1000,
-  '1h': 60 * 60 * 1000,
-  '6h': 6 * 60 * 60 * 1000,
-  '12h': 12 * 60 * 60 * 1000,
-  '1d': 24 * 60 * 60 * 1000,
-  '3d': 3 * 24 * 60 * 60 * 1000,
-  '7d': 7 * 24 * 60 * 60 * 1000,
-};
+const SNOWFLAKE = /^\d{17,20}$/;
 
 const moderationBuilders = [
   new SlashCommandBuilder()
@@ -51,6 +53,7 @@ const moderationBuilders = [
           { name: 'leaderboard',            value: CHANNEL_KINDS.LEADERBOARD },
           { name: 'steam_game_sales',       value: CHANNEL_KINDS.SALES },
           { name: 'xp_levelups',            value: CHANNEL_KINDS.XP },
+          { name: 'xp_leaderboard',         value: CHANNEL_KINDS.XP_LEADERBOARD },
           { name: 'logging',                value: CHANNEL_KINDS.LOGGING },
           { name: 'github_commits',         value: CHANNEL_KINDS.GITHUB },
           { name: 'music',                  value: CHANNEL_KINDS.MUSIC },
@@ -62,18 +65,34 @@ const moderationBuilders = [
         .addChannelTypes(ChannelType.GuildText)
         .setRequired(false)
     ),
-  new SlashCommandBuilder()
-    .setName('leaderboard')
-    .setDescription('Manage the permanent leaderboard message')
-    .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
-    .setDMPermission(false)
-    .addSubcommand(sc => sc.setName('init').setDescription('Create or move the leaderboard to this channel')),
   new SlashCommandBuilder()
     .setName('sales')
     .setDescription('Manage the Steam Game Sales permanent embed')
     .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
     .setDMPermission(false)
-    .addSubcommand(sc => sc.setName('init').setDescription('Create/move the Steam Game Sales embed to this channel')),
+    .addSubcommand(sc =>
+      sc.setName('init')
+        .setDescription('Create/move the Steam Game Sales embed to this channel')
+        .addStringOption(opt =>
+          opt.setName('region')
+            .setDescription('Two-letter store country code, e.g. GB or BR (defaults to the server region)')
+            .setMinLength(2)
+            .setMaxLength(2)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(sc =>
+      sc.setName('remove')
+        .setDescription('Delete the sales embed for a region')
+        .addStringOption(opt =>
+          opt.setName('region')
+            .setDescription('Two-letter store country code of the board to remove')
+            .setMinLength(2)
+            .setMaxLength(2)
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(sc => sc.setName('list').setDescription('List this server\'s sales embeds by region')),
   new SlashCommandBuilder()
     .setName('kick')
     .setDescription('Kick a member from this server')
@@ -112,7 +131,37 @@ const moderationBuilders = [
         .setDescription('Optional reason (shown in audit log & DM)')
         .setMaxLength(350)
         .setRequired(false)
+    )
+    .addStringOption(opt =>
+      opt.setName('duration')
+        .setDescription('Lift the ban automatically after this long (permanent if omitted)')
+        .addChoices(...BAN_DURATION_CHOICES)
+        .setRequired(false)
+    ),
+  new SlashCommandBuilder()
+    .setName('unban')
+    .setDescription('Lift a ban')
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.BanMembers)
+    .setDMPermission(false)
+    .addStringOption(opt =>
+      opt.setName('user')
+        .setDescription('User ID of the banned member')
+        .setMinLength(17)
+        .setMaxLength(20)
+        .setRequired(true)
+    )
+    .addStringOption(opt =>
+      opt.setName('reason')
+        .setDescription('Optional reason (shown in audit log)')
+        .setMaxLength(350)
+        .setRequired(false)
     ),
+  new SlashCommandBuilder()
+    .setName('tempbans')
+    .setDescription('Temporary bans waiting to be lifted')
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.BanMembers)
+    .setDMPermission(false)
+    .addSubcommand(sc => sc.setName('list').setDescription('List running temporary bans and when they end')),
   new SlashCommandBuilder()
     .setName('timeout')
     .setDescription('Temporarily timeout a member')
@@ -127,16 +176,7 @@ const moderationBuilders = [
       opt.setName('duration')
         .setDescription('How long should the timeout last?')
         .setRequired(true)
-        .addChoices(
-          { name: '5 minutes',  value: '5m' },
-          { name: '10 minutes', value: '10m' },
-          { name: '1 hour',     value: '1h' },
-          { name: '6 hours',    value: '6h' },
-          { name: '12 hours',   value: '12h' },
-          { name: '1 day',      value: '1d' },
-          { name: '3 days',     value: '3d' },
-          { name: '1 week',     value: '7d' }
-        )
+        .addChoices(...TIMEOUT_CHOICES)
     )
     .addStringOption(opt =>
       opt.setName('reason')
@@ -229,6 +269,8 @@ async function handleSetChannel(interaction) {
 
   if (kind === CHANNEL_KINDS.LEADERBOARD) {
     await ensureLeaderboardMessage(interaction.guild, target);
+  } else if (kind === CHANNEL_KINDS.XP_LEADERBOARD) {
+    await ensureXpLeaderboardMessage(interaction.guild, target);
   } else if (kind === CHANNEL_KINDS.SALES) {
     await ensureSalesMessage(interaction.guild, target);
   }
@@ -237,29 +279,35 @@ async function handleSetChannel(interaction) {
   return interaction.reply({ content: `✅ Channel set for **${kind.replaceAll('_',' ')}** → ${target}.`, ephemeral: true });
 }
 
-async function handleLeaderboard(interaction) {
-  if (interaction.options.getSubcommand() === 'init') {
-    const channel = interaction.channel;
-    const perms = hasBotPerms(channel);
-    if (!perms.ok) {
-      return interaction.reply({ content: `I’m missing permissions in ${channel}: **ViewChannel**, **SendMessages**, **EmbedLinks**.`, ephemeral: true });
-    }
-    await interaction.deferReply({ ephemeral: true });
-    await ensureLeaderboardMessage(interaction.guild, channel);
-    await interaction.editReply('✅ Leaderboard initialized/moved here. I’ll keep this message updated.');
-  }
+/** Reads the optional `region` option, validated like the `sales_region_cc` setting. */
+function getSalesRegionOption(interaction, required = false) {
+  const raw = interaction.options.getString('region', required);
+  return raw ? parseSettingValue('sales_region_cc', raw) : null;
 }
 
 async function handleSalesCmd(interaction) {
-  if (interaction.options.getSubcommand() === 'init') {
+  const sub = interaction.options.getSubcommand();
+  if (sub === 'init') {
+    const region = getSalesRegionOption(interaction);
     const channel = interaction.channel;
     const perms = hasBotPerms(channel);
     if (!perms.ok) {
       return interaction.reply({ content: `I’m missing permissions in ${channel}: **ViewChannel**, **SendMessages**, **EmbedLinks**.`, ephemeral: true });
     }
     await interaction.deferReply({ ephemeral: true });
-    await ensureSalesMessage(interaction.guild, channel);
-    await interaction.editReply('✅ Steam Game Sales embed initialized/moved here. Use the buttons to page through discounted games.');
+    const board = await ensureSalesMessage(interaction.guild, channel, region);
+    log.tag('CMD:sales').info(`guild=${interaction.guildId} init cc=${board?.region} channel=${channel.id}`);
+    await interaction.editReply(`✅ Steam Game Sales embed for **${board?.region ?? region}** initialized/moved here. Use the buttons to page through discounted games.`);
+  } else if (sub === 'remove') {
+    const region = getSalesRegionOption(interaction, true);
+    const removed = await removeSalesBoard(interaction.guild, region);
+    if (!removed) throw new Error(`There is no sales embed for **${region}**.`);
+    log.tag('CMD:sales').info(`guild=${interaction.guildId} remove cc=${region}`);
+    await interaction.reply({ content: `🗑️ Removed the **${region}** sales embed.`, ephemeral: true });
+  } else if (sub === 'list') {
+    const boards = await listSalesBoards(interaction.guildId);
+    const lines = boards.map(b => `• **${b.region}**${b.follows_default ? ' (server region)' : ''} → <#${b.channel_id}> (updated <t:${b.updated_at}:R>)`);
+    await interaction.reply({ content: lines.join('\n') || 'No sales embeds yet. Use `/sales init` in a channel to create one.', ephemeral: true });
   }
 }
 
@@ -269,22 +317,14 @@ function getAuditReason(interaction, reason) {
   return `${actor}: ${base}`.slice(0, 512);
 }
 
-function ensureCanActOn(interaction, member) {
-  if (!member) return true;
-  if (member.id === interaction.user.id) return false;
-  if (member.id === interaction.client.user.id) return false;
-  if (member.id === interaction.guild.ownerId) return false;
-
-  const moderator = interaction.member;
-  if (!moderator || !moderator.roles || !member.roles) return true;
-  if (interaction.user.id === interaction.guild.ownerId) return true;
+/** ` (case #N)` suffix for replies, empty when the case could not be stored. */
+function caseSuffix(modCase) {
+  return modCase ? ` (case #${modCase.case_number})` : '';
+}
 
-  try {
-    return moderator.roles.highest.comparePositionTo(member.roles.highest) > 0;
-  } catch (err) {
-    log.tag('CMD:mod').warn('Role comparison failed:', err?.stack || err);
-    return true;
-  }
+function ensureCanActOn(interaction, member) {
+  if (member && member.id === interaction.user.id) return false;
+  return canActOn(interaction.guild, interaction.member, member);
 }
 
 async function handleKick(interaction) {
@@ -309,9 +349,10 @@ async function handleKick(interaction) {
   }
 
   await member.kick(getAuditReason(interaction, reason));
-  log.tag('CMD:kick').info(`guild=${interaction.guildId} target=${member.id} moderator=${interaction.user.id}`);
+  const modCase = await recordCase(interaction.guildId, { action: 'kick', targetId: member.id, moderatorId: interaction.user.id, reason });
+  log.tag('CMD:kick').info(`guild=${interaction.guildId} target=${member.id} moderator=${interaction.user.id} case=${modCase?.case_number}`);
 
-  await interaction.editReply(`👢 Kicked ${member.user.tag}. Reason: ${reason}`);
+  await interaction.editReply(`👢 Kicked ${member.user.tag}${caseSuffix(modCase)}. Reason: ${reason}`);
 
   await member.user.send(`You have been kicked from **${interaction.guild.name}**. Reason: ${reason}`).catch(() => {});
 }
@@ -326,6 +367,8 @@ async function handleBan(interaction) {
   const user = interaction.options.getUser('user', true);
   const reason = interaction.options.getString('reason')?.trim() || 'No reason provided';
   const deleteDays = interaction.options.getInteger('delete_messages') ?? 0;
+  const durationKey = interaction.options.getString('duration');
+  const durationMs = durationKey ? BAN_DURATIONS[durationKey] : null;
 
   if (user.id === interaction.user.id) {
     return interaction.editReply('You cannot ban yourself.');
@@ -351,11 +394,67 @@ async function handleBan(interaction) {
     deleteMessageSeconds,
   });
 
-  log.tag('CMD:ban').info(`guild=${interaction.guildId} target=${user.id} moderator=${interaction.user.id} deleteDays=${deleteDays}`);
+  const modCase = await recordCase(interaction.guildId, { action: 'ban', targetId: user.id, moderatorId: interaction.user.id, reason, durationMs });
+  let expiresAt = null;
+  if (durationMs) {
+    expiresAt = await scheduleTempBan({
+      guildId: interaction.guildId,
+      userId: user.id,
+      moderatorId: interaction.user.id,
+      reason,
+      durationMs,
+      caseNumber: modCase?.case_number ?? null,
+    });
+  } else {
+    // A permanent ban supersedes a running temporary one so the loop does not lift it later.
+    await endTempBans(interaction.guildId, user.id, 'replaced', interaction.user.id);
+  }
+  log.tag('CMD:ban').info(`guild=${interaction.guildId} target=${user.id} moderator=${interaction.user.id} deleteDays=${deleteDays} duration=${durationKey || 'permanent'} case=${modCase?.case_number}`);
+
+  const until = expiresAt ? ` until <t:${expiresAt}:f>` : '';
+  await interaction.editReply(`🔨 Banned ${user.tag}${until}${caseSuffix(modCase)}. Reason: ${reason}. Deleted ${deleteDays} day(s) of messages.`);
+
+  await user.send(`You have been banned from **${interaction.guild.name}**${until}. Reason: ${reason}`).catch(() => {});
+}
+
+async function handleUnban(interaction) {
+  if (!interaction.guild) {
+    return interaction.reply({ content: 'This command can only be used in servers.', ephemeral: true });
+  }
+
+  const userId = interaction.options.getString('user', true).trim();
+  if (!SNOWFLAKE.test(userId)) {
+    return interaction.reply({ content: 'That does not look like a user ID.', ephemeral: true });
+  }
+  const reason = interaction.options.getString('reason')?.trim() || 'No reason provided';
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const ban = await interaction.guild.bans.fetch(userId).catch(() => null);
+  if (!ban) {
+    await endTempBans(interaction.guildId, userId, 'unbanned', interaction.user.id);
+    return interaction.editReply('That user is not banned.');
+  }
 
-  await interaction.editReply(`🔨 Banned ${user.tag}. Reason: ${reason}. Deleted ${deleteDays} day(s) of messages.`);
+  await interaction.guild.bans.remove(userId, getAuditReason(interaction, reason));
+  const ended = await endTempBans(interaction.guildId, userId, 'unbanned', interaction.user.id);
+  const modCase = await recordCase(interaction.guildId, { action: 'unban', targetId: userId, moderatorId: interaction.user.id, reason });
+  log.tag('CMD:unban').info(`guild=${interaction.guildId} target=${userId} moderator=${interaction.user.id} tempban=${ended > 0} case=${modCase?.case_number}`);
 
-  await user.send(`You have been banned from **${interaction.guild.name}**. Reason: ${reason}`).catch(() => {});
+  await interaction.editReply(`🔓 Unbanned ${ban.user?.tag ?? userId}${caseSuffix(modCase)}.${ended ? ' Their temporary ban timer was cancelled.' : ''}`);
+}
+
+async function handleTempBans(interaction) {
+  const bans = await listActiveTempBans(interaction.guildId);
+  if (!bans.length) {
+    return interaction.reply({ content: 'No temporary bans are running.', ephemeral: true });
+  }
+  const lines = bans.map(b => {
+    const ref = b.case_number ? ` (case #${b.case_number})` : '';
+    const reason = b.reason ? ` — ${b.reason}` : '';
+    return `• <@${b.user_id}> \`${b.user_id}\` lifted <t:${b.expires_at}:R> by <@${b.moderator_id}>${ref}${reason}`;
+  });
+  return interaction.reply({ content: lines.join('\n').slice(0, 2000), ephemeral: true, allowedMentions: { parse: [] } });
 }
 
 async function handleTimeout(interaction) {
@@ -386,9 +485,12 @@ async function handleTimeout(interaction) {
   }
 
   await member.timeout(duration, getAuditReason(interaction, reason));
-  log.tag('CMD:timeout').info(`guild=${interaction.guildId} target=${member.id} moderator=${interaction.user.id} duration=${durationKey}`);
+  const modCase = await recordCase(interaction.guildId, {
+    action: 'timeout', targetId: member.id, moderatorId: interaction.user.id, reason, durationMs: duration,
+  });
+  log.tag('CMD:timeout').info(`guild=${interaction.guildId} target=${member.id} moderator=${interaction.user.id} duration=${durationKey} case=${modCase?.case_number}`);
 
-  await interaction.editReply(`⏱️ Timed out ${member.user.tag} for ${durationKey}. Reason: ${reason}`);
+  await interaction.editReply(`⏱️ Timed out ${member.user.tag} for ${durationKey}${caseSuffix(modCase)}. Reason: ${reason}`);
 
   await member.user.send(`You have been timed out in **${interaction.guild.name}** for ${durationKey}. Reason: ${reason}`).catch(() => {});
 }
@@ -581,10 +683,24 @@ async function handleWarn(interaction) {
 
   const dmMessage = `You have been warned in **${interaction.guild.name}**. Reason: ${reason}`;
   const dmResult = await user.send(dmMessage).then(() => true).catch(() => false);
+  const modCase = await recordCase(interaction.guildId, { action: 'warn', targetId: user.id, moderatorId: interaction.user.id, reason });
+
+  log.tag('CMD:warn').info(`guild=${interaction.guildId} target=${user.id} moderator=${interaction.user.id} dm=${dmResult} case=${modCase?.case_number}`);
 
-  log.tag('CMD:warn').info(`guild=${interaction.guildId} target=${user.id} moderator=${interaction.user.id} dm=${dmResult}`);
+  const escalation = await escalateAfterStrike(interaction.guild, member, { actor: interaction.member }).catch(err => {
+    log.tag('CMD:warn').error('Escalation check failed:', err?.stack || err);
+    return null;
+  });
+  let escalationNote = '';
+  if (escalation?.rule) {
+    escalationNote = escalation.issue
+      ? `\n📈 ${escalation.strikes} strikes should trigger a ${describeEscalation(escalation.rule)}, but ${escalation.issue}.`
+      : `\n📈 ${escalation.strikes} strikes: applied an automatic ${describeEscalation(escalation.rule)}${caseSuffix(escalation.modCase)}.`;
+  } else if (escalation) {
+    escalationNote = `\nThey now have ${escalation.strikes} active strike${escalation.strikes === 1 ? '' : 's'}.`;
+  }
 
-  await interaction.editReply(`⚠️ Warned ${user.tag}.${dmResult ? ' They were notified via DM.' : ' I could not DM them.'}`);
+  await interaction.editReply(`⚠️ Warned ${user.tag}${caseSuffix(modCase)}.${dmResult ? ' They were notified via DM.' : ' I could not DM them.'}${escalationNote}`);
 }
 
 async function handlePermit(interaction) {
@@ -608,10 +724,11 @@ async function handlePermit(interaction) {
 
 const moderationHandlers = {
   setchannel: handleSetChannel,
-  leaderboard: handleLeaderboard,
   sales: handleSalesCmd,
   kick: handleKick,
   ban: handleBan,
+  unban: handleUnban,
+  tempbans: handleTempBans,
   timeout: handleTimeout,
   purge: handlePurge,
   clearchat: handleClearChat,
@@ -0,0 +1,56 @@
+/**
+ * `/perfects` lists the games a member has completed 100%, as recorded by `loops/perfects.js`.
+ */
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { hours } = require('../../utils/text');
+const { PERFECT_COLOR, getPerfectGames } = require('../../loops/perfects');
+
+const LIST_LIMIT = 20;
+
+const perfectsBuilders = [
+  new SlashCommandBuilder()
+    .setName('perfects')
+    .setDescription('List the games a member has completed 100%')
+    .setDMPermission(false)
+    .addUserOption(opt =>
+      opt.setName('user')
+        .setDescription('Whose perfect games to show (defaults to yourself)')
+        .setRequired(false)
+    ),
+];
+
+async function handlePerfects(interaction) {
+  const target = interaction.options.getUser('user') || interaction.user;
+  const games = await getPerfectGames(interaction.guildId, target.id);
+  if (!games.length) {
+    const content = target.id === interaction.user.id
+      ? 'No perfect games recorded yet. Completions are picked up by the achievements feed once your Steam account is linked.'
+      : `${target} has no perfect games recorded yet.`;
+    return interaction.reply({ content, ephemeral: true });
+  }
+
+  const lines = games.slice(0, LIST_LIMIT).map(g => {
+    const name = g.name || `App ${g.appid}`;
+    const time = g.playtime_min ? ` • ${hours(g.playtime_min)}h` : '';
+    const rarest = g.rarest_name ? ` • rarest: ${g.rarest_name} (${Number(g.rarest_pct).toFixed(1)}%)` : '';
+    return `🏆 [${name}](https://store.steampowered.com/app/${g.appid}/) — <t:${g.completed_at}:d> • ${g.ach_total} achievements${time}${rarest}`;
+  });
+  if (games.length > LIST_LIMIT) lines.push(`…and ${games.length - LIST_LIMIT} more`);
+
+  const embed = new EmbedBuilder()
+    .setColor(PERFECT_COLOR)
+    .setTitle(`${target.username}'s perfect games`)
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: `${games.length} game${games.length === 1 ? '' : 's'} completed • newest first` })
+    .setTimestamp(new Date());
+  return interaction.reply({ embeds: [embed] });
+}
+
+const perfectsHandlers = {
+  perfects: handlePerfects,
+};
+
+module.exports = {
+  builders: perfectsBuilders,
+  handlers: perfectsHandlers,
+};
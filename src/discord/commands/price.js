@@ -0,0 +1,84 @@
+/**
+ * Price history lookup. `/price` charts the sale prices the sales crawler has recorded for a game
+ * (see `sales/priceHistory.js`) so members can judge whether a discount is actually a good one.
+ */
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { log } = require('../../logger');
+const { STEAM_COLOR } = require('../../config');
+const { resolveApp } = require('../../steam/api');
+const { getGuildSetting, parseSettingValue } = require('../../settings');
+const { dayToDate, getPriceHistory, renderPriceChart } = require('../../sales/priceHistory');
+
+const CHART_WIDTH = 45;
+
+const priceBuilders = [
+  new SlashCommandBuilder()
+    .setName('price')
+    .setDescription('Show the recorded sale price history for a game')
+    .setDMPermission(false)
+    .addStringOption(opt =>
+      opt.setName('app')
+        .setDescription('Steam app ID, store URL, or game title')
+        .setRequired(true)
+    )
+    .addStringOption(opt =>
+      opt.setName('region')
+        .setDescription('Two-letter store country code (defaults to the server region)')
+        .setMinLength(2)
+        .setMaxLength(2)
+        .setRequired(false)
+    ),
+];
+
+async function handlePrice(interaction) {
+  const input = interaction.options.getString('app', true);
+  const regionRaw = interaction.options.getString('region');
+  const cc = regionRaw
+    ? parseSettingValue('sales_region_cc', regionRaw)
+    : await getGuildSetting(interaction.guildId, 'sales_region_cc');
+  // Resolving a name can hit the Steam store, so acknowledge first to stay inside the 3s window.
+  await interaction.deferReply();
+  const app = await resolveApp(input);
+  if (!app) return interaction.editReply(`No game found for "${input}". Try the Steam app ID or store URL.`);
+
+  const rows = await getPriceHistory(app.appid, cc);
+  const name = app.name || `App ${app.appid}`;
+  const storeUrl = `https://store.steampowered.com/app/${app.appid}/`;
+  log.tag('CMD:price').info(`guild=${interaction.guildId} user=${interaction.user.id} appid=${app.appid} cc=${cc} days=${rows.length}`);
+
+  if (!rows.length) {
+    return interaction.editReply(`No sale prices recorded for **[${name}](${storeUrl})** in region **${cc}** yet. Prices are tracked whenever the game shows up on the sales board.`);
+  }
+
+  const latest = rows[rows.length - 1];
+  const lowest = rows.reduce((best, r) => (r.price_cents < best.price_cents ? r : best));
+  const highest = rows.reduce((best, r) => (r.price_cents > best.price_cents ? r : best));
+  const chart = [
+    renderPriceChart(rows, CHART_WIDTH),
+    `${dayToDate(rows[0].day)} → ${dayToDate(latest.day)}`,
+    `low ${lowest.price_str} • high ${highest.price_str}`,
+  ].join('\n');
+
+  const embed = new EmbedBuilder()
+    .setColor(STEAM_COLOR)
+    .setTitle(`${name} — price history (${cc})`)
+    .setURL(storeUrl)
+    .setDescription(`\`\`\`\n${chart}\n\`\`\``)
+    .addFields(
+      { name: 'Last seen on sale', value: `${latest.price_str} (-${latest.discount_percent}%) on ${dayToDate(latest.day)}`, inline: true },
+      { name: 'Lowest recorded', value: `${lowest.price_str} (-${lowest.discount_percent}%) on ${dayToDate(lowest.day)}`, inline: true },
+      { name: 'Days recorded', value: String(rows.length), inline: true },
+    )
+    .setFooter({ text: `Tracked since ${dayToDate(rows[0].day)} • bars show the lowest price per span, dots are days not on sale` })
+    .setTimestamp(new Date());
+  return interaction.editReply({ embeds: [embed] });
+}
+
+const priceHandlers = {
+  price: handlePrice,
+};
+
+module.exports = {
+  builders: priceBuilders,
+  handlers: priceHandlers,
+};
@@ -0,0 +1,37 @@
+/**
+ * `/profile` shows a member's combined Steam and XP card; the card itself lives in
+ * `discord/profile.js` so its buttons can re-render it.
+ */
+const { SlashCommandBuilder } = require('discord.js');
+const { dbGet } = require('../../db');
+const { buildProfileView } = require('../profile');
+
+const profileBuilders = [
+  new SlashCommandBuilder()
+    .setName('profile')
+    .setDescription('Show a member’s Steam stats, perfect games and XP in one card')
+    .setDMPermission(false)
+    .addUserOption(opt =>
+      opt.setName('user')
+        .setDescription('Whose profile to show (defaults to yourself)')
+        .setRequired(false)
+    ),
+];
+
+async function handleProfile(interaction) {
+  const target = interaction.options.getUser('user') || interaction.user;
+  // Members see their own private details, so that copy must not be posted where others can read it.
+  const link = await dbGet('SELECT profile_private FROM links WHERE guild_id=? AND user_id=?', [interaction.guildId, target.id]);
+  const ephemeral = target.id === interaction.user.id && !!link?.profile_private;
+  await interaction.deferReply({ ephemeral });
+  return interaction.editReply(await buildProfileView(interaction.guildId, target, interaction.user.id));
+}
+
+const profileHandlers = {
+  profile: handleProfile,
+};
+
+module.exports = {
+  builders: profileBuilders,
+  handlers: profileHandlers,
+};
@@ -0,0 +1,175 @@
+/**
+ * Achievement race commands. Staff open a timed race for one game; members opt in and the standings
+ * embed posted by `/race start` tracks their unlocks until the window closes (see `loops/races.js`).
+ */
+const { SlashCommandBuilder, PermissionsBitField, ChannelType } = require('discord.js');
+const { log } = require('../../logger');
+const { CHANNEL_KINDS, getAnnouncementChannel, hasBotPerms } = require('../channels');
+const { resolveApp, getSchema } = require('../../steam/api');
+const {
+  getActiveRaces,
+  getRace,
+  getEntries,
+  buildRaceEmbed,
+  createRace,
+  joinRace,
+  leaveRace,
+  cancelRace,
+} = require('../../loops/races');
+
+const MAX_RACE_DAYS = 30;
+
+const raceOption = (opt) =>
+  opt.setName('race')
+    .setDescription('Race number (only needed when several races are running)')
+    .setMinValue(1)
+    .setRequired(false);
+
+const raceBuilders = [
+  new SlashCommandBuilder()
+    .setName('race')
+    .setDescription('Achievement hunting races between members')
+    .setDMPermission(false)
+    .addSubcommand(sc =>
+      sc.setName('start')
+        .setDescription('Start a race to unlock the most achievements in one game (staff)')
+        .addStringOption(opt =>
+          opt.setName('game')
+            .setDescription('Steam app ID, store URL, or game title')
+            .setRequired(true)
+        )
+        .addIntegerOption(opt =>
+          opt.setName('duration')
+            .setDescription('Race length in days')
+            .setMinValue(1)
+            .setMaxValue(MAX_RACE_DAYS)
+            .setRequired(true)
+        )
+        .addChannelOption(opt =>
+          opt.setName('channel')
+            .setDescription('Where to post standings (defaults to this channel)')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(sc => sc.setName('join').setDescription('Enter a running race').addIntegerOption(raceOption))
+    .addSubcommand(sc => sc.setName('leave').setDescription('Withdraw from a running race').addIntegerOption(raceOption))
+    .addSubcommand(sc => sc.setName('standings').setDescription('Show current standings').addIntegerOption(raceOption))
+    .addSubcommand(sc =>
+      sc.setName('cancel')
+        .setDescription('Cancel a running race without a winner (staff)')
+        .addIntegerOption(raceOption)
+    ),
+];
+
+/**
+ * Picks the race a subcommand refers to: the explicit `race` option, or the only running race.
+ * Throws user-facing errors when the choice is missing or ambiguous.
+ */
+async function resolveTargetRace(interaction) {
+  const id = interaction.options.getInteger('race');
+  if (id) {
+    const race = await getRace(interaction.guildId, id);
+    if (!race) throw new Error(`Race #${id} does not exist in this server.`);
+    if (race.status !== 'active') throw new Error(`Race #${id} is already over.`);
+    return race;
+  }
+  const active = await getActiveRaces(interaction.guildId);
+  if (!active.length) throw new Error('No race is running right now.');
+  if (active.length > 1) {
+    const list = active.map(r => `#${r.id} ${r.game_name}`).join(', ');
+    throw new Error(`Several races are running (${list}). Pick one with the \`race\` option.`);
+  }
+  return active[0];
+}
+
+function requireManageGuild(interaction) {
+  if (!interaction.memberPermissions.has(PermissionsBitField.Flags.ManageGuild)) {
+    throw new Error('You need **Manage Server** to do this.');
+  }
+}
+
+async function handleRaceStart(interaction) {
+  requireManageGuild(interaction);
+  const input = interaction.options.getString('game', true);
+  const durationDays = interaction.options.getInteger('duration', true);
+  const channel = interaction.options.getChannel('channel') || interaction.channel;
+
+  if (!(await getAnnouncementChannel(interaction.guild, CHANNEL_KINDS.ACHIEVEMENTS))) {
+    throw new Error('Races are scored by achievement tracking. Set an achievements channel with `/setchannel` first.');
+  }
+  const perms = hasBotPerms(channel);
+  if (!perms.ok) throw new Error(`I am missing ${perms.missing.join(', ')} in ${channel}.`);
+
+  await interaction.deferReply({ ephemeral: true });
+  const app = await resolveApp(input);
+  if (!app) throw new Error(`Could not find a game matching "${input}". Try its Steam app ID.`);
+  const schema = await getSchema(app.appid);
+  const totalAch = schema?.availableGameStats?.achievements?.length || 0;
+  if (!totalAch) throw new Error(`**${app.name}** has no Steam achievements to race for.`);
+
+  const race = await createRace({
+    guildId: interaction.guildId,
+    appid: app.appid,
+    gameName: app.name,
+    channel,
+    startedBy: interaction.user.id,
+    durationDays,
+  });
+  log.tag('CMD:race').info(`guild=${interaction.guildId} user=${interaction.user.id} started race=${race.id}`);
+  return interaction.editReply(`🏁 Race #${race.id} for **${app.name}** is live in ${channel} until <t:${race.ends_at}:f>. Members can enter with \`/race join\`.`);
+}
+
+async function handleRaceJoin(interaction) {
+  const race = await resolveTargetRace(interaction);
+  await interaction.deferReply({ ephemeral: true });
+  const joined = await joinRace(race, interaction.user.id);
+  return interaction.editReply(joined
+    ? `✅ You're in race #${race.id} for **${race.game_name}**. Achievements unlocked before <t:${race.ends_at}:f> count.`
+    : `You're already racing in #${race.id}.`);
+}
+
+async function handleRaceLeave(interaction) {
+  const race = await resolveTargetRace(interaction);
+  const left = await leaveRace(race, interaction.user.id);
+  return interaction.reply({
+    content: left ? `You left race #${race.id}.` : `You were not entered in race #${race.id}.`,
+    ephemeral: true,
+  });
+}
+
+async function handleRaceStandings(interaction) {
+  const race = await resolveTargetRace(interaction);
+  const entries = await getEntries(race.id);
+  return interaction.reply({ embeds: [buildRaceEmbed(race, entries)], ephemeral: true });
+}
+
+async function handleRaceCancel(interaction) {
+  requireManageGuild(interaction);
+  const race = await resolveTargetRace(interaction);
+  await cancelRace(race);
+  log.tag('CMD:race').info(`guild=${interaction.guildId} user=${interaction.user.id} cancelled race=${race.id}`);
+  return interaction.reply({ content: `🛑 Race #${race.id} for **${race.game_name}** was cancelled.`, ephemeral: true });
+}
+
+const raceSubcommands = {
+  start: handleRaceStart,
+  join: handleRaceJoin,
+  leave: handleRaceLeave,
+  standings: handleRaceStandings,
+  cancel: handleRaceCancel,
+};
+
+async function handleRace(interaction) {
+  const handler = raceSubcommands[interaction.options.getSubcommand()];
+  if (handler) await handler(interaction);
+}
+
+const raceHandlers = {
+  race: handleRace,
+};
+
+module.exports = {
+  builders: raceBuilders,
+  handlers: raceHandlers,
+};
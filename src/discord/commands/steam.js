@@ -97,6 +97,12 @@ async function handleUnlinkSteam(interaction) {
   await dbRun('DELETE FROM nowplaying_state WHERE guild_id = ? AND user_id = ?', [g, u]);
   await dbRun('DELETE FROM owned_presence WHERE guild_id = ? AND user_id = ?', [g, u]);
   await dbRun('DELETE FROM user_game_stats WHERE guild_id = ? AND user_id = ?', [g, u]);
+  await dbRun('DELETE FROM wishlist_prefs WHERE guild_id = ? AND user_id = ?', [g, u]);
+  await dbRun('DELETE FROM wishlist_items WHERE guild_id = ? AND user_id = ?', [g, u]);
+  await dbRun('DELETE FROM wishlist_alerts WHERE guild_id = ? AND user_id = ?', [g, u]);
+  // Running races can no longer score this member; finished races keep their results.
+  const left = await dbRun("DELETE FROM race_entries WHERE user_id = ? AND race_id IN (SELECT id FROM races WHERE guild_id = ? AND status = 'active')", [u, g]);
+  if (left.affectedRows) await dbRun("UPDATE races SET standings_dirty = 1 WHERE guild_id = ? AND status = 'active'", [g]);
 
   if (steamId) {
     const lock = await dbGet('SELECT user_id FROM steam_account_locks WHERE steam_id=?', [steamId]);
@@ -0,0 +1,165 @@
+/**
+ * Wishlist alert commands. Members opt in to have their public Steam wishlist watched for sales and
+ * can inspect what the bot is tracking; delivery happens in `src/sales/wishlist.js`.
+ */
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { log } = require('../../logger');
+const { dbAll, dbGet } = require('../../db');
+const { STEAM_COLOR } = require('../../config');
+const {
+  getWishlistPrefs,
+  setWishlistPrefs,
+  syncMemberWishlist,
+} = require('../../sales/wishlist');
+
+const SHOW_LIMIT = 20;
+
+const wishlistBuilders = [
+  new SlashCommandBuilder()
+    .setName('wishlist')
+    .setDescription('Get alerts when games on your Steam wishlist go on sale')
+    .setDMPermission(false)
+    .addSubcommand(sc =>
+      sc.setName('optin')
+        .setDescription('Turn on (or adjust) wishlist sale alerts')
+        .addIntegerOption(opt =>
+          opt.setName('min_discount')
+            .setDescription('Only alert at or above this discount (%)')
+            .setMinValue(0)
+            .setMaxValue(99)
+            .setRequired(false)
+        )
+        .addStringOption(opt =>
+          opt.setName('delivery')
+            .setDescription('How to reach you')
+            .addChoices(
+              { name: 'Direct message', value: 'dm' },
+              { name: 'Ping in the sales channel', value: 'channel' },
+            )
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(sc => sc.setName('optout').setDescription('Stop wishlist sale alerts'))
+    .addSubcommand(sc => sc.setName('sync').setDescription('Re-read your Steam wishlist now'))
+    .addSubcommand(sc =>
+      sc.setName('show')
+        .setDescription('Show the wishlist being watched')
+        .addUserOption(opt =>
+          opt.setName('user')
+            .setDescription('Whose watch list to show (defaults to yourself)')
+            .setRequired(false)
+        )
+    ),
+];
+
+async function requireLink(interaction) {
+  const link = await dbGet('SELECT steam_id FROM links WHERE guild_id=? AND user_id=?', [interaction.guildId, interaction.user.id]);
+  if (!link) throw new Error('Link your Steam account with `/linksteam` first.');
+  return link.steam_id;
+}
+
+/** Reports the outcome of a wishlist sync, explaining the likely cause of an empty result. */
+function describeSync(count) {
+  return count
+    ? `Watching **${count}** wishlisted game${count === 1 ? '' : 's'}.`
+    : 'Your wishlist looks empty. If it is not, make sure your Steam profile **Game details** are public.';
+}
+
+async function handleOptIn(interaction) {
+  const steamId = await requireLink(interaction);
+  const minDiscount = interaction.options.getInteger('min_discount');
+  const delivery = interaction.options.getString('delivery');
+  await interaction.deferReply({ ephemeral: true });
+
+  const prefs = await setWishlistPrefs(interaction.guildId, interaction.user.id, {
+    enabled: true,
+    minDiscount: minDiscount ?? undefined,
+    delivery: delivery ?? undefined,
+  });
+  let count = 0;
+  try { count = await syncMemberWishlist(interaction.guildId, interaction.user.id, steamId); }
+  catch (e) { log.tag('CMD:wishlist').warn(`initial sync failed user=${interaction.user.id}: ${e?.message}`); }
+
+  log.tag('CMD:wishlist').info(`guild=${interaction.guildId} user=${interaction.user.id} optin min=${prefs.minDiscount} delivery=${prefs.delivery}`);
+  const where = prefs.delivery === 'dm' ? 'by DM (falling back to the sales channel if DMs are closed)' : 'with a ping in the sales channel';
+  return interaction.editReply(`✅ Wishlist alerts are on for sales of **${prefs.minDiscount}%** or more, delivered ${where}.\n${describeSync(count)}`);
+}
+
+async function handleOptOut(interaction) {
+  const prefs = await getWishlistPrefs(interaction.guildId, interaction.user.id);
+  if (!prefs?.enabled) return interaction.reply({ content: 'Wishlist alerts are already off.', ephemeral: true });
+  await setWishlistPrefs(interaction.guildId, interaction.user.id, { enabled: false });
+  log.tag('CMD:wishlist').info(`guild=${interaction.guildId} user=${interaction.user.id} optout`);
+  return interaction.reply({ content: '🔕 Wishlist alerts are off. Use `/wishlist optin` to turn them back on.', ephemeral: true });
+}
+
+async function handleSync(interaction) {
+  const steamId = await requireLink(interaction);
+  const prefs = await getWishlistPrefs(interaction.guildId, interaction.user.id);
+  if (!prefs?.enabled) throw new Error('Turn alerts on with `/wishlist optin` first.');
+  await interaction.deferReply({ ephemeral: true });
+  const count = await syncMemberWishlist(interaction.guildId, interaction.user.id, steamId);
+  return interaction.editReply(describeSync(count));
+}
+
+async function handleShow(interaction) {
+  const target = interaction.options.getUser('user') || interaction.user;
+  const self = target.id === interaction.user.id;
+  const prefs = await getWishlistPrefs(interaction.guildId, target.id);
+  if (!prefs?.enabled) {
+    const content = self ? 'Wishlist alerts are off. Turn them on with `/wishlist optin`.' : `${target} has not opted in to wishlist alerts.`;
+    return interaction.reply({ content, ephemeral: true });
+  }
+
+  const items = await dbAll(
+    `SELECT w.appid, n.name, a.discount_percent
+       FROM wishlist_items w
+       LEFT JOIN app_names n ON n.appid = w.appid
+       LEFT JOIN wishlist_alerts a ON a.guild_id = w.guild_id AND a.user_id = w.user_id AND a.appid = w.appid
+      WHERE w.guild_id=? AND w.user_id=?
+      ORDER BY CASE WHEN a.discount_percent IS NULL THEN 1 ELSE 0 END, a.discount_percent DESC, w.priority ASC`,
+    [interaction.guildId, target.id]
+  );
+
+  const lines = items.slice(0, SHOW_LIMIT).map(it => {
+    const name = it.name || `App ${it.appid}`;
+    const sale = it.discount_percent != null ? ` — 🔥 **${it.discount_percent}% off**` : '';
+    return `• [${name}](https://store.steampowered.com/app/${it.appid}/)${sale}`;
+  });
+  if (items.length > SHOW_LIMIT) lines.push(`…and ${items.length - SHOW_LIMIT} more`);
+
+  const synced = prefs.syncedAt ? `<t:${prefs.syncedAt}:R>` : 'never';
+  const embed = new EmbedBuilder()
+    .setColor(STEAM_COLOR)
+    .setTitle(`${target.username}'s watched wishlist`)
+    .setDescription(lines.join('\n') || '_Nothing on the wishlist yet._')
+    .addFields(
+      { name: 'Minimum discount', value: `${prefs.minDiscount}%`, inline: true },
+      { name: 'Delivery', value: prefs.delivery === 'dm' ? 'Direct message' : 'Sales channel ping', inline: true },
+      { name: 'Last synced', value: synced, inline: true },
+    )
+    .setFooter({ text: `${items.length} game${items.length === 1 ? '' : 's'} watched` })
+    .setTimestamp(new Date());
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+const wishlistSubcommands = {
+  optin: handleOptIn,
+  optout: handleOptOut,
+  sync: handleSync,
+  show: handleShow,
+};
+
+async function handleWishlist(interaction) {
+  const handler = wishlistSubcommands[interaction.options.getSubcommand()];
+  if (handler) await handler(interaction);
+}
+
+const wishlistHandlers = {
+  wishlist: handleWishlist,
+};
+
+module.exports = {
+  builders: wishlistBuilders,
+  handlers: wishlistHandlers,
+};
@@ -1,9 +1,40 @@
 /**
- * XP and social commands: lightweight stats surfaces built on the XP subsystem.
- * Keep replies concise so they remain chat-friendly without extra embeds.
+ * XP and social commands: lightweight stats surfaces built on the XP subsystem, plus the `/xp` command.
+ * `/xp leaderboard` is open to everyone; the rest of `/xp` (level role rewards, channel/role multipliers,
+ * timed boost events and audited manual XP adjustments) checks for Manage Server when it runs.
+ * Keep replies concise so they remain chat-friendly without extra embeds; `/rank` sends a rendered
+ * card instead when the guild has image cards on, and falls back to text when rendering fails.
  */
-const { SlashCommandBuilder } = require('discord.js');
-const { getRankStats } = require('../xp');
+const { SlashCommandBuilder, PermissionsBitField, ChannelType } = require('discord.js');
+const { log } = require('../../logger');
+const { getRankStats, buildRankCard } = require('../xp');
+const {
+  listRoleRewards,
+  setRoleReward,
+  removeRoleReward,
+  roleAssignIssue,
+  syncRoleRewards,
+} = require('../xpRewards');
+const { RULE_TARGETS, getXpRules, setXpRule } = require('../xpRules');
+const { getActiveXpEvent, startXpEvent, endXpEvent } = require('../../loops/xpEvents');
+const { adjustXp, getXpHistory } = require('../xpAdmin');
+const { buildXpLeaderboardView } = require('../../loops/xpLeaderboard');
+const { CHANNEL_KINDS, getAnnouncementChannel, hasBotPerms } = require('../channels');
+const { getGuildSetting } = require('../../settings');
+const { fmtDuration } = require('../../utils/text');
+
+const MAX_REWARD_LEVEL = 500;
+const MAX_RULE_MULTIPLIER = 10;
+const MAX_EVENT_HOURS = 24 * 14;
+const MAX_XP_ADJUSTMENT = 1_000_000;
+const HISTORY_LIMIT = 10;
+
+const withAdjustOptions = (sc, amountDescription, minAmount) => sc
+  .addUserOption(opt => opt.setName('user').setDescription('Member to adjust').setRequired(true))
+  .addIntegerOption(opt =>
+    opt.setName('amount').setDescription(amountDescription).setMinValue(minAmount).setMaxValue(MAX_XP_ADJUSTMENT).setRequired(true)
+  )
+  .addStringOption(opt => opt.setName('reason').setDescription('Why (kept in the XP audit log)').setMaxLength(512).setRequired(false));
 
 const xpBuilders = [
   new SlashCommandBuilder()
@@ -15,6 +46,102 @@ const xpBuilders = [
         .setDescription('Who to inspect (defaults to yourself)')
         .setRequired(false)
     ),
+  new SlashCommandBuilder()
+    .setName('xp')
+    .setDescription('Paradise XP leaderboard and staff tools')
+    .setDMPermission(false)
+    .addSubcommandGroup(group =>
+      group.setName('rewards')
+        .setDescription('Roles granted automatically at XP levels')
+        .addSubcommand(sc =>
+          sc.setName('add')
+            .setDescription('Grant a role when members reach a level')
+            .addIntegerOption(opt =>
+              opt.setName('level')
+                .setDescription('Level that unlocks the role')
+                .setMinValue(1)
+                .setMaxValue(MAX_REWARD_LEVEL)
+                .setRequired(true)
+            )
+            .addRoleOption(opt => opt.setName('role').setDescription('Role to grant').setRequired(true))
+        )
+        .addSubcommand(sc =>
+          sc.setName('remove')
+            .setDescription('Stop granting a role (members keep it until the next sync)')
+            .addRoleOption(opt => opt.setName('role').setDescription('Reward role to remove').setRequired(true))
+        )
+        .addSubcommand(sc => sc.setName('list').setDescription('List level rewards and any the bot cannot assign'))
+        .addSubcommand(sc => sc.setName('sync').setDescription('Apply reward roles to every member who already has XP'))
+    )
+    .addSubcommandGroup(group =>
+      group.setName('rules')
+        .setDescription('XP multipliers for channels and roles')
+        .addSubcommand(sc =>
+          sc.setName('channel')
+            .setDescription('Scale XP in a channel or category (0 = no XP, 1 = default)')
+            .addChannelOption(opt =>
+              opt.setName('channel')
+                .setDescription('Channel or category')
+                .addChannelTypes(
+                  ChannelType.GuildText,
+                  ChannelType.GuildAnnouncement,
+                  ChannelType.GuildVoice,
+                  ChannelType.GuildStageVoice,
+                  ChannelType.GuildForum,
+                  ChannelType.GuildCategory,
+                )
+                .setRequired(true)
+            )
+            .addNumberOption(opt =>
+              opt.setName('multiplier').setDescription('XP multiplier').setMinValue(0).setMaxValue(MAX_RULE_MULTIPLIER).setRequired(true)
+            )
+        )
+        .addSubcommand(sc =>
+          sc.setName('role')
+            .setDescription('Scale XP for members with a role (0 = no XP, 1 = default)')
+            .addRoleOption(opt => opt.setName('role').setDescription('Role').setRequired(true))
+            .addNumberOption(opt =>
+              opt.setName('multiplier').setDescription('XP multiplier').setMinValue(0).setMaxValue(MAX_RULE_MULTIPLIER).setRequired(true)
+            )
+        )
+        .addSubcommand(sc => sc.setName('list').setDescription('List XP rules and the running event'))
+    )
+    .addSubcommandGroup(group =>
+      group.setName('event')
+        .setDescription('Timed XP boost events')
+        .addSubcommand(sc =>
+          sc.setName('start')
+            .setDescription('Start a timed XP boost for the whole server')
+            .addIntegerOption(opt =>
+              opt.setName('duration').setDescription('Length in hours').setMinValue(1).setMaxValue(MAX_EVENT_HOURS).setRequired(true)
+            )
+            .addNumberOption(opt =>
+              opt.setName('multiplier').setDescription('XP multiplier, e.g. 2 for double XP').setMinValue(1.1).setMaxValue(MAX_RULE_MULTIPLIER).setRequired(true)
+            )
+            .addChannelOption(opt =>
+              opt.setName('channel')
+                .setDescription('Where to announce the event (defaults to the XP channel, then this channel)')
+                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(sc => sc.setName('stop').setDescription('End the running XP event early'))
+    )
+    .addSubcommand(sc => sc.setName('leaderboard').setDescription('Browse members ranked by XP'))
+    .addSubcommand(sc => withAdjustOptions(sc.setName('give').setDescription('Add XP to a member'), 'XP to add', 1))
+    .addSubcommand(sc => withAdjustOptions(sc.setName('take').setDescription('Remove XP from a member'), 'XP to remove', 1))
+    .addSubcommand(sc => withAdjustOptions(sc.setName('set').setDescription('Set a member\'s total XP'), 'New XP total', 0))
+    .addSubcommand(sc =>
+      sc.setName('reset')
+        .setDescription('Clear a member\'s XP, level and voice time')
+        .addUserOption(opt => opt.setName('user').setDescription('Member to reset').setRequired(true))
+        .addStringOption(opt => opt.setName('reason').setDescription('Why (kept in the XP audit log)').setMaxLength(512).setRequired(false))
+    )
+    .addSubcommand(sc =>
+      sc.setName('history')
+        .setDescription('Show the latest manual XP adjustments for a member')
+        .addUserOption(opt => opt.setName('user').setDescription('Member to inspect').setRequired(true))
+    ),
 ];
 
 async function handleRank(interaction) {
@@ -28,17 +155,217 @@ async function handleRank(interaction) {
     return interaction.reply({ content, ephemeral: true });
   }
 
-  const { level, totalXp, xpIntoLevel, xpForNextLevel, xpToNextLevel } = stats;
+  const { level, totalXp, xpIntoLevel, xpForNextLevel, xpToNextLevel, standing, ranked, voiceMinutes, voiceXp } = stats;
   const subject = target.id === interaction.user.id ? 'You are' : `${target} is`;
   const progress = `${xpIntoLevel}/${xpForNextLevel} XP (${xpToNextLevel} XP to go)`;
+  const sources = `💬 ${totalXp - voiceXp} XP from messages • 🎙️ ${voiceXp} XP from ${fmtDuration(voiceMinutes)} in voice`;
+  const position = standing ? ` (server rank #${standing} of ${ranked})` : '';
+  const content = `${subject} level **${level}** with **${totalXp}** XP${position}. Progress to next level: ${progress}.\n${sources}`;
+
+  if (!(await getGuildSetting(interaction.guildId, 'image_cards'))) {
+    return interaction.reply({ content });
+  }
+  await interaction.deferReply();
+  const card = await buildRankCard(interaction.guildId, target, stats);
+  return interaction.editReply(card ? { files: [card] } : { content });
+}
+
+async function handleRewardAdd(interaction) {
+  const level = interaction.options.getInteger('level', true);
+  const role = interaction.options.getRole('role', true);
+  if (role.id === interaction.guildId) throw new Error('@everyone cannot be used as a reward.');
+  await setRoleReward(interaction.guildId, role.id, level, interaction.user.id);
+  log.tag('CMD:xp').info(`guild=${interaction.guildId} user=${interaction.user.id} reward add role=${role.id} level=${level}`);
+  const issue = roleAssignIssue(interaction.guild, interaction.guild.roles.cache.get(role.id));
+  const warning = issue ? `\n⚠️ I can't assign it yet: ${issue}.` : '';
+  return interaction.reply({
+    content: `✅ ${role} is now granted at level **${level}**. Run \`/xp rewards sync\` to give it to members already there.${warning}`,
+    ephemeral: true,
+  });
+}
+
+async function handleRewardRemove(interaction) {
+  const role = interaction.options.getRole('role', true);
+  const removed = await removeRoleReward(interaction.guildId, role.id);
+  if (!removed) throw new Error(`${role} is not an XP reward.`);
+  log.tag('CMD:xp').info(`guild=${interaction.guildId} user=${interaction.user.id} reward remove role=${role.id}`);
+  return interaction.reply({ content: `🗑️ ${role} is no longer an XP reward.`, ephemeral: true });
+}
+
+async function handleRewardList(interaction) {
+  const rewards = await listRoleRewards(interaction.guildId);
+  const mode = await getGuildSetting(interaction.guildId, 'xp_reward_mode');
+  if (!rewards.length) {
+    return interaction.reply({ content: 'No XP rewards yet. Add one with `/xp rewards add`.', ephemeral: true });
+  }
+  const lines = rewards.map(r => {
+    const issue = roleAssignIssue(interaction.guild, interaction.guild.roles.cache.get(r.role_id));
+    return `• Level **${r.level}** → <@&${r.role_id}>${issue ? ` ⚠️ ${issue}` : ''}`;
+  });
+  const modeNote = mode === 'highest' ? 'Members keep only their highest reward.' : 'Members keep every reward they earn.';
+  return interaction.reply({
+    content: [...lines, '', `${modeNote} Change with \`/config set xp_reward_mode\`.`].join('\n').slice(0, 2000),
+    ephemeral: true,
+    allowedMentions: { parse: [] },
+  });
+}
+
+async function handleRewardSync(interaction) {
+  if (!(await listRoleRewards(interaction.guildId)).length) throw new Error('No XP rewards to sync. Add one with `/xp rewards add`.');
+  await interaction.deferReply({ ephemeral: true });
+  const summary = await syncRoleRewards(interaction.guild);
+  log.tag('CMD:xp').info(`guild=${interaction.guildId} user=${interaction.user.id} reward sync updated=${summary.updated}`);
+  const lines = [
+    `✅ Checked **${summary.checked}** members: ${summary.added} roles granted, ${summary.removed} removed across ${summary.updated} members.`,
+  ];
+  if (summary.missing) lines.push(`${summary.missing} members with XP have left the server and were skipped.`);
+  if (summary.blocked.size) {
+    lines.push('', '⚠️ Could not apply:');
+    for (const [roleId, reason] of summary.blocked) lines.push(`• <@&${roleId}> — ${reason}`);
+  }
+  return interaction.editReply({ content: lines.join('\n').slice(0, 2000), allowedMentions: { parse: [] } });
+}
+
+const formatMultiplier = (m) => (m === 0 ? 'no XP' : `×${Number(m)}`);
 
+async function handleRuleSet(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const multiplier = interaction.options.getNumber('multiplier', true);
+  const target = sub === 'channel' ? interaction.options.getChannel('channel', true) : interaction.options.getRole('role', true);
+  const stored = await setXpRule(interaction.guildId, RULE_TARGETS[sub], target.id, multiplier, interaction.user.id);
+  log.tag('CMD:xp').info(`guild=${interaction.guildId} user=${interaction.user.id} rule ${sub}=${target.id} x${multiplier}`);
   return interaction.reply({
-    content: `${subject} level **${level}** with **${totalXp}** XP. Progress to next level: ${progress}.`,
+    content: stored ? `✅ ${target} now earns **${formatMultiplier(multiplier)}**.` : `♻️ ${target} is back to normal XP.`,
+    ephemeral: true,
+    allowedMentions: { parse: [] },
   });
 }
 
+async function handleRuleList(interaction) {
+  const rules = await getXpRules(interaction.guildId);
+  const event = await getActiveXpEvent(interaction.guildId);
+  const lines = [
+    ...[...rules.channels].map(([id, m]) => `• <#${id}> → **${formatMultiplier(m)}**`),
+    ...[...rules.roles].map(([id, m]) => `• <@&${id}> → **${formatMultiplier(m)}**`),
+  ];
+  if (!lines.length) lines.push('_No channel or role rules. Every channel earns normal XP._');
+  lines.push('', event
+    ? `⚡ **×${Number(event.multiplier)}** event running until <t:${event.ends_at}:f> (<t:${event.ends_at}:R>).`
+    : 'No XP event running.');
+  lines.push('_Channel rules cover threads and, on a category, every channel inside it. The best role bonus applies; any excluded role earns nothing._');
+  return interaction.reply({ content: lines.join('\n').slice(0, 2000), ephemeral: true, allowedMentions: { parse: [] } });
+}
+
+async function handleEventStart(interaction) {
+  const durationHours = interaction.options.getInteger('duration', true);
+  const multiplier = interaction.options.getNumber('multiplier', true);
+  const channel = interaction.options.getChannel('channel')
+    || await getAnnouncementChannel(interaction.guild, CHANNEL_KINDS.XP)
+    || interaction.channel;
+  if (channel && !hasBotPerms(channel).ok) {
+    return interaction.reply({ content: `I’m missing permissions in ${channel}: **ViewChannel**, **SendMessages**, **EmbedLinks**.`, ephemeral: true });
+  }
+  await interaction.deferReply({ ephemeral: true });
+  const event = await startXpEvent({ guildId: interaction.guildId, multiplier, durationHours, channel, startedBy: interaction.user.id });
+  log.tag('CMD:xp').info(`guild=${interaction.guildId} user=${interaction.user.id} event start x${multiplier} ${durationHours}h`);
+  return interaction.editReply(`⚡ ×${multiplier} XP event running until <t:${event.endsAt}:f>. Announced in ${channel}.`);
+}
+
+async function handleEventStop(interaction) {
+  const event = await getActiveXpEvent(interaction.guildId);
+  if (!event) throw new Error('No XP event is running.');
+  await interaction.deferReply({ ephemeral: true });
+  await endXpEvent(event, { stoppedBy: interaction.user.id });
+  log.tag('CMD:xp').info(`guild=${interaction.guildId} user=${interaction.user.id} event stop id=${event.id}`);
+  return interaction.editReply('⏹️ XP event stopped.');
+}
+
+async function handleLeaderboard(interaction) {
+  await interaction.deferReply();
+  return interaction.editReply(await buildXpLeaderboardView(interaction.guildId, 0, { scope: 's', viewerId: interaction.user.id }));
+}
+
+async function handleAdjust(interaction) {
+  const action = interaction.options.getSubcommand();
+  const target = interaction.options.getUser('user', true);
+  if (target.bot) throw new Error('Bots do not earn XP.');
+  const amount = action === 'reset' ? 0 : interaction.options.getInteger('amount', true);
+  await interaction.deferReply({ ephemeral: true });
+  const res = await adjustXp(interaction.guild, target, {
+    action,
+    amount,
+    reason: interaction.options.getString('reason'),
+    actor: interaction.user,
+  });
+  const delta = res.after - res.before;
+  const lines = [
+    `✅ ${target} now has **${res.after}** XP (${delta >= 0 ? '+' : ''}${delta}), level **${res.levelAfter}**${res.levelAfter !== res.levelBefore ? ` (was ${res.levelBefore})` : ''}.`,
+  ];
+  if (res.rewards?.added.length) lines.push(`Granted ${res.rewards.added.map(id => `<@&${id}>`).join(', ')}.`);
+  if (res.rewards?.removed.length) lines.push(`Removed ${res.rewards.removed.map(id => `<@&${id}>`).join(', ')}.`);
+  if (res.rewards?.blocked.length) lines.push(`⚠️ Could not update ${res.rewards.blocked.map(b => `<@&${b.roleId}> (${b.reason})`).join(', ')}.`);
+  return interaction.editReply({ content: lines.join('\n'), allowedMentions: { parse: [] } });
+}
+
+async function handleHistory(interaction) {
+  const target = interaction.options.getUser('user', true);
+  const rows = await getXpHistory(interaction.guildId, target.id, HISTORY_LIMIT);
+  if (!rows.length) {
+    return interaction.reply({ content: `No manual XP adjustments recorded for ${target}.`, ephemeral: true, allowedMentions: { parse: [] } });
+  }
+  const lines = rows.map(r => {
+    const delta = Number(r.delta);
+    const reason = r.reason ? ` — ${r.reason}` : '';
+    return `• <t:${r.created_at}:d> **${r.action}** ${delta >= 0 ? '+' : ''}${delta} XP (${r.xp_before} → ${r.xp_after}, level ${r.level_before} → ${r.level_after}) by <@${r.actor_id}>${reason}`;
+  });
+  return interaction.reply({
+    content: [`Latest XP adjustments for ${target}:`, ...lines].join('\n').slice(0, 2000),
+    ephemeral: true,
+    allowedMentions: { parse: [] },
+  });
+}
+
+const xpSubcommands = {
+  rewards: {
+    add: handleRewardAdd,
+    remove: handleRewardRemove,
+    list: handleRewardList,
+    sync: handleRewardSync,
+  },
+  rules: {
+    channel: handleRuleSet,
+    role: handleRuleSet,
+    list: handleRuleList,
+  },
+  event: {
+    start: handleEventStart,
+    stop: handleEventStop,
+  },
+  // Subcommands outside a group.
+  '': {
+    give: handleAdjust,
+    take: handleAdjust,
+    set: handleAdjust,
+    reset: handleAdjust,
+    history: handleHistory,
+  },
+};
+
+async function handleXp(interaction) {
+  const sub = interaction.options.getSubcommand();
+  if (sub === 'leaderboard') return handleLeaderboard(interaction);
+  // `/xp` is visible to everyone for the leaderboard, so the staff tools check permissions here.
+  if (!interaction.memberPermissions?.has(PermissionsBitField.Flags.ManageGuild)) {
+    throw new Error('You need **Manage Server** to do this.');
+  }
+  const group = xpSubcommands[interaction.options.getSubcommandGroup() || ''];
+  const handler = group?.[sub];
+  if (handler) await handler(interaction);
+}
+
 const xpHandlers = {
   rank: handleRank,
+  xp: handleXp,
 };
 
 module.exports = {
@@ -0,0 +1,179 @@
+/**
+ * Automatic escalation. Staff define rules such as "3 strikes → 1h timeout, 5 → kick, 7 → ban" with
+ * `/escalation`; warnings and automod removals are strikes, and only strikes newer than the guild's
+ * `warning_decay_days` count. When a new strike lands a member exactly on a rule's threshold the bot
+ * DMs them, applies the action, records it as an `auto-escalation` case and reports it in the logging
+ * channel. The same role-hierarchy checks as the manual moderation commands apply.
+ */
+const { dbAll, dbGet, dbRun } = require('../db');
+const { log } = require('../logger');
+const { getGuildSetting } = require('../settings');
+const { recordCase, formatCaseDuration } = require('./modCases');
+const { logEscalation } = require('./logging');
+const { endTempBans } = require('../loops/tempBans');
+
+const ESCALATION_TAG = log.tag('ESCALATION');
+const ESCALATION_ACTIONS = ['timeout', 'kick', 'ban'];
+const STRIKE_ACTIONS = ['warn', 'automod'];
+
+/**
+ * Whether `actor` may moderate `member`: nobody acts on themselves, the bot or the owner, and a
+ * non-owner actor needs a higher top role than the member. Shared with the moderation commands.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {import('discord.js').GuildMember|null} actor - Moderator, or the bot's own member for automatic actions.
+ * @param {import('discord.js').GuildMember|null} member
+ */
+function canActOn(guild, actor, member) {
+  if (!member) return true;
+  if (actor && member.id === actor.id) return false;
+  if (member.id === guild.client.user.id) return false;
+  if (member.id === guild.ownerId) return false;
+
+  if (!actor || !actor.roles || !member.roles) return true;
+  if (actor.id === guild.ownerId) return true;
+
+  try {
+    return actor.roles.highest.comparePositionTo(member.roles.highest) > 0;
+  } catch (err) {
+    ESCALATION_TAG.warn('Role comparison failed:', err?.stack || err);
+    return true;
+  }
+}
+
+/** Escalation rules for a guild, lowest threshold first. */
+async function listEscalationRules(guildId) {
+  return dbAll('SELECT threshold, action, duration_ms FROM mod_escalation_rules WHERE guild_id=? ORDER BY threshold', [guildId]);
+}
+
+/** Sets the action for a threshold, replacing any rule already there. */
+async function setEscalationRule(guildId, { threshold, action, durationMs = null, createdBy }) {
+  if (!ESCALATION_ACTIONS.includes(action)) throw new Error(`Unknown escalation action "${action}".`);
+  if (action === 'timeout' && !durationMs) throw new Error('Timeout rules need a duration.');
+  await dbRun(
+    `INSERT INTO mod_escalation_rules (guild_id, threshold, action, duration_ms, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE action=VALUES(action), duration_ms=VALUES(duration_ms), created_by=VALUES(created_by), created_at=VALUES(created_at)`,
+    [guildId, threshold, action, action === 'timeout' ? durationMs : null, createdBy, Math.floor(Date.now() / 1000)]
+  );
+}
+
+/** Removes the rule at a threshold. Returns whether one existed. */
+async function removeEscalationRule(guildId, threshold) {
+  const res = await dbRun('DELETE FROM mod_escalation_rules WHERE guild_id=? AND threshold=?', [guildId, threshold]);
+  return (res?.affectedRows ?? 0) > 0;
+}
+
+/** Warnings and automod removals against a member within the decay window. */
+async function countActiveStrikes(guildId, userId, decayDays) {
+  const since = Math.floor(Date.now() / 1000) - decayDays * 86400;
+  const row = await dbGet(
+    `SELECT COUNT(*) AS c FROM mod_cases
+      WHERE guild_id=? AND target_id=? AND action IN (${STRIKE_ACTIONS.map(() => '?').join(', ')}) AND created_at>=? AND deleted_at IS NULL`,
+    [guildId, userId, ...STRIKE_ACTIONS, since]
+  );
+  return Number(row?.c || 0);
+}
+
+/**
+ * The rule a member's new strike count triggers. Only an exact threshold match fires, so each rule
+ * applies once on the way up rather than again for every later strike.
+ *
+ * @param {Array<{ threshold: number }>} rules
+ * @param {number} strikes
+ */
+function pickEscalationRule(rules, strikes) {
+  return rules.find(r => Number(r.threshold) === strikes) || null;
+}
+
+/** Human-readable description of a rule's action, e.g. `1h timeout`. */
+function describeEscalation(rule) {
+  if (rule.action === 'timeout') return `${formatCaseDuration(rule.duration_ms)} timeout`;
+  return rule.action;
+}
+
+/** Why the bot itself cannot apply an action to a member, or `null` when Discord allows it. */
+function escalationIssue(member, action) {
+  if (action === 'timeout' && !member.moderatable) return 'I cannot time out that member';
+  if (action === 'kick' && !member.kickable) return 'I cannot kick that member';
+  if (action === 'ban' && !member.bannable) return 'I cannot ban that member';
+  return null;
+}
+
+async function applyAction(guild, member, rule, reason) {
+  if (rule.action === 'timeout') await member.timeout(Number(rule.duration_ms), reason);
+  else if (rule.action === 'kick') await member.kick(reason);
+  else {
+    await guild.members.ban(member.id, { reason });
+    // The automatic ban is permanent, so an earlier temporary ban must not lift it.
+    await endTempBans(guild.id, member.id, 'replaced', guild.client.user.id);
+  }
+}
+
+/**
+ * Checks a member's strikes after a new warning or automod removal and applies the matching rule.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {import('discord.js').GuildMember|null} member
+ * @param {object} opts
+ * @param {import('discord.js').GuildMember|null} opts.actor - Who issued the strike; the bot's member for automod.
+ * @returns {Promise<{ strikes: number, rule: object|null, modCase: object|null, issue: string|null } | null>}
+ *   `null` when the guild has no rules or the member is gone.
+ */
+async function escalateAfterStrike(guild, member, { actor }) {
+  if (!member) return null;
+  const rules = await listEscalationRules(guild.id);
+  if (!rules.length) return null;
+
+  const decayDays = await getGuildSetting(guild.id, 'warning_decay_days');
+  const strikes = await countActiveStrikes(guild.id, member.id, decayDays);
+  const rule = pickEscalationRule(rules, strikes);
+  if (!rule) return { strikes, rule: null, modCase: null, issue: null };
+
+  const reason = `auto-escalation: ${strikes} strikes in ${decayDays} days`;
+  const description = describeEscalation(rule);
+  let issue = canActOn(guild, actor, member) ? escalationIssue(member, rule.action) : 'the member outranks whoever issued the strike';
+  let modCase = null;
+
+  if (!issue) {
+    await member.user.send(
+      `You have reached ${strikes} warnings in **${guild.name}** within ${decayDays} days, so the server applied an automatic ${description}.`
+    ).catch(() => {});
+    try {
+      await applyAction(guild, member, rule, reason);
+      modCase = await recordCase(guild.id, {
+        action: rule.action,
+        targetId: member.id,
+        moderatorId: guild.client.user.id,
+        reason,
+        durationMs: rule.action === 'timeout' ? Number(rule.duration_ms) : null,
+      });
+    } catch (err) {
+      issue = err?.message || 'Discord rejected the action';
+    }
+  }
+
+  if (issue) ESCALATION_TAG.warn(`guild=${guild.id} user=${member.id} strikes=${strikes} ${description} blocked: ${issue}`);
+  else ESCALATION_TAG.info(`guild=${guild.id} user=${member.id} strikes=${strikes} applied ${description} case=${modCase?.case_number}`);
+
+  await logEscalation(guild, {
+    target: member.user,
+    description,
+    strikes,
+    decayDays,
+    caseNumber: modCase?.case_number ?? null,
+    issue,
+  });
+  return { strikes, rule, modCase, issue };
+}
+
+module.exports = {
+  ESCALATION_ACTIONS,
+  canActOn,
+  listEscalationRules,
+  setEscalationRule,
+  removeEscalationRule,
+  countActiveStrikes,
+  pickEscalationRule,
+  describeEscalation,
+  escalateAfterStrike,
+};
@@ -1005,6 +1005,185 @@ async function handleGuildBanRemove(ban) {
   });
 }
 
+/**
+ * Records a `/config` change so staff can audit who tuned which per-guild setting. Invoked directly
+ * by the command handler rather than through a gateway event.
+ *
+ * @param {import('discord.js').Guild} guild - Guild whose settings changed.
+ * @param {{ user: import('discord.js').User, key: string, before: unknown, after: unknown, reset?: boolean }} change
+ */
+async function logSettingChange(guild, { user, key, before, after, reset = false }) {
+  await dispatchLog(guild, () => {
+    const embed = createLogEmbed({
+      accentColor: Colors.Blurple,
+      emoji: '⚙️',
+      label: reset ? 'Setting Reset' : 'Setting Changed',
+      iconURL: user?.displayAvatarURL?.({ size: 128 }) || undefined,
+    });
+
+    embed.setDescription(`${userMention(user.id)} ${reset ? 'reset' : 'updated'} \`${key}\`.`);
+    embed.addFields(
+      { name: 'Before', value: trimFieldValue(`\`${before}\``), inline: true },
+      { name: 'After', value: trimFieldValue(`\`${after}\`${reset ? ' (default)' : ''}`), inline: true },
+      { name: 'Changed By', value: formatUserReference(user, user?.id), inline: true },
+    );
+    embed.setFooter(buildUserFooter(user));
+
+    return { embeds: [embed] };
+  });
+}
+
+const XP_ACTION_LABELS = {
+  give: 'XP Given',
+  take: 'XP Taken',
+  set: 'XP Set',
+  reset: 'XP Reset',
+};
+
+/**
+ * Records a manual XP adjustment made with `/xp give|take|set|reset`.
+ */
+async function logXpAdjustment(guild, { actor, target, action, before, after, levelBefore, levelAfter, reason }) {
+  await dispatchLog(guild, () => {
+    const embed = createLogEmbed({
+      accentColor: after >= before ? Colors.Green : Colors.Orange,
+      emoji: '✨',
+      label: XP_ACTION_LABELS[action] || 'XP Adjusted',
+      iconURL: target?.displayAvatarURL?.({ size: 128 }) || undefined,
+    });
+
+    const delta = after - before;
+    embed.setDescription(`${userMention(actor.id)} changed ${userMention(target.id)}'s XP by **${delta >= 0 ? '+' : ''}${delta}**.`);
+    embed.addFields(
+      { name: 'XP', value: `${before} → ${after}`, inline: true },
+      { name: 'Level', value: `${levelBefore} → ${levelAfter}`, inline: true },
+      { name: 'Changed By', value: formatUserReference(actor, actor?.id), inline: true },
+      { name: 'Reason', value: trimFieldValue(reason || '_No reason given_'), inline: false },
+    );
+    embed.setFooter(buildUserFooter(target));
+
+    return { embeds: [embed] };
+  });
+}
+
+/**
+ * Records an automatic escalation, or why it could not be applied.
+ */
+async function logEscalation(guild, { target, description, strikes, decayDays, caseNumber, issue }) {
+  await dispatchLog(guild, () => {
+    const embed = createLogEmbed({
+      accentColor: issue ? Colors.Yellow : Colors.DarkRed,
+      emoji: '📈',
+      label: issue ? 'Auto-escalation Blocked' : 'Auto-escalation',
+      iconURL: target?.displayAvatarURL?.({ size: 128 }) || undefined,
+    });
+
+    embed.setDescription(issue
+      ? `${userMention(target.id)} reached **${strikes}** strikes but the ${description} was not applied: ${issue}.`
+      : `${userMention(target.id)} reached **${strikes}** strikes and received an automatic **${description}**.`);
+    embed.addFields(
+      { name: 'Member', value: formatUserReference(target, target?.id), inline: true },
+      { name: 'Window', value: `${decayDays} days`, inline: true },
+    );
+    if (caseNumber) embed.addFields({ name: 'Case', value: `#${caseNumber}`, inline: true });
+    embed.setFooter(buildUserFooter(target));
+
+    return { embeds: [embed] };
+  });
+}
+
+/**
+ * Records a temporary ban reaching its expiry: lifted automatically, or left in place because the
+ * bot could not unban.
+ */
+async function logTempBanExpired(guild, { user, userId, reason, bannedAt, banCase, unbanCase, issue }) {
+  await dispatchLog(guild, () => {
+    const embed = createLogEmbed({
+      accentColor: issue ? Colors.Yellow : Colors.Green,
+      emoji: '⌛',
+      label: issue ? 'Temporary Ban Not Lifted' : 'Temporary Ban Expired',
+      iconURL: user?.displayAvatarURL?.({ size: 128 }) || undefined,
+    });
+
+    embed.setDescription(issue
+      ? `The temporary ban on ${userMention(userId)} expired but I could not lift it: ${issue}. Unban them manually.`
+      : `The temporary ban on ${userMention(userId)} expired and was lifted.`);
+    embed.addFields(
+      { name: 'Member', value: formatUserReference(user, userId), inline: true },
+      { name: 'Banned', value: formatDiscordTime(Number(bannedAt), 'f'), inline: true },
+    );
+    if (banCase || unbanCase) {
+      embed.addFields({ name: 'Cases', value: [banCase && `ban #${banCase}`, unbanCase && `unban #${unbanCase}`].filter(Boolean).join(' • '), inline: true });
+    }
+    if (reason) embed.addFields({ name: 'Ban Reason', value: trimFieldValue(reason) });
+    embed.setFooter(buildUserFooter(user, null, userId));
+
+    return { embeds: [embed] };
+  });
+}
+
+/**
+ * Records an anti-spam hit: which rule fired, what was removed and the action taken, or why the
+ * action could not be applied.
+ */
+async function logAntiSpam(guild, { user, label, reason, action, channelId, removed, caseNumber, issue, note }) {
+  await dispatchLog(guild, () => {
+    const embed = createLogEmbed({
+      accentColor: issue ? Colors.Yellow : Colors.Orange,
+      emoji: '🛡️',
+      label: `Anti-spam: ${label}`,
+      iconURL: user?.displayAvatarURL?.({ size: 128 }) || undefined,
+    });
+
+    embed.setDescription(issue
+      ? `Removed ${removed} message(s) from ${userMention(user.id)} in ${channelMention(channelId)}, but the ${action} was not applied: ${issue}.`
+      : `Removed ${removed} message(s) from ${userMention(user.id)} in ${channelMention(channelId)}.`);
+    embed.addFields(
+      { name: 'Member', value: formatUserReference(user, user?.id), inline: true },
+      { name: 'Action', value: action, inline: true },
+    );
+    if (caseNumber) embed.addFields({ name: 'Case', value: `#${caseNumber}`, inline: true });
+    embed.addFields({ name: 'Reason', value: trimFieldValue(note ? `${reason}\n${note}` : reason) });
+    embed.setFooter(buildUserFooter(user));
+
+    return { embeds: [embed] };
+  });
+}
+
+/**
+ * Records raid mode starting or ending, with what it locked down and anything it could not change.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {{ phase: 'start'|'end', action: string, actor: import('discord.js').User|null, joins: number, endsAt?: number,
+ *   lockedChannels: number, verification: boolean, issues: string[] }} event
+ */
+async function logRaidMode(guild, { phase, action, actor, joins, endsAt, lockedChannels, verification, issues }) {
+  await dispatchLog(guild, () => {
+    const starting = phase === 'start';
+    const embed = createLogEmbed({
+      accentColor: starting ? Colors.DarkRed : Colors.Green,
+      emoji: starting ? '🚨' : '✅',
+      label: starting ? 'Raid Mode Started' : 'Raid Mode Ended',
+    });
+
+    const changes = [
+      lockedChannels ? `${lockedChannels} channel(s) ${starting ? 'locked' : 'unlocked'}` : null,
+      verification ? `verification level ${starting ? 'raised to High' : 'restored'}` : null,
+    ].filter(Boolean);
+    embed.setDescription(starting
+      ? `Raid mode is on (\`${action}\`) until ${formatDiscordTime(Number(endsAt), 'f')}.${changes.length ? ` ${changes.join(', ')}.` : ''}`
+      : `Raid mode is off.${changes.length ? ` ${changes.join(', ')}.` : ''}`);
+    embed.addFields(
+      { name: starting ? 'Started By' : 'Ended By', value: formatUserReference(actor, actor?.id), inline: true },
+      { name: starting ? 'Joins' : 'Joins During Raid Mode', value: String(joins), inline: true },
+    );
+    if (issues?.length) embed.addFields({ name: 'Problems', value: trimFieldValue(issues.map(i => `• ${i}`).join('\n')) });
+    embed.setFooter(buildFooter(`Guild ID: ${guild.id}`));
+
+    return { embeds: [embed] };
+  });
+}
+
 /**
  * Installs event listeners on the shared Discord client. The guard against double-registration makes
  * the function safe to call multiple times (useful in tests or hot reload scenarios).
@@ -1072,4 +1251,12 @@ function registerLogging() {
   logger.info('Logging listeners registered.');
 }
 
-module.exports = { registerLogging };
+module.exports = {
+  registerLogging,
+  logSettingChange,
+  logXpAdjustment,
+  logEscalation,
+  logTempBanExpired,
+  logAntiSpam,
+  logRaidMode,
+};
@@ -0,0 +1,201 @@
+/**
+ * Moderation cases. Every moderation action, manual or automatic, is recorded with a case number that
+ * counts up per guild, so staff can look up a member's record with `/history` before acting and refer
+ * to a specific action as "case #12". Unbans, including expired temporary bans, are cases too.
+ * Deleting a case hides it but never frees its number.
+ */
+const { EmbedBuilder, Colors } = require('discord.js');
+const { dbAll, dbGet, dbRun } = require('../db');
+const { log } = require('../logger');
+
+const CASES_TAG = log.tag('CASES');
+const MAX_REASON_LENGTH = 512;
+
+const CASE_ACTIONS = {
+  warn: { label: 'Warning', emoji: '⚠️', color: Colors.Yellow },
+  timeout: { label: 'Timeout', emoji: '⏱️', color: Colors.Orange },
+  kick: { label: 'Kick', emoji: '👢', color: Colors.Orange },
+  ban: { label: 'Ban', emoji: '🔨', color: Colors.Red },
+  automod: { label: 'Message removed', emoji: '🧹', color: Colors.Grey },
+  unban: { label: 'Unban', emoji: '🔓', color: Colors.Green },
+};
+
+const TIMEOUT_DURATIONS = {
+  '5m': 5 * 60 * 1000,
+  '10m': 10 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '12h': 12 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '3d': 3 * 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+};
+
+/** Slash command choices for `TIMEOUT_DURATIONS`, shared by `/timeout` and `/escalation`. */
+const TIMEOUT_CHOICES = [
+  { name: '5 minutes',  value: '5m' },
+  { name: '10 minutes', value: '10m' },
+  { name: '1 hour',     value: '1h' },
+  { name: '6 hours',    value: '6h' },
+  { name: '12 hours',   value: '12h' },
+  { name: '1 day',      value: '1d' },
+  { name: '3 days',     value: '3d' },
+  { name: '1 week',     value: '7d' },
+];
+
+// Case numbers are read-then-inserted, so each guild's inserts are queued to keep them unique.
+const caseQueues = new Map();
+
+function withGuildQueue(guildId, task) {
+  const previous = caseQueues.get(guildId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  caseQueues.set(guildId, next);
+  next.finally(() => {
+    if (caseQueues.get(guildId) === next) caseQueues.delete(guildId);
+  }).catch(() => {});
+  return next;
+}
+
+/** Human-readable length for a case duration, e.g. `1d 6h` or `10m`. */
+function formatCaseDuration(ms) {
+  if (!ms) return null;
+  const totalMinutes = Math.round(Number(ms) / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hrs = Math.floor((totalMinutes % 1440) / 60);
+  const mins = totalMinutes % 60;
+  return [days && `${days}d`, hrs && `${hrs}h`, mins && `${mins}m`].filter(Boolean).join(' ') || '<1m';
+}
+
+/**
+ * Records a moderation action and returns the stored case.
+ *
+ * @param {string} guildId
+ * @param {object} opts
+ * @param {keyof CASE_ACTIONS} opts.action
+ * @param {string} opts.targetId
+ * @param {string} opts.moderatorId - The bot's own ID for automatic actions.
+ * @param {string|null} [opts.reason]
+ * @param {number|null} [opts.durationMs] - Length of timed actions such as timeouts.
+ */
+async function createCase(guildId, { action, targetId, moderatorId, reason = null, durationMs = null }) {
+  if (!CASE_ACTIONS[action]) throw new Error(`Unknown case action "${action}".`);
+  return withGuildQueue(guildId, async () => {
+    const last = await dbGet('SELECT MAX(case_number) AS n FROM mod_cases WHERE guild_id=?', [guildId]);
+    const caseNumber = Number(last?.n || 0) + 1;
+    const createdAt = Math.floor(Date.now() / 1000);
+    const note = reason ? String(reason).slice(0, MAX_REASON_LENGTH) : null;
+    await dbRun(
+      `INSERT INTO mod_cases (guild_id, case_number, action, target_id, moderator_id, reason, duration_ms, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [guildId, caseNumber, action, targetId, moderatorId, note, durationMs, createdAt]
+    );
+    CASES_TAG.info(`guild=${guildId} case=${caseNumber} ${action} target=${targetId} moderator=${moderatorId}`);
+    return {
+      guild_id: guildId,
+      case_number: caseNumber,
+      action,
+      target_id: targetId,
+      moderator_id: moderatorId,
+      reason: note,
+      duration_ms: durationMs,
+      created_at: createdAt,
+    };
+  });
+}
+
+/**
+ * Like `createCase`, but logs and swallows failures so a database hiccup never undoes a moderation
+ * action that already went through on Discord. Returns `null` when the case could not be stored.
+ */
+async function recordCase(guildId, opts) {
+  try {
+    return await createCase(guildId, opts);
+  } catch (err) {
+    CASES_TAG.error(`failed to record ${opts.action} guild=${guildId} target=${opts.targetId}:`, err?.stack || err);
+    return null;
+  }
+}
+
+/** A case by its number, or `null` when it does not exist or was deleted. */
+async function getCase(guildId, caseNumber) {
+  return dbGet('SELECT * FROM mod_cases WHERE guild_id=? AND case_number=? AND deleted_at IS NULL', [guildId, caseNumber]);
+}
+
+/** Replaces a case's reason. Returns whether a case was updated. */
+async function updateCaseReason(guildId, caseNumber, reason, editorId) {
+  const res = await dbRun(
+    'UPDATE mod_cases SET reason=?, updated_by=?, updated_at=? WHERE guild_id=? AND case_number=? AND deleted_at IS NULL',
+    [String(reason).slice(0, MAX_REASON_LENGTH), editorId, Math.floor(Date.now() / 1000), guildId, caseNumber]
+  );
+  return (res?.affectedRows ?? 0) > 0;
+}
+
+/** Hides a case from lookups and history. Returns whether a case was deleted. */
+async function deleteCase(guildId, caseNumber, deletedBy) {
+  const res = await dbRun(
+    'UPDATE mod_cases SET deleted_by=?, deleted_at=? WHERE guild_id=? AND case_number=? AND deleted_at IS NULL',
+    [deletedBy, Math.floor(Date.now() / 1000), guildId, caseNumber]
+  );
+  return (res?.affectedRows ?? 0) > 0;
+}
+
+/**
+ * A member's record: their latest cases (newest first) and how many of each action they have.
+ *
+ * @returns {Promise<{ cases: object[], counts: Record<string, number>, total: number }>}
+ */
+async function getMemberHistory(guildId, userId, limit = 10) {
+  const cases = await dbAll(
+    'SELECT * FROM mod_cases WHERE guild_id=? AND target_id=? AND deleted_at IS NULL ORDER BY case_number DESC LIMIT ?',
+    [guildId, userId, limit]
+  );
+  const rows = await dbAll(
+    'SELECT action, COUNT(*) AS c FROM mod_cases WHERE guild_id=? AND target_id=? AND deleted_at IS NULL GROUP BY action',
+    [guildId, userId]
+  );
+  const counts = Object.fromEntries(rows.map(r => [r.action, Number(r.c)]));
+  return { cases, counts, total: Object.values(counts).reduce((sum, c) => sum + c, 0) };
+}
+
+/** One-line summary of a case for lists such as `/history`. */
+function formatCaseLine(row) {
+  const def = CASE_ACTIONS[row.action] || { label: row.action, emoji: '•' };
+  const duration = formatCaseDuration(row.duration_ms);
+  const reason = row.reason ? ` — ${row.reason}` : '';
+  return `\`#${row.case_number}\` ${def.emoji} **${def.label}**${duration ? ` (${duration})` : ''} <t:${row.created_at}:d> by <@${row.moderator_id}>${reason}`;
+}
+
+/** Full view of a single case for `/case view`. */
+function buildCaseEmbed(row) {
+  const def = CASE_ACTIONS[row.action] || { label: row.action, emoji: '•', color: Colors.Grey };
+  const embed = new EmbedBuilder()
+    .setColor(def.color)
+    .setTitle(`${def.emoji} Case #${row.case_number} — ${def.label}`)
+    .addFields(
+      { name: 'Member', value: `<@${row.target_id}> (${row.target_id})`, inline: true },
+      { name: 'Moderator', value: `<@${row.moderator_id}>`, inline: true },
+      { name: 'When', value: `<t:${row.created_at}:f>`, inline: true },
+    );
+  const duration = formatCaseDuration(row.duration_ms);
+  if (duration) embed.addFields({ name: 'Duration', value: duration, inline: true });
+  embed.addFields({ name: 'Reason', value: row.reason || '_No reason provided_', inline: false });
+  if (row.updated_at) {
+    embed.addFields({ name: 'Reason edited', value: `<t:${row.updated_at}:R> by <@${row.updated_by}>`, inline: false });
+  }
+  return embed;
+}
+
+module.exports = {
+  CASE_ACTIONS,
+  TIMEOUT_DURATIONS,
+  TIMEOUT_CHOICES,
+  formatCaseDuration,
+  createCase,
+  recordCase,
+  getCase,
+  updateCaseReason,
+  deleteCase,
+  getMemberHistory,
+  formatCaseLine,
+  buildCaseEmbed,
+};
@@ -1,9 +1,24 @@
 /**
- * Minimal content moderation helper that removes hateful slurs before they linger in chat. The list
- * can be extended via the `MODERATION_BANNED_TERMS` environment variable to support community
- * specific sensitivities without redeploying the bot.
+ * Content moderation that removes hateful slurs and each guild's own banned terms before they linger
+ * in chat. A built-in hate-speech list, extended via the `MODERATION_BANNED_TERMS` environment
+ * variable, applies everywhere; guilds add their own terms with `/automod terms`. Guild terms match as
+ * a whole word, a substring, a wildcard (`*`, `?`) or a regular expression, and `allow` entries exempt
+ * phrases from the guild's terms (never from the built-in list). Text is normalised before matching:
+ * accents, punctuation and case are dropped, leetspeak is decoded ("n1gg3r") and every letter of a
+ * term may repeat ("spiiic").
  */
+const vm = require('node:vm');
+const { dbAll, dbGet, dbRun } = require('../db');
 const { log } = require('../logger');
+const { recordCase } = require('./modCases');
+const { escalateAfterStrike } = require('./escalation');
+
+const AUTOMOD_TAG = log.tag('MODERATION');
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_TERM_LENGTH = 200;
+const MAX_WILDCARD_STARS = 3;
+const MATCH_TIMEOUT_MS = 50;
+const AUTOMOD_TERM_MODES = ['word', 'substring', 'wildcard', 'regex', 'allow'];
 
 const DEFAULT_BANNED_TERMS = [
   'nigger',
@@ -54,30 +69,253 @@ const EXTRA_BANNED_TERMS = (process.env.MODERATION_BANNED_TERMS || '')
   .map(s => s.trim())
   .filter(Boolean);
 
+// Digits and symbols commonly swapped for letters. Symbols only count inside a word so that "fag!"
+// still ends in punctuation.
+const LEET_MAP = {
+  0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't',
+};
+
+function decodeLeet(token) {
+  if (!/\p{L}/u.test(token)) return token;
+  return token
+    .replace(/[@$!|+](?=[\p{L}\d@$!|+])/gu, ch => LEET_MAP[ch])
+    .replace(/\d/g, ch => LEET_MAP[ch] ?? ch);
+}
+
 /**
- * Normalises configured terms by stripping diacritics and punctuation so we can perform
- * case-insensitive comparisons against user content.
+ * Normalises user-provided text into a searchable form: accents stripped, lower-cased, leetspeak
+ * decoded and punctuation turned into spaces. Terms go through the same function so both sides of a
+ * comparison agree.
  */
-function normalizeTerm(term) {
-  return term
+function normalizeContent(content) {
+  return String(content || '')
     .normalize('NFKD')
     .replace(/[\u0300-\u036f]/g, '')
     .toLowerCase()
+    .split(/\s+/)
+    .map(decodeLeet)
+    .join(' ')
     .replace(/[^a-z0-9\s]/g, ' ')
     .replace(/\s+/g, ' ')
     .trim();
 }
 
-const BANNED_TERMS = [...new Set([...DEFAULT_BANNED_TERMS, ...EXTRA_BANNED_TERMS])]
-  .map(term => {
-    const normalized = normalizeTerm(term);
-    return {
-      original: term,
-      normalized,
-      isPhrase: normalized.includes(' '),
-    };
+const escapeRegex = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every character may repeat, so "spiiic" matches "spic" while "con" still does not match "coon".
+function repeatTolerant(normalized) {
+  return [...normalized].map(ch => (ch === ' ' ? '\\s+' : `${escapeRegex(ch)}+`)).join('');
+}
+
+const wholeWord = source => `(?<![a-z0-9])(?:${source})(?![a-z0-9])`;
+
+/**
+ * Whether a pattern repeats a group that can itself match in more than one way, such as `(a+)+`,
+ * `(a|aa)+` or `(a?){25}`. Backtracking through those can stall the bot on a long message.
+ */
+function hasAmbiguousRepeat(source) {
+  // One flag per open group: whether it contains a repeat or an alternative.
+  const groups = [];
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      i += 1;
+    } else if (inClass) {
+      if (ch === ']') inClass = false;
+    } else if (ch === '[') {
+      inClass = true;
+    } else if (ch === '(') {
+      groups.push(false);
+      // Skip the `?:`, `?=`, `?<=` or `?<name>` prefix so its `?` is not read as a repeat.
+      if (source[i + 1] === '?') {
+        const prefix = source.slice(i + 1).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)?/);
+        i += prefix[0].length;
+      }
+    } else if (ch === ')') {
+      const ambiguous = groups.pop();
+      if (ambiguous && /^(?:[*+]|\{\d)/.test(source.slice(i + 1))) return true;
+      if (ambiguous && groups.length) groups[groups.length - 1] = true;
+    } else if (groups.length && ('*+?|'.includes(ch) || /^\{\d/.test(source.slice(i)))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+// Guild terms run in a separate context with a time limit, so a pattern that still backtracks badly
+// costs one slow check instead of stalling the bot.
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script('regex.lastIndex = 0; text.match(regex)');
+const cutScript = new vm.Script("regex.lastIndex = 0; cut = []; text.replace(regex, (phrase) => { cut.push(phrase); return ' '; })");
+
+function runTimed(script, regex, text) {
+  Object.assign(matchContext, { regex, text, cut: null });
+  try {
+    return script.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS });
+  } catch (err) {
+    if (err?.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw err;
+    AUTOMOD_TAG.warn(`Term ${regex} gave up after ${MATCH_TIMEOUT_MS}ms on a ${text.length}-character message`);
+    return null;
+  }
+}
+
+/**
+ * Compiles a term into the regular expression used against normalised text. Throws with a
+ * user-facing message when the term cannot be used.
+ *
+ * @param {{ mode: string, pattern: string }} entry
+ * @returns {RegExp}
+ */
+function compileTerm({ mode, pattern }) {
+  if (!AUTOMOD_TERM_MODES.includes(mode)) throw new Error(`Unknown match mode \`${mode}\`.`);
+  const raw = String(pattern || '').trim();
+  if (!raw || raw.length > MAX_TERM_LENGTH) throw new Error(`Terms must be 1–${MAX_TERM_LENGTH} characters.`);
+
+  if (mode === 'regex') {
+    if (hasAmbiguousRepeat(raw)) throw new Error('Nested repeats such as `(a+)+`, `(a|aa)+` or `(a?){5}` are not allowed in regex terms.');
+    let regex;
+    try {
+      regex = new RegExp(raw, 'i');
+    } catch (err) {
+      throw new Error(`That is not a valid regular expression: ${err.message}`);
+    }
+    if (regex.test('')) throw new Error('That regular expression matches empty text, so it would remove every message.');
+    return regex;
+  }
+
+  if (mode === 'wildcard') {
+    const parts = raw.replace(/\*+/g, '*').split(/([*?])/);
+    const literal = parts.filter(p => p !== '*' && p !== '?').map(normalizeContent).join('');
+    if (literal.replace(/\s/g, '').length < 2) throw new Error('Wildcard terms need at least two letters besides `*` and `?`.');
+    if (parts.filter(p => p === '*').length > MAX_WILDCARD_STARS) throw new Error(`Wildcard terms can use \`*\` at most ${MAX_WILDCARD_STARS} times.`);
+    const source = parts.map(p => {
+      // `*` stays inside one word, so "f*ck" does not reach across "for the luck".
+      if (p === '*') return '[a-z0-9]*?';
+      if (p === '?') return '[a-z0-9]';
+      return repeatTolerant(normalizeContent(p));
+    }).join('');
+    return new RegExp(wholeWord(source));
+  }
+
+  const normalized = normalizeContent(raw);
+  if (normalized.replace(/\s/g, '').length < 2) throw new Error('Terms need at least two letters or digits.');
+  const source = repeatTolerant(normalized);
+  return new RegExp(mode === 'substring' ? source : wholeWord(source), mode === 'allow' ? 'g' : '');
+}
+
+const DEFAULT_TERM_RULES = [...new Set([...DEFAULT_BANNED_TERMS, ...EXTRA_BANNED_TERMS])]
+  .map(pattern => {
+    try {
+      return { id: null, mode: 'word', pattern, source: 'default', regex: compileTerm({ mode: 'word', pattern }) };
+    } catch (err) {
+      AUTOMOD_TAG.warn(`Ignoring banned term "${pattern}": ${err.message}`);
+      return null;
+    }
   })
-  .filter(entry => entry.normalized.length > 0);
+  .filter(Boolean);
+
+const ruleCache = new Map();
+
+/**
+ * The compiled terms for a guild: its own entries followed by the built-in list, and its allowlist.
+ * Stored entries that no longer compile are skipped with a warning.
+ *
+ * @returns {Promise<{ blocked: object[], allowed: object[] }>}
+ */
+async function getGuildTermRules(guildId) {
+  if (!guildId) return { blocked: DEFAULT_TERM_RULES, allowed: [] };
+  const hit = ruleCache.get(guildId);
+  if (hit && hit.until > Date.now()) return hit.rules;
+
+  const rows = await listAutomodTerms(guildId);
+  const blocked = [];
+  const allowed = [];
+  for (const row of rows) {
+    try {
+      const rule = { id: row.id, mode: row.mode, pattern: row.pattern, source: 'guild', regex: compileTerm(row) };
+      (row.mode === 'allow' ? allowed : blocked).push(rule);
+    } catch (err) {
+      AUTOMOD_TAG.warn(`Ignoring term #${row.id} guild=${guildId}: ${err.message}`);
+    }
+  }
+  const rules = { blocked: [...blocked, ...DEFAULT_TERM_RULES], allowed };
+  ruleCache.set(guildId, { until: Date.now() + CACHE_TTL_MS, rules });
+  return rules;
+}
+
+/**
+ * Checks text against a guild's terms. Allowlisted phrases are cut out first, so a guild term only
+ * fires on what is left; the built-in terms always see the whole text.
+ *
+ * @param {string} text
+ * @param {{ blocked: object[], allowed: object[] }} rules - From `getGuildTermRules`.
+ * @returns {{ rule: object|null, matched: string|null, normalized: string, exempted: string[] }}
+ *   The first rule that fired (or `null`), the text it matched, the normalised text and the
+ *   allowlisted phrases that were cut out.
+ */
+function matchBannedTerm(text, rules) {
+  const normalized = normalizeContent(text);
+  let remaining = normalized;
+  const exempted = [];
+  for (const allow of rules.allowed) {
+    const rest = runTimed(cutScript, allow.regex, remaining);
+    if (rest == null) continue;
+    exempted.push(...matchContext.cut);
+    remaining = rest;
+  }
+
+  for (const rule of rules.blocked) {
+    const found = rule.source === 'default'
+      ? normalized.match(rule.regex)
+      : remaining.trim() && runTimed(matchScript, rule.regex, remaining);
+    if (found) return { rule, matched: found[0].trim(), normalized, exempted };
+  }
+  return { rule: null, matched: null, normalized, exempted };
+}
+
+/** A guild's own terms and allowlist, oldest first. */
+async function listAutomodTerms(guildId) {
+  return dbAll('SELECT id, mode, pattern, added_by, created_at FROM automod_terms WHERE guild_id=? ORDER BY id', [guildId]);
+}
+
+/**
+ * Adds a term or allowlisted phrase after checking that it compiles.
+ *
+ * @returns {Promise<object>} The stored entry.
+ */
+async function addAutomodTerm(guildId, { mode, pattern, addedBy }) {
+  const value = String(pattern || '').trim();
+  compileTerm({ mode, pattern: value });
+  const existing = await dbGet('SELECT id FROM automod_terms WHERE guild_id=? AND mode=? AND pattern=?', [guildId, mode, value]);
+  if (existing) throw new Error(`That ${mode === 'allow' ? 'phrase is already allowed' : 'term is already listed'} as #${existing.id}.`);
+
+  const createdAt = Math.floor(Date.now() / 1000);
+  const res = await dbRun(
+    'INSERT INTO automod_terms (guild_id, mode, pattern, added_by, created_at) VALUES (?, ?, ?, ?, ?)',
+    [guildId, mode, value, addedBy, createdAt]
+  );
+  ruleCache.delete(guildId);
+  AUTOMOD_TAG.info(`guild=${guildId} term #${res.insertId} added mode=${mode} by=${addedBy}`);
+  return { id: res.insertId, mode, pattern: value, added_by: addedBy, created_at: createdAt };
+}
+
+/** Removes a term by ID. Returns the removed entry, or `null` when it does not exist. */
+async function removeAutomodTerm(guildId, id) {
+  const row = await dbGet('SELECT id, mode, pattern FROM automod_terms WHERE guild_id=? AND id=?', [guildId, id]);
+  if (!row) return null;
+  await dbRun('DELETE FROM automod_terms WHERE guild_id=? AND id=?', [guildId, id]);
+  ruleCache.delete(guildId);
+  AUTOMOD_TAG.info(`guild=${guildId} term #${id} removed`);
+  return row;
+}
+
+/** Short label for a term, e.g. `#4 substring "spic"` or `built-in "slur"`. */
+function describeTerm(rule) {
+  const label = rule.mode === 'regex' ? `/${rule.pattern}/` : `"${rule.pattern}"`;
+  return rule.source === 'default' ? `built-in ${label}` : `#${rule.id} ${rule.mode} ${label}`;
+}
 
 /**
  * Extracts all text-like content from a Discord message including embeds and attachment filenames.
@@ -107,66 +345,57 @@ function collectMessageText(message) {
   return parts;
 }
 
-/**
- * Normalises user-provided text into a searchable form. The logic mirrors `normalizeTerm` so that our
- * comparisons behave identically for both configuration and runtime content.
- */
-function normalizeContent(content) {
-  return content
-    .normalize('NFKD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-/**
- * Scans text for any configured banned term. Phrase matches look for whole words to reduce false
- * positives (e.g. "assistant" should not trigger a ban on "ass").
- */
-function findBannedTerm(text) {
-  const normalized = normalizeContent(text);
-  if (!normalized) return null;
-
-  const padded = ` ${normalized} `;
-  const tokens = new Set(normalized.split(' ').filter(Boolean));
-
-  for (const term of BANNED_TERMS) {
-    if (term.isPhrase) {
-      if (padded.includes(` ${term.normalized} `)) return term.original;
-    } else if (tokens.has(term.normalized)) {
-      return term.original;
-    }
-  }
-
-  return null;
-}
-
 /**
  * Entry point used by the message handler. When a banned term is detected the offending message is
- * deleted, the author receives a DM explaining the reason, and a log entry is emitted. Returning a
- * boolean allows callers to skip additional processing for removed content.
+ * deleted, the author receives a DM explaining the reason, a log entry and an `automod` case are
+ * recorded, and escalation rules are checked for the new strike. Returning a boolean allows callers
+ * to skip additional processing for removed content.
  */
 async function enforceContentModeration(message) {
   const textParts = collectMessageText(message);
   if (!textParts.length) return false;
 
-  const match = findBannedTerm(textParts.join('\n'));
-  if (!match) return false;
+  const rules = await getGuildTermRules(message.guild?.id);
+  const { rule, matched } = matchBannedTerm(textParts.join('\n'), rules);
+  if (!rule) return false;
 
+  // Built-in terms are shown as written; guild terms show what they caught, since a regex or
+  // wildcard means little to the member.
+  const term = rule.source === 'default' ? rule.pattern : matched;
+  const what = rule.source === 'default' ? 'hate speech' : 'a term blocked on this server';
   try {
     await message.delete().catch(() => {});
-    await message.author.send(`Your message in **${message.guild?.name || 'this server'}** was removed because it contained hate speech (detected term: "${match}").`).catch(() => {});
-    log.tag('MODERATION').info(`Deleted hate speech from user=${message.author.id} guild=${message.guild?.id || 'DM'} match=${match}`);
+    await message.author.send(`Your message in **${message.guild?.name || 'this server'}** was removed because it contained ${what} (detected term: "${term}").`).catch(() => {});
+    AUTOMOD_TAG.info(`Deleted banned term from user=${message.author.id} guild=${message.guild?.id || 'DM'} rule=${describeTerm(rule)}`);
+    if (message.guild) {
+      await recordCase(message.guild.id, {
+        action: 'automod',
+        targetId: message.author.id,
+        moderatorId: message.client.user.id,
+        reason: rule.source === 'default'
+          ? `Hate speech in <#${message.channelId}> (detected term: "${term}")`
+          : `Banned term in <#${message.channelId}> (term #${rule.id}, matched "${term}")`,
+      });
+      const member = message.member || await message.guild.members.fetch(message.author.id).catch(() => null);
+      await escalateAfterStrike(message.guild, member, { actor: message.guild.members.me });
+    }
   } catch (err) {
-    log.tag('MODERATION').error('Failed to enforce content moderation:', err?.stack || err);
+    AUTOMOD_TAG.error('Failed to enforce content moderation:', err?.stack || err);
   }
 
   return true;
 }
 
 module.exports = {
-  enforceContentModeration,
+  AUTOMOD_TERM_MODES,
   DEFAULT_BANNED_TERMS,
+  normalizeContent,
+  compileTerm,
+  getGuildTermRules,
+  matchBannedTerm,
+  listAutomodTerms,
+  addAutomodTerm,
+  removeAutomodTerm,
+  describeTerm,
+  enforceContentModeration,
 };
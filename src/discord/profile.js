@@ -0,0 +1,259 @@
+/**
+ * Member profile card for `/profile`. Pulls the linked Steam account, playtime and achievement totals,
+ * perfect games, most-played titles, recent library additions and XP into one embed topped by a
+ * rendered card image, with buttons that expand each section in place. Members can mark their Steam
+ * details private, in which case everyone else only sees their XP.
+ */
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const { log } = require('../logger');
+const { dbAll, dbGet, dbRun } = require('../db');
+const { STEAM_COLOR } = require('../config');
+const { hours, makeProgressBar } = require('../utils/text');
+const { getGuildSetting } = require('../settings');
+const { getRankStats } = require('./xp');
+const { renderCardAttachment } = require('./cards');
+const { getPerfectGames } = require('../loops/perfects');
+const { getTopGame } = require('../loops/leaderboard');
+
+const PROFILE_SECTIONS = {
+  overview: '📊 Overview',
+  games: '🎮 Most played',
+  added: '🆕 Recent additions',
+  perfects: '🏆 Perfect games',
+};
+const OVERVIEW_TOP_GAMES = 3;
+const SECTION_LIMIT = 10;
+const PROFILE_CARD_NAME = 'profile.png';
+
+/** Marks a member's Steam details as hidden from (or visible to) other members. */
+async function setProfilePrivate(guildId, userId, isPrivate) {
+  await dbRun('UPDATE links SET profile_private=? WHERE guild_id=? AND user_id=?', [isPrivate ? 1 : 0, guildId, userId]);
+}
+
+async function getTopGames(guildId, userId, limit) {
+  return dbAll(
+    `SELECT s.appid, n.name, s.playtime_total_min, s.playtime_2w_min, s.ach_unlocked, s.ach_total
+       FROM user_game_stats s
+       LEFT JOIN app_names n ON n.appid = s.appid
+      WHERE s.guild_id=? AND s.user_id=? AND s.playtime_total_min>0
+      ORDER BY s.playtime_total_min DESC LIMIT ?`,
+    [guildId, userId, limit]
+  );
+}
+
+async function getRecentAdditions(guildId, userId, limit) {
+  return dbAll(
+    `SELECT o.appid, n.name, o.first_seen
+       FROM owned_seen o
+       LEFT JOIN app_names n ON n.appid = o.appid
+      WHERE o.guild_id=? AND o.user_id=? AND o.seeded=0
+      ORDER BY o.first_seen DESC LIMIT ?`,
+    [guildId, userId, limit]
+  );
+}
+
+const gameLink = (g) => `[${g.name || `App ${g.appid}`}](https://store.steampowered.com/app/${g.appid}/)`;
+
+/** Renders the XP line shared by every section. */
+function describeXp(xp) {
+  if (!xp) return '_No XP yet_';
+  return `Level **${xp.level}** • ${xp.totalXp} XP\n${makeProgressBar(xp.xpIntoLevel, xp.xpForNextLevel, 12)} ${xp.xpToNextLevel} XP to go`;
+}
+
+/** Lifetime and recent playtime, unlocked achievements and perfect games across a member's library. */
+async function getProfileTotals(guildId, userId) {
+  const totals = await dbGet(
+    'SELECT SUM(playtime_total_min) AS total_min, SUM(playtime_2w_min) AS recent_min, SUM(ach_unlocked) AS ach FROM user_game_stats WHERE guild_id=? AND user_id=?',
+    [guildId, userId]
+  );
+  const perfect = await dbGet('SELECT COUNT(*) AS c FROM perfect_games WHERE guild_id=? AND user_id=?', [guildId, userId]);
+  return {
+    totalMin: Number(totals?.total_min || 0),
+    recentMin: Number(totals?.recent_min || 0),
+    achievements: Number(totals?.ach || 0),
+    perfect: Number(perfect?.c || 0),
+  };
+}
+
+async function renderOverview(embed, guildId, userId, link) {
+  const totals = await getProfileTotals(guildId, userId);
+  const top = await getTopGames(guildId, userId, OVERVIEW_TOP_GAMES);
+  embed.addFields(
+    { name: 'Steam', value: `[${link.steam_id}](https://steamcommunity.com/profiles/${link.steam_id})`, inline: false },
+    { name: 'Playtime', value: `${hours(totals.totalMin)}h total\n${hours(totals.recentMin)}h last 2 weeks`, inline: true },
+    { name: 'Achievements', value: `${totals.achievements} unlocked\n${totals.perfect} perfect games`, inline: true },
+    { name: 'Most played', value: top.map(g => `${gameLink(g)} — ${hours(g.playtime_total_min)}h`).join('\n') || '_No playtime yet_', inline: false },
+  );
+}
+
+async function renderGames(embed, guildId, userId) {
+  const games = await getTopGames(guildId, userId, SECTION_LIMIT);
+  const lines = games.map((g, i) => {
+    const ach = g.ach_total ? ` • ${g.ach_unlocked}/${g.ach_total} 🎯` : '';
+    const recent = g.playtime_2w_min ? ` • ${hours(g.playtime_2w_min)}h recently` : '';
+    return `${i + 1}. ${gameLink(g)} — ${hours(g.playtime_total_min)}h${recent}${ach}`;
+  });
+  embed.addFields({ name: PROFILE_SECTIONS.games, value: lines.join('\n') || '_No playtime yet_', inline: false });
+}
+
+async function renderAdded(embed, guildId, userId) {
+  const added = await getRecentAdditions(guildId, userId, SECTION_LIMIT);
+  const lines = added.map(g => `• ${gameLink(g)} — <t:${g.first_seen}:R>`);
+  embed.addFields({ name: PROFILE_SECTIONS.added, value: lines.join('\n') || '_No new games spotted yet_', inline: false });
+}
+
+async function renderPerfects(embed, guildId, userId) {
+  const games = await getPerfectGames(guildId, userId);
+  const lines = games.slice(0, SECTION_LIMIT).map(g => `🏆 ${gameLink(g)} — <t:${g.completed_at}:d>`);
+  if (games.length > SECTION_LIMIT) lines.push(`…and ${games.length - SECTION_LIMIT} more (see \`/perfects\`)`);
+  embed.addFields({ name: `${PROFILE_SECTIONS.perfects} (${games.length})`, value: lines.join('\n') || '_None yet_', inline: false });
+}
+
+/**
+ * Renders the image at the top of a profile: XP level and progress, plus Steam headline stats over the
+ * member's most-played game when the viewer may see their Steam details.
+ *
+ * @returns {Promise<import('discord.js').AttachmentBuilder|null>} `null` when rendering failed.
+ */
+async function buildProfileCard(guildId, target, xp, steamVisible) {
+  const totals = steamVisible ? await getProfileTotals(guildId, target.id) : null;
+  const topGame = steamVisible ? await getTopGame(guildId, target.id) : null;
+  return renderCardAttachment({
+    title: target.globalName || target.username,
+    subtitle: topGame?.name ? `Most played: ${topGame.name}` : 'Paradise profile',
+    avatarUrl: target.displayAvatarURL({ extension: 'png', size: 256 }),
+    backgroundAppid: topGame?.appid,
+    highlights: totals
+      ? [
+        { label: 'Hours', value: hours(totals.totalMin) },
+        { label: 'Achievements', value: String(totals.achievements) },
+        { label: 'Perfect', value: String(totals.perfect) },
+      ]
+      : [{ label: 'Level', value: String(xp?.level ?? 0) }],
+    progress: {
+      current: xp?.xpIntoLevel ?? 0,
+      total: xp?.xpForNextLevel ?? 0,
+      label: xp ? `Level ${xp.level} • ${xp.xpIntoLevel} / ${xp.xpForNextLevel} XP` : 'No XP yet',
+    },
+  }, PROFILE_CARD_NAME);
+}
+
+const sectionRenderers = {
+  overview: renderOverview,
+  games: renderGames,
+  added: renderAdded,
+  perfects: renderPerfects,
+};
+
+/**
+ * Builds the profile message for a member. Steam sections are replaced by a notice when the member
+ * is unlinked or has hidden them from this viewer.
+ *
+ * @param {string} guildId
+ * @param {import('discord.js').User} target - Member whose profile is shown.
+ * @param {string|null} viewerId - Member looking at the card (`null` renders what everyone else sees).
+ * @param {string} [section] - One of `PROFILE_SECTIONS`.
+ * @param {{ ownerId?: string }} [options] - `ownerId` is the member whose card this is, baked into the
+ *   section buttons so only they can switch sections on a public card (defaults to `viewerId`).
+ */
+async function buildProfileView(guildId, target, viewerId, section = 'overview', { ownerId = viewerId } = {}) {
+  const current = PROFILE_SECTIONS[section] ? section : 'overview';
+  const link = await dbGet('SELECT steam_id, profile_private FROM links WHERE guild_id=? AND user_id=?', [guildId, target.id]);
+  const isSelf = target.id === viewerId;
+  const hidden = !!link?.profile_private && !isSelf;
+  const xp = await getRankStats(guildId, target.id);
+
+  const steamVisible = !!link && !hidden;
+  const card = await getGuildSetting(guildId, 'image_cards') ? await buildProfileCard(guildId, target, xp, steamVisible) : null;
+
+  const embed = new EmbedBuilder()
+    .setColor(STEAM_COLOR)
+    .setTitle(`${target.username}'s profile`)
+    .addFields({ name: 'Paradise XP', value: describeXp(xp), inline: false })
+    .setTimestamp(new Date());
+  if (card) embed.setImage(`attachment://${PROFILE_CARD_NAME}`);
+  else embed.setThumbnail(target.displayAvatarURL());
+
+  if (!link) {
+    embed.setDescription(isSelf ? 'Link your Steam account with `/linksteam` to fill in your profile.' : '_No Steam account linked._');
+  } else if (hidden) {
+    embed.setDescription('🔒 Steam details are private.');
+  } else {
+    await sectionRenderers[current](embed, guildId, target.id, link);
+    if (link.profile_private) embed.setFooter({ text: '🔒 Your Steam details are hidden from other members' });
+  }
+
+  const buttons = Object.entries(PROFILE_SECTIONS).map(([key, label]) =>
+    new ButtonBuilder()
+      .setCustomId(`profile:${key}:${target.id}:${ownerId ?? ''}`)
+      .setLabel(label)
+      .setStyle(key === current ? ButtonStyle.Primary : ButtonStyle.Secondary)
+      .setDisabled(!steamVisible || key === current)
+  );
+  if (isSelf && link) {
+    buttons.push(new ButtonBuilder()
+      .setCustomId(`profile_privacy:${target.id}`)
+      .setLabel(link.profile_private ? '🔓 Show to others' : '🔒 Hide from others')
+      .setStyle(ButtonStyle.Danger));
+  }
+  // `attachments: []` drops the previous card when a button re-renders the message.
+  return { embeds: [embed], components: [new ActionRowBuilder().addComponents(...buttons)], files: card ? [card] : [], attachments: [] };
+}
+
+/**
+ * Handles profile section and privacy buttons. The member a card belongs to updates it in place;
+ * anyone else pressing a section button on a public card gets an ephemeral copy instead. Returns false
+ * for unrelated interactions so the caller can keep routing them.
+ */
+async function handleProfileInteraction(interaction) {
+  const id = interaction.customId || '';
+  const [kind, ...args] = id.split(':');
+  if (kind !== 'profile' && kind !== 'profile_privacy') return false;
+  if (!interaction.guildId) return true;
+
+  let section = 'overview';
+  let targetId;
+  let viewerId = interaction.user.id;
+  let privateView = false;
+  const ephemeralMessage = !!interaction.message?.flags?.has(MessageFlags.Ephemeral);
+  if (kind === 'profile') {
+    let ownerId;
+    [section, targetId, ownerId] = args;
+    // Someone else's public card is never changed by other members; they get their own private copy.
+    privateView = ownerId !== interaction.user.id && !ephemeralMessage;
+  } else {
+    [targetId] = args;
+    if (interaction.user.id !== targetId) {
+      await interaction.reply({ content: 'Only the profile owner can change its privacy.', ephemeral: true });
+      return true;
+    }
+    const link = await dbGet('SELECT profile_private FROM links WHERE guild_id=? AND user_id=?', [interaction.guildId, targetId]);
+    if (!link) throw new Error('Link your Steam account with `/linksteam` first.');
+    const nowPrivate = !link.profile_private;
+    await setProfilePrivate(interaction.guildId, targetId, nowPrivate);
+    log.tag('PROFILE').info(`guild=${interaction.guildId} user=${targetId} private=${nowPrivate}`);
+  }
+
+  // A public card never shows private details, not even when the owner presses its buttons; they can
+  // still see them through an ephemeral `/profile`.
+  if (!privateView && !ephemeralMessage) {
+    const link = await dbGet('SELECT profile_private FROM links WHERE guild_id=? AND user_id=?', [interaction.guildId, targetId]);
+    if (link?.profile_private) viewerId = null;
+  }
+
+  // Rendering the card image can take a while, so acknowledge the click first.
+  if (privateView) await interaction.deferReply({ ephemeral: true });
+  else await interaction.deferUpdate();
+  const target = await interaction.client.users.fetch(targetId).catch(() => null);
+  if (!target) throw new Error('That member could not be found.');
+  // The card reflects whoever clicked, so a private profile stays private when others press buttons.
+  await interaction.editReply(await buildProfileView(interaction.guildId, target, viewerId, section, { ownerId: interaction.user.id }));
+  return true;
+}
+
+module.exports = {
+  PROFILE_SECTIONS,
+  setProfilePrivate,
+  buildProfileView,
+  handleProfileInteraction,
+};
@@ -0,0 +1,121 @@
+/**
+ * Voice XP. `VoiceStateUpdate` events open and close an earning session for each member; a member
+ * earns only while unmuted, undeafened, outside the AFK channel and with at least one other person in
+ * the channel. Whole minutes are credited through `awardVoiceXp` when a session closes and on a
+ * periodic flush, so long sessions level up as they go and a restart loses at most one flush interval.
+ */
+const { Events } = require('discord.js');
+const { log } = require('../logger');
+const { client } = require('./client');
+const { awardVoiceXp } = require('./xp');
+const { VOICE_XP_FLUSH_MS } = require('../config');
+
+const VOICE_TAG = log.tag('XP:VOICE');
+const MINUTE_MS = 60 * 1000;
+
+// `${guildId}:${userId}` → { since, channelId } for members currently earning.
+const sessions = new Map();
+
+/**
+ * Why a voice state earns nothing, or `null` when it earns.
+ *
+ * @param {import('discord.js').VoiceState} state
+ * @param {number} companions - Other non-bot members in the same channel.
+ */
+function voiceEarnBlocker(state, companions) {
+  if (!state.channelId) return 'not in voice';
+  if (state.member?.user?.bot) return 'bot';
+  if (state.channelId === state.guild.afkChannelId) return 'afk channel';
+  if (state.selfMute || state.serverMute || state.suppress) return 'muted';
+  if (state.selfDeaf || state.serverDeaf) return 'deafened';
+  if (companions < 1) return 'alone';
+  return null;
+}
+
+/** Credits the whole minutes of a session. Keeps the leftover seconds when the session continues. */
+async function settle(key, { close = false } = {}) {
+  const session = sessions.get(key);
+  if (!session) return;
+  const minutes = Math.floor((Date.now() - session.since) / MINUTE_MS);
+  if (close) sessions.delete(key);
+  else session.since += minutes * MINUTE_MS;
+  if (minutes <= 0) return;
+
+  const [guildId, userId] = key.split(':');
+  const guild = client.guilds.cache.get(guildId);
+  const member = guild && await guild.members.fetch(userId).catch(() => null);
+  if (!member) return;
+  const channel = guild.channels.cache.get(session.channelId) || null;
+  await awardVoiceXp(member, minutes, channel);
+}
+
+/** Opens or closes sessions for everyone in a voice channel after its occupancy changed. */
+async function refreshChannel(channel) {
+  if (!channel?.isVoiceBased?.()) return;
+  const humans = channel.members.filter(m => !m.user.bot);
+  for (const member of humans.values()) {
+    const key = `${channel.guild.id}:${member.id}`;
+    const blocker = voiceEarnBlocker(member.voice, humans.size - 1);
+    const session = sessions.get(key);
+    if (!blocker && !session) {
+      sessions.set(key, { since: Date.now(), channelId: channel.id });
+    } else if (blocker && session) {
+      await settle(key, { close: true });
+      VOICE_TAG.debug(`paused guild=${channel.guild.id} user=${member.id}: ${blocker}`);
+    }
+  }
+}
+
+/**
+ * `VoiceStateUpdate` handler. Both the channel left and the channel joined are re-evaluated because a
+ * member arriving or leaving changes whether the others are alone.
+ */
+async function handleVoiceXpUpdate(oldState, newState) {
+  const key = `${newState.guild.id}:${newState.id}`;
+  if (sessions.has(key) && sessions.get(key).channelId !== newState.channelId) {
+    await settle(key, { close: true });
+  }
+  if (oldState.channelId && oldState.channelId !== newState.channelId) await refreshChannel(oldState.channel);
+  if (newState.channelId) await refreshChannel(newState.channel);
+}
+
+/** Credits every running session without closing it. */
+async function flushVoiceXp() {
+  for (const key of [...sessions.keys()]) {
+    try { await settle(key); }
+    catch (err) { VOICE_TAG.warn(`flush failed ${key}: ${err?.message || err}`); }
+  }
+}
+
+/** Starts sessions for members who were already in voice when the bot came online. */
+async function scanVoiceChannels() {
+  for (const guild of client.guilds.cache.values()) {
+    const channelIds = new Set(guild.voiceStates.cache.map(s => s.channelId).filter(Boolean));
+    for (const id of channelIds) await refreshChannel(guild.channels.cache.get(id));
+  }
+}
+
+/**
+ * Registers the voice listener and schedules the periodic flush. Set `runNow` to pick up members
+ * already sitting in voice at startup.
+ */
+function scheduleVoiceXpLoop(runNow = false) {
+  client.on(Events.VoiceStateUpdate, (oldState, newState) => {
+    handleVoiceXpUpdate(oldState, newState).catch(err => VOICE_TAG.error('voice update error:', err?.stack || err));
+  });
+  const run = async () => {
+    try { await flushVoiceXp(); }
+    catch (err) { VOICE_TAG.error('flushVoiceXp error:', err?.stack || err); }
+    finally { setTimeout(run, VOICE_XP_FLUSH_MS); }
+  };
+  VOICE_TAG.info(`Voice XP flush every ${Math.round(VOICE_XP_FLUSH_MS / 1000)}s`);
+  if (runNow) scanVoiceChannels().catch(err => VOICE_TAG.error('scanVoiceChannels error:', err?.stack || err));
+  setTimeout(run, VOICE_XP_FLUSH_MS);
+}
+
+module.exports = {
+  voiceEarnBlocker,
+  handleVoiceXpUpdate,
+  flushVoiceXp,
+  scheduleVoiceXpLoop,
+};
@@ -1,23 +1,28 @@
 /**
- * XP system for rewarding active chat participation. XP accrues based on message activity with a
- * cooldown to discourage spam. When a user levels up we post a celebratory message in the configured
- * channel (or the current channel as a fallback).
+ * XP system for rewarding active participation. XP accrues based on message activity with a cooldown
+ * to discourage spam, and per minute in voice (see `voiceXp.js`). When a user levels up we grant any
+ * reward roles for the new level and post a celebratory message in the configured channel (or the
+ * current channel as a fallback).
  */
 const { log } = require('../logger');
 const { dbGet, dbRun } = require('../db');
 const { CHANNEL_KINDS, getAnnouncementChannel, hasBotPerms } = require('./channels');
-
-const XP_COOLDOWN_SECONDS = 60;
-const XP_MIN_PER_MESSAGE = 15;
-const XP_MAX_PER_MESSAGE = 25;
-const MIN_MESSAGE_LENGTH = 5;
+const { getGuildSetting } = require('../settings');
+const { fmtDuration } = require('../utils/text');
+const { getTopGame } = require('../loops/leaderboard');
+const { getXpStanding } = require('../loops/xpLeaderboard');
+const { renderCardAttachment } = require('./cards');
+const { applyRoleRewards } = require('./xpRewards');
+const { getXpMultiplier } = require('./xpRules');
 
 /**
- * Picks a random XP value between the configured min/max bounds. This small variance keeps the
- * system feeling organic without introducing large swings.
+ * Picks a random XP value between the guild's min/max bounds. This small variance keeps the system
+ * feeling organic without introducing large swings. Bounds entered the wrong way round are swapped.
  */
-function randomXpGain() {
-  return XP_MIN_PER_MESSAGE + Math.floor(Math.random() * (XP_MAX_PER_MESSAGE - XP_MIN_PER_MESSAGE + 1));
+function randomXpGain(min, max) {
+  const low = Math.min(min, max);
+  const high = Math.max(min, max);
+  return low + Math.floor(Math.random() * (high - low + 1));
 }
 
 /**
@@ -39,27 +44,137 @@ function totalXpForLevel(level) {
   return total;
 }
 
+/**
+ * Highest level reached with a cumulative XP total.
+ */
+function levelForXp(totalXp) {
+  let level = 0;
+  while (totalXp >= totalXpForLevel(level + 1)) level += 1;
+  return level;
+}
+
 /**
  * Retrieves the XP progress row for a guild/user pair.
  */
 async function getXpRow(guildId, userId) {
   // Guild-first lookup leverages idx_xp_progress_guild_id to keep hot-path reads fast.
-  return dbGet('SELECT xp, level, last_message_at FROM xp_progress WHERE guild_id=? AND user_id=?', [guildId, userId]);
+  return dbGet('SELECT xp, level, last_message_at, voice_minutes, voice_xp FROM xp_progress WHERE guild_id=? AND user_id=?', [guildId, userId]);
+}
+
+/**
+ * Brings a member's stored level in line with their XP total after a write. XP is only ever changed
+ * with atomic increments, so concurrent writers never lose each other's XP; the level is then moved
+ * with a compare-and-set on both columns, retried while another writer keeps changing the row. Only
+ * the writer whose update lands sees `previousLevel` below `level`, so a level-up is announced once.
+ *
+ * @returns {Promise<{ xp: number, level: number, previousLevel: number }|null>} `null` without a row.
+ */
+async function syncXpLevel(guildId, userId) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const row = await getXpRow(guildId, userId);
+    if (!row) return null;
+    const xp = Number(row.xp) || 0;
+    const previousLevel = Number(row.level) || 0;
+    const level = levelForXp(xp);
+    if (level === previousLevel) return { xp, level, previousLevel };
+    const res = await dbRun(
+      'UPDATE xp_progress SET level=? WHERE guild_id=? AND user_id=? AND level=? AND xp=?',
+      [level, guildId, userId, previousLevel, xp]
+    );
+    if (res?.affectedRows) return { xp, level, previousLevel };
+  }
+  log.tag('XP').warn(`Gave up syncing level for user=${userId} guild=${guildId}; the next XP change retries`);
+  return null;
 }
 
 /**
  * Filters out trivial or empty messages. Attachments and stickers still count to reward rich media.
  */
-function hasEarnableContent(message) {
-  if (message.content && message.content.trim().length >= MIN_MESSAGE_LENGTH) return true;
+function hasEarnableContent(message, minLength) {
+  if (message.content && message.content.trim().length >= minLength) return true;
   if (message.attachments?.size) return true;
   if (message.stickers?.size) return true;
   return false;
 }
 
 /**
- * Primary XP accrual routine invoked for every message. It enforces cooldowns, persists the new XP
- * total, and posts a level-up announcement when appropriate.
+ * Adds XP to a member's total, then grants reward roles and announces when the total crosses a level.
+ * Message and voice XP both go through here so they share one level curve.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {import('discord.js').User} user
+ * @param {number} gained - XP to add.
+ * @param {object} [opts]
+ * @param {import('discord.js').GuildMember} [opts.member] - Avoids refetching the member for reward roles.
+ * @param {import('discord.js').TextBasedChannel} [opts.fallbackChannel] - Where to announce when no XP channel is configured.
+ * @param {number} [opts.messageAt] - Unix seconds of the message that earned the XP; restarts the cooldown.
+ * @param {number} [opts.voiceMinutes] - Voice time that earned the XP.
+ */
+async function grantXp(guild, user, gained, { member = null, fallbackChannel = null, messageAt = null, voiceMinutes = 0 } = {}) {
+  const voiceXp = voiceMinutes ? gained : 0;
+  // Increments rather than absolute values, so message and voice XP landing together both count.
+  await dbRun(
+    `INSERT INTO xp_progress (guild_id, user_id, xp, level, last_message_at, voice_minutes, voice_xp)
+     VALUES (?, ?, ?, 0, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE xp=xp+?, last_message_at=GREATEST(last_message_at, ?),
+       voice_minutes=voice_minutes+?, voice_xp=voice_xp+?`,
+    [
+      guild.id, user.id, gained, messageAt ?? 0, voiceMinutes, voiceXp,
+      gained, messageAt ?? 0, voiceMinutes, voiceXp,
+    ]
+  );
+  const synced = await syncXpLevel(guild.id, user.id);
+
+  log.tag('XP').debug(
+    `Awarded ${gained}xp to user=${user.id} guild=${guild.id} total=${synced?.xp} level=${synced?.level}${voiceMinutes ? ` voice=${voiceMinutes}m` : ''}`
+  );
+
+  if (!synced || synced.level <= synced.previousLevel) return;
+  const { level } = synced;
+
+  let rewardNote = '';
+  try {
+    const target = member || await guild.members.fetch(user.id);
+    if (target) {
+      const { added } = await applyRoleRewards(target, level);
+      if (added.length) rewardNote = ` You earned ${added.map(id => `<@&${id}>`).join(', ')}.`;
+    }
+  } catch (err) {
+    log.tag('XP').warn('Failed to apply XP role rewards', err);
+  }
+
+  let announceChannel = fallbackChannel;
+  try {
+    const configured = await getAnnouncementChannel(guild, CHANNEL_KINDS.XP);
+    if (configured) {
+      const perms = hasBotPerms(configured);
+      if (perms.ok) {
+        announceChannel = configured;
+      } else {
+        log.tag('XP').warn(
+          `Missing permissions in configured XP channel ${configured.id} for guild=${guild.id}: ${perms.missing.join(', ')}`
+        );
+      }
+    }
+  } catch (err) {
+    log.tag('XP').warn('Failed to resolve XP announcement channel', err);
+  }
+  if (!announceChannel) return;
+
+  try {
+    await announceChannel.send({
+      content: `🎉 Congrats ${user}, you reached level **${level}**!${rewardNote}`,
+      allowedMentions: { users: [user.id] },
+    });
+  } catch (err) {
+    log.tag('XP').warn('Failed to announce level up', err);
+  }
+}
+
+/**
+ * Primary XP accrual routine invoked for every message. It enforces cooldowns, applies the guild's
+ * channel/role/event multipliers, persists the new XP total, and posts a level-up announcement when
+ * appropriate. Messages in excluded channels or from excluded roles do not restart the cooldown.
  */
 async function awardMessageXp(message) {
   if (!message?.guildId) return;
@@ -73,72 +188,49 @@ async function awardMessageXp(message) {
     }
   }
 
-  if (!hasEarnableContent(message)) return;
+  if (!hasEarnableContent(message, await getGuildSetting(message.guildId, 'xp_min_message_length'))) return;
 
   const now = Math.floor(Date.now() / 1000);
   const row = await getXpRow(message.guildId, message.author.id);
+  const cooldownSeconds = await getGuildSetting(message.guildId, 'xp_cooldown_seconds');
 
-  if (row && now - row.last_message_at < XP_COOLDOWN_SECONDS) {
+  if (row && now - row.last_message_at < cooldownSeconds) {
     return;
   }
 
-  const gained = randomXpGain();
-  const previousXp = row?.xp ?? 0;
-  const newTotalXp = previousXp + gained;
-  let level = row?.level ?? 0;
-  let leveledUp = false;
-
-  while (newTotalXp >= totalXpForLevel(level + 1)) {
-    level += 1;
-    leveledUp = true;
-  }
-
-  await dbRun(
-    `INSERT INTO xp_progress (guild_id, user_id, xp, level, last_message_at)
-     VALUES (?, ?, ?, ?, ?)
-     ON DUPLICATE KEY UPDATE xp=VALUES(xp), level=VALUES(level), last_message_at=VALUES(last_message_at)` ,
-    [message.guildId, message.author.id, newTotalXp, level, now]
-  );
-
-  log.tag('XP').debug(
-    `Awarded ${gained}xp to user=${message.author.id} guild=${message.guildId} total=${newTotalXp} level=${level}`
+  const multiplier = await getXpMultiplier(message.guildId, message.member, message.channel);
+  if (multiplier <= 0) return;
+  const base = randomXpGain(
+    await getGuildSetting(message.guildId, 'xp_min_per_message'),
+    await getGuildSetting(message.guildId, 'xp_max_per_message')
   );
 
-  if (leveledUp) {
-    let announceChannel = message.channel;
-
-    if (message.guild) {
-      try {
-        const configured = await getAnnouncementChannel(message.guild, CHANNEL_KINDS.XP);
-        if (configured) {
-          const perms = hasBotPerms(configured);
-          if (perms.ok) {
-            announceChannel = configured;
-          } else {
-            log.tag('XP').warn(
-              `Missing permissions in configured XP channel ${configured.id} for guild=${message.guildId}: ${perms.missing.join(', ')}`
-            );
-          }
-        }
-      } catch (err) {
-        log.tag('XP').warn('Failed to resolve XP announcement channel', err);
-      }
-    }
+  await grantXp(message.guild, message.author, Math.round(base * multiplier), {
+    member: message.member,
+    fallbackChannel: message.channel,
+    messageAt: now,
+  });
+}
 
-    try {
-      await announceChannel.send({ content: `🎉 Congrats ${message.author}, you reached level **${level}**!` });
-    } catch (err) {
-      log.tag('XP').warn('Failed to announce level up', err);
-    }
-  }
+/**
+ * Credits time spent in voice. Voice XP follows the same level curve and multipliers as message XP;
+ * the minutes are recorded even when they earn nothing so `/rank` can still show them.
+ */
+async function awardVoiceXp(member, minutes, channel = null) {
+  if (!minutes || minutes <= 0) return;
+  const perMinute = await getGuildSetting(member.guild.id, 'voice_xp_per_minute');
+  const multiplier = await getXpMultiplier(member.guild.id, member, channel);
+  const fallbackChannel = channel?.isTextBased?.() && hasBotPerms(channel).ok ? channel : null;
+  await grantXp(member.guild, member.user, Math.round(minutes * perMinute * multiplier), { member, fallbackChannel, voiceMinutes: minutes });
 }
 
 /**
  * Aggregates XP metrics for presentation in the `/rank` command. Returns `null` when the user has no
- * progress yet so the caller can show a friendly hint.
+ * progress yet so the caller can show a friendly hint. `standing` is the member's live position on the
+ * XP leaderboard out of `ranked` members, or `null` while they have no XP.
  */
 async function getRankStats(guildId, userId) {
-  const row = await dbGet('SELECT xp, level FROM xp_progress WHERE guild_id=? AND user_id=?', [guildId, userId]);
+  const row = await getXpRow(guildId, userId);
   if (!row) return null;
 
   const level = row.level || 0;
@@ -148,6 +240,7 @@ async function getRankStats(guildId, userId) {
   const xpIntoLevel = totalXp - currentLevelFloor;
   const xpForNextLevel = nextLevelTotal - currentLevelFloor;
   const xpToNextLevel = nextLevelTotal - totalXp;
+  const position = await getXpStanding(guildId, userId);
 
   return {
     level,
@@ -155,12 +248,51 @@ async function getRankStats(guildId, userId) {
     xpIntoLevel,
     xpForNextLevel,
     xpToNextLevel,
+    standing: position?.standing ?? null,
+    ranked: position?.total ?? 0,
+    voiceMinutes: Number(row.voice_minutes || 0),
+    voiceXp: Number(row.voice_xp || 0),
   };
 }
 
+/**
+ * Renders a member's rank card: level, server rank and progress over their most-played game's header
+ * art. `/rank` replies in the channel, so the game is left out whenever the member keeps their Steam
+ * details private, even on their own card.
+ *
+ * @param {string} guildId
+ * @param {import('discord.js').User} user - Member on the card.
+ * @param {object} stats - Result of `getRankStats`.
+ * @returns {Promise<import('discord.js').AttachmentBuilder|null>} `null` when rendering failed.
+ */
+async function buildRankCard(guildId, user, stats) {
+  const link = await dbGet('SELECT profile_private FROM links WHERE guild_id=? AND user_id=?', [guildId, user.id]);
+  const showGame = link && !link.profile_private;
+  const topGame = showGame ? await getTopGame(guildId, user.id) : null;
+  return renderCardAttachment({
+    title: user.globalName || user.username,
+    subtitle: topGame?.name ? `Most played: ${topGame.name}` : 'Paradise XP',
+    avatarUrl: user.displayAvatarURL({ extension: 'png', size: 256 }),
+    backgroundAppid: topGame?.appid,
+    highlights: [
+      { label: 'Rank', value: stats.standing ? `#${stats.standing}` : '—' },
+      { label: 'Level', value: String(stats.level) },
+    ],
+    progress: {
+      current: stats.xpIntoLevel,
+      total: stats.xpForNextLevel,
+      label: `${stats.xpIntoLevel} / ${stats.xpForNextLevel} XP • ${stats.totalXp} total${stats.voiceMinutes ? ` • ${fmtDuration(stats.voiceMinutes)} in voice` : ''}`,
+    },
+  }, 'rank.png');
+}
+
 module.exports = {
   awardMessageXp,
+  awardVoiceXp,
   getRankStats,
+  buildRankCard,
+  syncXpLevel,
   totalXpForLevel,
+  levelForXp,
   xpToLevelUp,
 };
@@ -0,0 +1,91 @@
+/**
+ * Manual XP adjustments. Staff give, take, set or reset a member's XP with `/xp`; the level is
+ * recomputed from the new total, reward roles follow the new level (including losing them on the way
+ * down), and every change is written to `xp_audit` and mirrored into the logging channel.
+ */
+const { dbAll, dbGet, dbRun } = require('../db');
+const { log } = require('../logger');
+const { syncXpLevel } = require('./xp');
+const { applyRoleRewards } = require('./xpRewards');
+const { logXpAdjustment } = require('./logging');
+
+const ADMIN_TAG = log.tag('XP:ADMIN');
+const XP_ADMIN_ACTIONS = ['give', 'take', 'set', 'reset'];
+const MAX_REASON_LENGTH = 512;
+
+/**
+ * Applies a manual adjustment and records it. Totals never drop below zero.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {import('discord.js').User} target
+ * @param {object} opts
+ * @param {'give'|'take'|'set'|'reset'} opts.action
+ * @param {number} [opts.amount]
+ * @param {string|null} [opts.reason]
+ * @param {import('discord.js').User} opts.actor - Staff member making the change.
+ * @returns {Promise<{ before: number, after: number, levelBefore: number, levelAfter: number, rewards: { added: string[], removed: string[] } | null }>}
+ */
+async function adjustXp(guild, target, { action, amount = 0, reason = null, actor }) {
+  if (!XP_ADMIN_ACTIONS.includes(action)) throw new Error(`Unknown XP action "${action}".`);
+  const row = await dbGet('SELECT xp, level FROM xp_progress WHERE guild_id=? AND user_id=?', [guild.id, target.id]);
+  const before = Number(row?.xp || 0);
+  const levelBefore = Number(row?.level || 0);
+  const note = reason ? String(reason).slice(0, MAX_REASON_LENGTH) : null;
+
+  // Relative changes are applied in SQL so XP earned while staff adjust a member is never lost. Voice
+  // XP is a share of the total, so it is capped when the total shrinks below it; it is assigned before
+  // `xp` because MySQL evaluates SET clauses left to right.
+  if (action === 'reset') {
+    await dbRun('UPDATE xp_progress SET xp=0, level=0, voice_minutes=0, voice_xp=0 WHERE guild_id=? AND user_id=?', [guild.id, target.id]);
+  } else if (action === 'take') {
+    await dbRun(
+      'UPDATE xp_progress SET voice_xp=LEAST(voice_xp, GREATEST(xp-?, 0)), xp=GREATEST(xp-?, 0) WHERE guild_id=? AND user_id=?',
+      [amount, amount, guild.id, target.id]
+    );
+  } else {
+    await dbRun(
+      `INSERT INTO xp_progress (guild_id, user_id, xp, level, last_message_at, voice_minutes, voice_xp)
+       VALUES (?, ?, ?, 0, 0, 0, 0)
+       ON DUPLICATE KEY UPDATE ${action === 'give' ? 'xp=xp+VALUES(xp)' : 'voice_xp=LEAST(voice_xp, VALUES(xp)), xp=VALUES(xp)'}`,
+      [guild.id, target.id, Math.max(0, amount)]
+    );
+  }
+  const synced = await syncXpLevel(guild.id, target.id);
+  const after = synced?.xp ?? 0;
+  const levelAfter = synced?.level ?? 0;
+  await dbRun(
+    `INSERT INTO xp_audit (guild_id, user_id, actor_id, action, delta, xp_before, xp_after, level_before, level_after, reason, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [guild.id, target.id, actor.id, action, after - before, before, after, levelBefore, levelAfter, note, Math.floor(Date.now() / 1000)]
+  );
+  ADMIN_TAG.info(`guild=${guild.id} actor=${actor.id} ${action} user=${target.id} xp ${before}→${after} level ${levelBefore}→${levelAfter}`);
+
+  let rewards = null;
+  if (levelAfter !== levelBefore) {
+    const member = await guild.members.fetch(target.id).catch(() => null);
+    if (member) {
+      try {
+        rewards = await applyRoleRewards(member, levelAfter);
+      } catch (err) {
+        ADMIN_TAG.warn(`reward roles failed user=${target.id}: ${err?.message || err}`);
+      }
+    }
+  }
+
+  await logXpAdjustment(guild, { actor, target, action, before, after, levelBefore, levelAfter, reason: note });
+  return { before, after, levelBefore, levelAfter, rewards };
+}
+
+/** Most recent manual adjustments for a member, newest first. */
+async function getXpHistory(guildId, userId, limit = 10) {
+  return dbAll(
+    'SELECT * FROM xp_audit WHERE guild_id=? AND user_id=? ORDER BY created_at DESC, id DESC LIMIT ?',
+    [guildId, userId, limit]
+  );
+}
+
+module.exports = {
+  XP_ADMIN_ACTIONS,
+  adjustXp,
+  getXpHistory,
+};
@@ -0,0 +1,150 @@
+/**
+ * XP role rewards. Staff map roles to levels with `/xp rewards`; when a member levels up the bot grants
+ * the roles they now qualify for. In `stack` mode every earned role is kept, in `highest` mode only
+ * the roles of the top reward level reached. Roles the bot cannot manage (above its own highest role,
+ * managed by an integration, or missing Manage Roles) are skipped and reported instead.
+ */
+const { PermissionsBitField } = require('discord.js');
+const { dbAll, dbRun } = require('../db');
+const { log } = require('../logger');
+const { getGuildSetting } = require('../settings');
+
+const REWARDS_TAG = log.tag('XP:REWARDS');
+
+/** Reward mappings for a guild, lowest level first. */
+async function listRoleRewards(guildId) {
+  return dbAll('SELECT role_id, level FROM xp_role_rewards WHERE guild_id=? ORDER BY level, role_id', [guildId]);
+}
+
+/** Maps a role to a level, replacing the role's previous level if it had one. */
+async function setRoleReward(guildId, roleId, level, createdBy) {
+  await dbRun(
+    `INSERT INTO xp_role_rewards (guild_id, role_id, level, created_by, created_at) VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE level=VALUES(level), created_by=VALUES(created_by), created_at=VALUES(created_at)`,
+    [guildId, roleId, level, createdBy, Math.floor(Date.now() / 1000)]
+  );
+}
+
+/** Removes a role's mapping. Returns whether one existed. */
+async function removeRoleReward(guildId, roleId) {
+  const res = await dbRun('DELETE FROM xp_role_rewards WHERE guild_id=? AND role_id=?', [guildId, roleId]);
+  return (res?.affectedRows ?? 0) > 0;
+}
+
+/**
+ * Splits reward roles into the ones a member at `level` should hold and the ones they should not.
+ * Stack mode only ever adds roles, so rewards granted by hand or kept after an XP reset stay put.
+ *
+ * @param {Array<{ role_id: string, level: number }>} rewards
+ * @param {number} level
+ * @param {'stack'|'highest'} mode
+ * @returns {{ keep: string[], drop: string[] }}
+ */
+function planRoleRewards(rewards, level, mode) {
+  const earned = rewards.filter(r => Number(r.level) <= level);
+  const top = earned.reduce((m, r) => Math.max(m, Number(r.level)), -1);
+  const keep = new Set(earned.filter(r => mode === 'stack' || Number(r.level) === top).map(r => r.role_id));
+  return {
+    keep: [...keep],
+    drop: mode === 'stack' ? [] : rewards.map(r => r.role_id).filter(id => !keep.has(id)),
+  };
+}
+
+/**
+ * Explains why the bot cannot assign a role, or returns `null` when it can.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {import('discord.js').Role|undefined} role
+ */
+function roleAssignIssue(guild, role) {
+  if (!role) return 'role no longer exists';
+  if (role.id === guild.id) return '@everyone cannot be granted';
+  if (role.managed) return 'role is managed by an integration';
+  const me = guild.members.me;
+  if (!me?.permissions.has(PermissionsBitField.Flags.ManageRoles)) return 'I am missing **Manage Roles**';
+  if (role.comparePositionTo(me.roles.highest) >= 0) return 'role is not below my highest role';
+  return null;
+}
+
+/**
+ * Brings a member's reward roles in line with their level. Roles already correct are left alone.
+ *
+ * @param {import('discord.js').GuildMember} member
+ * @param {number} level
+ * @param {{ rewards?: Array<{ role_id: string, level: number }>, mode?: string }} [opts] - Preloaded
+ *   mappings and mode, so bulk callers avoid re-reading them per member.
+ * @returns {Promise<{ added: string[], removed: string[], blocked: Array<{ roleId: string, reason: string }> }>}
+ */
+async function applyRoleRewards(member, level, { rewards, mode } = {}) {
+  const result = { added: [], removed: [], blocked: [] };
+  const mappings = rewards || await listRoleRewards(member.guild.id);
+  if (!mappings.length) return result;
+  const plan = planRoleRewards(mappings, level, mode || await getGuildSetting(member.guild.id, 'xp_reward_mode'));
+
+  const changes = [
+    ...plan.keep.filter(id => !member.roles.cache.has(id)).map(id => ({ id, add: true })),
+    ...plan.drop.filter(id => member.roles.cache.has(id)).map(id => ({ id, add: false })),
+  ];
+  for (const { id, add } of changes) {
+    const issue = roleAssignIssue(member.guild, member.guild.roles.cache.get(id));
+    if (issue) {
+      result.blocked.push({ roleId: id, reason: issue });
+      continue;
+    }
+    try {
+      if (add) await member.roles.add(id, `XP reward for level ${level}`);
+      else await member.roles.remove(id, `XP reward no longer applies at level ${level}`);
+      (add ? result.added : result.removed).push(id);
+    } catch (err) {
+      result.blocked.push({ roleId: id, reason: err?.message || 'Discord rejected the change' });
+    }
+  }
+  if (result.added.length || result.removed.length) {
+    REWARDS_TAG.info(`guild=${member.guild.id} user=${member.id} level=${level} +[${result.added}] -[${result.removed}]`);
+  }
+  if (result.blocked.length) {
+    REWARDS_TAG.warn(`guild=${member.guild.id} user=${member.id} blocked ${result.blocked.map(b => `${b.roleId} (${b.reason})`).join(', ')}`);
+  }
+  return result;
+}
+
+/**
+ * Back-applies reward roles to every member with XP. Members who have left are skipped. Blocked
+ * mappings are collected once per role rather than once per member.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @returns {Promise<{ checked: number, updated: number, added: number, removed: number, missing: number, blocked: Map<string, string> }>}
+ */
+async function syncRoleRewards(guild) {
+  const summary = { checked: 0, updated: 0, added: 0, removed: 0, missing: 0, blocked: new Map() };
+  const rewards = await listRoleRewards(guild.id);
+  if (!rewards.length) return summary;
+  const mode = await getGuildSetting(guild.id, 'xp_reward_mode');
+  const rows = await dbAll('SELECT user_id, level FROM xp_progress WHERE guild_id=?', [guild.id]);
+
+  for (const row of rows) {
+    const member = await guild.members.fetch(row.user_id).catch(() => null);
+    if (!member) {
+      summary.missing += 1;
+      continue;
+    }
+    summary.checked += 1;
+    const res = await applyRoleRewards(member, Number(row.level) || 0, { rewards, mode });
+    if (res.added.length || res.removed.length) summary.updated += 1;
+    summary.added += res.added.length;
+    summary.removed += res.removed.length;
+    for (const b of res.blocked) summary.blocked.set(b.roleId, b.reason);
+  }
+  REWARDS_TAG.info(`sync guild=${guild.id} checked=${summary.checked} updated=${summary.updated} missing=${summary.missing}`);
+  return summary;
+}
+
+module.exports = {
+  listRoleRewards,
+  setRoleReward,
+  removeRoleReward,
+  planRoleRewards,
+  roleAssignIssue,
+  applyRoleRewards,
+  syncRoleRewards,
+};
@@ -0,0 +1,84 @@
+/**
+ * Per-guild XP rules. Staff set multipliers on channels (a category's rule covers the channels and
+ * threads inside it) and on roles; a multiplier of 0 means no XP at all. The effective multiplier for
+ * a gain is channel × role × running boost event, where the most specific channel rule wins and the
+ * best role bonus applies (any excluded role blocks XP outright).
+ */
+const { dbAll, dbRun } = require('../db');
+const { getEventMultiplier } = require('../loops/xpEvents');
+
+const RULE_TARGETS = {
+  channel: 'channel',
+  role: 'role',
+};
+
+/** Every rule for a guild as two maps of target ID → multiplier. */
+async function getXpRules(guildId) {
+  const rows = await dbAll('SELECT target_type, target_id, multiplier FROM xp_rules WHERE guild_id=?', [guildId]);
+  const rules = { channels: new Map(), roles: new Map() };
+  for (const r of rows) {
+    (r.target_type === RULE_TARGETS.role ? rules.roles : rules.channels).set(r.target_id, Number(r.multiplier));
+  }
+  return rules;
+}
+
+/**
+ * Stores a multiplier for a channel or role. A multiplier of exactly 1 is the default, so it removes
+ * the rule instead. Returns whether a rule is now stored.
+ */
+async function setXpRule(guildId, targetType, targetId, multiplier, updatedBy) {
+  if (multiplier === 1) {
+    await dbRun('DELETE FROM xp_rules WHERE guild_id=? AND target_type=? AND target_id=?', [guildId, targetType, targetId]);
+    return false;
+  }
+  await dbRun(
+    `INSERT INTO xp_rules (guild_id, target_type, target_id, multiplier, updated_by, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE multiplier=VALUES(multiplier), updated_by=VALUES(updated_by), updated_at=VALUES(updated_at)`,
+    [guildId, targetType, targetId, multiplier, updatedBy, Math.floor(Date.now() / 1000)]
+  );
+  return true;
+}
+
+/**
+ * Combines rule multipliers for one gain.
+ *
+ * @param {{ channels: Map<string, number>, roles: Map<string, number> }} rules
+ * @param {string[]} channelChain - The channel, then its parent(s), most specific first.
+ * @param {string[]} roleIds - Roles held by the member.
+ * @param {number} [eventMultiplier]
+ * @returns {number}
+ */
+function combineXpMultipliers(rules, channelChain, roleIds, eventMultiplier = 1) {
+  const channelId = channelChain.find(id => id && rules.channels.has(id));
+  const channel = channelId ? rules.channels.get(channelId) : 1;
+  const roleValues = roleIds.filter(id => rules.roles.has(id)).map(id => rules.roles.get(id));
+  let role = 1;
+  if (roleValues.length) role = roleValues.includes(0) ? 0 : Math.max(...roleValues);
+  return channel * role * eventMultiplier;
+}
+
+/** A channel followed by its parent thread channel and category, for rule lookups. */
+function channelChainOf(channel) {
+  if (!channel) return [];
+  return [channel.id, channel.parentId, channel.parent?.parentId].filter(Boolean);
+}
+
+/**
+ * Effective XP multiplier for a member earning in a channel, including any running boost event.
+ *
+ * @param {import('discord.js').GuildMember|null} member
+ * @param {import('discord.js').GuildBasedChannel|null} channel
+ */
+async function getXpMultiplier(guildId, member, channel) {
+  const rules = await getXpRules(guildId);
+  const roleIds = member?.roles?.cache ? [...member.roles.cache.keys()] : [];
+  return combineXpMultipliers(rules, channelChainOf(channel), roleIds, await getEventMultiplier(guildId));
+}
+
+module.exports = {
+  RULE_TARGETS,
+  getXpRules,
+  setXpRule,
+  combineXpMultipliers,
+  getXpMultiplier,
+};
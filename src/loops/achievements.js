@@ -13,9 +13,7 @@ const {
   RECENT_LIMIT,
   SEED_ON_FIRST_RUN,
   SEED_IF_ZERO,
-  BACKFILL_LIMIT,
   DEFAULT_ACH_MARKS,
-  RARE_PCT,
   STEAM_COLOR,
 } = require('../config');
 const { CHANNEL_KINDS, getAnnouncementChannel, getConfiguredGuildIds, hasBotPerms } = require('../discord/channels');
@@ -27,7 +25,10 @@ const {
   getGlobalRarity,
 } = require('../steam/api');
 const { upsertAchievementStats } = require('./leaderboard');
+const { getRaceAppidsForMember, recordRaceProgress } = require('./races');
+const { trackPerfectGame, isPerfectGame } = require('./perfects');
 const { makeProgressBar } = require('../utils/text');
+const { getGuildSetting, isGuildPollDue } = require('../settings');
 
 const pLimit = typeof pLimitImport === 'function' ? pLimitImport : pLimitImport.default;
 const limiter = pLimit(CONCURRENCY);
@@ -58,6 +59,7 @@ async function monitorAchievements() {
   for (const gid of guildIds) {
     const guild = client.guilds.cache.get(gid);
     if (!guild) { log.tag('ACH').warn(`guild missing cache: ${gid}`); continue; }
+    if (!(await isGuildPollDue('achievements', gid, 'poll_seconds'))) continue;
 
     const channel = await getAnnouncementChannel(guild, CHANNEL_KINDS.ACHIEVEMENTS);
     if (!channel) { log.tag('ACH').warn(`no achievements channel set for guild=${gid}`); continue; }
@@ -71,7 +73,9 @@ async function monitorAchievements() {
       try { await guild.members.fetch({ user: user_id }).catch(() => {}); } catch {}
       let recent = [];
       try { recent = (await getRecentlyPlayed(steam_id)).slice(0, RECENT_LIMIT).map(x => x.appid); } catch { recent = []; }
-      const appids = Array.from(new Set(recent));
+      // Race games are always checked so entrants keep scoring even if Steam's recent list lags.
+      const raceApps = await getRaceAppidsForMember(gid, user_id);
+      const appids = Array.from(new Set([...recent, ...raceApps]));
       for (const appid of appids) {
         await achCheckOne(guild, channel, user_id, steam_id, appid);
       }
@@ -97,6 +101,7 @@ async function achCheckOne(guild, channel, userId, steamId, appid) {
   try { achievements = await getPlayerAchievements(steamId, appid); }
   catch (e) { tag.warn(`GetPlayerAchievements failed: ${e?.message}`); tw.end(); return; }
   if (!achievements.length) { tw.end(); return; }
+  await recordRaceProgress(guild.id, userId, appid, achievements);
 
   if ((!hadWatermark && SEED_ON_FIRST_RUN) || (hadWatermark && lastUnlock === 0 && SEED_IF_ZERO)) {
     const latest = achievements.filter(a => a.achieved).reduce((m, a) => Math.max(m, a.unlocktime || 0), 0);
@@ -108,6 +113,8 @@ async function achCheckOne(guild, channel, userId, steamId, appid) {
     const totalAch = schema?.availableGameStats?.achievements?.length || 0;
     const unlockedCountNow = achievements.filter(x => x.achieved).length;
     await upsertAchievementStats(guild.id, userId, appid, unlockedCountNow, totalAch);
+    const gameName = schema?.gameName || schema?.game?.gameName || await getAppNameCached(appid);
+    await trackPerfectGame(guild, userId, appid, { achievements, schema, gameName, totalAch, announce: false });
     return;
   }
 
@@ -118,22 +125,28 @@ async function achCheckOne(guild, channel, userId, steamId, appid) {
   const unlockedCountNow = achievements.filter(x => x.achieved).length;
 
   await upsertAchievementStats(guild.id, userId, appid, unlockedCountNow, totalAch);
-  if (!newly.length) { tw.end(); return; }
+  if (!newly.length) {
+    // Completions without new unlocks predate tracking, so they are recorded without an announcement.
+    await trackPerfectGame(guild, userId, appid, { achievements, schema, gameName, totalAch, announce: false });
+    tw.end(); return;
+  }
 
+  const backfillLimit = await getGuildSetting(guild.id, 'backfill_limit');
+  const rarePct = await getGuildSetting(guild.id, 'rare_pct');
   const progressPct = totalAch ? ((unlockedCountNow / totalAch) * 100).toFixed(0) : null;
   const progressLine = totalAch ? `${unlockedCountNow}/${totalAch} (${progressPct}%)` : null;
   const progressBar  = totalAch ? makeProgressBar(unlockedCountNow, totalAch, 12) : null;
   const rarityMap = await getGlobalRarity(appid);
 
-  if (BACKFILL_LIMIT > 0 && newly.length > BACKFILL_LIMIT) {
+  if (backfillLimit > 0 && newly.length > backfillLimit) {
     const latestUnlock = newly[newly.length - 1].unlocktime;
-    const subset = newly.slice(-BACKFILL_LIMIT);
+    const subset = newly.slice(-backfillLimit);
     const lines = subset.map(a => {
       const meta = findAchievementMeta(schema, a.apiName);
       const title = meta?.displayName || a.apiName;
       const d = new Date(a.unlocktime * 1000).toLocaleString();
       const pct = rarityMap.get(a.apiName);
-      const rare = (pct!=null && pct<=RARE_PCT) ? ` • ✨ ${pct.toFixed(2)}%` : '';
+      const rare = (pct!=null && pct<=rarePct) ? ` • ✨ ${pct.toFixed(2)}%` : '';
       return `• **${title}**${rare} — ${d}`;
     }).join('\n');
     const extra = newly.length - subset.length;
@@ -148,6 +161,7 @@ async function achCheckOne(guild, channel, userId, steamId, appid) {
 
     await channel.send({ content: `<@${userId}>`, embeds: [embed] });
     await dbRun('INSERT INTO watermarks (guild_id, user_id, appid, last_unlock) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE last_unlock=VALUES(last_unlock)', [guild.id, userId, appid, latestUnlock]);
+    await trackPerfectGame(guild, userId, appid, { achievements, schema, gameName, totalAch, announce: true });
     await maybeAnnounceAchMilestone(guild, userId, appid, gameName, totalAch, unlockedCountNow, channel, progressBar);
     tw.end(); return;
   }
@@ -158,7 +172,7 @@ async function achCheckOne(guild, channel, userId, steamId, appid) {
     const desc  = meta?.description || 'Achievement unlocked!';
     const icon  = meta?.icon || null;
     const pct   = rarityMap.get(a.apiName);
-    const rareBadge = (pct!=null && pct<=RARE_PCT) ? ` ✨ (${pct.toFixed(2)}% global)` : '';
+    const rareBadge = (pct!=null && pct<=rarePct) ? ` ✨ (${pct.toFixed(2)}% global)` : '';
 
     const embed = new EmbedBuilder()
       .setColor(STEAM_COLOR)
@@ -180,6 +194,8 @@ async function achCheckOne(guild, channel, userId, steamId, appid) {
     await dbRun('INSERT INTO watermarks (guild_id, user_id, appid, last_unlock) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE last_unlock=VALUES(last_unlock)', [guild.id, userId, appid, a.unlocktime]);
   }
 
+  // After the unlocks so the final achievement is posted before the Perfect Game embed.
+  await trackPerfectGame(guild, userId, appid, { achievements, schema, gameName, totalAch, announce: true });
   await maybeAnnounceAchMilestone(guild, userId, appid, gameName, totalAch, unlockedCountNow, channel, progressBar);
   tw.end();
 }
@@ -198,7 +214,8 @@ function findAchievementMeta(schema, apiName) {
 
 /**
  * Announces percentage milestones (e.g. 25%, 50%). The milestone configuration lives in the
- * environment so communities can adjust how frequently they receive updates.
+ * environment so communities can adjust how frequently they receive updates. A 100% mark is left to
+ * the Perfect Game announcement.
  */
 async function maybeAnnounceAchMilestone(guild, userId, appid, gameName, totalAch, unlockedCountNow, channel, bar) {
   if (!totalAch) return;
@@ -210,6 +227,7 @@ async function maybeAnnounceAchMilestone(guild, userId, appid, gameName, totalAc
   const hit = marks[marks.length-1];
 
   await dbRun('INSERT INTO ach_progress_marks (guild_id, user_id, appid, last_pct) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE last_pct=VALUES(last_pct)', [guild.id, userId, appid, hit]);
+  if (hit >= 100 && await isPerfectGame(guild.id, userId, appid)) return;
 
   const achChannel = await getAnnouncementChannel(guild, CHANNEL_KINDS.ACHIEVEMENTS);
   if (!achChannel) return;
@@ -1,15 +1,25 @@
 /**
- * Maintains a persistent leaderboard message per guild that highlights top playtime, achievements,
- * and new game additions. Stats are aggregated from the shared `user_game_stats` table which is fed
- * by other loops (achievements, owned games, etc.).
+ * Maintains a persistent leaderboard message per guild with per-category rankings (playtime,
+ * achievements, new games, XP, completion rate) that members can page through privately. Stats are
+ * aggregated from the shared `user_game_stats` table which is fed by other loops (achievements, owned
+ * games, etc.).
  */
-const { EmbedBuilder } = require('discord.js');
-const { dbRun, dbGet, dbAll } = require('../db');
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+} = require('discord.js');
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../db');
 const { log, time } = require('../logger');
 const { client } = require('../discord/client');
 const { STEAM_COLOR, LEADERBOARD_POLL_MS } = require('../config');
 const { CHANNEL_KINDS, getAnnouncementChannel, getConfiguredGuildIds } = require('../discord/channels');
 const { hours } = require('../utils/text');
+const { isGuildPollDue, getGuildSetting } = require('../settings');
+const { getAppNameCached } = require('../steam/api');
+const { renderCardAttachment } = require('../discord/cards');
 
 /**
  * Persists playtime statistics for a given user/app combination. Values are clamped to zero to avoid
@@ -85,14 +95,352 @@ async function ensureLeaderboardMessage(guild, targetChannel = null) {
   return { channel: ch, messageId: row.message_id };
 }
 
+const LB_PAGE_SIZE = 10;
+const NEW_GAMES_WINDOW_DAYS = 30;
+// Completion rate only ranks members with enough tracked achievements for the ratio to mean something.
+const COMPLETION_MIN_ACHIEVEMENTS = 50;
+
+/**
+ * Leaderboard categories in menu order. Each query returns `{ user_id, value }` rows, best first.
+ */
+const LEADERBOARD_CATEGORIES = {
+  lifetime: {
+    label: 'Lifetime playtime',
+    emoji: '🏆',
+    format: v => `${hours(v)}h`,
+    query: gid => dbAll('SELECT user_id, SUM(playtime_total_min) AS value FROM user_game_stats WHERE guild_id=? GROUP BY user_id HAVING value>0 ORDER BY value DESC, user_id', [gid]),
+  },
+  twoweek: {
+    label: '2-week playtime',
+    emoji: '⏱️',
+    format: v => `${hours(v)}h`,
+    query: gid => dbAll('SELECT user_id, SUM(playtime_2w_min) AS value FROM user_game_stats WHERE guild_id=? GROUP BY user_id HAVING value>0 ORDER BY value DESC, user_id', [gid]),
+  },
+  achievements: {
+    label: 'Achievements unlocked',
+    emoji: '🎯',
+    format: v => `${v}`,
+    query: gid => dbAll('SELECT user_id, SUM(ach_unlocked) AS value FROM user_game_stats WHERE guild_id=? GROUP BY user_id HAVING value>0 ORDER BY value DESC, user_id', [gid]),
+  },
+  newgames: {
+    label: `New games (last ${NEW_GAMES_WINDOW_DAYS}d)`,
+    emoji: '🆕',
+    format: v => `${v}`,
+    query: gid => dbAll(
+      'SELECT user_id, COUNT(*) AS value FROM owned_seen WHERE guild_id=? AND first_seen>=? AND seeded=0 GROUP BY user_id HAVING value>0 ORDER BY value DESC, user_id',
+      [gid, Math.floor(Date.now()/1000) - NEW_GAMES_WINDOW_DAYS*86400]
+    ),
+  },
+  xp: {
+    label: 'Server XP',
+    emoji: '✨',
+    format: v => `${v} XP`,
+    query: gid => dbAll('SELECT user_id, xp AS value FROM xp_progress WHERE guild_id=? AND xp>0 ORDER BY xp DESC, user_id', [gid]),
+  },
+  completion: {
+    label: 'Completion rate',
+    emoji: '💯',
+    format: v => `${(v * 100).toFixed(1)}%`,
+    query: gid => dbAll(
+      `SELECT user_id, SUM(ach_unlocked) * 1.0 / SUM(ach_total) AS value FROM user_game_stats
+        WHERE guild_id=? AND ach_total>0 GROUP BY user_id HAVING SUM(ach_total)>=? AND value>0 ORDER BY value DESC, user_id`,
+      [gid, COMPLETION_MIN_ACHIEVEMENTS]
+    ),
+  },
+};
+const DEFAULT_CATEGORY = 'lifetime';
+
+/** Movement marker comparing a standing with the one from the previous refresh. */
+function rankMovement(standing, prevStanding) {
+  if (prevStanding == null) return '🆕';
+  if (prevStanding > standing) return `▲${prevStanding - standing}`;
+  if (prevStanding < standing) return `▼${standing - prevStanding}`;
+  return '▬';
+}
+
+/** Zero-based page that holds a 1-based standing. */
+function pageForStanding(standing) {
+  return Math.floor((standing - 1) / LB_PAGE_SIZE);
+}
+
+/**
+ * Recomputes one category and stores the full ranking, carrying each member's old standing along.
+ * The first ranking for a category is stored as unchanged rather than marking everyone as new.
+ */
+async function storeCategoryRanks(gid, category) {
+  const rows = await LEADERBOARD_CATEGORIES[category].query(gid);
+  const previous = await dbAll('SELECT user_id, standing FROM leaderboard_ranks WHERE guild_id=? AND category=?', [gid, category]);
+  const prevByUser = new Map(previous.map(r => [r.user_id, Number(r.standing)]));
+  const seeding = previous.length === 0;
+  const now = Math.floor(Date.now()/1000);
+
+  // Replace the ranking in one transaction so a concurrent view never reads an empty or partial board.
+  await dbTransaction(async () => {
+    await dbRun('DELETE FROM leaderboard_ranks WHERE guild_id=? AND category=?', [gid, category]);
+    for (let i = 0; i < rows.length; i += 200) {
+      const chunk = rows.slice(i, i + 200).map((r, j) => {
+        const standing = i + j + 1;
+        return [gid, category, r.user_id, standing, seeding ? standing : (prevByUser.get(r.user_id) ?? null), Number(r.value), now];
+      });
+      await dbRun(
+        `INSERT INTO leaderboard_ranks (guild_id, category, user_id, standing, prev_standing, value, updated_at) VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+        chunk.flat()
+      );
+    }
+  });
+}
+
+/**
+ * Renders one page of a category from the stored ranking, with the category menu and page buttons.
+ * `scope` is `s` on the shared message (clicks open a private view) and `v` inside a private view
+ * (clicks update it in place).
+ */
+async function buildLeaderboardView(gid, category, page, { scope = 's', viewerId = null, note = null } = {}) {
+  const cat = LEADERBOARD_CATEGORIES[category] ? category : DEFAULT_CATEGORY;
+  const def = LEADERBOARD_CATEGORIES[cat];
+  const totalRow = await dbGet('SELECT COUNT(*) AS c, MAX(updated_at) AS updated_at FROM leaderboard_ranks WHERE guild_id=? AND category=?', [gid, cat]);
+  const total = Number(totalRow?.c || 0);
+  const totalPages = Math.max(1, Math.ceil(total / LB_PAGE_SIZE));
+  const current = Math.min(Math.max(0, page), totalPages - 1);
+  const rows = await dbAll(
+    'SELECT user_id, standing, prev_standing, value FROM leaderboard_ranks WHERE guild_id=? AND category=? ORDER BY standing LIMIT ? OFFSET ?',
+    [gid, cat, LB_PAGE_SIZE, current * LB_PAGE_SIZE]
+  );
+
+  const lines = rows.map(r => {
+    const line = `${r.standing}. ${rankMovement(Number(r.standing), r.prev_standing == null ? null : Number(r.prev_standing))} <@${r.user_id}> — ${def.format(Number(r.value))}`;
+    return r.user_id === viewerId ? `**${line}**` : line;
+  });
+  const updated = totalRow?.updated_at ? `Updated <t:${totalRow.updated_at}:R>` : 'Collecting stats…';
+  const embed = new EmbedBuilder()
+    .setColor(STEAM_COLOR)
+    .setTitle(`${def.emoji} Steam Leaderboard — ${def.label}`)
+    .setDescription([note, lines.join('\n') || '_No data yet_', '', updated].filter(v => v != null).join('\n'))
+    .setFooter({ text: `Page ${current + 1}/${totalPages} • ${total} ranked • arrows compare with the previous refresh` })
+    .setTimestamp(new Date());
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`lb_cat:${scope}`)
+    .setPlaceholder('Category')
+    .addOptions(Object.entries(LEADERBOARD_CATEGORIES).map(([value, c]) => ({
+      label: c.label, value, emoji: c.emoji, default: value === cat,
+    })));
+  const buttons = [
+    new ButtonBuilder().setCustomId(`lb_page:${cat}:${current - 1}:${scope}`).setLabel('◀️ Prev').setStyle(ButtonStyle.Primary).setDisabled(current <= 0),
+    new ButtonBuilder().setCustomId(`lb_page:${cat}:${current + 1}:${scope}`).setLabel('Next ▶️').setStyle(ButtonStyle.Primary).setDisabled(current >= totalPages - 1),
+    new ButtonBuilder().setCustomId(`lb_me:${cat}:${scope}`).setLabel('📍 My rank').setStyle(ButtonStyle.Secondary),
+  ];
+  return {
+    embeds: [embed],
+    components: [
+      new ActionRowBuilder().addComponents(menu),
+      new ActionRowBuilder().addComponents(...buttons),
+    ],
+  };
+}
+
+/**
+ * Rank card for the 📍 My rank view: the member's standing and score in one category over their
+ * most-played game, with a bar showing how close they are to the member ranked above.
+ */
+async function buildCategoryCard(gid, category, user, mine) {
+  const def = LEADERBOARD_CATEGORIES[category];
+  const standing = Number(mine.standing);
+  const value = Number(mine.value);
+  const above = standing > 1
+    ? await dbGet('SELECT value FROM leaderboard_ranks WHERE guild_id=? AND category=? AND standing=?', [gid, category, standing - 1])
+    : null;
+  const target = above ? Number(above.value) : value;
+  const topGame = await getTopGame(gid, user.id);
+  return renderCardAttachment({
+    title: user.globalName || user.username,
+    subtitle: def.label,
+    avatarUrl: user.displayAvatarURL({ extension: 'png', size: 256 }),
+    backgroundAppid: topGame?.appid,
+    highlights: [
+      { label: 'Rank', value: `#${standing}` },
+      { label: 'Score', value: def.format(value) },
+    ],
+    progress: {
+      current: value,
+      total: target,
+      label: above ? `${def.format(target - value)} behind #${standing - 1}` : 'Top of the board',
+    },
+  }, 'rank.png');
+}
+
+/**
+ * Handles the leaderboard's category menu and buttons. Returns false for unrelated interactions so
+ * the caller can keep routing them.
+ */
+async function handleLeaderboardInteraction(interaction) {
+  const id = interaction.customId || '';
+  const [kind, ...args] = id.split(':');
+  if (!['lb_cat', 'lb_page', 'lb_me'].includes(kind)) return false;
+  if (!interaction.guildId) return true;
+
+  const viewerId = interaction.user.id;
+  let category = DEFAULT_CATEGORY;
+  let page = 0;
+  let scope = 's';
+  let note = null;
+  let mine = null;
+  if (kind === 'lb_cat') {
+    [scope] = args;
+    category = interaction.values?.[0] || DEFAULT_CATEGORY;
+  } else if (kind === 'lb_page') {
+    [category, , scope] = args;
+    page = Number.parseInt(args[1], 10) || 0;
+  } else {
+    [category, scope] = args;
+    mine = await dbGet('SELECT standing, value FROM leaderboard_ranks WHERE guild_id=? AND category=? AND user_id=?', [interaction.guildId, category, viewerId]);
+    if (mine) page = pageForStanding(Number(mine.standing));
+    else note = '_You are not ranked in this category yet._';
+  }
+
+  const view = await buildLeaderboardView(interaction.guildId, category, page, { scope: 'v', viewerId, note });
+  log.tag('LB').debug(`view user=${viewerId} guild=${interaction.guildId} ${kind} ${category} p=${page}`);
+  const withCard = !!mine && !!LEADERBOARD_CATEGORIES[category] && await getGuildSetting(interaction.guildId, 'image_cards');
+  if (!withCard) {
+    // Private views are edited in place, so drop the card left by a previous 📍 My rank click.
+    if (scope === 'v') await interaction.update({ ...view, attachments: [] });
+    else await interaction.reply({ ...view, ephemeral: true });
+    return true;
+  }
+
+  // Fetching art and drawing can outlast the interaction deadline, so acknowledge first.
+  if (scope === 'v') await interaction.deferUpdate();
+  else await interaction.deferReply({ ephemeral: true });
+  const card = await buildCategoryCard(interaction.guildId, category, interaction.user, mine);
+  if (card) {
+    view.files = [card];
+    view.embeds[0].setImage('attachment://rank.png');
+  }
+  await interaction.editReply({ ...view, attachments: [] });
+  return true;
+}
+
+/** A member's most-played game by lifetime playtime, or `null` before any playtime is tracked. */
+async function getTopGame(gid, uid) {
+  const row = await dbGet(
+    `SELECT s.appid, n.name FROM user_game_stats s LEFT JOIN app_names n ON n.appid = s.appid
+      WHERE s.guild_id=? AND s.user_id=? AND s.playtime_total_min>0 ORDER BY s.playtime_total_min DESC LIMIT 1`,
+    [gid, uid]
+  );
+  return row || null;
+}
+
+const GAME_BOARD_LIMIT = 10;
+
 /**
- * Rebuilds the leaderboard embeds for every configured guild by aggregating stats from the database.
+ * Top members for one game: most hours, most achievements, and highest completion. Completion only
+ * counts members who have unlocked at least one achievement.
+ */
+async function getGameStandings(gid, appid) {
+  const playtime = await dbAll(
+    'SELECT user_id, playtime_total_min AS value FROM user_game_stats WHERE guild_id=? AND appid=? AND playtime_total_min>0 ORDER BY playtime_total_min DESC, user_id LIMIT ?',
+    [gid, appid, GAME_BOARD_LIMIT]
+  );
+  const achievements = await dbAll(
+    'SELECT user_id, ach_unlocked AS value, ach_total AS total FROM user_game_stats WHERE guild_id=? AND appid=? AND ach_unlocked>0 ORDER BY ach_unlocked DESC, user_id LIMIT ?',
+    [gid, appid, GAME_BOARD_LIMIT]
+  );
+  const completion = await dbAll(
+    `SELECT user_id, ach_unlocked * 1.0 / ach_total AS value FROM user_game_stats
+      WHERE guild_id=? AND appid=? AND ach_total>0 AND ach_unlocked>0 ORDER BY value DESC, ach_unlocked DESC, user_id LIMIT ?`,
+    [gid, appid, GAME_BOARD_LIMIT]
+  );
+  const totals = await dbGet('SELECT MAX(ach_total) AS ach_total FROM user_game_stats WHERE guild_id=? AND appid=?', [gid, appid]);
+  return { playtime, achievements, completion, achTotal: Number(totals?.ach_total || 0) };
+}
+
+/** Renders the per-game board for `/top` and pinned game boards. */
+async function buildGameBoardEmbed(gid, appid, { pinned = false } = {}) {
+  const name = await getAppNameCached(appid);
+  const { playtime, achievements, completion, achTotal } = await getGameStandings(gid, appid);
+  const fmtList = (rows, fmtVal) => rows.length ? rows.map((r, i) => `${i + 1}. <@${r.user_id}> — ${fmtVal(r)}`).join('\n') : '_No data yet_';
+  const noAchievements = '_This game has no tracked achievements_';
+  return new EmbedBuilder()
+    .setColor(STEAM_COLOR)
+    .setTitle(`🎮 ${name} — server top`)
+    .setURL(`https://store.steampowered.com/app/${appid}/`)
+    .addFields(
+      { name: '🏆 Most hours', value: fmtList(playtime, r => `${hours(r.value)}h`), inline: false },
+      { name: '🎯 Most achievements', value: achTotal ? fmtList(achievements, r => `${r.value}/${r.total}`) : noAchievements, inline: false },
+      { name: '💯 Highest completion', value: achTotal ? fmtList(completion, r => `${(Number(r.value) * 100).toFixed(1)}%`) : noAchievements, inline: false },
+    )
+    .setFooter({ text: pinned ? 'Auto-updates with the leaderboard' : `App ${appid}` })
+    .setTimestamp(new Date());
+}
+
+/**
+ * Pins (or moves) a persistent board for one game. An existing board for the game in another
+ * channel is deleted first.
+ */
+async function pinGameBoard(guild, appid, channel, pinnedBy) {
+  const row = await dbGet('SELECT channel_id, message_id FROM game_boards WHERE guild_id=? AND appid=?', [guild.id, appid]);
+  if (row) await deleteBoardMessage(row);
+  const msg = await channel.send({ embeds: [await buildGameBoardEmbed(guild.id, appid, { pinned: true })] });
+  await dbRun(
+    `INSERT INTO game_boards (guild_id, appid, channel_id, message_id, pinned_by, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE channel_id=VALUES(channel_id), message_id=VALUES(message_id), pinned_by=VALUES(pinned_by), updated_at=VALUES(updated_at)`,
+    [guild.id, appid, channel.id, msg.id, pinnedBy, Math.floor(Date.now()/1000)]
+  );
+  return msg;
+}
+
+/** Removes a pinned game board. Returns false when the game has no board in the guild. */
+async function unpinGameBoard(guild, appid) {
+  const row = await dbGet('SELECT channel_id, message_id FROM game_boards WHERE guild_id=? AND appid=?', [guild.id, appid]);
+  if (!row) return false;
+  await deleteBoardMessage(row);
+  await dbRun('DELETE FROM game_boards WHERE guild_id=? AND appid=?', [guild.id, appid]);
+  return true;
+}
+
+/** Best-effort removal of a stored board message; the channel or message may already be gone. */
+async function deleteBoardMessage(row) {
+  try {
+    const oldCh = await client.channels.fetch(row.channel_id).catch(()=>null);
+    if (oldCh) {
+      const oldMsg = await oldCh.messages.fetch(row.message_id).catch(()=>null);
+      if (oldMsg) await oldMsg.delete().catch(()=>{});
+    }
+  } catch {}
+}
+
+/** Rewrites every pinned game board in a guild, re-posting boards whose message was deleted. */
+async function refreshGameBoards(gid) {
+  const boards = await dbAll('SELECT appid, channel_id, message_id FROM game_boards WHERE guild_id=?', [gid]);
+  for (const board of boards) {
+    try {
+      const channel = await client.channels.fetch(board.channel_id).catch(()=>null);
+      if (!channel) continue;
+      const embed = await buildGameBoardEmbed(gid, board.appid, { pinned: true });
+      const msg = await channel.messages.fetch(board.message_id).catch(()=>null);
+      if (msg) await msg.edit({ embeds: [embed] });
+      else {
+        const newMsg = await channel.send({ embeds: [embed] });
+        await dbRun('UPDATE game_boards SET message_id=?, updated_at=? WHERE guild_id=? AND appid=?', [newMsg.id, Math.floor(Date.now()/1000), gid, board.appid]);
+      }
+    } catch (e) {
+      log.tag('LB').warn(`game board failed guild=${gid} appid=${board.appid}: ${e?.message}`);
+    }
+  }
+}
+
+/**
+ * Re-ranks every category for each configured guild, rewrites the shared leaderboard message with the
+ * first page of the default category, and refreshes pinned per-game boards.
  */
 async function refreshLeaderboards() {
   const guildIds = await getConfiguredGuildIds();
   for (const gid of guildIds) {
     const guild = client.guilds.cache.get(gid);
     if (!guild) continue;
+    if (!(await isGuildPollDue('leaderboard', gid, 'leaderboard_poll_seconds'))) continue;
+
+    await refreshGameBoards(gid);
 
     const lbChannelConfigured = await getAnnouncementChannel(guild, CHANNEL_KINDS.LEADERBOARD);
     if (!lbChannelConfigured) continue;
@@ -103,32 +451,17 @@ async function refreshLeaderboards() {
     const { channel, messageId } = holder;
 
     // Guild-scoped aggregations rely on idx_user_game_stats_guild_id for efficient grouping.
-    const topLife = await dbAll(`SELECT user_id, SUM(playtime_total_min) as m FROM user_game_stats WHERE guild_id=? GROUP BY user_id HAVING m>0 ORDER BY m DESC LIMIT 10`, [gid]);
-    const top2w  = await dbAll(`SELECT user_id, SUM(playtime_2w_min) as m FROM user_game_stats WHERE guild_id=? GROUP BY user_id HAVING m>0 ORDER BY m DESC LIMIT 10`, [gid]);
-    const topAch = await dbAll(`SELECT user_id, SUM(ach_unlocked) as a FROM user_game_stats WHERE guild_id=? GROUP BY user_id HAVING a>0 ORDER BY a DESC LIMIT 10`, [gid]);
-    const since = Math.floor(Date.now()/1000) - 30*86400;
-    const topAdds = await dbAll(`SELECT user_id, COUNT(*) as c FROM owned_seen WHERE guild_id=? AND first_seen>=? AND seeded=0 GROUP BY user_id HAVING c>0 ORDER BY c DESC LIMIT 10`, [gid, since]);
-
-    const fmtList = (rows, fmtVal) => rows.length ? rows.map((r,i)=> `${i+1}. <@${r.user_id}> — ${fmtVal(r)}`).join('\n') : '_No data yet_';
-
-    const embed = new EmbedBuilder()
-      .setColor(STEAM_COLOR)
-      .setTitle('Steam Leaderboard')
-      .setDescription('_Top 10 across linked accounts here._')
-      .addFields(
-        { name: '🏆 Lifetime Playtime (hours)', value: fmtList(topLife, r => `${hours(r.m)}h`), inline: false },
-        { name: '⏱️ 2-Week Playtime (hours)', value: fmtList(top2w, r => `${hours(r.m)}h`), inline: false },
-        { name: '🎯 Achievements Unlocked (total)', value: fmtList(topAch, r => `${r.a}`), inline: false },
-        { name: '🆕 New Games Added (last 30d)', value: fmtList(topAdds, r => `${r.c}`), inline: false },
-      )
-      .setFooter({ text: 'Auto-updates' })
-      .setTimestamp(new Date());
+    for (const category of Object.keys(LEADERBOARD_CATEGORIES)) {
+      try { await storeCategoryRanks(gid, category); }
+      catch (e) { log.tag('LB').warn(`ranking failed guild=${gid} category=${category}: ${e?.message}`); }
+    }
+    const view = await buildLeaderboardView(gid, DEFAULT_CATEGORY, 0);
 
     try {
       const msg = await channel.messages.fetch(messageId).catch(()=>null);
-      if (msg) await msg.edit({ embeds: [embed] });
+      if (msg) await msg.edit(view);
       else {
-        const newMsg = await channel.send({ embeds: [embed] });
+        const newMsg = await channel.send(view);
         await dbRun('UPDATE leaderboard_msgs SET message_id=?, channel_id=?, updated_at=? WHERE guild_id=?', [newMsg.id, channel.id, Math.floor(Date.now()/1000), gid]);
       }
     } catch (e) {
@@ -155,6 +488,15 @@ module.exports = {
   upsertPlaytimeStats,
   upsertAchievementStats,
   ensureLeaderboardMessage,
+  LEADERBOARD_CATEGORIES,
+  rankMovement,
+  pageForStanding,
+  buildLeaderboardView,
+  handleLeaderboardInteraction,
+  getTopGame,
+  buildGameBoardEmbed,
+  pinGameBoard,
+  unpinGameBoard,
   refreshLeaderboards,
   scheduleLeaderboardLoop,
 };
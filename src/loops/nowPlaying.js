@@ -8,15 +8,14 @@ const { dbAll, dbRun } = require('../db');
 const { client } = require('../discord/client');
 const {
   NOWPLAYING_POLL_MS,
-  NOWPLAYING_CONFIRM_SECONDS,
   NOWPLAYING_IDLE_TIMEOUT_SECONDS,
-  SESSION_MIN_MINUTES,
   NOWPLAYING_SEED_ON_FIRST_RUN,
   STEAM_COLOR,
 } = require('../config');
 const { CHANNEL_KINDS, getAnnouncementChannel, getConfiguredGuildIds, hasBotPerms } = require('../discord/channels');
 const { getCurrentGame, getAppNameCached } = require('../steam/api');
 const { fmtDuration } = require('../utils/text');
+const { getGuildSetting, isGuildPollDue } = require('../settings');
 
 /**
  * Schedules the now-playing poll. Passing `runNow` forces an initial run immediately after startup.
@@ -43,6 +42,7 @@ async function monitorNowPlaying() {
   for (const gid of guildIds) {
     const guild = client.guilds.cache.get(gid);
     if (!guild) { log.tag('NOW').warn(`guild missing cache: ${gid}`); continue; }
+    if (!(await isGuildPollDue('nowplaying', gid, 'nowplaying_poll_seconds'))) continue;
 
     const channel = await getAnnouncementChannel(guild, CHANNEL_KINDS.NOW_PLAYING);
     if (!channel) continue;
@@ -52,6 +52,11 @@ async function monitorNowPlaying() {
     const members = await dbAll('SELECT user_id, steam_id FROM links WHERE guild_id=?', [gid]);
     if (!members.length) continue;
 
+    const confirmSeconds = await getGuildSetting(gid, 'nowplaying_confirm_seconds');
+    const sessionMinMinutes = await getGuildSetting(gid, 'session_min_minutes');
+    // A slower guild poll needs a longer idle window, otherwise every session would look abandoned.
+    const idleTimeoutSeconds = Math.max(NOWPLAYING_IDLE_TIMEOUT_SECONDS, (await getGuildSetting(gid, 'nowplaying_poll_seconds')) + 30);
+
     for (const { user_id, steam_id } of members) {
       const now = Math.floor(Date.now() / 1000);
       let current = null;
@@ -68,7 +73,7 @@ async function monitorNowPlaying() {
           await dbRun('INSERT INTO nowplaying_state (guild_id, user_id, appid, name, started_at, last_seen_at, announced) VALUES (?, ?, ?, ?, ?, ?, ?)', [gid, user_id, current.appid, current.name, now, now, seedAnnounced ? 1 : 0]);
         } else {
           await dbRun('UPDATE nowplaying_state SET name=?, last_seen_at=? WHERE guild_id=? AND user_id=? AND appid=?', [current.name, now, gid, user_id, current.appid]);
-          if (!st.announced && (now - Number(st.started_at)) >= NOWPLAYING_CONFIRM_SECONDS) {
+          if (!st.announced && (now - Number(st.started_at)) >= confirmSeconds) {
             const embed = new EmbedBuilder()
               .setColor(STEAM_COLOR)
               .setTitle(`Now Playing: ${current.name}`)
@@ -84,9 +89,9 @@ async function monitorNowPlaying() {
       for (const s of states) {
         const stillCurrent = current && current.appid === s.appid;
         if (stillCurrent) continue;
-        if (now - Number(s.last_seen_at) >= NOWPLAYING_IDLE_TIMEOUT_SECONDS) {
+        if (now - Number(s.last_seen_at) >= idleTimeoutSeconds) {
           const durationMin = Math.max(0, Math.floor((Number(s.last_seen_at) - Number(s.started_at)) / 60));
-          if (s.announced && durationMin >= SESSION_MIN_MINUTES) {
+          if (s.announced && durationMin >= sessionMinMinutes) {
             const name = await preferRealAppName(s.appid, s.name);
             const embed = new EmbedBuilder()
               .setColor(STEAM_COLOR)
@@ -1,6 +1,7 @@
 /**
  * Detects newly acquired or removed games for linked members and posts announcements to Discord. The
- * loop also keeps the leaderboard stats fresh by updating playtime totals alongside ownership data.
+ * loop also keeps the leaderboard stats fresh by updating playtime totals alongside ownership data and
+ * announces playtime milestones (e.g. 10/25/50/100 hours) as members cross them.
  */
 const { EmbedBuilder } = require('discord.js');
 const { log, time } = require('../logger');
@@ -10,13 +11,16 @@ const {
   OWNED_POLL_MS,
   OWNED_SEED_ON_FIRST,
   OWNED_REMOVAL_GRACE_MIN,
-  OWNED_ANNOUNCE_LIMIT,
+  PLAYTIME_SEED_ON_FIRST_RUN,
+  DEFAULT_PLAYTIME_MARKS,
   STEAM_COLOR,
 } = require('../config');
 const { CHANNEL_KINDS, getAnnouncementChannel, getConfiguredGuildIds, hasBotPerms } = require('../discord/channels');
 const { getOwnedGames, getRecentlyPlayed, getAppNameCached } = require('../steam/api');
 const { upsertPlaytimeStats } = require('./leaderboard');
 const { appIconUrl } = require('../utils/steam');
+const { hours } = require('../utils/text');
+const { getGuildSetting, isGuildPollDue } = require('../settings');
 
 /**
  * Some older accounts add dozens of games at once which looks noisy in Discord. This helper marks the
@@ -41,6 +45,55 @@ async function retroMarkSeededBursts(gid, uid) {
   }
 }
 
+/**
+ * Returns the highest configured playtime mark (in hours) that the given playtime has reached, or 0
+ * when no mark has been crossed yet.
+ */
+function highestPlaytimeMark(totalMin) {
+  const hrs = Math.floor((totalMin || 0) / 60);
+  return DEFAULT_PLAYTIME_MARKS.filter(m => m <= hrs).reduce((max, m) => Math.max(max, m), 0);
+}
+
+/**
+ * Records the current playtime mark for every owned game without announcing anything. Used the first
+ * time a member's library is processed so existing libraries do not flood the milestones channel.
+ */
+async function seedPlaytimeMarks(gid, uid, owned) {
+  for (const gm of owned) {
+    await dbRun(
+      'INSERT IGNORE INTO playtime_marks (guild_id, user_id, appid, last_mark_hours) VALUES (?, ?, ?, ?)',
+      [gid, uid, gm.appid, highestPlaytimeMark(gm.playtime_forever)]
+    );
+  }
+  log.tag('OWNED').info(`seeded playtime_marks user=${uid} count=${owned.length}`);
+}
+
+/**
+ * Announces the highest newly crossed playtime mark for a game. When several marks are crossed
+ * between polls only the largest one is posted, mirroring the achievement milestone behaviour.
+ */
+async function maybeAnnouncePlaytimeMilestone(gid, uid, gm, lastMark, channel) {
+  const hit = highestPlaytimeMark(gm.playtime_forever);
+  if (hit <= lastMark) return;
+
+  await dbRun(
+    'INSERT INTO playtime_marks (guild_id, user_id, appid, last_mark_hours) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE last_mark_hours=VALUES(last_mark_hours)',
+    [gid, uid, gm.appid, hit]
+  );
+
+  const appName = gm.name || await getAppNameCached(gm.appid);
+  const embed = new EmbedBuilder()
+    .setColor(STEAM_COLOR)
+    .setTitle(`Milestone: ${hit}h in ${appName}`)
+    .setDescription(`<@${uid}> has played **${appName}** for **${hit} hours**.`)
+    .addFields({ name: 'Total Playtime', value: `${hours(gm.playtime_forever)}h`, inline: false })
+    .setThumbnail(appIconUrl(gm.appid, gm.img_icon_url))
+    .setFooter({ text: 'Playtime Milestone' })
+    .setTimestamp(new Date());
+  await channel.send({ embeds: [embed] });
+  log.tag('OWNED').info(`playtime milestone user=${uid} appid=${gm.appid} hours=${hit}`);
+}
+
 /**
  * Schedules the owned-games poll. Enabling `runNow` ensures the first poll executes immediately after
  * startup.
@@ -67,6 +120,7 @@ async function monitorOwnedAdds() {
   for (const gid of guildIds) {
     const guild = client.guilds.cache.get(gid);
     if (!guild) { log.tag('OWNED').warn(`guild missing cache: ${gid}`); continue; }
+    if (!(await isGuildPollDue('owned', gid, 'owned_poll_seconds'))) continue;
 
     const newGameCh = await getAnnouncementChannel(guild, CHANNEL_KINDS.NEW_GAMES);
     const milestonesCh = await getAnnouncementChannel(guild, CHANNEL_KINDS.MILESTONES) || newGameCh;
@@ -77,6 +131,7 @@ async function monitorOwnedAdds() {
 
     const members = await dbAll('SELECT user_id, steam_id FROM links WHERE guild_id=?', [gid]);
     if (!members.length) continue;
+    const announceLimit = await getGuildSetting(gid, 'owned_announce_limit');
 
     for (const { user_id, steam_id } of members) {
       const tt = time(`OWNED:user:${user_id}`);
@@ -136,8 +191,8 @@ async function monitorOwnedAdds() {
           for (const gm of newly) {
             await dbRun('INSERT IGNORE INTO owned_seen (guild_id, user_id, appid, first_seen, seeded) VALUES (?, ?, ?, ?, 0)', [gid, user_id, gm.appid, now]);
           }
-          if (newly.length > OWNED_ANNOUNCE_LIMIT) {
-            const subset = newly.slice(-OWNED_ANNOUNCE_LIMIT);
+          if (newly.length > announceLimit) {
+            const subset = newly.slice(-announceLimit);
             const extra = newly.length - subset.length;
             const lines = subset.map(gm => `• **${gm.name || `App ${gm.appid}`}**`).join('\n');
             const embed = new EmbedBuilder()
@@ -167,6 +222,16 @@ async function monitorOwnedAdds() {
           await upsertPlaytimeStats(gid, user_id, gm.appid, totalMin, twoWMin);
         }
 
+        const markRows = await dbAll('SELECT appid, last_mark_hours FROM playtime_marks WHERE guild_id=? AND user_id=?', [gid, user_id]);
+        if (!markRows.length && PLAYTIME_SEED_ON_FIRST_RUN) {
+          await seedPlaytimeMarks(gid, user_id, owned);
+        } else {
+          const marks = new Map(markRows.map(r => [r.appid, Number(r.last_mark_hours) || 0]));
+          for (const gm of owned) {
+            await maybeAnnouncePlaytimeMilestone(gid, user_id, gm, marks.get(gm.appid) || 0, milestonesCh);
+          }
+        }
+
       } finally { tt.end(); }
     }
   }
@@ -0,0 +1,102 @@
+/**
+ * Perfect Game tracking. When the achievements loop sees a member holding every achievement in a game
+ * it records the completion (with the rarest unlock and total playtime) and, for completions that
+ * happen while the bot is watching, posts a dedicated Perfect Game embed.
+ */
+const { EmbedBuilder } = require('discord.js');
+const { dbAll, dbGet, dbRun } = require('../db');
+const { log } = require('../logger');
+const { CHANNEL_KINDS, getAnnouncementChannel } = require('../discord/channels');
+const { getGlobalRarity } = require('../steam/api');
+const { hours } = require('../utils/text');
+
+const PERFECT_COLOR = 0xf1c40f;
+
+/**
+ * Picks the achievement with the lowest global unlock rate among those a member holds.
+ *
+ * @param {Array<{ apiName: string, achieved: boolean }>} achievements
+ * @param {Map<string, number>} rarityMap - Global unlock percentage by API name.
+ * @returns {{ apiName: string, pct: number }|null}
+ */
+function pickRarestAchievement(achievements, rarityMap) {
+  let rarest = null;
+  for (const a of achievements) {
+    if (!a.achieved) continue;
+    const pct = rarityMap.get(a.apiName);
+    if (pct == null) continue;
+    if (!rarest || pct < rarest.pct) rarest = { apiName: a.apiName, pct };
+  }
+  return rarest;
+}
+
+/** Whether the member's completion of a game has already been recorded. */
+async function isPerfectGame(guildId, userId, appid) {
+  return !!(await dbGet('SELECT 1 AS ok FROM perfect_games WHERE guild_id=? AND user_id=? AND appid=?', [guildId, userId, appid]));
+}
+
+/**
+ * Records a 100% completion the first time it is seen. Completions found while seeding or without new
+ * unlocks are stored quietly (they happened before the bot was watching); otherwise the Perfect Game
+ * embed is posted to the achievements channel.
+ *
+ * @returns {Promise<boolean>} True when a new completion was recorded.
+ */
+async function trackPerfectGame(guild, userId, appid, { achievements, schema, gameName, totalAch, announce }) {
+  if (!totalAch) return false;
+  const unlocked = achievements.filter(a => a.achieved);
+  if (unlocked.length < totalAch) return false;
+  if (await isPerfectGame(guild.id, userId, appid)) return false;
+
+  const completedAt = unlocked.reduce((m, a) => Math.max(m, a.unlocktime || 0), 0) || Math.floor(Date.now() / 1000);
+  const rarest = pickRarestAchievement(unlocked, await getGlobalRarity(appid));
+  const rarestMeta = rarest && (schema?.availableGameStats?.achievements || []).find(x => x.name === rarest.apiName);
+  const rarestName = rarest ? (rarestMeta?.displayName || rarest.apiName) : null;
+  const stats = await dbGet('SELECT playtime_total_min FROM user_game_stats WHERE guild_id=? AND user_id=? AND appid=?', [guild.id, userId, appid]);
+  const playtimeMin = Number(stats?.playtime_total_min || 0);
+
+  await dbRun(
+    `INSERT IGNORE INTO perfect_games (guild_id, user_id, appid, completed_at, ach_total, rarest_name, rarest_pct, playtime_min, announced, recorded_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [guild.id, userId, appid, completedAt, totalAch, rarestName, rarest?.pct ?? null, playtimeMin, announce ? 1 : 0, Math.floor(Date.now() / 1000)]
+  );
+  log.tag('PERFECT').info(`guild=${guild.id} user=${userId} appid=${appid} announce=${!!announce}`);
+  if (!announce) return true;
+
+  const channel = await getAnnouncementChannel(guild, CHANNEL_KINDS.ACHIEVEMENTS);
+  if (!channel) return true;
+  const embed = new EmbedBuilder()
+    .setColor(PERFECT_COLOR)
+    .setTitle(`🏆 Perfect Game: ${gameName}`)
+    .setDescription(`<@${userId}> has unlocked **all ${totalAch}** achievements in **${gameName}**!`)
+    .addFields(
+      { name: 'Rarest achievement', value: rarestName ? `**${rarestName}** — ${rarest.pct.toFixed(2)}% of players` : '_Rarity data unavailable_', inline: true },
+      { name: 'Time invested', value: playtimeMin ? `${hours(playtimeMin)}h` : '_Unknown_', inline: true },
+    )
+    .setImage(`https://cdn.cloudflare.steamstatic.com/steam/apps/${appid}/header.jpg`)
+    .setFooter({ text: 'Perfect Game' })
+    .setTimestamp(new Date(completedAt * 1000));
+  await channel.send({ content: `<@${userId}>`, embeds: [embed] })
+    .catch(e => log.tag('PERFECT').warn(`announce failed guild=${guild.id} user=${userId} appid=${appid}: ${e?.message}`));
+  return true;
+}
+
+/** A member's completed games, most recently completed first. */
+async function getPerfectGames(guildId, userId) {
+  return dbAll(
+    `SELECT p.appid, n.name, p.completed_at, p.ach_total, p.rarest_name, p.rarest_pct, p.playtime_min
+       FROM perfect_games p
+       LEFT JOIN app_names n ON n.appid = p.appid
+      WHERE p.guild_id=? AND p.user_id=?
+      ORDER BY p.completed_at DESC`,
+    [guildId, userId]
+  );
+}
+
+module.exports = {
+  PERFECT_COLOR,
+  pickRarestAchievement,
+  isPerfectGame,
+  trackPerfectGame,
+  getPerfectGames,
+};
@@ -0,0 +1,286 @@
+/**
+ * Achievement races: members opt in to a timed competition to unlock the most achievements in one
+ * game. Progress is fed by the achievements loop (`recordRaceProgress` runs inside `achCheckOne`),
+ * while this loop keeps each race's standings embed current and settles races once their window
+ * closes. All state lives in `races`/`race_entries`, so a restart simply resumes where it left off.
+ */
+const { EmbedBuilder } = require('discord.js');
+const { log, time } = require('../logger');
+const { client } = require('../discord/client');
+const { dbAll, dbGet, dbRun } = require('../db');
+const { RACE_POLL_MS, STEAM_COLOR } = require('../config');
+const { getPlayerAchievements } = require('../steam/api');
+
+const RACE_LOG = log.tag('RACE');
+const STANDINGS_LIMIT = 15;
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Counts achievements unlocked inside a race window. Unlocks earned before the race started (or after
+ * it ended) never count, so members cannot pre-farm a game.
+ *
+ * @param {Array<{ achieved: boolean, unlocktime: number }>} achievements - Normalised Steam payload.
+ * @param {number} startsAt - Window start (unix seconds, inclusive).
+ * @param {number} endsAt - Window end (unix seconds, inclusive).
+ * @returns {{ unlocked: number, lastUnlockAt: number }}
+ */
+function countWindowUnlocks(achievements, startsAt, endsAt) {
+  let unlocked = 0;
+  let lastUnlockAt = 0;
+  for (const a of achievements) {
+    if (!a.achieved || a.unlocktime < startsAt || a.unlocktime > endsAt) continue;
+    unlocked += 1;
+    lastUnlockAt = Math.max(lastUnlockAt, a.unlocktime);
+  }
+  return { unlocked, lastUnlockAt };
+}
+
+/**
+ * Orders race entries for display. Most unlocks wins; ties go to whoever reached that count first,
+ * then to whoever joined first.
+ */
+function rankEntries(entries) {
+  return [...entries].sort((a, b) =>
+    Number(b.unlocked) - Number(a.unlocked)
+    || (Number(a.last_unlock_at) || Infinity) - (Number(b.last_unlock_at) || Infinity)
+    || Number(a.joined_at) - Number(b.joined_at)
+  );
+}
+
+/** Lists active races in a guild, soonest-ending first. */
+async function getActiveRaces(guildId) {
+  return dbAll("SELECT * FROM races WHERE guild_id=? AND status='active' ORDER BY ends_at ASC", [guildId]);
+}
+
+/** Loads a single race scoped to a guild so IDs from other servers cannot be addressed. */
+async function getRace(guildId, raceId) {
+  return dbGet('SELECT * FROM races WHERE guild_id=? AND id=?', [guildId, raceId]);
+}
+
+async function getEntries(raceId) {
+  return dbAll('SELECT user_id, unlocked, last_unlock_at, joined_at FROM race_entries WHERE race_id=?', [raceId]);
+}
+
+/**
+ * Returns the app IDs of running races the member has joined. The achievements loop polls these in
+ * addition to recently played games so racers are tracked even when Steam's recent list lags.
+ */
+async function getRaceAppidsForMember(guildId, userId) {
+  const rows = await dbAll(
+    "SELECT DISTINCT r.appid FROM races r JOIN race_entries e ON e.race_id=r.id WHERE r.guild_id=? AND e.user_id=? AND r.status='active'",
+    [guildId, userId]
+  );
+  return rows.map(r => Number(r.appid));
+}
+
+/**
+ * Applies a freshly fetched achievement list to every running race the member has entered for that
+ * game. Races whose counts change are flagged so the next loop tick re-renders their standings.
+ */
+async function recordRaceProgress(guildId, userId, appid, achievements) {
+  const races = await dbAll(
+    "SELECT r.id, r.starts_at, r.ends_at, e.unlocked, e.last_unlock_at FROM races r JOIN race_entries e ON e.race_id=r.id WHERE r.guild_id=? AND r.appid=? AND e.user_id=? AND r.status='active'",
+    [guildId, appid, userId]
+  );
+  for (const race of races) {
+    const { unlocked, lastUnlockAt } = countWindowUnlocks(achievements, Number(race.starts_at), Number(race.ends_at));
+    if (unlocked === Number(race.unlocked) && lastUnlockAt === Number(race.last_unlock_at)) continue;
+    await dbRun('UPDATE race_entries SET unlocked=?, last_unlock_at=? WHERE race_id=? AND user_id=?', [unlocked, lastUnlockAt, race.id, userId]);
+    await dbRun('UPDATE races SET standings_dirty=1 WHERE id=?', [race.id]);
+    RACE_LOG.info(`race=${race.id} user=${userId} unlocked=${unlocked}`);
+  }
+}
+
+/**
+ * Pulls achievements straight from Steam for one entrant. Used when a member joins (so unlocks made
+ * earlier in the window show up immediately) and when settling a race (so last-minute unlocks that
+ * the achievements loop has not seen yet still count).
+ */
+async function syncEntrant(race, userId) {
+  const link = await dbGet('SELECT steam_id FROM links WHERE guild_id=? AND user_id=?', [race.guild_id, userId]);
+  if (!link) return;
+  try {
+    const achievements = await getPlayerAchievements(link.steam_id, race.appid);
+    await recordRaceProgress(race.guild_id, userId, Number(race.appid), achievements);
+  } catch (err) {
+    RACE_LOG.warn(`sync failed race=${race.id} user=${userId}: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Renders the standings embed for a race in either its live or settled state.
+ */
+function buildRaceEmbed(race, entries) {
+  const ranked = rankEntries(entries);
+  const finished = race.status !== 'active';
+  const lines = ranked.slice(0, STANDINGS_LIMIT).map((e, i) => {
+    const place = MEDALS[i] || `${i + 1}.`;
+    return `${place} <@${e.user_id}> — **${e.unlocked}** achievement${Number(e.unlocked) === 1 ? '' : 's'}`;
+  });
+  if (ranked.length > STANDINGS_LIMIT) lines.push(`…and ${ranked.length - STANDINGS_LIMIT} more racers`);
+
+  const window = `<t:${race.starts_at}:f> → <t:${race.ends_at}:f>`;
+  let description;
+  if (race.status === 'cancelled') description = `This race was cancelled.\n${window}`;
+  else if (finished) description = race.winner_user_id
+    ? `🏆 <@${race.winner_user_id}> wins!\n${window}`
+    : `The race ended without any unlocks.\n${window}`;
+  else description = `Unlock the most achievements in **${race.game_name}** before the race ends <t:${race.ends_at}:R>.\nJoin with \`/race join\`.\n${window}`;
+
+  return new EmbedBuilder()
+    .setColor(STEAM_COLOR)
+    .setTitle(`🏁 Achievement Race: ${race.game_name}${finished ? ' — Finished' : ''}`)
+    .setURL(`https://store.steampowered.com/app/${race.appid}/`)
+    .setDescription(description)
+    .addFields({ name: `Standings (${ranked.length} racer${ranked.length === 1 ? '' : 's'})`, value: lines.join('\n') || '_No racers yet_', inline: false })
+    .setFooter({ text: `Race #${race.id} • ${finished ? 'Final results' : 'Auto-updates'}` })
+    .setTimestamp(new Date());
+}
+
+/**
+ * Edits the race's standings message, re-posting it if the original was deleted. Clears the dirty
+ * flag once Discord accepts the update.
+ */
+async function updateRaceMessage(race) {
+  const channel = await client.channels.fetch(race.channel_id).catch(() => null);
+  if (!channel) { RACE_LOG.warn(`race=${race.id} channel ${race.channel_id} unavailable`); return null; }
+  const embed = buildRaceEmbed(race, await getEntries(race.id));
+
+  const msg = race.message_id ? await channel.messages.fetch(race.message_id).catch(() => null) : null;
+  if (msg) await msg.edit({ embeds: [embed] });
+  else {
+    const posted = await channel.send({ embeds: [embed] });
+    await dbRun('UPDATE races SET message_id=? WHERE id=?', [posted.id, race.id]);
+  }
+  await dbRun('UPDATE races SET standings_dirty=0 WHERE id=?', [race.id]);
+  return channel;
+}
+
+/**
+ * Opens a race and posts its standings embed. Only one race per game may run in a guild at a time.
+ *
+ * @returns {Promise<object>} The stored race row.
+ */
+async function createRace({ guildId, appid, gameName, channel, startedBy, durationDays }) {
+  const clash = await dbGet("SELECT id FROM races WHERE guild_id=? AND appid=? AND status='active'", [guildId, appid]);
+  if (clash) throw new Error(`Race #${clash.id} for **${gameName}** is already running.`);
+
+  const startsAt = nowSeconds();
+  const endsAt = startsAt + Math.round(durationDays * 86400);
+  const res = await dbRun(
+    'INSERT INTO races (guild_id, appid, game_name, channel_id, started_by, starts_at, ends_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [guildId, appid, gameName, channel.id, startedBy, startsAt, endsAt]
+  );
+  const race = await getRace(guildId, res.insertId);
+  await updateRaceMessage(race);
+  RACE_LOG.info(`guild=${guildId} started race=${race.id} appid=${appid} ends=${endsAt}`);
+  return getRace(guildId, race.id);
+}
+
+/**
+ * Enters a member into a running race. Members need a linked Steam account because progress is read
+ * from their Steam achievements.
+ */
+async function joinRace(race, userId) {
+  const link = await dbGet('SELECT 1 AS ok FROM links WHERE guild_id=? AND user_id=?', [race.guild_id, userId]);
+  if (!link) throw new Error('Link your Steam account with `/linksteam` before joining a race.');
+  const res = await dbRun('INSERT IGNORE INTO race_entries (race_id, user_id, joined_at) VALUES (?, ?, ?)', [race.id, userId, nowSeconds()]);
+  if (!res.affectedRows) return false;
+  await dbRun('UPDATE races SET standings_dirty=1 WHERE id=?', [race.id]);
+  await syncEntrant(race, userId);
+  return true;
+}
+
+/** Withdraws a member from a running race. Returns `false` when they were not entered. */
+async function leaveRace(race, userId) {
+  const res = await dbRun('DELETE FROM race_entries WHERE race_id=? AND user_id=?', [race.id, userId]);
+  if (!res.affectedRows) return false;
+  await dbRun('UPDATE races SET standings_dirty=1 WHERE id=?', [race.id]);
+  return true;
+}
+
+/** Stops a running race without declaring a winner. */
+async function cancelRace(race) {
+  await dbRun("UPDATE races SET status='cancelled', standings_dirty=1 WHERE id=? AND status='active'", [race.id]);
+  await updateRaceMessage({ ...race, status: 'cancelled' }).catch(err => RACE_LOG.warn(`race=${race.id} cancel edit failed: ${err?.message}`));
+  RACE_LOG.info(`guild=${race.guild_id} cancelled race=${race.id}`);
+}
+
+/**
+ * Settles a race whose window has closed: re-syncs every entrant, records the winner, posts the
+ * final standings, and announces the result.
+ */
+async function finishRace(race) {
+  const entrants = await getEntries(race.id);
+  for (const e of entrants) await syncEntrant(race, e.user_id);
+
+  const [winner] = rankEntries(await getEntries(race.id));
+  const winnerId = winner && Number(winner.unlocked) > 0 ? winner.user_id : null;
+  await dbRun("UPDATE races SET status='finished', winner_user_id=? WHERE id=? AND status='active'", [winnerId, race.id]);
+  const settled = { ...race, status: 'finished', winner_user_id: winnerId };
+
+  const channel = await updateRaceMessage(settled);
+  if (!channel) return;
+  const embed = new EmbedBuilder()
+    .setColor(STEAM_COLOR)
+    .setTitle(`🏆 ${race.game_name} race results`)
+    .setDescription(winnerId
+      ? `<@${winnerId}> won race #${race.id} with **${winner.unlocked}** achievement${Number(winner.unlocked) === 1 ? '' : 's'}!`
+      : `Race #${race.id} ended without any achievements unlocked.`)
+    .setFooter({ text: 'Achievement Race' })
+    .setTimestamp(new Date());
+  await channel.send({ content: winnerId ? `<@${winnerId}>` : undefined, embeds: [embed] });
+  RACE_LOG.info(`race=${race.id} finished winner=${winnerId || 'none'}`);
+}
+
+/**
+ * One loop tick: settle races that have ended (including any that ended while the bot was offline)
+ * and re-render standings for races with new progress.
+ */
+async function refreshRaces() {
+  const t = time('RACE:refresh');
+  const races = await dbAll("SELECT * FROM races WHERE status='active' ORDER BY ends_at ASC");
+  const now = nowSeconds();
+  for (const race of races) {
+    if (!client.guilds.cache.has(race.guild_id)) continue;
+    try {
+      if (Number(race.ends_at) <= now) await finishRace(race);
+      else if (Number(race.standings_dirty)) await updateRaceMessage(race);
+    } catch (err) {
+      RACE_LOG.warn(`race=${race.id} refresh failed: ${err?.message || err}`);
+    }
+  }
+  t.end();
+}
+
+/**
+ * Schedules the race refresher. `runNow` settles overdue races immediately after boot.
+ */
+function scheduleRaceLoop(runNow = false) {
+  const run = async () => {
+    try { await refreshRaces(); }
+    catch (err) { RACE_LOG.error('refreshRaces error:', err?.stack || err); }
+    finally { setTimeout(run, RACE_POLL_MS); }
+  };
+  RACE_LOG.info(`Race refresh every ${Math.round(RACE_POLL_MS / 1000)}s`);
+  if (runNow) run();
+}
+
+module.exports = {
+  countWindowUnlocks,
+  rankEntries,
+  getActiveRaces,
+  getRace,
+  getEntries,
+  getRaceAppidsForMember,
+  recordRaceProgress,
+  buildRaceEmbed,
+  createRace,
+  joinRace,
+  leaveRace,
+  cancelRace,
+  refreshRaces,
+  scheduleRaceLoop,
+};
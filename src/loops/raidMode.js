@@ -0,0 +1,261 @@
+/**
+ * Raid mode. Member joins are counted per guild over the window of the guild's `raid` anti-spam rule.
+ * When they reach its threshold the guild enters raid mode for the rule's duration. The rule's action
+ * decides what that means:
+ * - `alert` only reports the raid,
+ * - `lockdown` stops @everyone from sending in text channels,
+ * - `verification` raises the verification level to High,
+ * - `full` does both.
+ * What was changed is stored in `raid_mode`. This loop undoes it when time is up, including after a
+ * restart, and `/antispam raid end` undoes it early.
+ */
+const { ChannelType, GuildVerificationLevel, PermissionsBitField } = require('discord.js');
+const { client } = require('../discord/client');
+const { dbGet, dbAll, dbRun } = require('../db');
+const { log } = require('../logger');
+const { getAntiSpamRules } = require('../discord/antiSpam');
+const { logRaidMode } = require('../discord/logging');
+
+const RAID_TAG = log.tag('RAID');
+const RAID_POLL_MS = 60 * 1000;
+const LOCKABLE_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+const { SendMessages, ViewChannel, ManageRoles } = PermissionsBitField.Flags;
+
+// guildId → join timestamps inside the raid window, oldest first.
+const recentJoins = new Map();
+// Guilds whose raid mode is being switched on right now, so a burst of joins starts it once.
+const starting = new Set();
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/** The running raid mode for a guild, or `null`. */
+async function getRaidMode(guildId) {
+  return dbGet('SELECT * FROM raid_mode WHERE guild_id=?', [guildId]);
+}
+
+/**
+ * Denies Send Messages to @everyone in every text channel where they can currently talk, and returns
+ * each channel with the overwrite it had before so it can be put back. `save` is handed the list before
+ * each channel is changed, so a restart halfway through still knows what to restore.
+ */
+async function lockChannels(guild, reason, save) {
+  const everyone = guild.roles.everyone;
+  const me = guild.members.me;
+  const locked = [];
+  let skipped = 0;
+  for (const channel of guild.channels.cache.values()) {
+    if (!LOCKABLE_TYPES.includes(channel.type)) continue;
+    const perms = channel.permissionsFor(everyone);
+    if (!perms?.has(ViewChannel) || !perms.has(SendMessages)) continue;
+    if (!channel.permissionsFor(me)?.has(ManageRoles)) {
+      skipped += 1;
+      continue;
+    }
+
+    const overwrite = channel.permissionOverwrites.cache.get(everyone.id);
+    const previous = overwrite?.allow.has(SendMessages) ? true : null;
+    locked.push({ id: channel.id, previous });
+    await save(locked);
+    try {
+      await channel.permissionOverwrites.edit(everyone, { SendMessages: false }, { reason });
+    } catch (err) {
+      locked.pop();
+      await save(locked);
+      skipped += 1;
+      RAID_TAG.warn(`guild=${guild.id} could not lock channel=${channel.id}: ${err?.message || err}`);
+    }
+  }
+  return { locked, skipped };
+}
+
+/** Restores the @everyone Send Messages overwrite on channels locked by `lockChannels`. */
+async function unlockChannels(guild, locked, reason) {
+  const everyone = guild.roles.everyone;
+  let restored = 0;
+  let failed = 0;
+  for (const { id, previous } of locked) {
+    const channel = guild.channels.cache.get(id);
+    if (!channel) continue;
+    try {
+      await channel.permissionOverwrites.edit(everyone, { SendMessages: previous }, { reason });
+      const overwrite = channel.permissionOverwrites.cache.get(everyone.id);
+      if (overwrite && !overwrite.allow.bitfield && !overwrite.deny.bitfield) await overwrite.delete(reason);
+      restored += 1;
+    } catch (err) {
+      failed += 1;
+      RAID_TAG.warn(`guild=${guild.id} could not unlock channel=${id}: ${err?.message || err}`);
+    }
+  }
+  return { restored, failed };
+}
+
+/**
+ * Switches raid mode on. Does nothing when it is already running.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {object} opts
+ * @param {'alert'|'lockdown'|'verification'|'full'} opts.action
+ * @param {number} opts.durationMs
+ * @param {import('discord.js').User} opts.actor - Staff member, or the bot's user when triggered by joins.
+ * @param {number} [opts.joins] - Joins that triggered it.
+ * @returns {Promise<object|null>} The stored raid mode row, or `null` when one was already running.
+ */
+async function startRaidMode(guild, { action, durationMs, actor, joins = 0 }) {
+  // Claim the guild's row first: the primary key lets only one caller switch raid mode on.
+  const startedAt = nowSeconds();
+  const endsAt = startedAt + Math.round(durationMs / 1000);
+  const claim = await dbRun(
+    `INSERT IGNORE INTO raid_mode (guild_id, started_at, ends_at, started_by, action, joins, previous_verification, locked_channels)
+     VALUES (?, ?, ?, ?, ?, ?, NULL, '[]')`,
+    [guild.id, startedAt, endsAt, actor.id, action, joins]
+  );
+  if ((claim?.affectedRows ?? 0) === 0) return null;
+
+  const reason = `Raid mode${actor.id === client.user.id ? ' (join burst)' : ` by ${actor.tag ?? actor.id}`}`;
+  const issues = [];
+  let locked = [];
+  let previousVerification = null;
+
+  const saveLocked = list => dbRun('UPDATE raid_mode SET locked_channels=? WHERE guild_id=?', [JSON.stringify(list), guild.id]);
+  if (action === 'lockdown' || action === 'full') {
+    const result = await lockChannels(guild, reason, saveLocked);
+    locked = result.locked;
+    if (result.skipped) issues.push(`${result.skipped} channel(s) could not be locked (I need **Manage Roles** there)`);
+  }
+  if ((action === 'verification' || action === 'full') && guild.verificationLevel < GuildVerificationLevel.High) {
+    // Saved before the change for the same reason as the locked channels.
+    const before = guild.verificationLevel;
+    await dbRun('UPDATE raid_mode SET previous_verification=? WHERE guild_id=?', [before, guild.id]);
+    try {
+      await guild.setVerificationLevel(GuildVerificationLevel.High, reason);
+      previousVerification = before;
+    } catch (err) {
+      await dbRun('UPDATE raid_mode SET previous_verification=NULL WHERE guild_id=?', [guild.id]);
+      issues.push(`the verification level could not be raised: ${err?.message || err}`);
+    }
+  }
+
+  RAID_TAG.warn(`guild=${guild.id} raid mode on action=${action} joins=${joins} locked=${locked.length} until=${endsAt}`);
+  await logRaidMode(guild, {
+    phase: 'start',
+    action,
+    actor,
+    joins,
+    endsAt,
+    lockedChannels: locked.length,
+    verification: previousVerification != null,
+    issues,
+  });
+  return getRaidMode(guild.id);
+}
+
+/**
+ * Switches raid mode off and undoes what it changed. The verification level is only restored when
+ * nobody changed it in the meantime.
+ *
+ * @returns {Promise<boolean>} Whether raid mode was running.
+ */
+async function endRaidMode(guild, actor) {
+  const row = await getRaidMode(guild.id);
+  if (!row) return false;
+
+  const reason = `Raid mode ended${actor.id === client.user.id ? '' : ` by ${actor.tag ?? actor.id}`}`;
+  const issues = [];
+  let locked = [];
+  try { locked = JSON.parse(row.locked_channels || '[]'); }
+  catch { RAID_TAG.warn(`guild=${guild.id} unreadable locked channel list`); }
+
+  const { restored, failed } = await unlockChannels(guild, locked, reason);
+  if (failed) issues.push(`${failed} channel(s) could not be unlocked; check their @everyone permissions`);
+
+  let verificationRestored = false;
+  if (row.previous_verification != null) {
+    if (guild.verificationLevel === GuildVerificationLevel.High) {
+      try {
+        await guild.setVerificationLevel(Number(row.previous_verification), reason);
+        verificationRestored = true;
+      } catch (err) {
+        issues.push(`the verification level could not be restored: ${err?.message || err}`);
+      }
+    } else {
+      issues.push('the verification level was changed during raid mode, so it was left as is');
+    }
+  }
+
+  await dbRun('DELETE FROM raid_mode WHERE guild_id=?', [guild.id]);
+  RAID_TAG.info(`guild=${guild.id} raid mode off unlocked=${restored} joins=${row.joins}`);
+  await logRaidMode(guild, {
+    phase: 'end',
+    action: row.action,
+    actor,
+    joins: Number(row.joins || 0),
+    lockedChannels: restored,
+    verification: verificationRestored,
+    issues,
+  });
+  return true;
+}
+
+/**
+ * Counts a member join towards the guild's raid rule and starts raid mode when the burst reaches the
+ * threshold. Joins during raid mode are tallied for the end-of-raid report.
+ *
+ * @param {import('discord.js').GuildMember} member
+ */
+async function trackMemberJoin(member) {
+  if (member.user?.bot) return;
+  const guild = member.guild;
+  const rule = (await getAntiSpamRules(guild.id)).raid;
+  if (!rule.enabled) return;
+
+  const res = await dbRun('UPDATE raid_mode SET joins=joins+1 WHERE guild_id=?', [guild.id]);
+  if ((res?.affectedRows ?? 0) > 0) return;
+
+  const now = Date.now();
+  const joins = (recentJoins.get(guild.id) || []).filter(at => at >= now - rule.windowSeconds * 1000);
+  joins.push(now);
+  recentJoins.set(guild.id, joins);
+  if (joins.length < rule.threshold || starting.has(guild.id)) return;
+
+  starting.add(guild.id);
+  try {
+    await startRaidMode(guild, { action: rule.action, durationMs: rule.durationMs, actor: client.user, joins: joins.length });
+    recentJoins.delete(guild.id);
+  } finally {
+    starting.delete(guild.id);
+  }
+}
+
+/** One loop tick: end every raid mode whose time is up. */
+async function checkRaidModes() {
+  const due = await dbAll('SELECT guild_id FROM raid_mode WHERE ends_at<=?', [nowSeconds()]);
+  for (const { guild_id: gid } of due) {
+    const guild = client.guilds.cache.get(gid);
+    if (!guild) continue;
+    try { await endRaidMode(guild, client.user); }
+    catch (err) { RAID_TAG.warn(`guild=${gid} ending raid mode failed: ${err?.message || err}`); }
+  }
+}
+
+/**
+ * Schedules the raid mode expiry check. `runNow` ends raid modes that ran out while the bot was
+ * offline.
+ */
+function scheduleRaidModeLoop(runNow = false) {
+  const run = async () => {
+    try { await checkRaidModes(); }
+    catch (err) { RAID_TAG.error('checkRaidModes error:', err?.stack || err); }
+    finally { setTimeout(run, RAID_POLL_MS); }
+  };
+  RAID_TAG.info(`Raid mode check every ${Math.round(RAID_POLL_MS / 1000)}s`);
+  if (runNow) run();
+}
+
+module.exports = {
+  getRaidMode,
+  startRaidMode,
+  endRaidMode,
+  trackMemberJoin,
+  checkRaidModes,
+  scheduleRaidModeLoop,
+};
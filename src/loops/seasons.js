@@ -0,0 +1,216 @@
+/**
+ * Weekly and monthly leaderboard seasons. At every rollover the per-user totals from
+ * `user_game_stats` are snapshotted; a season's results are the gains between the snapshot that
+ * opened it and the one that closed it (or the live totals while it is still running). Finished
+ * seasons are posted to the leaderboard channel as an archived results embed.
+ */
+const { EmbedBuilder } = require('discord.js');
+const { dbRun, dbGet, dbAll } = require('../db');
+const { log } = require('../logger');
+const { client } = require('../discord/client');
+const { STEAM_COLOR, SEASON_POLL_MS } = require('../config');
+const { CHANNEL_KINDS, getAnnouncementChannel, getConfiguredGuildIds, hasBotPerms } = require('../discord/channels');
+const { hours } = require('../utils/text');
+
+const SEASONS_TAG = log.tag('SEASONS');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STANDINGS_LIMIT = 10;
+
+const SEASON_PERIODS = {
+  week: 'Weekly',
+  month: 'Monthly',
+};
+
+/**
+ * Computes the season containing a moment. Weeks are ISO weeks starting Monday 00:00 UTC and keyed
+ * like `2026-W07`; months start on the 1st at 00:00 UTC and are keyed like `2026-02`.
+ *
+ * @param {'week'|'month'} period
+ * @param {number} [ms] - Moment in milliseconds.
+ * @returns {{ key: string, startsAt: number, endsAt: number }} Bounds in Unix seconds.
+ */
+function seasonBounds(period, ms = Date.now()) {
+  const d = new Date(ms);
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth();
+  if (period === 'month') {
+    return {
+      key: `${year}-${String(month + 1).padStart(2, '0')}`,
+      startsAt: Date.UTC(year, month, 1) / 1000,
+      endsAt: Date.UTC(year, month + 1, 1) / 1000,
+    };
+  }
+  const start = Date.UTC(year, month, d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  // The ISO week-numbering year is the one containing the week's Thursday.
+  const thursday = new Date(start + 3 * DAY_MS);
+  const isoYear = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(isoYear, 0, 1)) / (7 * DAY_MS)) + 1;
+  return {
+    key: `${isoYear}-W${String(week).padStart(2, '0')}`,
+    startsAt: start / 1000,
+    endsAt: start / 1000 + 7 * 86400,
+  };
+}
+
+/**
+ * Ranks members by what they gained between two sets of totals. Members missing from the baseline
+ * linked mid-season and are left out so their whole history is not counted as gains; drops (for
+ * example a profile turning private) count as zero.
+ *
+ * @param {Array<{ user_id: string, playtime_min: number, ach_unlocked: number }>} baseline
+ * @param {Array<{ user_id: string, playtime_min: number, ach_unlocked: number }>} current
+ * @param {number} [limit]
+ * @returns {{ playtime: Array<{ user_id: string, value: number }>, achievements: Array<{ user_id: string, value: number }> }}
+ */
+function computeSeasonStandings(baseline, current, limit = STANDINGS_LIMIT) {
+  const start = new Map(baseline.map(r => [r.user_id, r]));
+  const gains = [];
+  for (const row of current) {
+    const base = start.get(row.user_id);
+    if (!base) continue;
+    gains.push({
+      user_id: row.user_id,
+      playtime: Math.max(0, Number(row.playtime_min) - Number(base.playtime_min)),
+      achievements: Math.max(0, Number(row.ach_unlocked) - Number(base.ach_unlocked)),
+    });
+  }
+  const rank = (field) => gains
+    .filter(g => g[field] > 0)
+    .sort((a, b) => b[field] - a[field] || a.user_id.localeCompare(b.user_id))
+    .slice(0, limit)
+    .map(g => ({ user_id: g.user_id, value: g[field] }));
+  return { playtime: rank('playtime'), achievements: rank('achievements') };
+}
+
+/** Current per-user totals for a guild, in the same shape as a snapshot. */
+async function getLiveTotals(gid) {
+  return dbAll(
+    'SELECT user_id, SUM(playtime_total_min) AS playtime_min, SUM(ach_unlocked) AS ach_unlocked FROM user_game_stats WHERE guild_id=? GROUP BY user_id',
+    [gid]
+  );
+}
+
+/** Per-user totals recorded by one snapshot. */
+async function getSnapshot(gid, takenAt) {
+  return dbAll('SELECT user_id, playtime_min, ach_unlocked FROM stat_snapshots WHERE guild_id=? AND taken_at=?', [gid, takenAt]);
+}
+
+/** Copies the guild's current totals into `stat_snapshots` under one timestamp. */
+async function takeSnapshot(gid, takenAt) {
+  await dbRun(
+    `INSERT IGNORE INTO stat_snapshots (guild_id, taken_at, user_id, playtime_min, ach_unlocked)
+     SELECT ?, ?, user_id, SUM(playtime_total_min), SUM(ach_unlocked) FROM user_game_stats WHERE guild_id=? GROUP BY user_id`,
+    [gid, takenAt, gid]
+  );
+}
+
+/** Looks up a season by key, or the running one when no key is given. */
+async function getSeason(gid, period, key = null) {
+  if (key) {
+    return dbGet('SELECT * FROM leaderboard_seasons WHERE guild_id=? AND period=? AND season_key=?', [gid, period, key]);
+  }
+  return dbGet("SELECT * FROM leaderboard_seasons WHERE guild_id=? AND period=? AND status='open'", [gid, period]);
+}
+
+/** Most recent seasons for a period, newest first. */
+async function listSeasons(gid, period, limit = 5) {
+  return dbAll(
+    'SELECT season_key, status, starts_at, ends_at FROM leaderboard_seasons WHERE guild_id=? AND period=? ORDER BY starts_at DESC LIMIT ?',
+    [gid, period, limit]
+  );
+}
+
+/** Standings for a season: snapshot to snapshot once archived, snapshot to live totals while open. */
+async function getSeasonStandings(season) {
+  const baseline = await getSnapshot(season.guild_id, season.baseline_at);
+  const current = season.final_at != null
+    ? await getSnapshot(season.guild_id, season.final_at)
+    : await getLiveTotals(season.guild_id);
+  return computeSeasonStandings(baseline, current);
+}
+
+/** Renders a season's standings; archived seasons get a results title. */
+function buildSeasonEmbed(season, standings) {
+  const label = SEASON_PERIODS[season.period] || season.period;
+  const archived = season.status === 'archived';
+  const fmtList = (rows, fmtVal) => rows.length ? rows.map((r, i) => `${i + 1}. <@${r.user_id}> — ${fmtVal(r.value)}`).join('\n') : '_No gains recorded_';
+  return new EmbedBuilder()
+    .setColor(STEAM_COLOR)
+    .setTitle(archived ? `🏁 ${label} season ${season.season_key} — final results` : `📅 ${label} season ${season.season_key} — in progress`)
+    .setDescription(`<t:${season.starts_at}:D> → <t:${season.ends_at}:D>${archived ? '' : `\nEnds <t:${season.ends_at}:R>`}`)
+    .addFields(
+      { name: '⏱️ Playtime gained (hours)', value: fmtList(standings.playtime, v => `+${hours(v)}h`), inline: false },
+      { name: '🎯 Achievements gained', value: fmtList(standings.achievements, v => `+${v}`), inline: false },
+    )
+    .setFooter({ text: 'Gains since the season opened • members who linked mid-season join the next one' })
+    .setTimestamp(new Date());
+}
+
+/** Closes a season against the given snapshot and posts its results to the leaderboard channel. */
+async function archiveSeason(guild, season, takenAt) {
+  await dbRun(
+    "UPDATE leaderboard_seasons SET status='archived', final_at=? WHERE guild_id=? AND period=? AND season_key=?",
+    [takenAt, season.guild_id, season.period, season.season_key]
+  );
+  const archived = { ...season, status: 'archived', final_at: takenAt };
+  SEASONS_TAG.info(`archived guild=${season.guild_id} ${season.period} ${season.season_key}`);
+  if (!guild) return;
+
+  const channel = await getAnnouncementChannel(guild, CHANNEL_KINDS.LEADERBOARD);
+  if (!channel || !hasBotPerms(channel).ok) return;
+  const embed = buildSeasonEmbed(archived, await getSeasonStandings(archived));
+  await channel.send({ embeds: [embed] }).catch(e => SEASONS_TAG.warn(`results post failed guild=${season.guild_id}: ${e?.message}`));
+}
+
+/**
+ * Opens the current season for every period and settles any season whose window has passed. When the
+ * bot was offline across a rollover the closing snapshot is taken late, so that season also counts
+ * the gains made while it was down.
+ */
+async function checkSeasons() {
+  const guildIds = await getConfiguredGuildIds();
+  const now = Date.now();
+  const takenAt = Math.floor(now / 1000);
+  for (const gid of guildIds) {
+    let snapshotTaken = false;
+    for (const period of Object.keys(SEASON_PERIODS)) {
+      const bounds = seasonBounds(period, now);
+      const open = await getSeason(gid, period);
+      if (open?.season_key === bounds.key) continue;
+
+      if (!snapshotTaken) { await takeSnapshot(gid, takenAt); snapshotTaken = true; }
+      if (open) await archiveSeason(client.guilds.cache.get(gid), open, takenAt);
+      await dbRun(
+        `INSERT IGNORE INTO leaderboard_seasons (guild_id, period, season_key, starts_at, ends_at, baseline_at, status)
+         VALUES (?, ?, ?, ?, ?, ?, 'open')`,
+        [gid, period, bounds.key, bounds.startsAt, bounds.endsAt, takenAt]
+      );
+      SEASONS_TAG.info(`opened guild=${gid} ${period} ${bounds.key}`);
+    }
+  }
+}
+
+/**
+ * Schedules the season rollover check. Set `runNow` to open the current seasons right after startup.
+ */
+function scheduleSeasonLoop(runNow = false) {
+  const run = async () => {
+    try { await checkSeasons(); }
+    catch (err) { SEASONS_TAG.error('checkSeasons error:', err?.stack || err); }
+    finally { setTimeout(run, SEASON_POLL_MS); }
+  };
+  SEASONS_TAG.info(`Season rollover check every ${Math.round(SEASON_POLL_MS / 1000)}s`);
+  if (runNow) run();
+}
+
+module.exports = {
+  SEASON_PERIODS,
+  seasonBounds,
+  computeSeasonStandings,
+  getSeason,
+  listSeasons,
+  getSeasonStandings,
+  buildSeasonEmbed,
+  checkSeasons,
+  scheduleSeasonLoop,
+};
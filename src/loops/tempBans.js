@@ -0,0 +1,160 @@
+/**
+ * Temporary bans. `/ban duration:<d>` stores the expiry here and this loop lifts the ban once it has
+ * passed. Expiries are read from the database on every tick, so bans that ran out while the bot was
+ * offline are lifted on the first pass after boot. A later permanent `/ban`, an escalation ban
+ * (including one triggered by anti-spam) or a manual `/unban` ends the timer so the loop never
+ * reverses a newer decision.
+ */
+const { client } = require('../discord/client');
+const { dbAll, dbRun } = require('../db');
+const { log } = require('../logger');
+const { recordCase } = require('../discord/modCases');
+const { logTempBanExpired } = require('../discord/logging');
+
+const TEMPBAN_TAG = log.tag('TEMPBAN');
+const TEMPBAN_POLL_MS = 60 * 1000;
+// Discord error codes: the user is not banned any more / the bot lacks Ban Members or is outranked.
+const UNKNOWN_BAN = 10026;
+const MISSING_PERMISSIONS = 50013;
+
+const BAN_DURATIONS = {
+  '1h': 60 * 60 * 1000,
+  '12h': 12 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '3d': 3 * 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '14d': 14 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000,
+};
+
+/** Slash command choices for `BAN_DURATIONS`. */
+const BAN_DURATION_CHOICES = [
+  { name: '1 hour',   value: '1h' },
+  { name: '12 hours', value: '12h' },
+  { name: '1 day',    value: '1d' },
+  { name: '3 days',   value: '3d' },
+  { name: '1 week',   value: '7d' },
+  { name: '2 weeks',  value: '14d' },
+  { name: '30 days',  value: '30d' },
+  { name: '90 days',  value: '90d' },
+];
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Ends a member's running temporary ban without unbanning them.
+ *
+ * @param {'replaced'|'unbanned'} status - `replaced` by a newer ban, or `unbanned` by staff.
+ * @returns {Promise<number>} How many timers were ended.
+ */
+async function endTempBans(guildId, userId, status, endedBy) {
+  const res = await dbRun(
+    "UPDATE temp_bans SET status=?, ended_at=?, ended_by=? WHERE guild_id=? AND user_id=? AND status='active'",
+    [status, nowSeconds(), endedBy, guildId, userId]
+  );
+  return res?.affectedRows ?? 0;
+}
+
+/**
+ * Starts the timer for a ban that was just applied, replacing any earlier timer for the member.
+ *
+ * @returns {Promise<number>} Unix seconds when the ban will be lifted.
+ */
+async function scheduleTempBan({ guildId, userId, moderatorId, reason = null, durationMs, caseNumber = null }) {
+  await endTempBans(guildId, userId, 'replaced', moderatorId);
+  const bannedAt = nowSeconds();
+  const expiresAt = bannedAt + Math.round(durationMs / 1000);
+  await dbRun(
+    'INSERT INTO temp_bans (guild_id, user_id, moderator_id, reason, case_number, banned_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [guildId, userId, moderatorId, reason ? String(reason).slice(0, 512) : null, caseNumber, bannedAt, expiresAt]
+  );
+  TEMPBAN_TAG.info(`guild=${guildId} user=${userId} banned until ${expiresAt}`);
+  return expiresAt;
+}
+
+/** Running temporary bans for a guild, soonest expiry first. */
+async function listActiveTempBans(guildId) {
+  return dbAll("SELECT * FROM temp_bans WHERE guild_id=? AND status='active' ORDER BY expires_at", [guildId]);
+}
+
+/**
+ * Lifts one expired ban. Bans removed by hand in Discord are marked as lifted without recording an
+ * unban case, since the bot did not lift them; a ban the bot is not allowed to lift is marked failed
+ * and reported once instead of retried every tick. Guilds the bot cannot see right now are left for a
+ * later pass.
+ */
+async function liftTempBan(row) {
+  const guild = client.guilds.cache.get(row.guild_id);
+  if (!guild) return false;
+
+  const user = await client.users.fetch(row.user_id).catch(() => null);
+  let status = 'expired';
+  let issue = null;
+  let liftedByBot = true;
+  try {
+    await guild.bans.remove(row.user_id, `Temporary ban expired${row.case_number ? ` (case #${row.case_number})` : ''}`);
+  } catch (err) {
+    if (err?.code === UNKNOWN_BAN) {
+      liftedByBot = false;
+      TEMPBAN_TAG.info(`guild=${row.guild_id} user=${row.user_id} was already unbanned`);
+    } else if (err?.code === MISSING_PERMISSIONS) {
+      status = 'failed';
+      issue = 'I am missing **Ban Members** or the ban was made by a higher role';
+    } else {
+      TEMPBAN_TAG.warn(`guild=${row.guild_id} user=${row.user_id} unban failed, will retry: ${err?.message || err}`);
+      return false;
+    }
+  }
+
+  await dbRun('UPDATE temp_bans SET status=?, ended_at=? WHERE id=?', [status, nowSeconds(), row.id]);
+  const unbanCase = issue || !liftedByBot ? null : await recordCase(row.guild_id, {
+    action: 'unban',
+    targetId: row.user_id,
+    moderatorId: client.user.id,
+    reason: `Temporary ban expired${row.case_number ? ` (case #${row.case_number})` : ''}`,
+  });
+  TEMPBAN_TAG.info(`guild=${row.guild_id} user=${row.user_id} temp ban ${status}`);
+  await logTempBanExpired(guild, {
+    user,
+    userId: row.user_id,
+    reason: row.reason,
+    bannedAt: row.banned_at,
+    banCase: row.case_number,
+    unbanCase: unbanCase?.case_number ?? null,
+    issue,
+  });
+  return true;
+}
+
+/** One loop tick: lift every ban whose time is up. */
+async function checkTempBans() {
+  const due = await dbAll("SELECT * FROM temp_bans WHERE status='active' AND expires_at<=? ORDER BY expires_at", [nowSeconds()]);
+  for (const row of due) {
+    try { await liftTempBan(row); }
+    catch (err) { TEMPBAN_TAG.warn(`temp ban ${row.id} lift failed: ${err?.message || err}`); }
+  }
+}
+
+/**
+ * Schedules the expiry check. `runNow` lifts bans that expired while the bot was offline.
+ */
+function scheduleTempBanLoop(runNow = false) {
+  const run = async () => {
+    try { await checkTempBans(); }
+    catch (err) { TEMPBAN_TAG.error('checkTempBans error:', err?.stack || err); }
+    finally { setTimeout(run, TEMPBAN_POLL_MS); }
+  };
+  TEMPBAN_TAG.info(`Temp ban check every ${Math.round(TEMPBAN_POLL_MS / 1000)}s`);
+  if (runNow) run();
+}
+
+module.exports = {
+  BAN_DURATIONS,
+  BAN_DURATION_CHOICES,
+  scheduleTempBan,
+  endTempBans,
+  listActiveTempBans,
+  checkTempBans,
+  scheduleTempBanLoop,
+};
@@ -0,0 +1,115 @@
+/**
+ * Timed XP boost events. Staff start one with `/xp event start`; while it runs every XP gain in the
+ * guild is multiplied. The boost stops applying the moment `ends_at` passes, and this loop posts the
+ * closing announcement and marks the event ended (including events that expired while the bot was
+ * offline). Only one event runs per guild at a time.
+ */
+const { EmbedBuilder } = require('discord.js');
+const { log } = require('../logger');
+const { client } = require('../discord/client');
+const { dbAll, dbGet, dbRun } = require('../db');
+const { hasBotPerms } = require('../discord/channels');
+
+const EVENT_LOG = log.tag('XP:EVENT');
+const EVENT_COLOR = 0x9b59b6;
+const EVENT_POLL_MS = 60 * 1000;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/** The event boosting a guild right now, or `null`. */
+async function getActiveXpEvent(guildId) {
+  return dbGet(
+    "SELECT * FROM xp_events WHERE guild_id=? AND status='active' AND ends_at>? ORDER BY id DESC LIMIT 1",
+    [guildId, nowSeconds()]
+  );
+}
+
+/** Multiplier from the running event, or 1 when none is active. */
+async function getEventMultiplier(guildId) {
+  const event = await getActiveXpEvent(guildId);
+  return event ? Number(event.multiplier) : 1;
+}
+
+async function announce(channelId, embed) {
+  const channel = channelId ? await client.channels.fetch(channelId).catch(() => null) : null;
+  if (!channel || !hasBotPerms(channel).ok) return;
+  await channel.send({ embeds: [embed] }).catch(err => EVENT_LOG.warn(`announce failed channel=${channelId}: ${err?.message}`));
+}
+
+/**
+ * Starts a boost event and announces it in `channel`.
+ *
+ * @param {object} opts
+ * @param {string} opts.guildId
+ * @param {number} opts.multiplier
+ * @param {number} opts.durationHours
+ * @param {import('discord.js').TextBasedChannel|null} opts.channel - Where the start and end are announced.
+ * @param {string} opts.startedBy
+ */
+async function startXpEvent({ guildId, multiplier, durationHours, channel, startedBy }) {
+  const running = await getActiveXpEvent(guildId);
+  if (running) throw new Error(`A ×${Number(running.multiplier)} XP event is already running until <t:${running.ends_at}:f>. Stop it first with \`/xp event stop\`.`);
+
+  const startsAt = nowSeconds();
+  const endsAt = startsAt + Math.round(durationHours * 3600);
+  const res = await dbRun(
+    'INSERT INTO xp_events (guild_id, multiplier, channel_id, started_by, starts_at, ends_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [guildId, multiplier, channel?.id || null, startedBy, startsAt, endsAt]
+  );
+  EVENT_LOG.info(`guild=${guildId} started event=${res.insertId} x${multiplier} ends=${endsAt}`);
+  await announce(channel?.id, new EmbedBuilder()
+    .setColor(EVENT_COLOR)
+    .setTitle(`⚡ ×${multiplier} XP event started!`)
+    .setDescription(`Every message and minute in voice earns **×${multiplier} XP** until <t:${endsAt}:f> (<t:${endsAt}:R>).`)
+    .setFooter({ text: 'XP Event' })
+    .setTimestamp(new Date()));
+  return { id: res.insertId, multiplier, startsAt, endsAt };
+}
+
+/** Marks an event over and posts the closing announcement. */
+async function endXpEvent(event, { stoppedBy = null } = {}) {
+  const res = await dbRun(
+    "UPDATE xp_events SET status=?, ends_at=LEAST(ends_at, ?) WHERE id=? AND status='active'",
+    [stoppedBy ? 'stopped' : 'ended', nowSeconds(), event.id]
+  );
+  if (!res.affectedRows) return false;
+  EVENT_LOG.info(`guild=${event.guild_id} event=${event.id} ${stoppedBy ? `stopped by=${stoppedBy}` : 'ended'}`);
+  await announce(event.channel_id, new EmbedBuilder()
+    .setColor(EVENT_COLOR)
+    .setTitle(`⌛ ×${Number(event.multiplier)} XP event ${stoppedBy ? 'stopped' : 'over'}`)
+    .setDescription(stoppedBy ? `<@${stoppedBy}> ended the event early. XP is back to normal.` : 'Thanks for joining in! XP is back to normal.')
+    .setFooter({ text: 'XP Event' })
+    .setTimestamp(new Date()));
+  return true;
+}
+
+/** One loop tick: close every event whose window has passed. */
+async function checkXpEvents() {
+  const due = await dbAll("SELECT * FROM xp_events WHERE status='active' AND ends_at<=?", [nowSeconds()]);
+  for (const event of due) {
+    try { await endXpEvent(event); }
+    catch (err) { EVENT_LOG.warn(`event=${event.id} close failed: ${err?.message || err}`); }
+  }
+}
+
+/**
+ * Schedules the event expiry check. `runNow` closes events that ended while the bot was offline.
+ */
+function scheduleXpEventLoop(runNow = false) {
+  const run = async () => {
+    try { await checkXpEvents(); }
+    catch (err) { EVENT_LOG.error('checkXpEvents error:', err?.stack || err); }
+    finally { setTimeout(run, EVENT_POLL_MS); }
+  };
+  EVENT_LOG.info(`XP event check every ${Math.round(EVENT_POLL_MS / 1000)}s`);
+  if (runNow) run();
+}
+
+module.exports = {
+  getActiveXpEvent,
+  getEventMultiplier,
+  startXpEvent,
+  endXpEvent,
+  checkXpEvents,
+  scheduleXpEventLoop,
+};
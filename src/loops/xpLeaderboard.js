@@ -0,0 +1,193 @@
+/**
+ * XP leaderboard. `/xp leaderboard` pages through members ranked live from `xp_progress`, and guilds
+ * that map the `xp_leaderboard` channel kind get a persistent board that this loop rewrites on the
+ * leaderboard schedule and re-posts when its message is deleted. Ties on XP are broken by user ID so
+ * page boundaries and "jump to me" agree with each other.
+ */
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} = require('discord.js');
+const { dbAll, dbGet, dbRun } = require('../db');
+const { log } = require('../logger');
+const { client } = require('../discord/client');
+const { LEADERBOARD_POLL_MS } = require('../config');
+const { CHANNEL_KINDS, getAnnouncementChannel, hasBotPerms } = require('../discord/channels');
+const { isGuildPollDue } = require('../settings');
+
+const XPLB_TAG = log.tag('XP:LB');
+const XP_BOARD_COLOR = 0x9b59b6;
+const XP_PAGE_SIZE = 10;
+
+/** Zero-based page that holds a 1-based standing. */
+function xpPageForStanding(standing) {
+  return Math.floor((standing - 1) / XP_PAGE_SIZE);
+}
+
+/**
+ * A member's 1-based position among members with XP, or `null` when they have none.
+ *
+ * @returns {Promise<{ standing: number, total: number } | null>}
+ */
+async function getXpStanding(gid, uid) {
+  const row = await dbGet('SELECT xp FROM xp_progress WHERE guild_id=? AND user_id=? AND xp>0', [gid, uid]);
+  if (!row) return null;
+  const ahead = await dbGet(
+    'SELECT COUNT(*) AS c FROM xp_progress WHERE guild_id=? AND (xp>? OR (xp=? AND user_id<?))',
+    [gid, row.xp, row.xp, uid]
+  );
+  const total = await dbGet('SELECT COUNT(*) AS c FROM xp_progress WHERE guild_id=? AND xp>0', [gid]);
+  return { standing: Number(ahead?.c || 0) + 1, total: Number(total?.c || 0) };
+}
+
+/**
+ * One page of the XP ranking with page buttons and a 📍 My rank button. `scope` is `s` on the shared
+ * board (clicks open a private view) and `v` inside a private view (clicks update it in place).
+ */
+async function buildXpLeaderboardView(gid, page, { scope = 's', viewerId = null, note = null } = {}) {
+  const totalRow = await dbGet('SELECT COUNT(*) AS c FROM xp_progress WHERE guild_id=? AND xp>0', [gid]);
+  const total = Number(totalRow?.c || 0);
+  const totalPages = Math.max(1, Math.ceil(total / XP_PAGE_SIZE));
+  const current = Math.min(Math.max(0, page), totalPages - 1);
+  const rows = await dbAll(
+    'SELECT user_id, xp, level FROM xp_progress WHERE guild_id=? AND xp>0 ORDER BY xp DESC, user_id LIMIT ? OFFSET ?',
+    [gid, XP_PAGE_SIZE, current * XP_PAGE_SIZE]
+  );
+
+  const lines = rows.map((r, i) => {
+    const line = `${current * XP_PAGE_SIZE + i + 1}. <@${r.user_id}> — level ${r.level} • ${r.xp} XP`;
+    return r.user_id === viewerId ? `**${line}**` : line;
+  });
+  const embed = new EmbedBuilder()
+    .setColor(XP_BOARD_COLOR)
+    .setTitle('✨ XP Leaderboard')
+    .setDescription([note, lines.join('\n') || '_Nobody has earned XP yet._'].filter(v => v != null).join('\n'))
+    .setFooter({ text: `Page ${current + 1}/${totalPages} • ${total} ranked` })
+    .setTimestamp(new Date());
+
+  const buttons = [
+    new ButtonBuilder().setCustomId(`xplb_page:${current - 1}:${scope}`).setLabel('◀️ Prev').setStyle(ButtonStyle.Primary).setDisabled(current <= 0),
+    new ButtonBuilder().setCustomId(`xplb_page:${current + 1}:${scope}`).setLabel('Next ▶️').setStyle(ButtonStyle.Primary).setDisabled(current >= totalPages - 1),
+    new ButtonBuilder().setCustomId(`xplb_me:${scope}`).setLabel('📍 My rank').setStyle(ButtonStyle.Secondary),
+  ];
+  return { embeds: [embed], components: [new ActionRowBuilder().addComponents(...buttons)] };
+}
+
+/**
+ * Handles the XP leaderboard buttons. Returns false for unrelated interactions so the caller can keep
+ * routing them.
+ */
+async function handleXpLeaderboardInteraction(interaction) {
+  const [kind, ...args] = (interaction.customId || '').split(':');
+  if (!['xplb_page', 'xplb_me'].includes(kind)) return false;
+  if (!interaction.guildId) return true;
+
+  const viewerId = interaction.user.id;
+  let page = 0;
+  let scope = 's';
+  let note = null;
+  if (kind === 'xplb_page') {
+    page = Number.parseInt(args[0], 10) || 0;
+    scope = args[1];
+  } else {
+    [scope] = args;
+    const mine = await getXpStanding(interaction.guildId, viewerId);
+    if (mine) page = xpPageForStanding(mine.standing);
+    else note = '_You have not earned any XP yet._';
+  }
+
+  const view = await buildXpLeaderboardView(interaction.guildId, page, { scope: 'v', viewerId, note });
+  XPLB_TAG.debug(`view user=${viewerId} guild=${interaction.guildId} ${kind} p=${page}`);
+  if (scope === 'v') await interaction.update(view);
+  else await interaction.reply({ ...view, ephemeral: true });
+  return true;
+}
+
+/**
+ * Makes sure the guild has a persistent XP board. When the target channel changes the old message is
+ * deleted and the board is posted in the new location; `posted` tells the caller the message is fresh.
+ */
+async function ensureXpLeaderboardMessage(guild, targetChannel = null) {
+  const row = await dbGet('SELECT channel_id, message_id FROM xp_leaderboard_msgs WHERE guild_id=?', [guild.id]);
+  const desiredChannel = targetChannel || await getAnnouncementChannel(guild, CHANNEL_KINDS.XP_LEADERBOARD);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (row && (!desiredChannel || row.channel_id === desiredChannel.id)) {
+    const ch = await client.channels.fetch(row.channel_id).catch(() => null);
+    return ch ? { channel: ch, messageId: row.message_id } : null;
+  }
+  if (!desiredChannel) return null;
+
+  if (row) {
+    const oldCh = await client.channels.fetch(row.channel_id).catch(() => null);
+    const oldMsg = oldCh && await oldCh.messages.fetch(row.message_id).catch(() => null);
+    if (oldMsg) await oldMsg.delete().catch(() => {});
+  }
+  const msg = await desiredChannel.send(await buildXpLeaderboardView(guild.id, 0));
+  await dbRun(
+    `INSERT INTO xp_leaderboard_msgs (guild_id, channel_id, message_id, updated_at) VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE channel_id=VALUES(channel_id), message_id=VALUES(message_id), updated_at=VALUES(updated_at)`,
+    [guild.id, desiredChannel.id, msg.id, now]
+  );
+  return { channel: desiredChannel, messageId: msg.id, posted: true };
+}
+
+/**
+ * Rewrites the persistent board of every guild that mapped an `xp_leaderboard` channel, posting a new
+ * message when the old one was deleted.
+ */
+async function refreshXpLeaderboards() {
+  const mapped = await dbAll('SELECT guild_id, channel_id FROM guild_channels WHERE kind=?', [CHANNEL_KINDS.XP_LEADERBOARD]);
+  for (const { guild_id: gid, channel_id: channelId } of mapped) {
+    const guild = client.guilds.cache.get(gid);
+    const channel = guild?.channels.cache.get(channelId);
+    if (!channel) continue;
+    if (!(await isGuildPollDue('xp_leaderboard', gid, 'leaderboard_poll_seconds'))) continue;
+    if (!hasBotPerms(channel).ok) {
+      XPLB_TAG.warn(`missing permissions guild=${gid} channel=${channelId}`);
+      continue;
+    }
+
+    try {
+      const holder = await ensureXpLeaderboardMessage(guild, channel);
+      if (!holder || holder.posted) continue;
+      const view = await buildXpLeaderboardView(gid, 0);
+      const msg = await holder.channel.messages.fetch(holder.messageId).catch(() => null);
+      if (msg) await msg.edit(view);
+      else {
+        const newMsg = await holder.channel.send(view);
+        await dbRun('UPDATE xp_leaderboard_msgs SET message_id=?, updated_at=? WHERE guild_id=?', [newMsg.id, Math.floor(Date.now() / 1000), gid]);
+        XPLB_TAG.info(`re-posted deleted board guild=${gid}`);
+      }
+    } catch (e) {
+      XPLB_TAG.warn(`refresh failed guild=${gid}: ${e?.message}`);
+    }
+  }
+}
+
+/**
+ * Schedules the persistent XP board refresh. Set `runNow` to true to avoid waiting for the first
+ * interval after startup.
+ */
+function scheduleXpLeaderboardLoop(runNow = false) {
+  const run = async () => {
+    try { await refreshXpLeaderboards(); }
+    catch (err) { XPLB_TAG.error('refreshXpLeaderboards error:', err?.stack || err); }
+    finally { setTimeout(run, LEADERBOARD_POLL_MS); }
+  };
+  XPLB_TAG.info(`XP leaderboard refresh every ${Math.round(LEADERBOARD_POLL_MS / 1000)}s`);
+  if (runNow) run();
+}
+
+module.exports = {
+  XP_PAGE_SIZE,
+  xpPageForStanding,
+  getXpStanding,
+  buildXpLeaderboardView,
+  handleXpLeaderboardInteraction,
+  ensureXpLeaderboardMessage,
+  refreshXpLeaderboards,
+  scheduleXpLeaderboardLoop,
+};
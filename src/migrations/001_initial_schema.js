@@ -0,0 +1,186 @@
+/**
+ * Baseline schema. Mirrors the tables that used to be created inline by `initDb`, so running it
+ * against a database provisioned by an older release is a no-op: every statement is guarded with
+ * `IF NOT EXISTS` or a column check.
+ */
+module.exports = {
+  async up({ run, ensureColumn }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS guilds (
+        guild_id   VARCHAR(32) NOT NULL PRIMARY KEY,
+        channel_id VARCHAR(32) NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS guild_channels (
+        guild_id   VARCHAR(32) NOT NULL,
+        kind       VARCHAR(32) NOT NULL,
+        channel_id VARCHAR(32) NOT NULL,
+        PRIMARY KEY (guild_id, kind)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS links (
+        guild_id VARCHAR(32) NOT NULL,
+        user_id  VARCHAR(32) NOT NULL,
+        steam_id VARCHAR(32) NOT NULL,
+        PRIMARY KEY (guild_id, user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS steam_account_locks (
+        steam_id VARCHAR(32) NOT NULL PRIMARY KEY,
+        user_id  VARCHAR(32) NOT NULL,
+        linked_at INT NOT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS watermarks (
+        guild_id    VARCHAR(32) NOT NULL,
+        user_id     VARCHAR(32) NOT NULL,
+        appid       INT NOT NULL,
+        last_unlock INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (guild_id, user_id, appid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS app_schema (
+        appid      INT NOT NULL PRIMARY KEY,
+        fetched_at BIGINT NOT NULL,
+        payload    LONGTEXT NOT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS app_names (
+        appid      INT NOT NULL PRIMARY KEY,
+        name       VARCHAR(255) NOT NULL,
+        source     VARCHAR(32) NOT NULL,
+        fetched_at BIGINT NOT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS owned_seen (
+        guild_id   VARCHAR(32) NOT NULL,
+        user_id    VARCHAR(32) NOT NULL,
+        appid      INT NOT NULL,
+        first_seen INT NOT NULL,
+        seeded     TINYINT NOT NULL DEFAULT 0,
+        PRIMARY KEY (guild_id, user_id, appid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS global_ach_pct (
+        appid INT NOT NULL,
+        api_name VARCHAR(191) NOT NULL,
+        pct DOUBLE NOT NULL,
+        fetched_at BIGINT NOT NULL,
+        PRIMARY KEY (appid, api_name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS ach_progress_marks (
+        guild_id VARCHAR(32) NOT NULL,
+        user_id  VARCHAR(32) NOT NULL,
+        appid    INT NOT NULL,
+        last_pct INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (guild_id, user_id, appid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS playtime_marks (
+        guild_id VARCHAR(32) NOT NULL,
+        user_id  VARCHAR(32) NOT NULL,
+        appid    INT NOT NULL,
+        last_mark_hours INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (guild_id, user_id, appid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS nowplaying_state (
+        guild_id VARCHAR(32) NOT NULL,
+        user_id  VARCHAR(32) NOT NULL,
+        appid    INT NOT NULL,
+        name     VARCHAR(191) NULL,
+        started_at INT NOT NULL,
+        last_seen_at INT NOT NULL,
+        announced TINYINT NOT NULL DEFAULT 0,
+        PRIMARY KEY (guild_id, user_id, appid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_nowplaying_state_guild_id ON nowplaying_state (guild_id)');
+    await run(`
+      CREATE TABLE IF NOT EXISTS owned_presence (
+        guild_id VARCHAR(32) NOT NULL,
+        user_id  VARCHAR(32) NOT NULL,
+        appid    INT NOT NULL,
+        last_seen INT NOT NULL,
+        missing_since INT NULL,
+        PRIMARY KEY (guild_id, user_id, appid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS user_game_stats (
+        guild_id VARCHAR(32) NOT NULL,
+        user_id  VARCHAR(32) NOT NULL,
+        appid    INT NOT NULL,
+        playtime_total_min INT NOT NULL DEFAULT 0,
+        playtime_2w_min    INT NOT NULL DEFAULT 0,
+        ach_unlocked       INT NOT NULL DEFAULT 0,
+        ach_total          INT NOT NULL DEFAULT 0,
+        updated_at         INT NOT NULL,
+        PRIMARY KEY (guild_id, user_id, appid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_user_game_stats_guild_id ON user_game_stats (guild_id)');
+    await run(`
+      CREATE TABLE IF NOT EXISTS leaderboard_msgs (
+        guild_id   VARCHAR(32) NOT NULL PRIMARY KEY,
+        channel_id VARCHAR(32) NOT NULL,
+        message_id VARCHAR(32) NOT NULL,
+        updated_at INT NOT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS sales_msgs (
+        guild_id   VARCHAR(32) NOT NULL PRIMARY KEY,
+        channel_id VARCHAR(32) NOT NULL,
+        message_id VARCHAR(32) NOT NULL,
+        updated_at INT NOT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS github_announcements (
+        repo         VARCHAR(191) NOT NULL PRIMARY KEY,
+        last_sha     VARCHAR(64) NULL,
+        announced_at BIGINT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS link_permits (
+        guild_id   VARCHAR(32) NOT NULL,
+        user_id    VARCHAR(32) NOT NULL,
+        granted_by VARCHAR(32) NOT NULL,
+        expires_at BIGINT NOT NULL,
+        PRIMARY KEY (guild_id, user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS xp_progress (
+        guild_id        VARCHAR(32) NOT NULL,
+        user_id         VARCHAR(32) NOT NULL,
+        xp              INT NOT NULL DEFAULT 0,
+        level           INT NOT NULL DEFAULT 0,
+        last_message_at INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (guild_id, user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_xp_progress_guild_id ON xp_progress (guild_id)');
+
+    await ensureColumn('nowplaying_state', 'announced', 'TINYINT NOT NULL DEFAULT 0');
+    await ensureColumn('nowplaying_state', 'name', 'VARCHAR(191) NULL');
+    await ensureColumn('owned_seen', 'seeded', 'TINYINT NOT NULL DEFAULT 0');
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * Per-guild overrides for the tunables exposed through `/config`.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS guild_settings (
+        guild_id    VARCHAR(32) NOT NULL,
+        setting_key VARCHAR(64) NOT NULL,
+        value       VARCHAR(255) NOT NULL,
+        updated_by  VARCHAR(32) NOT NULL,
+        updated_at  INT NOT NULL,
+        PRIMARY KEY (guild_id, setting_key)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  },
+};
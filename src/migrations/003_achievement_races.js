@@ -0,0 +1,34 @@
+/**
+ * Achievement races: timed competitions to unlock the most achievements in a single game.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS races (
+        id              INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        guild_id        VARCHAR(32) NOT NULL,
+        appid           INT NOT NULL,
+        game_name       VARCHAR(191) NOT NULL,
+        channel_id      VARCHAR(32) NOT NULL,
+        message_id      VARCHAR(32) NULL,
+        started_by      VARCHAR(32) NOT NULL,
+        starts_at       BIGINT NOT NULL,
+        ends_at         BIGINT NOT NULL,
+        status          VARCHAR(16) NOT NULL DEFAULT 'active',
+        winner_user_id  VARCHAR(32) NULL,
+        standings_dirty TINYINT NOT NULL DEFAULT 1
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_races_guild_status ON races (guild_id, status)');
+    await run(`
+      CREATE TABLE IF NOT EXISTS race_entries (
+        race_id        INT NOT NULL,
+        user_id        VARCHAR(32) NOT NULL,
+        unlocked       INT NOT NULL DEFAULT 0,
+        last_unlock_at BIGINT NOT NULL DEFAULT 0,
+        joined_at      BIGINT NOT NULL,
+        PRIMARY KEY (race_id, user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  },
+};
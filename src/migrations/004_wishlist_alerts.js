@@ -0,0 +1,40 @@
+/**
+ * Wishlist sale alerts: per-member preferences, a cached copy of each watched wishlist, and the
+ * alerts already delivered so a sale is only announced once.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS wishlist_prefs (
+        guild_id     VARCHAR(32) NOT NULL,
+        user_id      VARCHAR(32) NOT NULL,
+        enabled      TINYINT NOT NULL DEFAULT 1,
+        min_discount INT NOT NULL DEFAULT 0,
+        delivery     VARCHAR(16) NOT NULL DEFAULT 'dm',
+        synced_at    BIGINT NOT NULL DEFAULT 0,
+        updated_at   BIGINT NOT NULL,
+        PRIMARY KEY (guild_id, user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS wishlist_items (
+        guild_id  VARCHAR(32) NOT NULL,
+        user_id   VARCHAR(32) NOT NULL,
+        appid     INT NOT NULL,
+        priority  INT NOT NULL DEFAULT 0,
+        added_at  BIGINT NOT NULL DEFAULT 0,
+        PRIMARY KEY (guild_id, user_id, appid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS wishlist_alerts (
+        guild_id         VARCHAR(32) NOT NULL,
+        user_id          VARCHAR(32) NOT NULL,
+        appid            INT NOT NULL,
+        discount_percent INT NOT NULL,
+        alerted_at       BIGINT NOT NULL,
+        PRIMARY KEY (guild_id, user_id, appid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  },
+};
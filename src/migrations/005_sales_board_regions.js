@@ -0,0 +1,35 @@
+/**
+ * Lets a guild run several sales boards, one per channel, each showing prices for one store region.
+ * `region` is NULL for a board that follows the guild's `sales_region_cc`, so changing that setting
+ * re-renders the existing message instead of posting a second board.
+ *
+ * Changing a primary key in place is not portable, so the table is rebuilt and swapped in without a
+ * window where `sales_msgs` is missing: on SQLite the whole step runs inside the migration lock's
+ * transaction, and on MySQL (where DDL commits implicitly) both names change in one RENAME TABLE.
+ */
+module.exports = {
+  async up({ run, dialect }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS sales_msgs_channels (
+        guild_id   VARCHAR(32) NOT NULL,
+        channel_id VARCHAR(32) NOT NULL,
+        region     VARCHAR(2) NULL,
+        message_id VARCHAR(32) NOT NULL,
+        updated_at INT NOT NULL,
+        PRIMARY KEY (guild_id, channel_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      INSERT IGNORE INTO sales_msgs_channels (guild_id, channel_id, region, message_id, updated_at)
+      SELECT guild_id, channel_id, NULL, message_id, updated_at FROM sales_msgs
+    `);
+    if (dialect === 'mysql') {
+      await run('DROP TABLE IF EXISTS sales_msgs_legacy');
+      await run('RENAME TABLE sales_msgs TO sales_msgs_legacy, sales_msgs_channels TO sales_msgs');
+      await run('DROP TABLE sales_msgs_legacy');
+    } else {
+      await run('DROP TABLE sales_msgs');
+      await run('ALTER TABLE sales_msgs_channels RENAME TO sales_msgs');
+    }
+  },
+};
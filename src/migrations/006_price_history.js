@@ -0,0 +1,21 @@
+/**
+ * Sale price history per app and store region. Crawls are folded into one row per day holding that
+ * day's lowest observed price, which is enough for all-time-low badges and `/price` charts without
+ * growing by a row per page fetch.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS price_history (
+        appid            INT NOT NULL,
+        region           VARCHAR(2) NOT NULL,
+        day              INT NOT NULL,
+        price_cents      INT NOT NULL,
+        price_str        VARCHAR(32) NOT NULL,
+        discount_percent INT NOT NULL DEFAULT 0,
+        recorded_at      BIGINT NOT NULL,
+        PRIMARY KEY (appid, region, day)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  },
+};
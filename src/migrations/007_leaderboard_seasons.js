@@ -0,0 +1,33 @@
+/**
+ * Leaderboard seasons: per-user aggregate snapshots taken at each weekly/monthly rollover, and the
+ * seasons themselves, which reference the snapshots that bound them so results can be recomputed
+ * for past seasons.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS stat_snapshots (
+        guild_id     VARCHAR(32) NOT NULL,
+        taken_at     BIGINT NOT NULL,
+        user_id      VARCHAR(32) NOT NULL,
+        playtime_min BIGINT NOT NULL DEFAULT 0,
+        ach_unlocked INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (guild_id, taken_at, user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS leaderboard_seasons (
+        guild_id    VARCHAR(32) NOT NULL,
+        period      VARCHAR(8) NOT NULL,
+        season_key  VARCHAR(16) NOT NULL,
+        starts_at   BIGINT NOT NULL,
+        ends_at     BIGINT NOT NULL,
+        baseline_at BIGINT NOT NULL,
+        final_at    BIGINT NULL,
+        status      VARCHAR(16) NOT NULL DEFAULT 'open',
+        PRIMARY KEY (guild_id, period, season_key)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_leaderboard_seasons_status ON leaderboard_seasons (guild_id, period, status)');
+  },
+};
@@ -0,0 +1,21 @@
+/**
+ * Full per-category leaderboard rankings as of the latest refresh. Keeping the previous standing next
+ * to the current one lets every page of the board show movement arrows without recomputing history.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS leaderboard_ranks (
+        guild_id      VARCHAR(32) NOT NULL,
+        category      VARCHAR(16) NOT NULL,
+        user_id       VARCHAR(32) NOT NULL,
+        standing      INT NOT NULL,
+        prev_standing INT NULL,
+        value         DOUBLE NOT NULL DEFAULT 0,
+        updated_at    INT NOT NULL,
+        PRIMARY KEY (guild_id, category, user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_leaderboard_ranks_order ON leaderboard_ranks (guild_id, category, standing)');
+  },
+};
@@ -0,0 +1,18 @@
+/**
+ * Persistent per-game leaderboards pinned with `/top`, refreshed alongside the main leaderboard.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS game_boards (
+        guild_id   VARCHAR(32) NOT NULL,
+        appid      INT NOT NULL,
+        channel_id VARCHAR(32) NOT NULL,
+        message_id VARCHAR(32) NOT NULL,
+        pinned_by  VARCHAR(32) NOT NULL,
+        updated_at INT NOT NULL,
+        PRIMARY KEY (guild_id, appid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  },
+};
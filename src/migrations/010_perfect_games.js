@@ -0,0 +1,23 @@
+/**
+ * Games a member has completed 100%, with the details shown in the Perfect Game announcement and
+ * `/perfects`.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS perfect_games (
+        guild_id      VARCHAR(32) NOT NULL,
+        user_id       VARCHAR(32) NOT NULL,
+        appid         INT NOT NULL,
+        completed_at  BIGINT NOT NULL,
+        ach_total     INT NOT NULL,
+        rarest_name   VARCHAR(255) NULL,
+        rarest_pct    DOUBLE NULL,
+        playtime_min  INT NOT NULL DEFAULT 0,
+        announced     TINYINT NOT NULL DEFAULT 0,
+        recorded_at   BIGINT NOT NULL,
+        PRIMARY KEY (guild_id, user_id, appid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  },
+};
@@ -0,0 +1,8 @@
+/**
+ * Lets members hide their Steam details on `/profile` from everyone but themselves.
+ */
+module.exports = {
+  async up({ ensureColumn }) {
+    await ensureColumn('links', 'profile_private', 'TINYINT NOT NULL DEFAULT 0');
+  },
+};
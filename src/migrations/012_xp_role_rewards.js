@@ -0,0 +1,19 @@
+/**
+ * Roles granted automatically when a member reaches an XP level. Each role unlocks at a single level;
+ * several roles may share a level.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS xp_role_rewards (
+        guild_id    VARCHAR(32) NOT NULL,
+        role_id     VARCHAR(32) NOT NULL,
+        level       INT NOT NULL,
+        created_by  VARCHAR(32) NULL,
+        created_at  BIGINT NOT NULL,
+        PRIMARY KEY (guild_id, role_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_xp_role_rewards_level ON xp_role_rewards (guild_id, level)');
+  },
+};
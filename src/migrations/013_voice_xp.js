@@ -0,0 +1,9 @@
+/**
+ * Voice activity totals on `xp_progress`, so `/rank` can split voice time and voice XP from message XP.
+ */
+module.exports = {
+  async up({ ensureColumn }) {
+    await ensureColumn('xp_progress', 'voice_minutes', 'INT NOT NULL DEFAULT 0');
+    await ensureColumn('xp_progress', 'voice_xp', 'INT NOT NULL DEFAULT 0');
+  },
+};
@@ -0,0 +1,32 @@
+/**
+ * Per-guild XP rules and boost events. A rule scales XP earned in a channel (or category) or by
+ * members holding a role; a multiplier of 0 excludes it. Events multiply all XP for a time window.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS xp_rules (
+        guild_id    VARCHAR(32) NOT NULL,
+        target_type VARCHAR(16) NOT NULL,
+        target_id   VARCHAR(32) NOT NULL,
+        multiplier  DOUBLE NOT NULL,
+        updated_by  VARCHAR(32) NULL,
+        updated_at  BIGINT NOT NULL,
+        PRIMARY KEY (guild_id, target_type, target_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS xp_events (
+        id          INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        guild_id    VARCHAR(32) NOT NULL,
+        multiplier  DOUBLE NOT NULL,
+        channel_id  VARCHAR(32) NULL,
+        started_by  VARCHAR(32) NOT NULL,
+        starts_at   BIGINT NOT NULL,
+        ends_at     BIGINT NOT NULL,
+        status      VARCHAR(16) NOT NULL DEFAULT 'active'
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_xp_events_guild_status ON xp_events (guild_id, status)');
+  },
+};
@@ -0,0 +1,24 @@
+/**
+ * Audit trail of manual XP adjustments made by staff through `/xp give|take|set|reset`.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS xp_audit (
+        id            INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        guild_id      VARCHAR(32) NOT NULL,
+        user_id       VARCHAR(32) NOT NULL,
+        actor_id      VARCHAR(32) NOT NULL,
+        action        VARCHAR(16) NOT NULL,
+        delta         INT NOT NULL,
+        xp_before     INT NOT NULL,
+        xp_after      INT NOT NULL,
+        level_before  INT NOT NULL,
+        level_after   INT NOT NULL,
+        reason        VARCHAR(512) NULL,
+        created_at    BIGINT NOT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_xp_audit_member ON xp_audit (guild_id, user_id, created_at)');
+  },
+};
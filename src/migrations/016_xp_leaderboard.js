@@ -0,0 +1,17 @@
+/**
+ * Persistent XP leaderboard message per guild, and an index so members can be ranked by XP without a
+ * full scan of the guild's rows.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS xp_leaderboard_msgs (
+        guild_id   VARCHAR(32) NOT NULL PRIMARY KEY,
+        channel_id VARCHAR(32) NOT NULL,
+        message_id VARCHAR(32) NOT NULL,
+        updated_at INT NOT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_xp_progress_ranking ON xp_progress (guild_id, xp)');
+  },
+};
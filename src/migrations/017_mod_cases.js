@@ -0,0 +1,27 @@
+/**
+ * Moderation cases. Every warn, timeout, kick, ban and automatic removal gets a case number that is
+ * unique within the guild. Deleted cases keep their row (and number) but drop out of `/history`.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS mod_cases (
+        id            INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        guild_id      VARCHAR(32) NOT NULL,
+        case_number   INT NOT NULL,
+        action        VARCHAR(16) NOT NULL,
+        target_id     VARCHAR(32) NOT NULL,
+        moderator_id  VARCHAR(32) NOT NULL,
+        reason        VARCHAR(512) NULL,
+        duration_ms   BIGINT NULL,
+        created_at    BIGINT NOT NULL,
+        updated_by    VARCHAR(32) NULL,
+        updated_at    BIGINT NULL,
+        deleted_by    VARCHAR(32) NULL,
+        deleted_at    BIGINT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_mod_cases_number ON mod_cases (guild_id, case_number)');
+    await run('CREATE INDEX IF NOT EXISTS idx_mod_cases_target ON mod_cases (guild_id, target_id, created_at)');
+  },
+};
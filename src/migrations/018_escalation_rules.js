@@ -0,0 +1,19 @@
+/**
+ * Per-guild escalation rules: reaching `threshold` active strikes (warnings and automod removals within
+ * the decay window) triggers a timeout, kick or ban.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS mod_escalation_rules (
+        guild_id     VARCHAR(32) NOT NULL,
+        threshold    INT NOT NULL,
+        action       VARCHAR(16) NOT NULL,
+        duration_ms  BIGINT NULL,
+        created_by   VARCHAR(32) NOT NULL,
+        created_at   BIGINT NOT NULL,
+        PRIMARY KEY (guild_id, threshold)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+  },
+};
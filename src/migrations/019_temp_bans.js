@@ -0,0 +1,25 @@
+/**
+ * Temporary bans. Each row is one timed `/ban`; the temp ban loop lifts it once `expires_at` passes.
+ * Rows stay after the ban ends with a status recording how it ended.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS temp_bans (
+        id            INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        guild_id      VARCHAR(32) NOT NULL,
+        user_id       VARCHAR(32) NOT NULL,
+        moderator_id  VARCHAR(32) NOT NULL,
+        reason        VARCHAR(512) NULL,
+        case_number   INT NULL,
+        banned_at     BIGINT NOT NULL,
+        expires_at    BIGINT NOT NULL,
+        status        VARCHAR(16) NOT NULL DEFAULT 'active',
+        ended_at      BIGINT NULL,
+        ended_by      VARCHAR(32) NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_temp_bans_due ON temp_bans (status, expires_at)');
+    await run('CREATE INDEX IF NOT EXISTS idx_temp_bans_member ON temp_bans (guild_id, user_id, status)');
+  },
+};
@@ -0,0 +1,36 @@
+/**
+ * Anti-spam and raid protection. `antispam_rules` holds per-guild overrides of the built-in rule
+ * defaults (one row per changed rule); `raid_mode` holds the one running raid lockdown per guild with
+ * what it changed, so the lockdown can be undone after a restart.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS antispam_rules (
+        guild_id        VARCHAR(32) NOT NULL,
+        rule            VARCHAR(16) NOT NULL,
+        enabled         TINYINT NOT NULL DEFAULT 1,
+        threshold       INT NOT NULL,
+        window_seconds  INT NOT NULL,
+        action          VARCHAR(16) NOT NULL,
+        duration_ms     BIGINT NULL,
+        updated_by      VARCHAR(32) NOT NULL,
+        updated_at      BIGINT NOT NULL,
+        PRIMARY KEY (guild_id, rule)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS raid_mode (
+        guild_id               VARCHAR(32) NOT NULL PRIMARY KEY,
+        started_at             BIGINT NOT NULL,
+        ends_at                BIGINT NOT NULL,
+        started_by             VARCHAR(32) NOT NULL,
+        action                 VARCHAR(16) NOT NULL,
+        joins                  INT NOT NULL DEFAULT 0,
+        previous_verification  INT NULL,
+        locked_channels        TEXT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_raid_mode_ends ON raid_mode (ends_at)');
+  },
+};
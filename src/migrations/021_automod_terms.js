@@ -0,0 +1,19 @@
+/**
+ * Per-guild banned terms for content moderation. `mode` is how `pattern` matches (`word`,
+ * `substring`, `wildcard`, `regex`), or `allow` for a phrase exempt from every term.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS automod_terms (
+        id          INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        guild_id    VARCHAR(32) NOT NULL,
+        mode        VARCHAR(16) NOT NULL,
+        pattern     VARCHAR(200) NOT NULL,
+        added_by    VARCHAR(32) NOT NULL,
+        created_at  BIGINT NOT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_automod_terms_entry ON automod_terms (guild_id, mode, pattern)');
+  },
+};
@@ -0,0 +1,9 @@
+/**
+ * Remembers when an announced wishlist sale was last seen in the specials scan, so an alert is only
+ * forgotten once the sale has been gone for a while rather than after one short scan.
+ */
+module.exports = {
+  async up({ ensureColumn }) {
+    await ensureColumn('wishlist_alerts', 'seen_at', 'BIGINT NOT NULL DEFAULT 0');
+  },
+};
@@ -0,0 +1,174 @@
+/**
+ * Versioned schema migration runner. Migrations live next to this file as `NNN_description.js` and
+ * export an async `up(ctx)` function. Applied versions are recorded in `schema_migrations`, and the
+ * whole run happens under a database lock so two bot instances booting together cannot apply the
+ * same step twice. Migrations are written in MySQL syntax; the SQLite driver translates them.
+ *
+ * Migration context (`ctx`):
+ * - `run(sql, params)`   – write statement; recorded instead of executed during a dry run.
+ * - `get` / `all`        – read helpers; always executed so conditional steps can inspect state.
+ * - `ensureColumn(table, column, definition)` – adds a column only when it is missing.
+ * - `dialect`            – `'mysql'` or `'sqlite'`, for the rare step that needs backend-specific SQL.
+ * - `log`                – tagged logger for progress messages.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { log, time } = require('../logger');
+const { dbGet, dbAll, dbRun, hasTable, hasColumn, getDriver } = require('../db');
+
+const MIGRATE_LOG = log.tag('DB:MIGRATE');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const LOCK_NAME = 'paradisebot_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Reads every migration file from disk, ordered by version. Throws when two files share a version
+ * so a bad merge is caught before anything touches the database.
+ *
+ * @param {string} [dir] - Directory to scan (overridable for tests).
+ * @returns {Array<{ version: number, name: string, file: string, up: Function }>}
+ */
+function loadMigrations(dir = __dirname) {
+  const seen = new Map();
+  const migrations = [];
+  for (const file of fs.readdirSync(dir)) {
+    const m = file.match(FILE_PATTERN);
+    if (!m) continue;
+    const version = Number.parseInt(m[1], 10);
+    if (seen.has(version)) {
+      throw new Error(`Duplicate migration version ${version}: ${seen.get(version)} and ${file}`);
+    }
+    seen.set(version, file);
+    const mod = require(path.join(dir, file));
+    if (typeof mod.up !== 'function') throw new Error(`Migration ${file} does not export an up() function`);
+    migrations.push({ version, name: m[2], file, up: mod.up });
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable() {
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      version     INT NOT NULL PRIMARY KEY,
+      name        VARCHAR(191) NOT NULL,
+      applied_at  BIGINT NOT NULL,
+      duration_ms INT NOT NULL DEFAULT 0
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+}
+
+/**
+ * Returns the recorded migrations keyed by version. A missing table simply means nothing has been
+ * applied yet, which keeps `status` and dry runs read-only on fresh databases.
+ */
+async function getAppliedVersions() {
+  if (!(await hasTable(MIGRATIONS_TABLE))) return new Map();
+  const rows = await dbAll(`SELECT version, name, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+  return new Map(rows.map(r => [Number(r.version), r]));
+}
+
+/**
+ * Describes every known migration alongside whether (and when) it was applied.
+ *
+ * @returns {Promise<Array<{ version: number, name: string, appliedAt: number|null }>>}
+ */
+async function getMigrationStatus() {
+  const applied = await getAppliedVersions();
+  return loadMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    appliedAt: applied.has(m.version) ? Number(applied.get(m.version).applied_at) : null,
+  }));
+}
+
+/**
+ * Builds the context handed to each migration. In dry-run mode writes are captured into `statements`
+ * rather than executed.
+ */
+function createContext({ dryRun, statements }) {
+  const run = async (sql, params = []) => {
+    if (dryRun) {
+      statements.push({ sql: String(sql).trim(), params });
+      return { affectedRows: 0 };
+    }
+    return dbRun(sql, params);
+  };
+  return {
+    run,
+    get: dbGet,
+    all: dbAll,
+    log: MIGRATE_LOG,
+    dialect: getDriver().dialect,
+    async ensureColumn(table, column, columnDef) {
+      if (await hasColumn(table, column)) return;
+      await run(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${columnDef}`);
+      if (!dryRun) MIGRATE_LOG.info(`Added column ${table}.${column}`);
+    },
+  };
+}
+
+/**
+ * Serialises migration runs across processes using the driver's lock primitive (a MySQL advisory
+ * lock, or the SQLite write lock).
+ */
+function withMigrationLock(fn) {
+  return getDriver().withLock(LOCK_NAME, LOCK_TIMEOUT_SECONDS, fn);
+}
+
+/**
+ * Applies every pending migration in order. With `dryRun` the lock is skipped and nothing is written;
+ * the returned plan lists the statements each pending migration would execute.
+ *
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<Array<{ version: number, name: string, statements?: Array<{ sql: string, params: Array }> }>>}
+ */
+async function runMigrations({ dryRun = false } = {}) {
+  const migrations = loadMigrations();
+
+  const apply = async () => {
+    if (!dryRun) await ensureMigrationsTable();
+    const applied = await getAppliedVersions();
+    const pending = migrations.filter(m => !applied.has(m.version));
+    if (!pending.length) {
+      MIGRATE_LOG.info('Schema is up to date.');
+      return [];
+    }
+
+    const results = [];
+    for (const m of pending) {
+      const statements = [];
+      const ctx = createContext({ dryRun, statements });
+      const t = time(`DB:MIGRATE:${m.version}`);
+      const started = Date.now();
+      try {
+        await m.up(ctx);
+      } catch (err) {
+        MIGRATE_LOG.error(`Migration ${m.file} failed:`, err?.stack || err);
+        throw err;
+      } finally { t.end(); }
+
+      if (dryRun) {
+        results.push({ version: m.version, name: m.name, statements });
+        continue;
+      }
+
+      const duration = Date.now() - started;
+      await dbRun(
+        `INSERT INTO ${MIGRATIONS_TABLE} (version, name, applied_at, duration_ms) VALUES (?, ?, ?, ?)`,
+        [m.version, m.name, Date.now(), duration]
+      );
+      MIGRATE_LOG.info(`Applied ${m.file} in ${duration}ms`);
+      results.push({ version: m.version, name: m.name });
+    }
+    return results;
+  };
+
+  return dryRun ? apply() : withMigrationLock(apply);
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  runMigrations,
+};
@@ -0,0 +1,127 @@
+/**
+ * Per-viewer filtering for the sales board. Filters run purely over pages already held in the sales
+ * page cache, so narrowing the list never costs an extra store request. Each viewer's choices are kept
+ * in memory for a short while so the ephemeral view survives a few clicks without round-tripping the
+ * state through custom IDs.
+ */
+
+const SALES_SORTS = {
+  store: 'Store order',
+  discount: 'Biggest discount',
+  price_asc: 'Cheapest first',
+  price_desc: 'Priciest first',
+  name: 'Name A–Z',
+};
+const DISCOUNT_STEPS = [0, 25, 50, 75, 90];
+const VIEWER_TTL_MS = 15 * 60 * 1000;
+const MAX_QUERY_LENGTH = 100;
+
+const viewerFilters = new Map();
+
+/** Fresh filter state: everything shown in store order. */
+function defaultSalesFilters() {
+  return { minDiscount: 0, maxPrice: null, query: '', sort: 'store', page: 0 };
+}
+
+/**
+ * Returns a copy of a viewer's filters for a region, falling back to defaults once the state has
+ * expired.
+ */
+function getViewerFilters(userId, cc) {
+  const hit = viewerFilters.get(`${userId}:${cc}`);
+  if (!hit || hit.until <= Date.now()) return defaultSalesFilters();
+  return { ...hit.filters };
+}
+
+/** Stores a viewer's filters and sweeps expired entries so the map cannot grow unbounded. */
+function setViewerFilters(userId, cc, filters) {
+  const now = Date.now();
+  for (const [key, entry] of viewerFilters) if (entry.until <= now) viewerFilters.delete(key);
+  viewerFilters.set(`${userId}:${cc}`, { filters: { ...filters }, until: now + VIEWER_TTL_MS });
+}
+
+/**
+ * Parses a price ceiling typed into the search modal. Blank input clears the ceiling.
+ *
+ * @param {string} raw - User input such as `20`, `19.99`, `19,99`, or `1,299`.
+ * @returns {number|null}
+ */
+function parsePriceCeiling(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return null;
+  const digits = text.replace(/[^\d.,]/g, '');
+  // With both separators the later one is the decimal point ("1,299.99", "1.299,99"). A comma alone
+  // groups thousands when every group after it has exactly three digits ("1,299"), otherwise it is
+  // a decimal separator ("19,99").
+  let normalised;
+  if (digits.includes('.') && digits.includes(',')) {
+    normalised = digits.lastIndexOf(',') > digits.lastIndexOf('.')
+      ? digits.replace(/\./g, '').replace(',', '.')
+      : digits.replace(/,/g, '');
+  } else if (/^\d{1,3}(?:,\d{3})+$/.test(digits)) {
+    normalised = digits.replace(/,/g, '');
+  } else {
+    normalised = digits.replace(',', '.');
+  }
+  const value = Number.parseFloat(normalised);
+  if (!Number.isFinite(value) || value < 0 || !/\d/.test(normalised)) {
+    throw new Error(`"${text}" is not a valid price. Enter a number such as 20 or 19.99.`);
+  }
+  return value;
+}
+
+/** Normalises a title search so it can be matched case-insensitively. */
+function normaliseQuery(raw) {
+  return String(raw || '').trim().slice(0, MAX_QUERY_LENGTH);
+}
+
+/**
+ * Applies a viewer's filters and sort to sale items.
+ *
+ * @param {Array<object>} items - Sale items as produced by the sales crawler.
+ * @param {{ minDiscount: number, maxPrice: number|null, query: string, sort: string }} filters
+ * @param {(item: object) => number|null} priceOf - Resolves an item's numeric final price.
+ * @returns {Array<object>} Matching items in the requested order.
+ */
+function applySalesFilters(items, filters, priceOf) {
+  const query = normaliseQuery(filters.query).toLowerCase();
+  const priced = items.map((item, order) => ({ item, order, price: priceOf(item) ?? 0 }));
+  const matches = priced.filter(({ item, price }) =>
+    (Number(item.discount_percent) || 0) >= (filters.minDiscount || 0)
+    && (filters.maxPrice == null || price <= filters.maxPrice)
+    && (!query || String(item.name || '').toLowerCase().includes(query))
+  );
+
+  const comparators = {
+    discount: (a, b) => b.item.discount_percent - a.item.discount_percent || a.order - b.order,
+    price_asc: (a, b) => a.price - b.price || a.order - b.order,
+    price_desc: (a, b) => b.price - a.price || a.order - b.order,
+    name: (a, b) => String(a.item.name).localeCompare(String(b.item.name)) || a.order - b.order,
+  };
+  const compare = comparators[filters.sort];
+  if (compare) matches.sort(compare);
+  return matches.map(m => m.item);
+}
+
+/** One-line summary of the active filters for the embed header. */
+function describeSalesFilters(filters) {
+  const parts = [];
+  if (filters.minDiscount) parts.push(`≥${filters.minDiscount}% off`);
+  if (filters.maxPrice != null) parts.push(`≤ ${filters.maxPrice}`);
+  if (filters.query) parts.push(`“${filters.query}”`);
+  parts.push(`Sort: ${SALES_SORTS[filters.sort] || SALES_SORTS.store}`);
+  return parts.join(' • ');
+}
+
+module.exports = {
+  SALES_SORTS,
+  DISCOUNT_STEPS,
+  MAX_QUERY_LENGTH,
+  defaultSalesFilters,
+  getViewerFilters,
+  setViewerFilters,
+  parsePriceCeiling,
+  normaliseQuery,
+  applySalesFilters,
+  describeSalesFilters,
+};
@@ -8,10 +8,20 @@ const axios = require('axios').default;
 const cheerio = require('cheerio');
 const { wrapper: axiosCookieJarSupport } = require('axios-cookiejar-support');
 const tough = require('tough-cookie');
-const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ComponentType,
+} = require('discord.js');
 const pLimit = require('p-limit');
 const { log, time } = require('../logger');
-const { dbRun, dbGet } = require('../db');
+const { dbRun, dbGet, dbAll } = require('../db');
 const { client } = require('../discord/client');
 const {
   SALES_REGION_CC,
@@ -30,6 +40,20 @@ const {
   STEAM_COLOR,
 } = require('../config');
 const { CHANNEL_KINDS, getAnnouncementChannel, getConfiguredGuildIds } = require('../discord/channels');
+const { getGuildSetting } = require('../settings');
+const {
+  SALES_SORTS,
+  DISCOUNT_STEPS,
+  MAX_QUERY_LENGTH,
+  defaultSalesFilters,
+  getViewerFilters,
+  setViewerFilters,
+  parsePriceCeiling,
+  normaliseQuery,
+  applySalesFilters,
+  describeSalesFilters,
+} = require('./filters');
+const { PRICE_BADGES, recordPriceHistory } = require('./priceHistory');
 
 const SALES_TAG = log.tag('SALES');
 
@@ -408,6 +432,8 @@ async function getPageData(cc, pageIndex) {
     }
 
     t.end();
+    try { await recordPriceHistory(cc, items, it => priceToNumber(it.final_price_str)); }
+    catch (e) { SALES_TAG.warn(`price history write failed ${cc}:${pageIndex}: ${e?.message}`); }
     const fresh = cacheDataSet(cc, pageIndex, items, totalPages);
     SALES_TAG.trace(`p${pageIndex} ids=`, items.map(i=>i.id).join(','));
     return fresh;
@@ -418,12 +444,18 @@ async function getPageData(cc, pageIndex) {
   return fetchPromise;
 }
 
-/** Formats a sale item into a human readable Markdown line. */
+const PRICE_BADGE_LABELS = {
+  [PRICE_BADGES.NEW_LOW]: '📉 **New low**',
+  [PRICE_BADGES.ATL]: '🏷️ **Lowest recorded**',
+};
+
+/** Formats a sale item into a human readable Markdown line, flagging recorded price lows. */
 function saleItemToLine(it) {
   const off = it.discount_percent ?? 0;
   const fin = (it.final_price_str && it.final_price_str.trim()) || 'Free';
   const orig = it.original_price_str ? ` ~~${it.original_price_str}~~` : '';
-  return `**${it.name}** — ${off}% off • ${fin}${orig ? ` ${orig}` : ''} — [Store](${it.url})`;
+  const badge = PRICE_BADGE_LABELS[it.price_badge] ? ` • ${PRICE_BADGE_LABELS[it.price_badge]}` : '';
+  return `**${it.name}** — ${off}% off • ${fin}${orig ? ` ${orig}` : ''}${badge} — [Store](${it.url})`;
 }
 
 const navEpoch = new Map();
@@ -561,7 +593,38 @@ function buildSalesComponents(cc, pageIndex, totalPages, epoch) {
     .setLabel('Next ▶️')
     .setStyle(ButtonStyle.Primary)
     .setDisabled(pageIndex >= totalPages-1);
-  return [ new ActionRowBuilder().addComponents(prevBtn, nextBtn) ];
+  const searchBtn = new ButtonBuilder()
+    .setCustomId(`sales_fmodal_open:${cc}:s`)
+    .setLabel('🔎 Search')
+    .setStyle(ButtonStyle.Secondary);
+  return [ new ActionRowBuilder().addComponents(prevBtn, nextBtn, searchBtn), ...buildFilterRows(cc, 's') ];
+}
+
+/**
+ * Builds the discount and sort select menus. `scope` records where the menus live: `s` on the shared
+ * board (selecting opens a private view) or `v` inside a viewer's ephemeral view (selecting updates it).
+ */
+function buildFilterRows(cc, scope, filters = null) {
+  const discount = new StringSelectMenuBuilder()
+    .setCustomId(`sales_fsel:${cc}:discount:${scope}`)
+    .setPlaceholder('Minimum discount')
+    .addOptions(DISCOUNT_STEPS.map(pct => ({
+      label: pct ? `${pct}% off or more` : 'Any discount',
+      value: String(pct),
+      default: !!filters && filters.minDiscount === pct,
+    })));
+  const sort = new StringSelectMenuBuilder()
+    .setCustomId(`sales_fsel:${cc}:sort:${scope}`)
+    .setPlaceholder('Sort order')
+    .addOptions(Object.entries(SALES_SORTS).map(([value, label]) => ({
+      label,
+      value,
+      default: !!filters && filters.sort === value,
+    })));
+  return [
+    new ActionRowBuilder().addComponents(discount),
+    new ActionRowBuilder().addComponents(sort),
+  ];
 }
 
 /** Returns a disabled copy of the existing button rows to prevent duplicate clicks during updates. */
@@ -573,7 +636,11 @@ function disableSalesComponentsFromMessage(message) {
   for (const row of rows) {
     const newRow = new ActionRowBuilder();
     for (const component of row.components || []) {
-      if (component.type !== 2) continue; // Only buttons are expected.
+      if (component.type === ComponentType.StringSelect) {
+        newRow.addComponents(StringSelectMenuBuilder.from(component).setDisabled(true));
+        continue;
+      }
+      if (component.type !== ComponentType.Button) continue;
 
       const builder = new ButtonBuilder();
 
@@ -618,81 +685,168 @@ function prewarmAround(cc, pageIndex, totalPages) {
     });
 }
 
+/** Builds the first page of a region's sales board with a fresh navigation epoch. */
+async function renderSalesBoard(cc, epoch) {
+  const { items, totalPages } = await getPageData(cc, 0);
+  return {
+    totalPages,
+    payload: { embeds: [buildSalesEmbed(cc, 0, items, totalPages)], components: buildSalesComponents(cc, 0, totalPages, epoch) },
+  };
+}
+
+/** Posts a fresh first page of the region's sales board into a channel. */
+async function postSalesBoard(channel, cc) {
+  const epoch = 1;
+  const { totalPages, payload } = await renderSalesBoard(cc, epoch);
+  const msg = await channel.send(payload);
+  navEpoch.set(msg.id, epoch);
+  prewarmAround(cc, 0, totalPages);
+  return msg;
+}
+
+/** Store region a board shows: its own, or the guild's `sales_region_cc` when it follows the default. */
+async function resolveBoardRegion(guildId, region) {
+  return region || getGuildSetting(guildId, 'sales_region_cc');
+}
+
 /**
- * Ensures the persistent sales embed exists for the guild. On first run we create it; when moving
- * channels we delete the old message before re-creating it.
+ * Ensures a sales embed exists in a channel. Boards are keyed by guild and channel; `region` pins the
+ * board to a store region, and `null` makes it follow the guild's `sales_region_cc`. A board already
+ * in the channel is switched to the requested region in place. Otherwise a board with the same region
+ * elsewhere in the guild is moved here (its old message deleted), or a new one is posted.
+ *
+ * @returns {Promise<{ channel: object, messageId: string, region: string, posted: boolean }|null>}
+ *   `posted` is true when a new message was sent, so callers can skip re-rendering it.
  */
-async function ensureSalesMessage(guild, targetChannel = null) {
-  const row = await dbGet('SELECT channel_id, message_id FROM sales_msgs WHERE guild_id=?', [guild.id]);
-  const configured = await getAnnouncementChannel(guild, CHANNEL_KINDS.SALES);
-  const desiredChannel = targetChannel || configured;
-  if (!desiredChannel) return null;
-
-  if (!row) {
-    const { items, totalPages } = await getPageData(SALES_REGION_CC, 0);
-    const embed = buildSalesEmbed(SALES_REGION_CC, 0, items, totalPages);
-    const epoch = 1;
-    const components = buildSalesComponents(SALES_REGION_CC, 0, totalPages, epoch);
-    const msg = await desiredChannel.send({ embeds: [embed], components });
-    navEpoch.set(msg.id, epoch);
-    prewarmAround(SALES_REGION_CC, 0, totalPages);
-    await dbRun('INSERT INTO sales_msgs (guild_id, channel_id, message_id, updated_at) VALUES (?, ?, ?, ?)', [guild.id, desiredChannel.id, msg.id, Math.floor(Date.now()/1000)]);
-    return { channel: desiredChannel, messageId: msg.id };
-  }
-
-  if (row.channel_id !== desiredChannel.id) {
-    try {
-      const oldCh = await client.channels.fetch(row.channel_id).catch(()=>null);
-      if (oldCh) { const oldMsg = await oldCh.messages.fetch(row.message_id).catch(()=>null); if (oldMsg) await oldMsg.delete().catch(()=>{}); }
-    } catch {}
-    const { items, totalPages } = await getPageData(SALES_REGION_CC, 0);
-    const embed = buildSalesEmbed(SALES_REGION_CC, 0, items, totalPages);
-    const epoch = 1;
-    const components = buildSalesComponents(SALES_REGION_CC, 0, totalPages, epoch);
-    const msg = await desiredChannel.send({ embeds: [embed], components });
-    navEpoch.set(msg.id, epoch);
-    prewarmAround(SALES_REGION_CC, 0, totalPages);
-    await dbRun('UPDATE sales_msgs SET channel_id=?, message_id=?, updated_at=? WHERE guild_id=?', [desiredChannel.id, msg.id, Math.floor(Date.now()/1000), guild.id]);
-    return { channel: desiredChannel, messageId: msg.id };
+async function ensureSalesMessage(guild, targetChannel = null, region = null) {
+  const channel = targetChannel || await getAnnouncementChannel(guild, CHANNEL_KINDS.SALES);
+  if (!channel) return null;
+  const cc = await resolveBoardRegion(guild.id, region);
+  const now = Math.floor(Date.now() / 1000);
+
+  const row = await dbGet('SELECT region, message_id FROM sales_msgs WHERE guild_id=? AND channel_id=?', [guild.id, channel.id]);
+  if (row) {
+    if ((row.region || null) === region) return { channel, messageId: row.message_id, region: cc, posted: false };
+    await dbRun('UPDATE sales_msgs SET region=?, updated_at=? WHERE guild_id=? AND channel_id=?', [region, now, guild.id, channel.id]);
+    const board = { channel_id: channel.id, message_id: row.message_id, region: cc };
+    const messageId = await refreshSalesBoard(guild.id, board);
+    return { channel, messageId: messageId || row.message_id, region: cc, posted: false };
+  }
+
+  const moving = await dbGet(
+    region ? 'SELECT channel_id, message_id FROM sales_msgs WHERE guild_id=? AND region=?' : 'SELECT channel_id, message_id FROM sales_msgs WHERE guild_id=? AND region IS NULL',
+    region ? [guild.id, region] : [guild.id]
+  );
+  const msg = await postSalesBoard(channel, cc);
+  if (moving) {
+    await deleteSalesBoardMessage(moving);
+    navEpoch.delete(moving.message_id);
+    await dbRun('DELETE FROM sales_msgs WHERE guild_id=? AND channel_id=?', [guild.id, moving.channel_id]);
+  }
+  await dbRun('INSERT INTO sales_msgs (guild_id, channel_id, region, message_id, updated_at) VALUES (?, ?, ?, ?, ?)', [guild.id, channel.id, region, msg.id, now]);
+  return { channel, messageId: msg.id, region: cc, posted: true };
+}
+
+/** Best-effort removal of a board's Discord message; the channel or message may already be gone. */
+async function deleteSalesBoardMessage(row) {
+  try {
+    const oldCh = await client.channels.fetch(row.channel_id).catch(()=>null);
+    if (oldCh) { const oldMsg = await oldCh.messages.fetch(row.message_id).catch(()=>null); if (oldMsg) await oldMsg.delete().catch(()=>{}); }
+  } catch {}
+}
+
+/**
+ * Removes the guild's sales boards for a region. Returns false when no board shows that region.
+ */
+async function removeSalesBoard(guild, region) {
+  const boards = (await listSalesBoards(guild.id)).filter(b => b.region === region);
+  for (const board of boards) {
+    await deleteSalesBoardMessage(board);
+    await dbRun('DELETE FROM sales_msgs WHERE guild_id=? AND channel_id=?', [guild.id, board.channel_id]);
+    navEpoch.delete(board.message_id);
+  }
+  return boards.length > 0;
+}
+
+/**
+ * Lists a guild's sales boards with their effective region; `follows_default` marks boards that
+ * track the guild's `sales_region_cc`.
+ */
+async function listSalesBoards(guildId) {
+  const rows = await dbAll('SELECT channel_id, region, message_id, updated_at FROM sales_msgs WHERE guild_id=?', [guildId]);
+  const boards = [];
+  for (const row of rows) {
+    boards.push({ ...row, region: await resolveBoardRegion(guildId, row.region), follows_default: !row.region });
   }
+  return boards.sort((a, b) => a.region.localeCompare(b.region));
+}
 
-  const ch = await client.channels.fetch(row.channel_id).catch(()=>null);
-  if (!ch) return null;
-  return { channel: ch, messageId: row.message_id };
+/**
+ * Regions with at least one board in any guild, plus the global default. The full warmer and its
+ * cache budget are shared across these.
+ */
+async function getActiveSalesRegions() {
+  const rows = await dbAll('SELECT DISTINCT guild_id, region FROM sales_msgs');
+  const regions = [SALES_REGION_CC.toUpperCase()];
+  for (const row of rows) regions.push(await resolveBoardRegion(row.guild_id, row.region));
+  return [...new Set(regions)];
 }
 
 /**
- * Iterates through every configured guild and refreshes their sales embed with the latest data.
+ * Re-renders the first page of one stored board, re-posting it if the message was deleted.
+ *
+ * @returns {Promise<string|null>} ID of the board's message, or null when its channel is gone.
+ */
+async function refreshSalesBoard(gid, board) {
+  const cc = board.region;
+  const channel = await client.channels.fetch(board.channel_id).catch(()=>null);
+  if (!channel) {
+    SALES_TAG.debug(`board channel missing guild=${gid} cc=${cc} channel=${board.channel_id}`);
+    return null;
+  }
+  const epoch = (navEpoch.get(board.message_id) || 0) + 1;
+  const { totalPages, payload } = await renderSalesBoard(cc, epoch);
+  const msg = await channel.messages.fetch(board.message_id).catch(()=>null);
+  const now = Math.floor(Date.now() / 1000);
+  if (msg) {
+    await msg.edit(payload);
+    navEpoch.set(board.message_id, epoch);
+    prewarmAround(cc, 0, totalPages);
+    await dbRun('UPDATE sales_msgs SET updated_at=? WHERE guild_id=? AND channel_id=?', [now, gid, channel.id]);
+    return board.message_id;
+  }
+  const newMsg = await channel.send(payload);
+  navEpoch.set(newMsg.id, epoch);
+  prewarmAround(cc, 0, totalPages);
+  await dbRun('UPDATE sales_msgs SET message_id=?, updated_at=? WHERE guild_id=? AND channel_id=?', [newMsg.id, now, gid, channel.id]);
+  return newMsg.id;
+}
+
+/**
+ * Iterates through every configured guild and refreshes each of its sales boards once. When the
+ * configured sales channel has no board yet, the board following the guild's default region is moved
+ * there (or created); a board posted this pass is already current and is not edited again. Boards
+ * pinned to other regions stay in the channel they were created in.
  */
 async function refreshSalesForAllGuilds() {
   const guildIds = await getConfiguredGuildIds();
   for (const gid of guildIds) {
     const guild = client.guilds.cache.get(gid);
     if (!guild) continue;
+    let boards = await listSalesBoards(gid);
+    const fresh = new Set();
     const salesCh = await getAnnouncementChannel(guild, CHANNEL_KINDS.SALES);
-    if (!salesCh) continue;
-    const holder = await ensureSalesMessage(guild, salesCh);
-    if (!holder) continue;
-    const { channel, messageId } = holder;
-    try {
-      const { items, totalPages } = await getPageData(SALES_REGION_CC, 0);
-      const embed = buildSalesEmbed(SALES_REGION_CC, 0, items, totalPages);
-      const epoch = (navEpoch.get(messageId) || 0) + 1;
-      const components = buildSalesComponents(SALES_REGION_CC, 0, totalPages, epoch);
-      const msg = await channel.messages.fetch(messageId).catch(()=>null);
-      if (msg) {
-        await msg.edit({ embeds: [embed], components });
-        navEpoch.set(messageId, epoch);
-        prewarmAround(SALES_REGION_CC, 0, totalPages);
-        await dbRun('UPDATE sales_msgs SET updated_at=? WHERE guild_id=?', [Math.floor(Date.now()/1000), gid]);
-      } else {
-        const newMsg = await channel.send({ embeds: [embed], components });
-        navEpoch.set(newMsg.id, epoch);
-        prewarmAround(SALES_REGION_CC, 0, totalPages);
-        await dbRun('UPDATE sales_msgs SET message_id=?, channel_id=?, updated_at=? WHERE guild_id=?', [newMsg.id, channel.id, Math.floor(Date.now()/1000), gid]);
-      }
-    } catch (e) {
-      SALES_TAG.warn(`refresh failed guild=${gid}: ${e?.message}`);
+    if (salesCh && !boards.some(b => b.channel_id === salesCh.id)) {
+      try {
+        const posted = await ensureSalesMessage(guild, salesCh);
+        if (posted?.posted) fresh.add(posted.messageId);
+      } catch (e) { SALES_TAG.warn(`ensure failed guild=${gid}: ${e?.message}`); }
+      boards = await listSalesBoards(gid);
+    }
+    for (const board of boards) {
+      if (fresh.has(board.message_id)) continue;
+      try { await refreshSalesBoard(gid, board); }
+      catch (e) { SALES_TAG.warn(`refresh failed guild=${gid} cc=${board.region}: ${e?.message}`); }
     }
   }
 }
@@ -845,41 +999,197 @@ async function handleButtonInteraction(interaction) {
   }
 }
 
+/**
+ * Gathers every sale item currently held in the page cache for a region, in store order. Nothing is
+ * fetched: filters only ever look at what the board and warmers have already downloaded.
+ */
+function collectCachedSales(cc) {
+  const items = [];
+  const seen = new Set();
+  let totalPages = null;
+  let cachedPages = 0;
+  for (let idx = 0; idx < (totalPages ?? SALES_MAX_PAGES_CACHE); idx++) {
+    const hit = cacheDataGet(cc, idx);
+    if (!hit) continue;
+    cachedPages++;
+    if (totalPages == null) totalPages = hit.totalPages;
+    for (const it of hit.items) {
+      if (seen.has(it.id)) continue;
+      seen.add(it.id);
+      items.push(it);
+    }
+  }
+  return { items, cachedPages, totalPages: totalPages ?? 0 };
+}
+
+/** Renders a viewer's filtered results as an ephemeral embed plus its own controls. */
+function buildFilteredSalesView(cc, filters) {
+  const { items, cachedPages, totalPages } = collectCachedSales(cc);
+  const matches = applySalesFilters(items, filters, it => priceToNumber(it.final_price_str));
+  const pages = Math.max(1, Math.ceil(matches.length / SALES_PAGE_SIZE));
+  const page = Math.min(Math.max(0, filters.page || 0), pages - 1);
+  const shown = matches.slice(page * SALES_PAGE_SIZE, (page + 1) * SALES_PAGE_SIZE);
+
+  let body;
+  if (!cachedPages) body = '_The sales cache is still warming up. Try again in a minute._';
+  else if (!shown.length) body = '_No cached deals match these filters._';
+  else body = shown.map(saleItemToLine).join('\n\n');
+
+  const embed = new EmbedBuilder()
+    .setColor(STEAM_COLOR)
+    .setTitle(`Filtered Steam Sales — page ${page + 1}/${pages}`)
+    .setDescription(`${describeSalesFilters(filters)}\n\n${body}`)
+    .setFooter({ text: `${matches.length} matches • searched ${cachedPages}/${totalPages || '?'} cached pages • Region ${cc}` })
+    .setTimestamp(new Date());
+
+  const nav = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`sales_fpage:${cc}:${page - 1}`).setLabel('◀️ Prev').setStyle(ButtonStyle.Primary).setDisabled(page <= 0),
+    new ButtonBuilder().setCustomId(`sales_fpage:${cc}:${page + 1}`).setLabel('Next ▶️').setStyle(ButtonStyle.Primary).setDisabled(page >= pages - 1),
+    new ButtonBuilder().setCustomId(`sales_fmodal_open:${cc}:v`).setLabel('🔎 Search').setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`sales_freset:${cc}`).setLabel('Reset').setStyle(ButtonStyle.Danger),
+  );
+  return { embeds: [embed], components: [nav, ...buildFilterRows(cc, 'v', filters)], page };
+}
+
+/** Modal collecting the free-text filters (title substring and price ceiling). */
+function buildSalesSearchModal(cc, scope, filters) {
+  const query = new TextInputBuilder()
+    .setCustomId('query')
+    .setLabel('Title contains')
+    .setStyle(TextInputStyle.Short)
+    .setMaxLength(MAX_QUERY_LENGTH)
+    .setRequired(false);
+  const maxPrice = new TextInputBuilder()
+    .setCustomId('max_price')
+    .setLabel('Maximum price (blank for no limit)')
+    .setStyle(TextInputStyle.Short)
+    .setMaxLength(12)
+    .setRequired(false);
+  // Discord rejects empty prefill values, so only carry over filters the viewer actually set.
+  if (filters.query) query.setValue(filters.query);
+  if (filters.maxPrice != null) maxPrice.setValue(String(filters.maxPrice));
+  return new ModalBuilder()
+    .setCustomId(`sales_fmodal:${cc}:${scope}`)
+    .setTitle('Search Steam sales')
+    .addComponents(
+      new ActionRowBuilder().addComponents(query),
+      new ActionRowBuilder().addComponents(maxPrice),
+    );
+}
+
+/**
+ * Handles the filter select menus, search modal, and the ephemeral view's own buttons. Controls on the
+ * shared board open a private view for the clicking user; controls inside that view update it in
+ * place. The shared message itself is never edited here.
+ *
+ * @returns {Promise<boolean>} `true` when the interaction belonged to the filter UI.
+ */
+async function handleSalesFilterInteraction(interaction) {
+  const id = interaction.customId || '';
+  const [kind, ccRaw, arg, scopeArg] = id.split(':');
+  if (!['sales_fsel', 'sales_fmodal_open', 'sales_fmodal', 'sales_fpage', 'sales_freset'].includes(kind)) return false;
+
+  const cc = ccRaw || SALES_REGION_CC;
+  const userId = interaction.user.id;
+  let filters = getViewerFilters(userId, cc);
+  let scope = 'v';
+
+  if (kind === 'sales_fmodal_open') {
+    await interaction.showModal(buildSalesSearchModal(cc, arg === 's' ? 's' : 'v', filters));
+    return true;
+  }
+  if (kind === 'sales_fsel') {
+    const value = interaction.values?.[0];
+    if (arg === 'discount') filters.minDiscount = DISCOUNT_STEPS.includes(Number(value)) ? Number(value) : 0;
+    else if (arg === 'sort') filters.sort = SALES_SORTS[value] ? value : 'store';
+    filters.page = 0;
+    scope = scopeArg === 's' ? 's' : 'v';
+  } else if (kind === 'sales_fmodal') {
+    filters.query = normaliseQuery(interaction.fields.getTextInputValue('query'));
+    filters.maxPrice = parsePriceCeiling(interaction.fields.getTextInputValue('max_price'));
+    filters.page = 0;
+    scope = arg === 's' ? 's' : 'v';
+  } else if (kind === 'sales_fpage') {
+    filters.page = Math.max(0, Number.parseInt(arg, 10) || 0);
+  } else if (kind === 'sales_freset') {
+    filters = defaultSalesFilters();
+  }
+
+  const { page, ...view } = buildFilteredSalesView(cc, filters);
+  setViewerFilters(userId, cc, { ...filters, page });
+  SALES_TAG.debug(`filter view user=${userId} cc=${cc} ${describeSalesFilters(filters)} page=${page}`);
+
+  if (scope === 's') await safeReply(interaction, { ...view, ephemeral: true });
+  else await interaction.update(view);
+  return true;
+}
+
+/**
+ * Orders the full warm across regions. The page cache is shared, so each region gets an equal slice
+ * of `SALES_MAX_PAGES_CACHE`, and pages are interleaved round-robin so one large region cannot starve
+ * the others. Page 0 is skipped because the bootstrap already fetched it.
+ *
+ * @param {Map<string, number>} totals - Total page count per region code.
+ * @param {number} [cap] - Cache capacity shared by all regions.
+ * @returns {Array<{ cc: string, idx: number }>}
+ */
+function planFullWarm(totals, cap = SALES_MAX_PAGES_CACHE) {
+  if (!totals.size) return [];
+  const perRegion = Math.max(1, Math.floor(cap / totals.size));
+  const limits = [...totals].map(([cc, total]) => ({ cc, limit: Math.min(total, perRegion) }));
+  const longest = Math.max(...limits.map(l => l.limit));
+  const plan = [];
+  for (let idx = 1; idx < longest; idx++) {
+    for (const { cc, limit } of limits) if (idx < limit) plan.push({ cc, idx });
+  }
+  return plan;
+}
+
 let fullWarmTimer = null;
 /**
- * Sequentially warms every sales page for the configured region. This is optionally triggered at
- * startup so guilds with heavy usage can navigate without cache misses.
+ * Warms sales pages for every region with a board, budgeting the shared page cache across them. This
+ * is optionally triggered at startup so guilds with heavy usage can navigate without cache misses.
  */
-function startFullSalesWarm(cc = SALES_REGION_CC) {
+function startFullSalesWarm() {
   if (fullWarmTimer) return;
-  setTimeout(async () => {
-    SALES_TAG.info(`Starting full warm for region ${cc}…`);
-    try {
-      const first = await getPageData(cc, 0);
-      const totalPages = first.totalPages;
-      let page = 1;
-      fullWarmTimer = setInterval(async () => {
-        if (page >= totalPages) {
-          clearInterval(fullWarmTimer); fullWarmTimer = null; SALES_TAG.info('Full warm complete.');
-          return;
-        }
-        if (!cacheDataGet(cc, page)) {
-          try { await getPageData(cc, page); SALES_TAG.trace(`warm ok ${cc}:${page}/${totalPages}`); }
-          catch (e) { SALES_TAG.debug(`warm fail ${cc}:${page}: ${e?.message}`); }
-        }
-        page++;
-      }, SALES_FULL_WARMER_SPACING_MS);
-    } catch (e) {
-      SALES_TAG.warn(`Full warm bootstrap failed: ${e?.message}`);
+  fullWarmTimer = setTimeout(async () => {
+    let regions = [SALES_REGION_CC.toUpperCase()];
+    try { regions = await getActiveSalesRegions(); }
+    catch (e) { SALES_TAG.warn(`Could not load sales regions, warming the default only: ${e?.message}`); }
+    SALES_TAG.info(`Starting full warm for regions ${regions.join(', ')}…`);
+
+    const totals = new Map();
+    for (const cc of regions) {
+      try { totals.set(cc, (await getPageData(cc, 0)).totalPages); }
+      catch (e) { SALES_TAG.warn(`Full warm bootstrap failed for ${cc}: ${e?.message}`); }
     }
+    const queue = planFullWarm(totals);
+    fullWarmTimer = setInterval(async () => {
+      const next = queue.shift();
+      if (!next) {
+        clearInterval(fullWarmTimer); fullWarmTimer = null; SALES_TAG.info('Full warm complete.');
+        return;
+      }
+      const { cc, idx } = next;
+      if (!cacheDataGet(cc, idx)) {
+        try { await getPageData(cc, idx); SALES_TAG.trace(`warm ok ${cc}:${idx}/${totals.get(cc)}`); }
+        catch (e) { SALES_TAG.debug(`warm fail ${cc}:${idx}: ${e?.message}`); }
+      }
+    }, SALES_FULL_WARMER_SPACING_MS);
   }, SALES_FULL_WARMER_DELAY_MS);
 }
 
 module.exports = {
   ensureSalesMessage,
+  removeSalesBoard,
+  listSalesBoards,
   refreshSalesForAllGuilds,
   scheduleSalesLoop,
   handleButtonInteraction,
+  handleSalesFilterInteraction,
   startFullSalesWarm,
+  planFullWarm,
   getPageData,
+  cacheDataGet,
+  saleItemToLine,
 };
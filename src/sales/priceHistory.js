@@ -0,0 +1,138 @@
+/**
+ * Sale price history. Every page the sales crawler fetches is folded into `price_history` (one row
+ * per app, region and day holding the day's lowest price) so the board can badge all-time lows and
+ * `/price` can chart how a title has been discounted over time. Prices are only comparable within a
+ * region because each region is priced in its own currency.
+ */
+const { dbAll, dbRun } = require('../db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRICE_BADGES = {
+  NEW_LOW: 'new_low',
+  ATL: 'atl',
+};
+const SPARK_LEVELS = '▁▂▃▄▅▆▇█';
+const SPARK_GAP = '·';
+
+/** Days since the Unix epoch (UTC), used as the history bucket. */
+function dayNumber(ms = Date.now()) {
+  return Math.floor(ms / DAY_MS);
+}
+
+/** ISO date (YYYY-MM-DD) for a history bucket. */
+function dayToDate(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Compares a price against the lowest one recorded before today.
+ *
+ * @param {number} cents - Current price in minor units.
+ * @param {number|null|undefined} previousLow - Lowest earlier price, or nothing when the app is new.
+ * @returns {string|null} One of `PRICE_BADGES`, or null when the price is above the low (or there is
+ *   no history to compare with yet).
+ */
+function priceBadge(cents, previousLow) {
+  if (previousLow == null) return null;
+  if (cents < previousLow) return PRICE_BADGES.NEW_LOW;
+  if (cents === previousLow) return PRICE_BADGES.ATL;
+  return null;
+}
+
+/**
+ * Records the prices on a freshly crawled page and tags each item with `price_badge`. Lows are
+ * compared against days before today so a new low keeps its badge for the rest of the day instead of
+ * turning into a plain "lowest recorded" on the next crawl.
+ *
+ * @param {string} cc - Store region the page was crawled for.
+ * @param {Array<object>} items - Sale items as produced by the sales crawler; mutated in place.
+ * @param {(item: object) => number|null} priceOf - Resolves an item's numeric final price.
+ */
+async function recordPriceHistory(cc, items, priceOf) {
+  const priced = [];
+  for (const item of items) {
+    const price = priceOf(item);
+    if (price == null || !Number.isFinite(price)) continue;
+    priced.push({ item, cents: Math.round(price * 100) });
+  }
+  if (!priced.length) return;
+
+  const today = dayNumber();
+  const placeholders = priced.map(() => '?').join(', ');
+  const lows = await dbAll(
+    `SELECT appid, MIN(price_cents) AS low FROM price_history WHERE region=? AND day<? AND appid IN (${placeholders}) GROUP BY appid`,
+    [cc, today, ...priced.map(p => p.item.id)]
+  );
+  const lowByApp = new Map(lows.map(r => [Number(r.appid), Number(r.low)]));
+  for (const { item, cents } of priced) item.price_badge = priceBadge(cents, lowByApp.get(item.id));
+
+  const now = Math.floor(Date.now() / 1000);
+  const rows = priced.map(({ item, cents }) => [item.id, cc, today, cents, String(item.final_price_str || '').slice(0, 32), item.discount_percent || 0, now]);
+  // The label and discount follow the day's lowest price, so they always describe the same sale. They
+  // are assigned before price_cents so both dialects compare against the stored low.
+  await dbRun(
+    `INSERT INTO price_history (appid, region, day, price_cents, price_str, discount_percent, recorded_at)
+     VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ')}
+     ON DUPLICATE KEY UPDATE
+       price_str=CASE WHEN VALUES(price_cents) < price_cents THEN VALUES(price_str) ELSE price_str END,
+       discount_percent=CASE WHEN VALUES(price_cents) < price_cents THEN VALUES(discount_percent) ELSE discount_percent END,
+       price_cents=LEAST(price_cents, VALUES(price_cents)),
+       recorded_at=VALUES(recorded_at)`,
+    rows.flat()
+  );
+}
+
+/** Every recorded day for an app in a region, oldest first. */
+async function getPriceHistory(appid, cc) {
+  return dbAll(
+    'SELECT day, price_cents, price_str, discount_percent FROM price_history WHERE appid=? AND region=? ORDER BY day ASC',
+    [appid, cc]
+  );
+}
+
+/**
+ * Renders daily lows as a one-line sparkline. Days without a record (the game was not on sale or was
+ * not crawled) show as a dot; when the range is wider than `width`, each column shows the lowest
+ * price of the days it covers.
+ *
+ * @param {Array<{ day: number, price_cents: number }>} rows - History rows, oldest first.
+ * @param {number} [width] - Maximum number of columns.
+ * @returns {string}
+ */
+function renderPriceChart(rows, width = 60) {
+  if (!rows.length) return '';
+  const byDay = new Map(rows.map(r => [Number(r.day), Number(r.price_cents)]));
+  const first = Number(rows[0].day);
+  const span = Number(rows[rows.length - 1].day) - first + 1;
+  const perColumn = Math.max(1, Math.ceil(span / width));
+
+  const columns = [];
+  for (let start = 0; start < span; start += perColumn) {
+    let low = null;
+    for (let d = start; d < Math.min(start + perColumn, span); d++) {
+      const cents = byDay.get(first + d);
+      if (cents != null && (low == null || cents < low)) low = cents;
+    }
+    columns.push(low);
+  }
+
+  const known = columns.filter(c => c != null);
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  const top = SPARK_LEVELS.length - 1;
+  return columns.map(c => {
+    if (c == null) return SPARK_GAP;
+    if (max === min) return SPARK_LEVELS[Math.floor(top / 2)];
+    return SPARK_LEVELS[Math.round(((c - min) / (max - min)) * top)];
+  }).join('');
+}
+
+module.exports = {
+  PRICE_BADGES,
+  dayNumber,
+  dayToDate,
+  priceBadge,
+  recordPriceHistory,
+  getPriceHistory,
+  renderPriceChart,
+};
@@ -0,0 +1,290 @@
+/**
+ * Wishlist sale alerts. Opted-in members have their public Steam wishlist mirrored into
+ * `wishlist_items`; each pass cross-references those app IDs with the specials already crawled for the
+ * sales board (`getPageData`) and tells the member about new or deeper discounts, either by DM or by a
+ * ping in the sales channel. Delivered alerts are remembered in `wishlist_alerts` until the sale ends
+ * so nobody is pinged twice for the same discount.
+ */
+const { EmbedBuilder } = require('discord.js');
+const { log, time } = require('../logger');
+const { dbAll, dbGet, dbRun } = require('../db');
+const { client } = require('../discord/client');
+const {
+  SALES_SORT_BY,
+  SALES_FULL_WARMER_SPACING_MS,
+  WISHLIST_POLL_MS,
+  WISHLIST_SCAN_PAGES,
+  STEAM_COLOR,
+} = require('../config');
+const { CHANNEL_KINDS, getAnnouncementChannel, getConfiguredGuildIds, hasBotPerms } = require('../discord/channels');
+const { getWishlist } = require('../steam/api');
+const { getGuildSetting } = require('../settings');
+const { getPageData, cacheDataGet, saleItemToLine } = require('./index');
+
+const WISHLIST_TAG = log.tag('WISHLIST');
+const DELIVERY_MODES = ['dm', 'channel'];
+const MAX_ALERT_LINES = 10;
+// The specials scan only covers the first pages, so an announced sale can drop out of it for a pass
+// or two while still running. Alerts outlive a missing item by this long before they are forgotten.
+const ALERT_GRACE_SECONDS = 2 * 24 * 60 * 60;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Returns a member's alert preferences, or `null` when they never opted in. */
+async function getWishlistPrefs(guildId, userId) {
+  const row = await dbGet('SELECT enabled, min_discount, delivery, synced_at FROM wishlist_prefs WHERE guild_id=? AND user_id=?', [guildId, userId]);
+  if (!row) return null;
+  return {
+    enabled: !!Number(row.enabled),
+    minDiscount: Number(row.min_discount) || 0,
+    delivery: row.delivery,
+    syncedAt: Number(row.synced_at) || 0,
+  };
+}
+
+/**
+ * Creates or updates a member's preferences. Omitted fields keep their stored value.
+ *
+ * @param {{ enabled?: boolean, minDiscount?: number, delivery?: 'dm'|'channel' }} changes
+ */
+async function setWishlistPrefs(guildId, userId, changes) {
+  const current = await getWishlistPrefs(guildId, userId);
+  const next = {
+    enabled: changes.enabled ?? current?.enabled ?? true,
+    minDiscount: changes.minDiscount ?? current?.minDiscount ?? 0,
+    delivery: changes.delivery ?? current?.delivery ?? 'dm',
+  };
+  if (!DELIVERY_MODES.includes(next.delivery)) throw new Error(`Unknown delivery mode "${next.delivery}".`);
+  await dbRun(
+    'INSERT INTO wishlist_prefs (guild_id, user_id, enabled, min_discount, delivery, updated_at) VALUES (?, ?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE enabled=VALUES(enabled), min_discount=VALUES(min_discount), delivery=VALUES(delivery), updated_at=VALUES(updated_at)',
+    [guildId, userId, next.enabled ? 1 : 0, next.minDiscount, next.delivery, nowSeconds()]
+  );
+  if (!next.enabled) await dbRun('DELETE FROM wishlist_alerts WHERE guild_id=? AND user_id=?', [guildId, userId]);
+  return next;
+}
+
+/**
+ * Replaces the cached copy of a member's wishlist with what Steam currently reports.
+ *
+ * @returns {Promise<number>} Number of wishlisted apps.
+ */
+async function syncMemberWishlist(guildId, userId, steamId) {
+  const items = await getWishlist(steamId);
+  await dbRun('DELETE FROM wishlist_items WHERE guild_id=? AND user_id=?', [guildId, userId]);
+  for (const it of items) {
+    await dbRun(
+      'INSERT IGNORE INTO wishlist_items (guild_id, user_id, appid, priority, added_at) VALUES (?, ?, ?, ?, ?)',
+      [guildId, userId, it.appid, it.priority, it.date_added]
+    );
+  }
+  await dbRun('UPDATE wishlist_prefs SET synced_at=? WHERE guild_id=? AND user_id=?', [nowSeconds(), guildId, userId]);
+  WISHLIST_TAG.debug(`synced guild=${guildId} user=${userId} items=${items.length}`);
+  return items.length;
+}
+
+/**
+ * Walks the specials crawl for a region and indexes discounted apps by ID. Cached pages are free;
+ * uncached ones are fetched with the full warmer's spacing so a pass never bursts the store. When the
+ * crawl is sorted by discount we stop as soon as a page drops below `minDiscount`.
+ *
+ * @returns {Promise<Map<number, object>>} Sale items keyed by app ID.
+ */
+async function collectSpecials(cc, minDiscount = 0) {
+  const specials = new Map();
+  const sortedByDiscount = /^Discount_DESC/i.test(SALES_SORT_BY);
+  let totalPages = 1;
+  for (let page = 0; page < Math.min(totalPages, WISHLIST_SCAN_PAGES); page++) {
+    const wasCached = !!cacheDataGet(cc, page);
+    let data;
+    try { data = await getPageData(cc, page); }
+    catch (e) { WISHLIST_TAG.warn(`specials page ${cc}:${page} failed: ${e?.message}`); break; }
+    totalPages = data.totalPages;
+    for (const it of data.items) if (!specials.has(it.id)) specials.set(it.id, it);
+    const last = data.items[data.items.length - 1];
+    if (sortedByDiscount && last && Number(last.discount_percent) < minDiscount) break;
+    if (!wasCached) await sleep(SALES_FULL_WARMER_SPACING_MS);
+  }
+  return specials;
+}
+
+/**
+ * Decides which wishlisted apps deserve an alert: on sale at or above the member's threshold and
+ * either never announced or now discounted more deeply than last time.
+ *
+ * @param {number[]} appids - Wishlisted app IDs.
+ * @param {Map<number, object>} specials - Current sale items keyed by app ID.
+ * @param {Map<number, number>} alerted - Previously announced discount per app ID.
+ * @param {number} minDiscount - Member's minimum discount percentage.
+ * @returns {object[]} Sale items to announce, deepest discount first.
+ */
+function pickWishlistAlerts(appids, specials, alerted, minDiscount) {
+  const hits = [];
+  for (const appid of appids) {
+    const item = specials.get(appid);
+    if (!item) continue;
+    const pct = Number(item.discount_percent) || 0;
+    if (pct < minDiscount) continue;
+    const previous = alerted.get(appid);
+    if (previous != null && pct <= previous) continue;
+    hits.push(item);
+  }
+  return hits.sort((a, b) => b.discount_percent - a.discount_percent);
+}
+
+/**
+ * Decides which remembered alerts belong to sales that have ended: the item is still in the scan but
+ * no longer discounted enough, or it has been missing from the scan for longer than the grace period.
+ *
+ * @param {object[]} alertRows - `wishlist_alerts` rows with `appid`, `alerted_at` and `seen_at`.
+ * @param {Map<number, object>} specials - Current sale items keyed by app ID.
+ * @param {number} minDiscount - Member's minimum discount percentage.
+ * @param {number} [now] - Current time in seconds.
+ * @returns {number[]} App IDs whose alerts should be cleared.
+ */
+function endedWishlistAlerts(alertRows, specials, minDiscount, now = nowSeconds()) {
+  const ended = [];
+  for (const row of alertRows) {
+    const appid = Number(row.appid);
+    const item = specials.get(appid);
+    if (item) {
+      if (Number(item.discount_percent) < minDiscount) ended.push(appid);
+      continue;
+    }
+    const lastSeen = Math.max(Number(row.seen_at) || 0, Number(row.alerted_at) || 0);
+    if (now - lastSeen >= ALERT_GRACE_SECONDS) ended.push(appid);
+  }
+  return ended;
+}
+
+function buildAlertEmbed(cc, hits) {
+  const shown = hits.slice(0, MAX_ALERT_LINES);
+  const extra = hits.length - shown.length;
+  return new EmbedBuilder()
+    .setColor(STEAM_COLOR)
+    .setTitle(`🛒 ${hits.length === 1 ? 'A game' : `${hits.length} games`} on your wishlist ${hits.length === 1 ? 'is' : 'are'} on sale`)
+    .setDescription(`${shown.map(saleItemToLine).join('\n\n')}${extra > 0 ? `\n\n…and **${extra}** more.` : ''}`)
+    .setFooter({ text: `Wishlist Alert • Region ${cc} • /wishlist optout to stop` })
+    .setTimestamp(new Date());
+}
+
+/**
+ * Sends an alert the way the member asked. DMs fall back to a sales-channel ping when the member has
+ * DMs closed, so an alert is never silently lost.
+ *
+ * @returns {Promise<boolean>} Whether the alert reached the member.
+ */
+async function deliverWishlistAlert(guild, userId, delivery, embed) {
+  if (delivery === 'dm') {
+    const user = await client.users.fetch(userId).catch(() => null);
+    const sent = user ? await user.send({ content: `Deals from your wishlist (tracked in **${guild.name}**):`, embeds: [embed] }).catch(() => null) : null;
+    if (sent) return true;
+    WISHLIST_TAG.debug(`DM failed user=${userId}; falling back to sales channel`);
+  }
+  const channel = await getAnnouncementChannel(guild, CHANNEL_KINDS.SALES);
+  if (!channel || !hasBotPerms(channel).ok) {
+    WISHLIST_TAG.warn(`no usable sales channel for wishlist alert guild=${guild.id} user=${userId}`);
+    return false;
+  }
+  await channel.send({ content: `<@${userId}>`, embeds: [embed], allowedMentions: { users: [userId] } });
+  return true;
+}
+
+/**
+ * Handles one member during a pass: refreshes their wishlist when due, announces qualifying sales,
+ * and forgets alerts for sales that have ended so the next sale is announced again. Announced items
+ * still in the scan have `seen_at` bumped so the grace period counts from their last sighting.
+ */
+async function checkMember(guild, member, specials, cc) {
+  const { user_id: userId, steam_id: steamId } = member;
+  const minDiscount = Number(member.min_discount) || 0;
+
+  // Half an interval of slack so loop timer drift never skips a refresh.
+  if ((nowSeconds() - (Number(member.synced_at) || 0)) * 1000 >= WISHLIST_POLL_MS / 2) {
+    try { await syncMemberWishlist(guild.id, userId, steamId); }
+    catch (e) { WISHLIST_TAG.warn(`wishlist fetch failed user=${userId}: ${e?.message}`); }
+  }
+
+  const items = await dbAll('SELECT appid FROM wishlist_items WHERE guild_id=? AND user_id=?', [guild.id, userId]);
+  const appids = items.map(r => Number(r.appid));
+  const alertRows = await dbAll('SELECT appid, discount_percent, alerted_at, seen_at FROM wishlist_alerts WHERE guild_id=? AND user_id=?', [guild.id, userId]);
+  const alerted = new Map(alertRows.map(r => [Number(r.appid), Number(r.discount_percent)]));
+
+  const now = nowSeconds();
+  for (const appid of endedWishlistAlerts(alertRows, specials, minDiscount, now)) {
+    await dbRun('DELETE FROM wishlist_alerts WHERE guild_id=? AND user_id=? AND appid=?', [guild.id, userId, appid]);
+    alerted.delete(appid);
+  }
+  for (const appid of alerted.keys()) {
+    if (!specials.has(appid)) continue;
+    await dbRun('UPDATE wishlist_alerts SET seen_at=? WHERE guild_id=? AND user_id=? AND appid=?', [now, guild.id, userId, appid]);
+  }
+
+  const hits = pickWishlistAlerts(appids, specials, alerted, minDiscount);
+  if (!hits.length) return;
+
+  const delivered = await deliverWishlistAlert(guild, userId, member.delivery, buildAlertEmbed(cc, hits));
+  if (!delivered) return;
+  for (const it of hits) {
+    await dbRun(
+      'INSERT INTO wishlist_alerts (guild_id, user_id, appid, discount_percent, alerted_at, seen_at) VALUES (?, ?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE discount_percent=VALUES(discount_percent), alerted_at=VALUES(alerted_at), seen_at=VALUES(seen_at)',
+      [guild.id, userId, it.id, it.discount_percent, now, now]
+    );
+  }
+  WISHLIST_TAG.info(`alerted guild=${guild.id} user=${userId} items=${hits.length}`);
+}
+
+/**
+ * One pass over every guild with opted-in members. Specials are collected once per region and shared
+ * across guilds in the same pass.
+ */
+async function checkWishlists() {
+  const t = time('WISHLIST:check');
+  const specialsByRegion = new Map();
+  for (const gid of await getConfiguredGuildIds()) {
+    const guild = client.guilds.cache.get(gid);
+    if (!guild) continue;
+    const members = await dbAll(
+      'SELECT p.user_id, p.min_discount, p.delivery, p.synced_at, l.steam_id FROM wishlist_prefs p JOIN links l ON l.guild_id=p.guild_id AND l.user_id=p.user_id WHERE p.guild_id=? AND p.enabled=1',
+      [gid]
+    );
+    if (!members.length) continue;
+
+    const cc = await getGuildSetting(gid, 'sales_region_cc');
+    const floor = Math.min(...members.map(m => Number(m.min_discount) || 0));
+    const cached = specialsByRegion.get(cc);
+    if (!cached || cached.floor > floor) specialsByRegion.set(cc, { floor, specials: await collectSpecials(cc, floor) });
+    const { specials } = specialsByRegion.get(cc);
+
+    for (const member of members) {
+      try { await checkMember(guild, member, specials, cc); }
+      catch (e) { WISHLIST_TAG.warn(`check failed guild=${gid} user=${member.user_id}: ${e?.message}`); }
+    }
+  }
+  t.end();
+}
+
+/**
+ * Schedules the wishlist pass. `runNow` checks immediately on boot, which also catches up on any
+ * sales that started while the bot was offline.
+ */
+function scheduleWishlistLoop(runNow = false) {
+  const run = async () => {
+    try { await checkWishlists(); }
+    catch (err) { WISHLIST_TAG.error('checkWishlists error:', err?.stack || err); }
+    finally { setTimeout(run, WISHLIST_POLL_MS); }
+  };
+  WISHLIST_TAG.info(`Wishlist check every ${Math.round(WISHLIST_POLL_MS / 1000)}s, scanning up to ${WISHLIST_SCAN_PAGES} pages`);
+  if (runNow) run();
+}
+
+module.exports = {
+  DELIVERY_MODES,
+  getWishlistPrefs,
+  setWishlistPrefs,
+  syncMemberWishlist,
+  pickWishlistAlerts,
+  endedWishlistAlerts,
+  checkWishlists,
+  scheduleWishlistLoop,
+};
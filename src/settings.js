@@ -0,0 +1,254 @@
+/**
+ * Per-guild settings store. Every tunable listed in `SETTING_DEFS` has a process-wide default sourced
+ * from `src/config.js`; guilds may override individual values through the `/config` command. Reads
+ * go through a short-lived in-memory cache so hot paths (message XP, polling loops) do not hit the
+ * database on every call.
+ */
+const { dbAll, dbRun } = require('./db');
+const { log } = require('./logger');
+const {
+  POLL_MS,
+  OWNED_POLL_MS,
+  NOWPLAYING_POLL_MS,
+  LEADERBOARD_POLL_MS,
+  RARE_PCT,
+  BACKFILL_LIMIT,
+  OWNED_ANNOUNCE_LIMIT,
+  SESSION_MIN_MINUTES,
+  NOWPLAYING_CONFIRM_SECONDS,
+  SALES_REGION_CC,
+  XP_COOLDOWN_SECONDS,
+  XP_MIN_PER_MESSAGE,
+  XP_MAX_PER_MESSAGE,
+  XP_MIN_MESSAGE_LENGTH,
+  XP_REWARD_MODE,
+  VOICE_XP_PER_MINUTE,
+  IMAGE_CARDS,
+  WARNING_DECAY_DAYS,
+} = require('./config');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Registry of overridable settings. `min`/`max` bound numeric values and `pattern` validates strings;
+ * `normalize` lets string settings canonicalise user input before it is persisted.
+ */
+const SETTING_DEFS = {
+  poll_seconds: {
+    type: 'int', min: 30, defaultValue: Math.round(POLL_MS / 1000),
+    description: 'Achievement poll interval in seconds (never faster than the global interval)',
+  },
+  owned_poll_seconds: {
+    type: 'int', min: 60, defaultValue: Math.round(OWNED_POLL_MS / 1000),
+    description: 'Owned-games poll interval in seconds (never faster than the global interval)',
+  },
+  nowplaying_poll_seconds: {
+    type: 'int', min: 30, defaultValue: Math.round(NOWPLAYING_POLL_MS / 1000),
+    description: 'Now-playing poll interval in seconds (never faster than the global interval)',
+  },
+  leaderboard_poll_seconds: {
+    type: 'int', min: 60, defaultValue: Math.round(LEADERBOARD_POLL_MS / 1000),
+    description: 'Leaderboard refresh interval in seconds (never faster than the global interval)',
+  },
+  rare_pct: {
+    type: 'float', min: 0, max: 100, defaultValue: RARE_PCT,
+    description: 'Global unlock percentage at or below which an achievement is flagged as rare',
+  },
+  backfill_limit: {
+    type: 'int', min: 0, max: 25, defaultValue: BACKFILL_LIMIT,
+    description: 'Unlocks above this count are summarised in one embed (0 disables summaries)',
+  },
+  owned_announce_limit: {
+    type: 'int', min: 1, max: 25, defaultValue: OWNED_ANNOUNCE_LIMIT,
+    description: 'New games above this count are summarised in one embed',
+  },
+  session_min_minutes: {
+    type: 'int', min: 1, defaultValue: SESSION_MIN_MINUTES,
+    description: 'Minimum session length in minutes before a recap is posted',
+  },
+  nowplaying_confirm_seconds: {
+    type: 'int', min: 0, defaultValue: NOWPLAYING_CONFIRM_SECONDS,
+    description: 'Seconds a game must be running before a now-playing announcement',
+  },
+  sales_region_cc: {
+    type: 'string', pattern: /^[A-Z]{2}$/, normalize: (v) => v.toUpperCase(), defaultValue: SALES_REGION_CC,
+    description: 'Two-letter Steam store country code used for the sales board',
+  },
+  xp_cooldown_seconds: {
+    type: 'int', min: 0, max: 3600, defaultValue: XP_COOLDOWN_SECONDS,
+    description: 'Seconds between messages that can earn XP',
+  },
+  xp_min_per_message: {
+    type: 'int', min: 0, max: 500, defaultValue: XP_MIN_PER_MESSAGE,
+    description: 'Least XP a message can earn (before multipliers)',
+  },
+  xp_max_per_message: {
+    type: 'int', min: 0, max: 500, defaultValue: XP_MAX_PER_MESSAGE,
+    description: 'Most XP a message can earn (before multipliers)',
+  },
+  xp_min_message_length: {
+    type: 'int', min: 0, max: 500, defaultValue: XP_MIN_MESSAGE_LENGTH,
+    description: 'Characters a text-only message needs to earn XP',
+  },
+  voice_xp_per_minute: {
+    type: 'int', min: 0, max: 60, defaultValue: VOICE_XP_PER_MINUTE,
+    description: 'XP per minute in voice for unmuted members with company (0 disables voice XP)',
+  },
+  xp_reward_mode: {
+    type: 'string', pattern: /^(stack|highest)$/, normalize: (v) => v.toLowerCase(), defaultValue: XP_REWARD_MODE,
+    description: 'XP reward roles: `stack` keeps every earned role, `highest` keeps only the top one',
+  },
+  image_cards: {
+    type: 'bool', defaultValue: IMAGE_CARDS,
+    description: 'Render /rank, /profile and leaderboard rank cards as images (on/off)',
+  },
+  warning_decay_days: {
+    type: 'int', min: 1, max: 365, defaultValue: WARNING_DECAY_DAYS,
+    description: 'Days a warning or automod strike counts towards escalation rules',
+  },
+};
+
+const cache = new Map();
+const pollLastRun = new Map();
+
+/**
+ * Converts raw user input into a typed value for the given setting. Throws with a user-facing message
+ * when the key is unknown or the value is out of bounds so command handlers can surface it directly.
+ *
+ * @param {string} key - Setting name from `SETTING_DEFS`.
+ * @param {string|number} raw - Value supplied by the user or read from the database.
+ * @returns {number|string|boolean} Validated value.
+ */
+function parseSettingValue(key, raw) {
+  const def = SETTING_DEFS[key];
+  if (!def) throw new Error(`Unknown setting \`${key}\`.`);
+  const input = String(raw ?? '').trim();
+  if (!input) throw new Error(`A value is required for \`${key}\`.`);
+
+  if (def.type === 'bool') {
+    const flag = input.toLowerCase();
+    if (['true', 'on', 'yes', '1'].includes(flag)) return true;
+    if (['false', 'off', 'no', '0'].includes(flag)) return false;
+    throw new Error(`\`${key}\` expects on or off.`);
+  }
+
+  if (def.type === 'int' || def.type === 'float') {
+    const n = def.type === 'int' ? Number(input) : Number.parseFloat(input);
+    if (!Number.isFinite(n) || (def.type === 'int' && !Number.isInteger(n))) {
+      throw new Error(`\`${key}\` expects ${def.type === 'int' ? 'a whole number' : 'a number'}.`);
+    }
+    if (def.min != null && n < def.min) throw new Error(`\`${key}\` must be at least ${def.min}.`);
+    if (def.max != null && n > def.max) throw new Error(`\`${key}\` must be at most ${def.max}.`);
+    return n;
+  }
+
+  const value = def.normalize ? def.normalize(input) : input;
+  if (def.pattern && !def.pattern.test(value)) throw new Error(`\`${value}\` is not a valid value for \`${key}\`.`);
+  return value;
+}
+
+/**
+ * Loads every override for a guild, caching the parsed values. Rows that no longer validate (for
+ * example after a bound changed) are ignored so the default applies instead.
+ */
+async function loadOverrides(guildId) {
+  const hit = cache.get(guildId);
+  if (hit && hit.until > Date.now()) return hit.values;
+
+  const rows = await dbAll('SELECT setting_key, value FROM guild_settings WHERE guild_id=?', [guildId]);
+  const values = new Map();
+  for (const row of rows) {
+    try {
+      values.set(row.setting_key, parseSettingValue(row.setting_key, row.value));
+    } catch (err) {
+      log.tag('SETTINGS').warn(`Ignoring invalid override guild=${guildId} key=${row.setting_key}: ${err.message}`);
+    }
+  }
+  cache.set(guildId, { until: Date.now() + CACHE_TTL_MS, values });
+  return values;
+}
+
+/**
+ * Resolves the effective value of a setting for a guild, falling back to the environment default.
+ *
+ * @param {string} guildId - Guild to inspect.
+ * @param {string} key - Setting name from `SETTING_DEFS`.
+ * @returns {Promise<number|string>} Effective value.
+ */
+async function getGuildSetting(guildId, key) {
+  const def = SETTING_DEFS[key];
+  if (!def) throw new Error(`Unknown setting \`${key}\`.`);
+  if (!guildId) return def.defaultValue;
+  const overrides = await loadOverrides(guildId);
+  return overrides.has(key) ? overrides.get(key) : def.defaultValue;
+}
+
+/**
+ * Returns every known setting with its effective value and whether the guild overrides it.
+ *
+ * @returns {Promise<Array<{ key: string, value: number|string, defaultValue: number|string, overridden: boolean, description: string }>>}
+ */
+async function listGuildSettings(guildId) {
+  const overrides = await loadOverrides(guildId);
+  return Object.entries(SETTING_DEFS).map(([key, def]) => ({
+    key,
+    value: overrides.has(key) ? overrides.get(key) : def.defaultValue,
+    defaultValue: def.defaultValue,
+    overridden: overrides.has(key),
+    description: def.description,
+  }));
+}
+
+/**
+ * Validates and persists an override. Returns the parsed value so callers can echo it back.
+ */
+async function setGuildSetting(guildId, key, raw, updatedBy) {
+  const value = parseSettingValue(key, raw);
+  await dbRun(
+    'INSERT INTO guild_settings (guild_id, setting_key, value, updated_by, updated_at) VALUES (?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE value=VALUES(value), updated_by=VALUES(updated_by), updated_at=VALUES(updated_at)',
+    [guildId, key, String(value), updatedBy, Math.floor(Date.now() / 1000)]
+  );
+  cache.delete(guildId);
+  log.tag('SETTINGS').info(`guild=${guildId} key=${key} value=${value} by=${updatedBy}`);
+  return value;
+}
+
+/**
+ * Removes an override so the environment default applies again. Returns whether a row was removed.
+ */
+async function resetGuildSetting(guildId, key) {
+  if (!SETTING_DEFS[key]) throw new Error(`Unknown setting \`${key}\`.`);
+  const res = await dbRun('DELETE FROM guild_settings WHERE guild_id=? AND setting_key=?', [guildId, key]);
+  cache.delete(guildId);
+  return (res?.affectedRows ?? 0) > 0;
+}
+
+/**
+ * Polling loops tick at the global interval; this helper lets a guild opt into a slower cadence by
+ * skipping ticks until its own interval has elapsed. A small tolerance absorbs timer drift so a guild
+ * configured with the global interval never misses a tick.
+ *
+ * @param {string} loop - Loop identifier (e.g. `achievements`).
+ * @param {string} guildId - Guild being considered.
+ * @param {string} key - Interval setting name (in seconds).
+ * @returns {Promise<boolean>} Whether the guild should be processed on this tick.
+ */
+async function isGuildPollDue(loop, guildId, key) {
+  const intervalMs = (await getGuildSetting(guildId, key)) * 1000;
+  const now = Date.now();
+  const mapKey = `${loop}:${guildId}`;
+  const last = pollLastRun.get(mapKey) || 0;
+  if (last && now - last < intervalMs - 5000) return false;
+  pollLastRun.set(mapKey, now);
+  return true;
+}
+
+module.exports = {
+  SETTING_DEFS,
+  parseSettingValue,
+  getGuildSetting,
+  listGuildSettings,
+  setGuildSetting,
+  resetGuildSetting,
+  isGuildPollDue,
+};
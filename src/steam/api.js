@@ -232,6 +232,43 @@ async function getAppNameCached(appid, { refreshIfPlaceholder = false } = {}) {
   return `App ${appid}`;
 }
 
+/**
+ * Searches cached app names (populated as the bot encounters games) for a case-insensitive substring.
+ * Prefix matches rank first, then shorter titles, so "portal" suggests "Portal" before "Portal 2".
+ *
+ * @param {string} query - Partial game title.
+ * @param {number} [limit=25] - Maximum suggestions (Discord autocomplete caps at 25).
+ * @returns {Promise<Array<{ appid: number, name: string }>>}
+ */
+async function searchAppNames(query, limit = 25) {
+  // `!` is the LIKE escape character: backslash escaping differs between MySQL and SQLite.
+  const q = String(query || '').trim().replace(/[!%_]/g, ch => `!${ch}`);
+  if (!q) return [];
+  const rows = await dbAll(
+    "SELECT appid, name FROM app_names WHERE name LIKE ? ESCAPE '!' ORDER BY CASE WHEN name LIKE ? ESCAPE '!' THEN 0 ELSE 1 END, LENGTH(name), name LIMIT ?",
+    [`%${q}%`, `${q}%`, limit]
+  );
+  return rows.map(r => ({ appid: Number(r.appid), name: r.name }));
+}
+
+/**
+ * Resolves free-form command input to a game: a numeric app ID (or store URL) is taken as-is,
+ * anything else is matched against cached app names.
+ *
+ * @param {string} input - App ID, store URL, or title.
+ * @returns {Promise<{ appid: number, name: string }|null>}
+ */
+async function resolveApp(input) {
+  const raw = String(input || '').trim();
+  const idMatch = raw.match(/^(\d+)$/) || raw.match(/store\.steampowered\.com\/app\/(\d+)/i);
+  if (idMatch) {
+    const appid = Number(idMatch[1]);
+    return { appid, name: await getAppNameCached(appid) };
+  }
+  const [hit] = await searchAppNames(raw, 1);
+  return hit || null;
+}
+
 /**
  * Retrieves global achievement rarity data, caching results for a configurable amount of time to
  * avoid hammering the API.
@@ -287,6 +324,22 @@ async function getOwnedGames(steamId) {
   return normalized;
 }
 
+/**
+ * Fetches a user's public wishlist. Private wishlists come back empty rather than erroring, which
+ * callers should treat the same as "nothing to watch".
+ *
+ * @returns {Promise<Array<{ appid: number, priority: number, date_added: number }>>}
+ */
+async function getWishlist(steamId) {
+  const url = `${STEAM_HOST}/IWishlistService/GetWishlist/v1/?key=${encodeURIComponent(STEAM_API_KEY)}&steamid=${encodeURIComponent(steamId)}`;
+  const t = time('HTTP:GetWishlist');
+  const { data } = await axios.get(url, { timeout: 15000 });
+  t.end();
+  const items = data?.response?.items || [];
+  STEAM_API.debug(`wishlist steam=${steamId} -> ${items.length} items`);
+  return items.map(i => ({ appid: Number(i.appid), priority: i.priority || 0, date_added: i.date_added || 0 }));
+}
+
 /**
  * Attempts to fetch an install size estimate for a given app ID using public SteamCMD metadata.
  * Not every app exposes size information; in those cases `null` is returned so callers can
@@ -329,7 +382,10 @@ module.exports = {
   getSchemaFromCache,
   getPlayerAchievements,
   getAppNameCached,
+  searchAppNames,
+  resolveApp,
   getGlobalRarity,
   getOwnedGames,
+  getWishlist,
   getAppInstallSize,
 };
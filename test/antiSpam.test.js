@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const {
+  ANTISPAM_RULES,
+  capsPercentage,
+  countEmoji,
+  detectSpam,
+  describeAntiSpamRule,
+  validateAntiSpamRule,
+} = require('../src/discord/antiSpam');
+
+const defaults = Object.fromEntries(Object.entries(ANTISPAM_RULES).map(([name, def]) => [name, { ...def.defaults, enabled: true }]));
+
+test('ships every rule disabled', () => {
+  assert.ok(Object.values(ANTISPAM_RULES).every(def => def.defaults.enabled === false));
+});
+const entry = (at, extra = {}) => ({ id: String(at), channelId: 'c', at, fingerprint: `msg ${at}`, mentions: 0, caps: null, emoji: 0, ...extra });
+
+test('flags a flood once the window holds enough messages', () => {
+  const now = 10_000;
+  const history = [0, 6000, 7000, 8000, 9000, 9500, 10_000].map(at => entry(at));
+  assert.strictEqual(detectSpam(defaults, history.slice(0, -1), 9500), null);
+  const hit = detectSpam(defaults, history, now);
+  assert.strictEqual(hit.rule, 'flood');
+  assert.strictEqual(hit.count, 6);
+  assert.ok(!hit.related.some(e => e.at === 0));
+});
+
+test('flags repeated messages and mass mentions before floods', () => {
+  const dupes = [1, 2, 3].map(at => entry(at * 1000, { fingerprint: 'buy now' }));
+  assert.strictEqual(detectSpam(defaults, dupes, 3000).rule, 'duplicate');
+
+  const pings = [entry(1000, { mentions: 5 }), entry(2000), entry(3000, { mentions: 3 })];
+  const hit = detectSpam(defaults, pings, 3000);
+  assert.strictEqual(hit.rule, 'mentions');
+  assert.strictEqual(hit.related.length, 2);
+});
+
+test('skips disabled rules', () => {
+  const rules = { ...defaults, duplicate: { ...defaults.duplicate, enabled: false } };
+  const dupes = [1, 2, 3].map(at => entry(at * 1000, { fingerprint: 'same' }));
+  assert.strictEqual(detectSpam(rules, dupes, 3000), null);
+});
+
+test('measures caps and emoji per message', () => {
+  assert.strictEqual(capsPercentage('OK GG'), null);
+  assert.strictEqual(capsPercentage('WHY IS NOBODY ANSWERING ME'), 100);
+  assert.strictEqual(capsPercentage('This is a normal sentence'), 5);
+  assert.strictEqual(countEmoji('hi 🎉🎉 <:pog:123456789012345678> <a:dance:123456789012345678>'), 4);
+  assert.strictEqual(detectSpam(defaults, [entry(1, { caps: 90 })], 1).rule, 'caps');
+  assert.strictEqual(detectSpam(defaults, [entry(1, { emoji: 12 })], 1).rule, 'emoji');
+});
+
+test('validates and describes rule configurations', () => {
+  assert.strictEqual(describeAntiSpamRule('flood', defaults.flood), '6 messages in 5s → delete');
+  assert.strictEqual(describeAntiSpamRule('mentions', defaults.mentions), '8 mentions in 30s → 10m timeout');
+  assert.strictEqual(describeAntiSpamRule('caps', { ...defaults.caps, enabled: false }), 'off (70% capitals → delete)');
+  assert.throws(() => validateAntiSpamRule('caps', { ...defaults.caps, threshold: 20 }), /between 50 and 100/);
+  assert.throws(() => validateAntiSpamRule('flood', { ...defaults.flood, action: 'lockdown' }), /accepts these actions/);
+  assert.throws(() => validateAntiSpamRule('emoji', { ...defaults.emoji, action: 'timeout' }), /need a duration/);
+  assert.doesNotThrow(() => validateAntiSpamRule('raid', { ...defaults.raid, action: 'full' }));
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { progressRatio, coverCrop, renderCard, isCardRenderingAvailable } = require('../src/discord/cards');
+
+test('clamps progress to the bar', () => {
+  assert.strictEqual(progressRatio(45, 220), 45 / 220);
+  assert.strictEqual(progressRatio(300, 220), 1);
+  assert.strictEqual(progressRatio(-5, 220), 0);
+  assert.strictEqual(progressRatio(5, 0), 0);
+});
+
+test('crops header art to cover the card without stretching', () => {
+  // 460x215 Steam header into an 800x240 card: width-bound, so the crop trims top and bottom.
+  const crop = coverCrop(460, 215, 800, 240);
+  assert.strictEqual(crop.sx, 0);
+  assert.strictEqual(crop.sw, 460);
+  assert.ok(Math.abs(crop.sh - 138) < 1e-9);
+  assert.ok(Math.abs(crop.sy - (215 - 138) / 2) < 1e-9);
+  // A square avatar into the same card keeps the full width too.
+  assert.deepStrictEqual(coverCrop(100, 100, 100, 100), { sx: 0, sy: 0, sw: 100, sh: 100 });
+});
+
+test('renders a card to PNG', { skip: !isCardRenderingAvailable() && '@napi-rs/canvas not installed' }, async () => {
+  const png = await renderCard({
+    title: 'A rather long member name that has to be shortened to fit',
+    subtitle: 'Most played: Portal 2',
+    highlights: [{ label: 'Hours', value: '12.6' }, { label: 'Level', value: '7' }],
+    progress: { current: 45, total: 220, label: '45 / 220 XP' },
+  });
+  assert.ok(Buffer.isBuffer(png));
+  assert.deepStrictEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  // Width and height live in the IHDR chunk.
+  assert.strictEqual(png.readUInt32BE(16), 800);
+  assert.strictEqual(png.readUInt32BE(20), 240);
+});
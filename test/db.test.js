@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+  DB_DRIVER: 'sqlite',
+  DB_SQLITE_PATH: ':memory:',
+});
+
+const { toSqlite } = require('../src/db/dialect');
+
+let hasSqlite = true;
+try { require.resolve('better-sqlite3'); } catch { hasSqlite = false; }
+
+test('translates MySQL upserts without touching the inserted VALUES tuple', () => {
+  const sql = toSqlite('INSERT INTO t (a, b) VALUES (?, ?) ON DUPLICATE KEY UPDATE b=VALUES(b), a=VALUES(`a`)');
+  assert.strictEqual(sql, 'INSERT INTO t (a, b) VALUES (?, ?) ON CONFLICT DO UPDATE SET b=excluded.b, a=excluded.a');
+});
+
+test('translates table options, auto increment keys and INSERT IGNORE', () => {
+  const ddl = toSqlite('CREATE TABLE x (id INT NOT NULL AUTO_INCREMENT PRIMARY KEY, n INT) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;');
+  assert.strictEqual(ddl, 'CREATE TABLE x (id INTEGER PRIMARY KEY AUTOINCREMENT, n INT);');
+  assert.strictEqual(toSqlite('INSERT IGNORE INTO t VALUES (?)'), 'INSERT OR IGNORE INTO t VALUES (?)');
+  assert.strictEqual(toSqlite('SELECT GREATEST(a, b), LEAST(a, b) FROM t'), 'SELECT MAX(a, b), MIN(a, b) FROM t');
+  assert.strictEqual(toSqlite('SELECT * FROM t WHERE a=?'), 'SELECT * FROM t WHERE a=?');
+});
+
+test('sqlite driver applies every migration and round-trips MySQL-style queries', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  const db = require('../src/db');
+  const { getMigrationStatus } = require('../src/migrations');
+  await db.initDb();
+  try {
+    const status = await getMigrationStatus();
+    assert.ok(status.every(m => m.appliedAt), 'all migrations applied');
+    assert.strictEqual(await db.hasColumn('owned_seen', 'seeded'), true);
+    assert.strictEqual(await db.hasColumn('owned_seen', 'nope'), false);
+
+    const upsert = 'INSERT INTO links (guild_id, user_id, steam_id) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE steam_id=VALUES(steam_id)';
+    await db.dbRun(upsert, ['g', 'u', '1']);
+    await db.dbRun(upsert, ['g', 'u', '2']);
+    const row = await db.dbGet('SELECT steam_id FROM links WHERE guild_id=? AND user_id=?', ['g', 'u']);
+    assert.strictEqual(row.steam_id, '2');
+
+    const ignored = await db.dbRun('INSERT IGNORE INTO links (guild_id, user_id, steam_id) VALUES (?, ?, ?)', ['g', 'u', '3']);
+    assert.strictEqual(ignored.affectedRows, 0);
+
+    await assert.rejects(db.dbTransaction(async () => {
+      await db.dbRun('DELETE FROM links WHERE guild_id=?', ['g']);
+      throw new Error('boom');
+    }), /boom/);
+    assert.ok(await db.dbGet('SELECT 1 AS ok FROM links WHERE guild_id=?', ['g']), 'rolled back');
+    // A query from outside waits for the open transaction instead of being rolled back with it.
+    let entered;
+    const started = new Promise((resolve) => { entered = resolve; });
+    const failing = db.dbTransaction(async () => {
+      await db.dbRun('DELETE FROM links WHERE guild_id=?', ['g']);
+      entered();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      throw new Error('boom');
+    });
+    await started;
+    const outside = db.dbRun('INSERT INTO links (guild_id, user_id, steam_id) VALUES (?, ?, ?)', ['other', 'u', '4']);
+    await assert.rejects(failing, /boom/);
+    await outside;
+    assert.ok(await db.dbGet('SELECT 1 AS ok FROM links WHERE guild_id=?', ['other']), 'outside write kept');
+    assert.ok(await db.dbGet('SELECT 1 AS ok FROM links WHERE guild_id=?', ['g']), 'rolled back');
+    await db.dbTransaction(() => db.dbRun('DELETE FROM links WHERE guild_id=?', ['g']));
+    assert.strictEqual(await db.dbGet('SELECT 1 AS ok FROM links WHERE guild_id=?', ['g']), null);
+
+    const { setGuildSetting, getGuildSetting } = require('../src/settings');
+    await setGuildSetting('g', 'rare_pct', '3.5', 'u');
+    assert.strictEqual(await getGuildSetting('g', 'rare_pct'), 3.5);
+  } finally {
+    await db.closeDb();
+  }
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const { pickEscalationRule, describeEscalation, canActOn } = require('../src/discord/escalation');
+
+const rules = [
+  { threshold: 3, action: 'timeout', duration_ms: 3600000 },
+  { threshold: 5, action: 'kick', duration_ms: null },
+  { threshold: 7, action: 'ban', duration_ms: null },
+];
+
+test('fires a rule only when the strike count lands on its threshold', () => {
+  assert.strictEqual(pickEscalationRule(rules, 2), null);
+  assert.strictEqual(pickEscalationRule(rules, 3).action, 'timeout');
+  assert.strictEqual(pickEscalationRule(rules, 4), null);
+  assert.strictEqual(pickEscalationRule(rules, 7).action, 'ban');
+  assert.strictEqual(pickEscalationRule([], 3), null);
+});
+
+test('describes escalation actions', () => {
+  assert.strictEqual(describeEscalation(rules[0]), '1h timeout');
+  assert.strictEqual(describeEscalation(rules[1]), 'kick');
+});
+
+test('applies the moderation hierarchy to escalations', () => {
+  const guild = { ownerId: 'owner', client: { user: { id: 'bot' } } };
+  const role = (position) => ({ comparePositionTo: (other) => position - other.position, position });
+  const member = (id, position) => ({ id, roles: { highest: role(position) } });
+
+  assert.strictEqual(canActOn(guild, member('mod', 5), member('user', 2)), true);
+  assert.strictEqual(canActOn(guild, member('mod', 2), member('user', 5)), false);
+  assert.strictEqual(canActOn(guild, member('mod', 5), member('owner', 1)), false);
+  assert.strictEqual(canActOn(guild, member('mod', 5), member('mod', 5)), false);
+  assert.strictEqual(canActOn(guild, member('owner', 1), member('user', 5)), true);
+});
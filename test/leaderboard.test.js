@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+  DB_DRIVER: 'sqlite',
+  DB_SQLITE_PATH: ':memory:',
+});
+
+const db = require('../src/db');
+const { rankMovement, pageForStanding, buildGameBoardEmbed } = require('../src/loops/leaderboard');
+const leaderboardCommands = require('../src/discord/commands/leaderboard');
+
+let hasSqlite = true;
+try { require.resolve('better-sqlite3'); } catch { hasSqlite = false; }
+
+test('marks rank movement against the previous refresh', () => {
+  assert.strictEqual(rankMovement(3, 5), '▲2');
+  assert.strictEqual(rankMovement(5, 3), '▼2');
+  assert.strictEqual(rankMovement(4, 4), '▬');
+  assert.strictEqual(rankMovement(1, null), '🆕');
+});
+
+test('finds the page holding a standing', () => {
+  assert.strictEqual(pageForStanding(1), 0);
+  assert.strictEqual(pageForStanding(10), 0);
+  assert.strictEqual(pageForStanding(11), 1);
+});
+
+test('ranks one game by hours, achievements and completion', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    await db.dbRun('INSERT INTO app_names (appid, name, source, fetched_at) VALUES (?, ?, ?, ?)', [620, 'Portal 2', 'test', Date.now()]);
+    const stats = [['a', 600, 10, 51], ['b', 1200, 40, 51], ['c', 90, 0, 51]];
+    for (const [uid, minutes, unlocked, total] of stats) {
+      await db.dbRun(
+        'INSERT INTO user_game_stats (guild_id, user_id, appid, playtime_total_min, ach_unlocked, ach_total, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        ['g', uid, 620, minutes, unlocked, total, now]
+      );
+    }
+    const embed = (await buildGameBoardEmbed('g', 620)).toJSON();
+    assert.strictEqual(embed.title, '🎮 Portal 2 — server top');
+    const [hoursField, achField, completionField] = embed.fields;
+    assert.deepStrictEqual(hoursField.value.split('\n').map(l => l.split(' ')[1]), ['<@b>', '<@a>', '<@c>']);
+    assert.strictEqual(achField.value, '1. <@b> — 40/51\n2. <@a> — 10/51');
+    assert.match(completionField.value, /^1\. <@b> — 78\.4%/);
+    assert.strictEqual(embed.footer.text, 'App 620');
+  } finally {
+    await db.closeDb();
+  }
+});
+
+test('/top defers before resolving the game and answers in the deferred reply', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    await db.dbRun('INSERT INTO app_names (appid, name, source, fetched_at) VALUES (?, ?, ?, ?)', [620, 'Portal 2', 'test', Date.now()]);
+    const calls = [];
+    const interaction = game => ({
+      guildId: 'g',
+      options: { getString: () => game, getBoolean: () => null },
+      deferReply: async opts => { calls.push(['defer', opts]); },
+      editReply: async payload => { calls.push(['edit', payload]); },
+      reply: async () => { throw new Error('reply after defer'); },
+    });
+    await leaderboardCommands.handlers.top(interaction('no such game'));
+    assert.deepStrictEqual(calls[0], ['defer', { ephemeral: false }]);
+    assert.match(calls[1][1], /No game found for "no such game"/);
+
+    calls.length = 0;
+    await leaderboardCommands.handlers.top(interaction('Portal'));
+    assert.strictEqual(calls[0][0], 'defer');
+    assert.strictEqual(calls[1][1].embeds[0].toJSON().title, '🎮 Portal 2 — server top');
+  } finally {
+    await db.closeDb();
+  }
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const { loadMigrations } = require('../src/migrations');
+
+function tempMigrationDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paradise-migrations-'));
+  for (const [name, body] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), body);
+  return dir;
+}
+
+test('bundled migrations load in version order without gaps', () => {
+  const migrations = loadMigrations();
+  assert.ok(migrations.length >= 2);
+  migrations.forEach((m, idx) => {
+    assert.strictEqual(m.version, idx + 1, `${m.file} is out of sequence`);
+    assert.strictEqual(typeof m.up, 'function');
+  });
+});
+
+test('ignores non-migration files and sorts numerically', () => {
+  const dir = tempMigrationDir({
+    '10_later.js': 'module.exports = { async up() {} };',
+    '2_earlier.js': 'module.exports = { async up() {} };',
+    'README.md': '# notes',
+  });
+  assert.deepStrictEqual(loadMigrations(dir).map(m => m.file), ['2_earlier.js', '10_later.js']);
+});
+
+test('rejects duplicate versions and migrations without up()', () => {
+  const dupes = tempMigrationDir({
+    '001_a.js': 'module.exports = { async up() {} };',
+    '1_b.js': 'module.exports = { async up() {} };',
+  });
+  assert.throws(() => loadMigrations(dupes), /Duplicate migration version 1/);
+
+  const broken = tempMigrationDir({ '001_broken.js': 'module.exports = {};' });
+  assert.throws(() => loadMigrations(broken), /does not export an up\(\) function/);
+});
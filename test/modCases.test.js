@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const { formatCaseDuration, formatCaseLine } = require('../src/discord/modCases');
+
+test('formats case durations compactly', () => {
+  assert.strictEqual(formatCaseDuration(null), null);
+  assert.strictEqual(formatCaseDuration(10 * 60 * 1000), '10m');
+  assert.strictEqual(formatCaseDuration(30 * 60 * 60 * 1000), '1d 6h');
+  assert.strictEqual(formatCaseDuration(7 * 24 * 60 * 60 * 1000), '7d');
+  assert.strictEqual(formatCaseDuration(1000), '<1m');
+});
+
+test('summarises a case on one line', () => {
+  const line = formatCaseLine({
+    case_number: 12, action: 'timeout', duration_ms: 3600000, created_at: 1700000000, moderator_id: '42', reason: 'spam',
+  });
+  assert.strictEqual(line, '`#12` ⏱️ **Timeout** (1h) <t:1700000000:d> by <@42> — spam');
+});
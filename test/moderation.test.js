@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const { normalizeContent, compileTerm, matchBannedTerm } = require('../src/discord/moderation');
+
+const rule = (id, mode, pattern) => ({ id, mode, pattern, source: 'guild', regex: compileTerm({ mode, pattern }) });
+const rulesOf = (...entries) => ({
+  blocked: entries.filter(e => e.mode !== 'allow'),
+  allowed: entries.filter(e => e.mode === 'allow'),
+});
+
+test('normalizes accents, punctuation and leetspeak', () => {
+  assert.strictEqual(normalizeContent('Ça   va?'), 'ca va');
+  assert.strictEqual(normalizeContent('h3ll0 w0rld'), 'hello world');
+  assert.strictEqual(normalizeContent('$hit!'), 'shit');
+  assert.strictEqual(normalizeContent('version 1337'), 'version 1337');
+});
+
+test('matches whole words with repeated letters but not inside other words', () => {
+  const rules = rulesOf(rule(1, 'word', 'spic'), rule(2, 'word', 'coon'));
+  assert.strictEqual(matchBannedTerm('spiiic', rules).rule.id, 1);
+  assert.strictEqual(matchBannedTerm('sp1c!', rules).rule.id, 1);
+  assert.strictEqual(matchBannedTerm('c00n', rules).rule.id, 2);
+  assert.strictEqual(matchBannedTerm('con', rules).rule, null);
+  assert.strictEqual(matchBannedTerm('the cocoon', rules).rule, null);
+  assert.strictEqual(matchBannedTerm('spice', rules).rule, null);
+});
+
+test('supports substring, wildcard and regex modes', () => {
+  const rules = rulesOf(rule(1, 'substring', 'scam'), rule(2, 'wildcard', 'free*nitro'), rule(3, 'regex', 'dis(c|k)ord\\s*gift'));
+  assert.strictEqual(matchBannedTerm('scammers', rules).rule.id, 1);
+  assert.strictEqual(matchBannedTerm('get freeznitro now', rules).rule.id, 2);
+  assert.strictEqual(matchBannedTerm('get free-nitro now', rules).rule, null);
+  assert.strictEqual(matchBannedTerm('freedom nitrogen', rules).rule, null);
+  const hit = matchBannedTerm('Disk0rd gift here', rules);
+  assert.strictEqual(hit.rule.id, 3);
+  assert.strictEqual(hit.matched, 'diskord gift');
+});
+
+test('wildcards stay inside one word', () => {
+  const rules = rulesOf(rule(1, 'wildcard', 'f*ck'));
+  assert.strictEqual(matchBannedTerm('what the fck', rules).rule.id, 1);
+  assert.strictEqual(matchBannedTerm('FRICK', rules).rule.id, 1);
+  for (const text of ['for the luck', 'fine thanks, good luck', 'free stuff click']) {
+    assert.strictEqual(matchBannedTerm(text, rules).rule, null, text);
+  }
+});
+
+test('allowlisted phrases are exempt from guild terms only', () => {
+  const builtIn = { id: null, mode: 'word', pattern: 'spic', source: 'default', regex: compileTerm({ mode: 'word', pattern: 'spic' }) };
+  const rules = rulesOf(rule(1, 'allow', 'spic'), builtIn);
+  const hit = matchBannedTerm('spic', rules);
+  assert.strictEqual(hit.rule, builtIn);
+  assert.deepStrictEqual(hit.exempted, ['spic']);
+});
+
+test('allowlisted phrases are exempt from every guild term', () => {
+  const rules = rulesOf(rule(1, 'substring', 'scam'), rule(2, 'allow', 'scampi'));
+  const exempt = matchBannedTerm('I love scampi', rules);
+  assert.strictEqual(exempt.rule, null);
+  assert.deepStrictEqual(exempt.exempted, ['scampi']);
+  assert.strictEqual(matchBannedTerm('scampi scam', rules).rule.id, 1);
+});
+
+test('rejects terms that are unsafe or match everything', () => {
+  assert.throws(() => compileTerm({ mode: 'regex', pattern: '(a+)+' }), /Nested repeats/);
+  assert.throws(() => compileTerm({ mode: 'regex', pattern: '(a|aa)+$' }), /Nested repeats/);
+  assert.throws(() => compileTerm({ mode: 'regex', pattern: '^(a?){25}a{25}$' }), /Nested repeats/);
+  assert.throws(() => compileTerm({ mode: 'regex', pattern: '(?:x(?:a{2})*)*y' }), /Nested repeats/);
+  assert.doesNotThrow(() => compileTerm({ mode: 'regex', pattern: '(?<!\\w)dis(c|k)ord[+*(]?\\s*(?:gift)+' }));
+  assert.throws(() => compileTerm({ mode: 'wildcard', pattern: 'a*a*a*a*a*a*zz' }), /at most 3 times/);
+  assert.throws(() => compileTerm({ mode: 'regex', pattern: 'x*' }), /empty text/);
+  assert.throws(() => compileTerm({ mode: 'regex', pattern: '([' }), /not a valid regular expression/);
+  assert.throws(() => compileTerm({ mode: 'wildcard', pattern: '*a*' }), /at least two letters/);
+  assert.throws(() => compileTerm({ mode: 'word', pattern: '!!' }), /at least two letters/);
+});
+
+test('gives up on a guild term that backtracks for too long', () => {
+  const rules = rulesOf(rule(1, 'regex', 'a*a*a*a*a*a*zz'), rule(2, 'word', 'scam'));
+  const started = Date.now();
+  assert.strictEqual(matchBannedTerm(`${'a'.repeat(3000)} scam`, rules).rule.id, 2);
+  assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const { pickRarestAchievement } = require('../src/loops/perfects');
+
+test('picks the rarest achievement the member holds', () => {
+  const achievements = [
+    { apiName: 'A', achieved: true },
+    { apiName: 'B', achieved: true },
+    { apiName: 'C', achieved: false },
+    { apiName: 'D', achieved: true },
+  ];
+  const rarity = new Map([['A', 40], ['B', 2.5], ['C', 0.1]]);
+  assert.deepStrictEqual(pickRarestAchievement(achievements, rarity), { apiName: 'B', pct: 2.5 });
+  assert.strictEqual(pickRarestAchievement(achievements, new Map()), null);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+  DB_DRIVER: 'sqlite',
+  DB_SQLITE_PATH: ':memory:',
+});
+
+const db = require('../src/db');
+const { PRICE_BADGES, priceBadge, recordPriceHistory, getPriceHistory, renderPriceChart } = require('../src/sales/priceHistory');
+
+let hasSqlite = true;
+try { require.resolve('better-sqlite3'); } catch { hasSqlite = false; }
+
+test('badges new lows and ties with the recorded low', () => {
+  assert.strictEqual(priceBadge(499, 599), PRICE_BADGES.NEW_LOW);
+  assert.strictEqual(priceBadge(599, 599), PRICE_BADGES.ATL);
+  assert.strictEqual(priceBadge(799, 599), null);
+  assert.strictEqual(priceBadge(499, undefined), null);
+});
+
+test('charts daily lows with gaps for days off sale', () => {
+  const rows = [
+    { day: 100, price_cents: 1000 },
+    { day: 101, price_cents: 500 },
+    { day: 104, price_cents: 750 },
+  ];
+  assert.strictEqual(renderPriceChart(rows), '█▁··▅');
+  assert.strictEqual(renderPriceChart([{ day: 1, price_cents: 300 }]), '▄');
+  assert.strictEqual(renderPriceChart([]), '');
+});
+
+test('buckets long ranges to the lowest price per column', () => {
+  const rows = [
+    { day: 0, price_cents: 900 },
+    { day: 1, price_cents: 100 },
+    { day: 2, price_cents: 900 },
+    { day: 3, price_cents: 900 },
+  ];
+  assert.strictEqual(renderPriceChart(rows, 2), '▁█');
+});
+
+test('keeps the day\'s lowest price together with its own discount', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    const crawl = (price, discount) => recordPriceHistory('us', [{ id: 620, final_price_str: `$${price}`, discount_percent: discount }], item => Number(item.final_price_str.slice(1)));
+    await crawl(4.99, 75);
+    await crawl(9.99, 90);
+    await crawl(2.99, 50);
+    const [day] = await getPriceHistory(620, 'us');
+    assert.deepStrictEqual([Number(day.price_cents), day.price_str, Number(day.discount_percent)], [299, '$2.99', 50]);
+  } finally {
+    await db.closeDb();
+  }
+});
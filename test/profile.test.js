@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+  DB_DRIVER: 'sqlite',
+  DB_SQLITE_PATH: ':memory:',
+});
+
+const db = require('../src/db');
+const { buildProfileView, handleProfileInteraction } = require('../src/discord/profile');
+const { isCardRenderingAvailable } = require('../src/discord/cards');
+
+let hasSqlite = true;
+try { require.resolve('better-sqlite3'); } catch { hasSqlite = false; }
+
+// No avatar URL keeps the card renderer off the network.
+const user = id => ({ id, username: `user-${id}`, displayAvatarURL: () => null });
+
+/** Fake button click recording whether the card was updated in place or answered privately. */
+function click(customId, clickerId, { ephemeralMessage = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    interaction: {
+      customId,
+      guildId: 'g',
+      user: user(clickerId),
+      message: { flags: { has: () => ephemeralMessage } },
+      client: { users: { fetch: async id => user(id) } },
+      deferUpdate: async () => { calls.push(['update']); },
+      deferReply: async opts => { calls.push(['reply', opts]); },
+      editReply: async payload => { calls.push(['edit', payload]); },
+      reply: async payload => { calls.push(['reply', payload]); },
+    },
+  };
+}
+
+test('profile buttons only let the card owner change a public card', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    await db.dbRun('INSERT INTO links (guild_id, user_id, steam_id) VALUES (?, ?, ?)', ['g', 'b', '76561198000000000']);
+
+    const view = await buildProfileView('g', user('b'), 'a');
+    const ids = view.components[0].components.map(c => c.data.custom_id);
+    assert.deepStrictEqual(ids, ['profile:overview:b:a', 'profile:games:b:a', 'profile:added:b:a', 'profile:perfects:b:a']);
+
+    const owner = click('profile:games:b:a', 'a');
+    assert.strictEqual(await handleProfileInteraction(owner.interaction), true);
+    assert.strictEqual(owner.calls[0][0], 'update');
+
+    const other = click('profile:games:b:a', 'c');
+    await handleProfileInteraction(other.interaction);
+    assert.deepStrictEqual(other.calls[0], ['reply', { ephemeral: true }]);
+    assert.strictEqual(other.calls[1][1].components[0].components[1].data.custom_id, 'profile:games:b:c');
+
+    const privateCopy = click('profile:added:b:c', 'c', { ephemeralMessage: true });
+    await handleProfileInteraction(privateCopy.interaction);
+    assert.strictEqual(privateCopy.calls[0][0], 'update');
+  } finally {
+    await db.closeDb();
+  }
+});
+
+test('only the owner can toggle profile privacy', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    await db.dbRun('INSERT INTO links (guild_id, user_id, steam_id) VALUES (?, ?, ?)', ['g', 'b', '76561198000000000']);
+
+    const other = click('profile_privacy:b', 'c');
+    await handleProfileInteraction(other.interaction);
+    assert.match(other.calls[0][1].content, /Only the profile owner/);
+
+    const owner = click('profile_privacy:b', 'b');
+    await handleProfileInteraction(owner.interaction);
+    assert.strictEqual(owner.calls[0][0], 'update');
+    assert.strictEqual(owner.calls[1][1].embeds[0].toJSON().description, '🔒 Steam details are private.');
+    const row = await db.dbGet('SELECT profile_private FROM links WHERE guild_id=? AND user_id=?', ['g', 'b']);
+    assert.strictEqual(Number(row.profile_private), 1);
+  } finally {
+    await db.closeDb();
+  }
+});
+
+test('a public card stays hidden when its owner presses a button after going private', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    await db.dbRun('INSERT INTO links (guild_id, user_id, steam_id) VALUES (?, ?, ?)', ['g', 'b', '76561198000000000']);
+    // Two public cards; privacy is switched on from the first, then a section is opened on the second.
+    await handleProfileInteraction(click('profile_privacy:b', 'b').interaction);
+
+    const older = click('profile:games:b:b', 'b');
+    await handleProfileInteraction(older.interaction);
+    assert.strictEqual(older.calls[0][0], 'update');
+    const embed = older.calls[1][1].embeds[0].toJSON();
+    assert.strictEqual(embed.description, '🔒 Steam details are private.');
+    assert.strictEqual(embed.fields.length, 1);
+    assert.strictEqual(embed.footer, undefined);
+
+    const ownCopy = click('profile:games:b:b', 'b', { ephemeralMessage: true });
+    await handleProfileInteraction(ownCopy.interaction);
+    assert.notStrictEqual(ownCopy.calls[1][1].embeds[0].toJSON().description, '🔒 Steam details are private.');
+  } finally {
+    await db.closeDb();
+  }
+});
+
+test('tops the profile with a rendered card image', { skip: (!hasSqlite || !isCardRenderingAvailable()) && 'better-sqlite3 or @napi-rs/canvas not installed' }, async () => {
+  await db.initDb();
+  try {
+    await db.dbRun('INSERT INTO links (guild_id, user_id, steam_id) VALUES (?, ?, ?)', ['g', 'b', '76561198000000000']);
+    // App 0 has no header art, so the card is drawn without fetching a background.
+    await db.dbRun(
+      'INSERT INTO user_game_stats (guild_id, user_id, appid, playtime_total_min, ach_unlocked, ach_total, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      ['g', 'b', 0, 754, 12, 50, 1]
+    );
+    const view = await buildProfileView('g', user('b'), 'b');
+    assert.strictEqual(view.files.length, 1);
+    assert.strictEqual(view.files[0].name, 'profile.png');
+    assert.deepStrictEqual([...view.files[0].attachment.subarray(0, 4)], [0x89, 0x50, 0x4e, 0x47]);
+    assert.strictEqual(view.embeds[0].toJSON().image.url, 'attachment://profile.png');
+
+    const { setGuildSetting } = require('../src/settings');
+    await setGuildSetting('g', 'image_cards', 'off', 'b');
+    const plain = await buildProfileView('g', user('b'), 'b');
+    assert.deepStrictEqual(plain.files, []);
+    assert.strictEqual(plain.embeds[0].toJSON().image, undefined);
+  } finally {
+    await db.closeDb();
+  }
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const { countWindowUnlocks, rankEntries } = require('../src/loops/races');
+
+test('only unlocks inside the race window count', () => {
+  const achievements = [
+    { achieved: true, unlocktime: 90 },
+    { achieved: true, unlocktime: 100 },
+    { achieved: true, unlocktime: 150 },
+    { achieved: false, unlocktime: 0 },
+    { achieved: true, unlocktime: 201 },
+  ];
+  assert.deepStrictEqual(countWindowUnlocks(achievements, 100, 200), { unlocked: 2, lastUnlockAt: 150 });
+  assert.deepStrictEqual(countWindowUnlocks([], 100, 200), { unlocked: 0, lastUnlockAt: 0 });
+});
+
+test('ranks by unlocks, then whoever reached the count first, then join order', () => {
+  const ranked = rankEntries([
+    { user_id: 'late', unlocked: 3, last_unlock_at: 500, joined_at: 1 },
+    { user_id: 'idle', unlocked: 0, last_unlock_at: 0, joined_at: 0 },
+    { user_id: 'early', unlocked: 3, last_unlock_at: 400, joined_at: 2 },
+    { user_id: 'top', unlocked: 5, last_unlock_at: 900, joined_at: 3 },
+    { user_id: 'idle2', unlocked: 0, last_unlock_at: 0, joined_at: 4 },
+  ]);
+  assert.deepStrictEqual(ranked.map(e => e.user_id), ['top', 'early', 'late', 'idle', 'idle2']);
+});
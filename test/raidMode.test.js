@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+  DB_DRIVER: 'sqlite',
+  DB_SQLITE_PATH: ':memory:',
+});
+
+const { ChannelType, GuildVerificationLevel } = require('discord.js');
+const db = require('../src/db');
+const { client } = require('../src/discord/client');
+const { startRaidMode, endRaidMode, getRaidMode } = require('../src/loops/raidMode');
+
+let hasSqlite = true;
+try { require.resolve('better-sqlite3'); } catch { hasSqlite = false; }
+
+/** Fake guild whose text channels record every @everyone Send Messages change. */
+function fakeGuild(channelIds, { failOn = null } = {}) {
+  const edits = [];
+  const channel = id => ({
+    id,
+    type: ChannelType.GuildText,
+    permissionsFor: () => {
+      if (id === failOn) throw new Error('gateway went away');
+      return { has: () => true };
+    },
+    permissionOverwrites: {
+      cache: new Map(),
+      edit: async (role, { SendMessages }) => { edits.push([id, SendMessages]); },
+    },
+  });
+  const guild = {
+    id: 'g',
+    verificationLevel: GuildVerificationLevel.Low,
+    roles: { everyone: { id: 'g' } },
+    members: { me: {} },
+    channels: { cache: new Map(channelIds.map(id => [id, channel(id)])) },
+    setVerificationLevel: async level => { guild.verificationLevel = level; },
+  };
+  return { guild, edits };
+}
+
+test('raid mode starts once and undoes its lockdown', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  const realUser = client.user;
+  try {
+    client.user = { id: 'bot' };
+    const { guild, edits } = fakeGuild(['c1', 'c2']);
+    const actor = { id: 'mod', tag: 'mod' };
+    const [first, second] = await Promise.all([
+      startRaidMode(guild, { action: 'full', durationMs: 60_000, actor }),
+      startRaidMode(guild, { action: 'full', durationMs: 60_000, actor }),
+    ]);
+    assert.ok(first);
+    assert.strictEqual(second, null);
+    assert.deepStrictEqual(JSON.parse(first.locked_channels).map(c => c.id), ['c1', 'c2']);
+    assert.strictEqual(Number(first.previous_verification), GuildVerificationLevel.Low);
+    assert.strictEqual(guild.verificationLevel, GuildVerificationLevel.High);
+
+    assert.strictEqual(await endRaidMode(guild, actor), true);
+    assert.deepStrictEqual(edits, [['c1', false], ['c2', false], ['c1', null], ['c2', null]]);
+    assert.strictEqual(guild.verificationLevel, GuildVerificationLevel.Low);
+    assert.strictEqual(await getRaidMode('g'), null);
+  } finally {
+    client.user = realUser;
+    await db.closeDb();
+  }
+});
+
+test('channels locked before a failure are still restored', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  const realUser = client.user;
+  try {
+    client.user = { id: 'bot' };
+    const { guild, edits } = fakeGuild(['c1', 'c2'], { failOn: 'c2' });
+    await assert.rejects(startRaidMode(guild, { action: 'lockdown', durationMs: 60_000, actor: client.user }), /gateway went away/);
+    assert.deepStrictEqual(JSON.parse((await getRaidMode('g')).locked_channels), [{ id: 'c1', previous: null }]);
+
+    assert.strictEqual(await endRaidMode(guild, client.user), true);
+    assert.deepStrictEqual(edits, [['c1', false], ['c1', null]]);
+  } finally {
+    client.user = realUser;
+    await db.closeDb();
+  }
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  applySalesFilters,
+  parsePriceCeiling,
+  defaultSalesFilters,
+  getViewerFilters,
+  setViewerFilters,
+} = require('../src/sales/filters');
+
+const items = [
+  { id: 1, name: 'Portal 2', discount_percent: 90, price: 0.99 },
+  { id: 2, name: 'Hades', discount_percent: 40, price: 14.99 },
+  { id: 3, name: 'Portal', discount_percent: 75, price: 1.99 },
+  { id: 4, name: 'Cyberpunk 2077', discount_percent: 50, price: 29.99 },
+];
+const priceOf = it => it.price;
+const ids = list => list.map(it => it.id);
+
+test('filters by discount, price ceiling and case-insensitive title', () => {
+  const base = defaultSalesFilters();
+  assert.deepStrictEqual(ids(applySalesFilters(items, { ...base, minDiscount: 50 }, priceOf)), [1, 3, 4]);
+  assert.deepStrictEqual(ids(applySalesFilters(items, { ...base, maxPrice: 15 }, priceOf)), [1, 2, 3]);
+  assert.deepStrictEqual(ids(applySalesFilters(items, { ...base, query: 'PORTAL' }, priceOf)), [1, 3]);
+});
+
+test('sorts per viewer without mutating store order', () => {
+  const base = defaultSalesFilters();
+  assert.deepStrictEqual(ids(applySalesFilters(items, { ...base, sort: 'price_asc' }, priceOf)), [1, 3, 2, 4]);
+  assert.deepStrictEqual(ids(applySalesFilters(items, { ...base, sort: 'name' }, priceOf)), [4, 2, 3, 1]);
+  assert.deepStrictEqual(ids(applySalesFilters(items, base, priceOf)), [1, 2, 3, 4]);
+});
+
+test('parses price ceilings in common formats', () => {
+  assert.strictEqual(parsePriceCeiling(''), null);
+  assert.strictEqual(parsePriceCeiling('$20'), 20);
+  assert.strictEqual(parsePriceCeiling('19,99€'), 19.99);
+  assert.strictEqual(parsePriceCeiling('1,299.50'), 1299.5);
+  assert.strictEqual(parsePriceCeiling('1.299,50'), 1299.5);
+  assert.strictEqual(parsePriceCeiling('1,299'), 1299);
+  assert.strictEqual(parsePriceCeiling('19,99'), 19.99);
+  assert.strictEqual(parsePriceCeiling('1,299,000'), 1299000);
+  assert.throws(() => parsePriceCeiling('cheap'), /not a valid price/);
+});
+
+test('keeps filter state per viewer and region', () => {
+  setViewerFilters('u1', 'US', { ...defaultSalesFilters(), minDiscount: 75 });
+  assert.strictEqual(getViewerFilters('u1', 'US').minDiscount, 75);
+  assert.strictEqual(getViewerFilters('u1', 'GB').minDiscount, 0);
+  assert.strictEqual(getViewerFilters('u2', 'US').minDiscount, 0);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const { planFullWarm } = require('../src/sales');
+
+test('interleaves warm-up pages across regions, skipping the bootstrap page', () => {
+  const plan = planFullWarm(new Map([['US', 3], ['GB', 2]]), 100);
+  assert.deepStrictEqual(plan.map(p => `${p.cc}:${p.idx}`), ['US:1', 'GB:1', 'US:2']);
+});
+
+test('splits the shared cache budget evenly between regions', () => {
+  const plan = planFullWarm(new Map([['US', 500], ['BR', 500], ['GB', 10]]), 300);
+  const count = cc => plan.filter(p => p.cc === cc).length;
+  assert.strictEqual(count('US'), 99);
+  assert.strictEqual(count('BR'), 99);
+  assert.strictEqual(count('GB'), 9);
+  assert.deepStrictEqual(planFullWarm(new Map()), []);
+});
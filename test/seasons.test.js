@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const { seasonBounds, computeSeasonStandings } = require('../src/loops/seasons');
+
+test('keys weeks by ISO week and months by calendar month (UTC)', () => {
+  const wed = Date.UTC(2026, 9, 21, 15, 30);
+  assert.deepStrictEqual(seasonBounds('week', wed), {
+    key: '2026-W43',
+    startsAt: Date.UTC(2026, 9, 19) / 1000,
+    endsAt: Date.UTC(2026, 9, 26) / 1000,
+  });
+  assert.deepStrictEqual(seasonBounds('month', wed), {
+    key: '2026-10',
+    startsAt: Date.UTC(2026, 9, 1) / 1000,
+    endsAt: Date.UTC(2026, 10, 1) / 1000,
+  });
+  // 2027-01-01 is a Friday, so it still belongs to the last ISO week of 2026.
+  assert.strictEqual(seasonBounds('week', Date.UTC(2027, 0, 1)).key, '2026-W53');
+  assert.strictEqual(seasonBounds('week', Date.UTC(2025, 11, 31)).key, '2026-W01');
+});
+
+test('ranks gains between snapshots and skips members who joined mid-season', () => {
+  const baseline = [
+    { user_id: 'a', playtime_min: '600', ach_unlocked: 10 },
+    { user_id: 'b', playtime_min: '100', ach_unlocked: 50 },
+  ];
+  const current = [
+    { user_id: 'a', playtime_min: '660', ach_unlocked: 10 },
+    { user_id: 'b', playtime_min: '400', ach_unlocked: 45 },
+    { user_id: 'c', playtime_min: '9000', ach_unlocked: 900 },
+  ];
+  assert.deepStrictEqual(computeSeasonStandings(baseline, current), {
+    playtime: [{ user_id: 'b', value: 300 }, { user_id: 'a', value: 60 }],
+    achievements: [],
+  });
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const { SETTING_DEFS, parseSettingValue } = require('../src/settings');
+
+test('parses numeric settings and enforces bounds', () => {
+  assert.strictEqual(parseSettingValue('backfill_limit', '7'), 7);
+  assert.strictEqual(parseSettingValue('rare_pct', '2.5'), 2.5);
+  assert.throws(() => parseSettingValue('backfill_limit', '2.5'), /whole number/);
+  assert.throws(() => parseSettingValue('poll_seconds', '5'), /at least 30/);
+  assert.throws(() => parseSettingValue('rare_pct', 'lots'), /expects a number/);
+});
+
+test('normalises string settings and rejects unknown keys', () => {
+  assert.strictEqual(parseSettingValue('sales_region_cc', 'gb'), 'GB');
+  assert.throws(() => parseSettingValue('sales_region_cc', 'EUR'), /not a valid value/);
+  assert.throws(() => parseSettingValue('nope', '1'), /Unknown setting/);
+});
+
+test('parses on/off settings', () => {
+  assert.strictEqual(parseSettingValue('image_cards', 'off'), false);
+  assert.strictEqual(parseSettingValue('image_cards', 'ON'), true);
+  assert.strictEqual(parseSettingValue('image_cards', true), true);
+  assert.throws(() => parseSettingValue('image_cards', 'maybe'), /expects on or off/);
+});
+
+test('every setting default passes its own validation', () => {
+  for (const [key, def] of Object.entries(SETTING_DEFS)) {
+    assert.strictEqual(parseSettingValue(key, def.defaultValue), def.defaultValue, key);
+  }
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+  DB_DRIVER: 'sqlite',
+  DB_SQLITE_PATH: ':memory:',
+});
+
+const db = require('../src/db');
+const { client } = require('../src/discord/client');
+const { recordCase } = require('../src/discord/modCases');
+const { setEscalationRule, escalateAfterStrike } = require('../src/discord/escalation');
+const {
+  BAN_DURATIONS,
+  BAN_DURATION_CHOICES,
+  scheduleTempBan,
+  listActiveTempBans,
+  checkTempBans,
+} = require('../src/loops/tempBans');
+
+let hasSqlite = true;
+try { require.resolve('better-sqlite3'); } catch { hasSqlite = false; }
+
+const discordError = code => Object.assign(new Error(`Discord error ${code}`), { code });
+
+const statusOf = async userId => (await db.dbGet('SELECT status FROM temp_bans WHERE guild_id=? AND user_id=? ORDER BY id DESC', ['g', userId]))?.status;
+
+test('offers a choice for every ban duration', () => {
+  assert.deepStrictEqual(BAN_DURATION_CHOICES.map(c => c.value), Object.keys(BAN_DURATIONS));
+  assert.strictEqual(BAN_DURATIONS['1h'], 3600 * 1000);
+  assert.strictEqual(BAN_DURATIONS['90d'], 90 * 86400 * 1000);
+});
+
+test('a new temporary ban replaces the running timer', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    const before = Math.floor(Date.now() / 1000);
+    await scheduleTempBan({ guildId: 'g', userId: 'u', moderatorId: 'mod', durationMs: BAN_DURATIONS['1d'], caseNumber: 1 });
+    const expiresAt = await scheduleTempBan({ guildId: 'g', userId: 'u', moderatorId: 'mod', reason: 'again', durationMs: BAN_DURATIONS['7d'] });
+    assert.ok(expiresAt >= before + 7 * 86400 && expiresAt <= before + 7 * 86400 + 2);
+
+    const active = await listActiveTempBans('g');
+    assert.strictEqual(active.length, 1);
+    assert.strictEqual(active[0].reason, 'again');
+    const replaced = await db.dbGet("SELECT ended_by FROM temp_bans WHERE status='replaced'");
+    assert.strictEqual(replaced.ended_by, 'mod');
+  } finally {
+    await db.closeDb();
+  }
+});
+
+test('lifts expired bans and settles the ones Discord refuses', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  const realUser = client.user;
+  const realFetch = client.users.fetch;
+  try {
+    const outcomes = {
+      lifted: null,
+      gone: discordError(10026),
+      denied: discordError(50013),
+      flaky: discordError(500),
+    };
+    const removed = [];
+    const guild = {
+      id: 'g',
+      channels: { cache: new Map() },
+      bans: {
+        remove: async userId => {
+          removed.push(userId);
+          if (outcomes[userId]) throw outcomes[userId];
+        },
+      },
+    };
+    client.user = { id: 'bot' };
+    client.users.fetch = async id => ({ id });
+    client.guilds.cache.set('g', guild);
+
+    const past = Math.floor(Date.now() / 1000) - 60;
+    for (const userId of Object.keys(outcomes)) {
+      await db.dbRun(
+        'INSERT INTO temp_bans (guild_id, user_id, moderator_id, banned_at, expires_at) VALUES (?, ?, ?, ?, ?)',
+        ['g', userId, 'mod', past - 3600, past]
+      );
+    }
+    await scheduleTempBan({ guildId: 'g', userId: 'later', moderatorId: 'mod', durationMs: BAN_DURATIONS['1h'] });
+
+    await checkTempBans();
+    assert.deepStrictEqual(removed, ['lifted', 'gone', 'denied', 'flaky']);
+    assert.strictEqual(await statusOf('lifted'), 'expired');
+    assert.strictEqual(await statusOf('gone'), 'expired');
+    assert.strictEqual(await statusOf('denied'), 'failed');
+    assert.strictEqual(await statusOf('flaky'), 'active');
+    assert.strictEqual(await statusOf('later'), 'active');
+
+    const unbans = await db.dbAll("SELECT target_id, moderator_id FROM mod_cases WHERE guild_id='g' AND action='unban' ORDER BY target_id");
+    assert.deepStrictEqual(unbans.map(r => [r.target_id, r.moderator_id]), [['lifted', 'bot']]);
+
+    removed.length = 0;
+    await checkTempBans();
+    assert.deepStrictEqual(removed, ['flaky']);
+  } finally {
+    client.user = realUser;
+    client.users.fetch = realFetch;
+    client.guilds.cache.delete('g');
+    await db.closeDb();
+  }
+});
+
+test('an automatic escalation ban ends the temporary ban timer', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    const bans = [];
+    const guild = {
+      id: 'g',
+      name: 'Guild',
+      ownerId: 'owner',
+      client: { user: { id: 'bot' } },
+      channels: { cache: new Map() },
+      members: { me: null, ban: async (userId, opts) => { bans.push([userId, opts.reason]); } },
+    };
+    const member = { id: 'u', bannable: true, user: { id: 'u', send: async () => {} } };
+
+    await scheduleTempBan({ guildId: 'g', userId: 'u', moderatorId: 'mod', durationMs: BAN_DURATIONS['1d'] });
+    await setEscalationRule('g', { threshold: 1, action: 'ban', createdBy: 'mod' });
+    await recordCase('g', { action: 'automod', targetId: 'u', moderatorId: 'bot', reason: 'spam' });
+
+    const result = await escalateAfterStrike(guild, member, { actor: null });
+    assert.strictEqual(result.issue, null);
+    assert.strictEqual(bans.length, 1);
+    assert.strictEqual(await statusOf('u'), 'replaced');
+    assert.strictEqual((await listActiveTempBans('g')).length, 0);
+  } finally {
+    await db.closeDb();
+  }
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+  DB_DRIVER: 'sqlite',
+  DB_SQLITE_PATH: ':memory:',
+});
+
+const db = require('../src/db');
+const { voiceEarnBlocker } = require('../src/discord/voiceXp');
+const { awardVoiceXp, levelForXp } = require('../src/discord/xp');
+
+let hasSqlite = true;
+try { require.resolve('better-sqlite3'); } catch { hasSqlite = false; }
+
+const state = (overrides = {}) => ({
+  channelId: 'vc',
+  guild: { afkChannelId: 'afk' },
+  member: { user: { bot: false } },
+  selfMute: false,
+  serverMute: false,
+  selfDeaf: false,
+  serverDeaf: false,
+  suppress: false,
+  ...overrides,
+});
+
+test('members in company and able to talk earn voice XP', () => {
+  assert.strictEqual(voiceEarnBlocker(state(), 1), null);
+});
+
+test('muted, deafened, AFK, lonely and bot members earn nothing', () => {
+  assert.strictEqual(voiceEarnBlocker(state({ selfMute: true }), 2), 'muted');
+  assert.strictEqual(voiceEarnBlocker(state({ serverMute: true }), 2), 'muted');
+  assert.strictEqual(voiceEarnBlocker(state({ suppress: true }), 2), 'muted');
+  assert.strictEqual(voiceEarnBlocker(state({ selfDeaf: true }), 2), 'deafened');
+  assert.strictEqual(voiceEarnBlocker(state({ channelId: 'afk' }), 2), 'afk channel');
+  assert.strictEqual(voiceEarnBlocker(state(), 0), 'alone');
+  assert.strictEqual(voiceEarnBlocker(state({ member: { user: { bot: true } } }), 2), 'bot');
+});
+
+test('voice XP credited concurrently is never lost', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    const guild = { id: 'g', members: { fetch: async () => null } };
+    const member = { id: 'u', guild, user: { id: 'u' }, roles: { cache: new Map() } };
+    // Voice XP defaults to 3 per minute.
+    await Promise.all([awardVoiceXp(member, 10), awardVoiceXp(member, 20), awardVoiceXp(member, 5)]);
+    const row = await db.dbGet('SELECT xp, level, voice_minutes, voice_xp FROM xp_progress WHERE guild_id=? AND user_id=?', ['g', 'u']);
+    assert.deepStrictEqual(
+      [Number(row.xp), Number(row.voice_minutes), Number(row.voice_xp), Number(row.level)],
+      [105, 35, 105, levelForXp(105)]
+    );
+  } finally {
+    await db.closeDb();
+  }
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const { pickWishlistAlerts, endedWishlistAlerts } = require('../src/sales/wishlist');
+
+const sale = (id, discount_percent) => ({ id, name: `App ${id}`, discount_percent });
+const specials = new Map([[1, sale(1, 50)], [2, sale(2, 20)], [3, sale(3, 75)], [4, sale(4, 90)]]);
+
+test('alerts on wishlisted sales at or above the threshold, deepest first', () => {
+  const hits = pickWishlistAlerts([1, 2, 3, 99], specials, new Map(), 25);
+  assert.deepStrictEqual(hits.map(h => h.id), [3, 1]);
+});
+
+test('skips sales already announced unless the discount deepened', () => {
+  const alerted = new Map([[1, 50], [3, 60], [4, 95]]);
+  const hits = pickWishlistAlerts([1, 3, 4], specials, alerted, 0);
+  assert.deepStrictEqual(hits.map(h => h.id), [3]);
+});
+
+test('keeps alerts for sales that briefly drop out of the scan', () => {
+  const now = 1_000_000;
+  const day = 24 * 60 * 60;
+  const rows = [
+    { appid: 1, alerted_at: now - 5 * day, seen_at: now - 3600 },
+    { appid: 2, alerted_at: now - 5 * day, seen_at: now - 1 },
+    { appid: 7, alerted_at: now - 3600, seen_at: 0 },
+    { appid: 8, alerted_at: now - 5 * day, seen_at: now - 3 * day },
+  ];
+  assert.deepStrictEqual(endedWishlistAlerts(rows, specials, 25, now), [2, 8]);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+  DB_DRIVER: 'sqlite',
+  DB_SQLITE_PATH: ':memory:',
+});
+
+const db = require('../src/db');
+const { adjustXp } = require('../src/discord/xpAdmin');
+const { awardVoiceXp, levelForXp, totalXpForLevel } = require('../src/discord/xp');
+
+let hasSqlite = true;
+try { require.resolve('better-sqlite3'); } catch { hasSqlite = false; }
+
+const guild = { id: 'g', members: { fetch: async () => null } };
+const target = { id: 'u' };
+const actor = { id: 'staff' };
+const member = { id: 'u', guild, user: target, roles: { cache: new Map() } };
+const xpRow = () => db.dbGet('SELECT xp, level, voice_minutes, voice_xp FROM xp_progress WHERE guild_id=? AND user_id=?', ['g', 'u']);
+
+test('adjustXp applies each action and never goes below zero', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    const give = await adjustXp(guild, target, { action: 'give', amount: 150, actor });
+    assert.deepStrictEqual([give.before, give.after, give.levelAfter], [0, 150, levelForXp(150)]);
+    assert.strictEqual((await adjustXp(guild, target, { action: 'take', amount: 30, actor })).after, 120);
+    assert.strictEqual((await adjustXp(guild, target, { action: 'take', amount: 500, actor })).after, 0);
+    const set = await adjustXp(guild, target, { action: 'set', amount: 400, actor });
+    assert.strictEqual(set.after, 400);
+    assert.strictEqual((await xpRow()).level, levelForXp(400));
+    assert.strictEqual((await adjustXp(guild, target, { action: 'reset', actor })).after, 0);
+    await assert.rejects(adjustXp(guild, target, { action: 'double', amount: 2, actor }), /Unknown XP action/);
+    const audit = await db.dbAll('SELECT delta FROM xp_audit WHERE guild_id=? ORDER BY id', ['g']);
+    assert.deepStrictEqual(audit.map(r => Number(r.delta)), [150, -30, -120, 400, -400]);
+  } finally {
+    await db.closeDb();
+  }
+});
+
+test('concurrent XP grants and adjustments all count', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    // Voice XP defaults to 3 per minute.
+    await Promise.all([
+      awardVoiceXp(member, 10),
+      awardVoiceXp(member, 20),
+      adjustXp(guild, target, { action: 'give', amount: 50, actor }),
+      awardVoiceXp(member, 5),
+    ]);
+    const row = await xpRow();
+    assert.strictEqual(Number(row.xp), 3 * 35 + 50);
+    assert.strictEqual(Number(row.voice_minutes), 35);
+    assert.strictEqual(Number(row.voice_xp), 3 * 35);
+    assert.strictEqual(Number(row.level), levelForXp(155));
+
+    await adjustXp(guild, target, { action: 'take', amount: 100, actor });
+    const taken = await xpRow();
+    assert.strictEqual(Number(taken.xp), 55);
+    assert.strictEqual(Number(taken.voice_xp), 55);
+  } finally {
+    await db.closeDb();
+  }
+});
+
+test('levelForXp is the highest level whose threshold is reached', () => {
+  assert.strictEqual(levelForXp(0), 0);
+  for (const level of [1, 2, 5, 20]) {
+    const threshold = totalXpForLevel(level);
+    assert.strictEqual(levelForXp(threshold), level);
+    assert.strictEqual(levelForXp(threshold - 1), level - 1);
+  }
+});
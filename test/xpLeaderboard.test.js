@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+  DB_DRIVER: 'sqlite',
+  DB_SQLITE_PATH: ':memory:',
+});
+
+const db = require('../src/db');
+const { client } = require('../src/discord/client');
+const { buildXpLeaderboardView, refreshXpLeaderboards } = require('../src/loops/xpLeaderboard');
+const xpCommands = require('../src/discord/commands/xp');
+
+let hasSqlite = true;
+try { require.resolve('better-sqlite3'); } catch { hasSqlite = false; }
+
+const seedXp = async rows => {
+  for (const [uid, xp, level] of rows) {
+    await db.dbRun('INSERT INTO xp_progress (guild_id, user_id, xp, level) VALUES (?, ?, ?, ?)', ['g', uid, xp, level]);
+  }
+};
+
+test('pages the XP ranking with ties broken by user id', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    const members = Array.from({ length: 12 }, (_, i) => [`u${String(i).padStart(2, '0')}`, 1000 - i * 50, 3]);
+    await seedXp([...members, ['a', 1000, 3], ['zero', 0, 0]]);
+
+    const first = await buildXpLeaderboardView('g', 0, { viewerId: 'u00' });
+    const embed = first.embeds[0].toJSON();
+    const lines = embed.description.split('\n');
+    assert.strictEqual(lines.length, 10);
+    assert.strictEqual(lines[0], '1. <@a> — level 3 • 1000 XP');
+    assert.strictEqual(lines[1], '**2. <@u00> — level 3 • 1000 XP**');
+    assert.strictEqual(embed.footer.text, 'Page 1/2 • 13 ranked');
+    assert.deepStrictEqual(first.components[0].toJSON().components.map(b => b.custom_id), ['xplb_page:-1:s', 'xplb_page:1:s', 'xplb_me:s']);
+
+    const last = (await buildXpLeaderboardView('g', 9, { scope: 'v' })).embeds[0].toJSON();
+    assert.strictEqual(last.footer.text, 'Page 2/2 • 13 ranked');
+    assert.match(last.description, /^11\. <@u09>/);
+  } finally {
+    await db.closeDb();
+  }
+});
+
+test('refreshing the persistent board writes it once per pass', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  const realNow = Date.now;
+  const realFetch = client.channels.fetch;
+  try {
+    await seedXp([['a', 500, 2]]);
+    await db.dbRun('INSERT INTO guild_channels (guild_id, kind, channel_id) VALUES (?, ?, ?)', ['g', 'xp_leaderboard', 'c']);
+
+    const writes = [];
+    const message = { id: 'm1', edit: async () => { writes.push('edit'); } };
+    const channel = {
+      id: 'c',
+      client: { user: {} },
+      permissionsFor: () => ({ has: () => true }),
+      send: async () => { writes.push('send'); return message; },
+      messages: { fetch: async id => (id === message.id ? message : null) },
+    };
+    client.guilds.cache.set('g', { id: 'g', channels: { cache: new Map([['c', channel]]) } });
+    client.channels.fetch = async id => (id === 'c' ? channel : null);
+
+    await refreshXpLeaderboards();
+    assert.deepStrictEqual(writes, ['send']);
+    const row = await db.dbGet('SELECT channel_id, message_id FROM xp_leaderboard_msgs WHERE guild_id=?', ['g']);
+    assert.deepStrictEqual({ ...row }, { channel_id: 'c', message_id: 'm1' });
+
+    Date.now = () => realNow() + 24 * 3600 * 1000;
+    await refreshXpLeaderboards();
+    assert.deepStrictEqual(writes, ['send', 'edit']);
+  } finally {
+    Date.now = realNow;
+    client.channels.fetch = realFetch;
+    client.guilds.cache.delete('g');
+    await db.closeDb();
+  }
+});
+
+test('/xp leaderboard is open to everyone while the staff tools need Manage Server', { skip: !hasSqlite && 'better-sqlite3 not installed' }, async () => {
+  await db.initDb();
+  try {
+    await seedXp([['a', 500, 2]]);
+    const calls = [];
+    const interaction = sub => ({
+      guildId: 'g',
+      user: { id: 'a' },
+      memberPermissions: { has: () => false },
+      options: { getSubcommand: () => sub, getSubcommandGroup: () => null },
+      deferReply: async () => { calls.push('defer'); },
+      editReply: async payload => { calls.push(payload); },
+    });
+
+    await xpCommands.handlers.xp(interaction('leaderboard'));
+    assert.strictEqual(calls[0], 'defer');
+    assert.strictEqual(calls[1].embeds[0].toJSON().description, '**1. <@a> — level 2 • 500 XP**');
+    await assert.rejects(xpCommands.handlers.xp(interaction('give')), /Manage Server/);
+  } finally {
+    await db.closeDb();
+  }
+});
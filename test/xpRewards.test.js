@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const { planRoleRewards } = require('../src/discord/xpRewards');
+
+const rewards = [
+  { role_id: 'bronze', level: 5 },
+  { role_id: 'silver', level: 10 },
+  { role_id: 'silver-extra', level: 10 },
+  { role_id: 'gold', level: 20 },
+];
+
+test('stack mode adds every reward earned so far and never removes roles', () => {
+  assert.deepStrictEqual(planRoleRewards(rewards, 12, 'stack'), {
+    keep: ['bronze', 'silver', 'silver-extra'],
+    drop: [],
+  });
+  assert.deepStrictEqual(planRoleRewards(rewards, 3, 'stack'), { keep: [], drop: [] });
+});
+
+test('highest mode keeps only the top reward level reached', () => {
+  assert.deepStrictEqual(planRoleRewards(rewards, 12, 'highest'), {
+    keep: ['silver', 'silver-extra'],
+    drop: ['bronze', 'gold'],
+  });
+  assert.deepStrictEqual(planRoleRewards(rewards, 25, 'highest').keep, ['gold']);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  DISCORD_TOKEN: process.env.DISCORD_TOKEN || 'token',
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID || 'client',
+  STEAM_API_KEY: process.env.STEAM_API_KEY || 'steam',
+});
+
+const { combineXpMultipliers } = require('../src/discord/xpRules');
+
+const rules = {
+  channels: new Map([['spam', 0], ['gaming-category', 1.5], ['events', 2]]),
+  roles: new Map([['booster', 2], ['supporter', 1.25], ['muted', 0]]),
+};
+
+test('the most specific channel rule wins', () => {
+  assert.strictEqual(combineXpMultipliers(rules, ['general'], []), 1);
+  assert.strictEqual(combineXpMultipliers(rules, ['lfg', 'gaming-category'], []), 1.5);
+  assert.strictEqual(combineXpMultipliers(rules, ['events', 'gaming-category'], []), 2);
+  assert.strictEqual(combineXpMultipliers(rules, ['spam'], ['booster']), 0);
+});
+
+test('the best role bonus applies and excluded roles earn nothing', () => {
+  assert.strictEqual(combineXpMultipliers(rules, ['general'], ['supporter', 'booster']), 2);
+  assert.strictEqual(combineXpMultipliers(rules, ['general'], ['booster', 'muted']), 0);
+});
+
+test('boost events multiply on top of rules', () => {
+  assert.strictEqual(combineXpMultipliers(rules, ['lfg', 'gaming-category'], ['booster'], 2), 6);
+});